@@ -7,10 +7,8 @@ const mongoose = require('mongoose');
 const http = require('http');
 const socketIo = require('socket.io');
 const crypto = require('crypto');
-const SteamCommunity = require('steamcommunity');
 const TradeOfferManager = require('steam-tradeoffer-manager');
 const cors = require('cors');
-const SteamTotp = require('steam-totp');
 const axios = require('axios');
 const NodeCache = require('node-cache');
 const helmet = require('helmet');
@@ -19,12 +17,23 @@ const { body, query, param, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 const SteamID = require('steamid'); // Make sure to install: npm install steamid
+const { createTradeBotPool, TRADE_BACKENDS } = require('./lib/trade');
+const { RoundStateMachine, ROUND_STATUSES } = require('./lib/round/stateMachine');
+const { SeedChain, verifySeedPosition, DEFAULT_CHAIN_LENGTH } = require('./lib/round/seedChain');
+const { TaxPolicy, parseTaxTiers, TAX_REASONS } = require('./lib/round/taxPolicy');
+const { DepositCaps } = require('./lib/round/depositCaps');
+const { RoundTimingRules } = require('./lib/round/timingRules');
+const { PayoutError, classifyPayoutError } = require('./lib/trade/payoutErrors');
+const { PayoutPlanner } = require('./lib/trade/payoutPlan');
+const { TradeHoldChecker } = require('./lib/trade/tradeHolds');
+const fairness = require('./lib/round/fairness');
 
 
 // --- Enhanced: connect-mongo for persistent sessions ---
 const MongoStore = require('connect-mongo');
 
 // --- UPDATED: More flexible Trade URL validation ---
+const CLIENT_SEED_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
 const TRADE_URL_REGEX = /^https?:\/\/(www\.)?steamcommunity\.com\/tradeoffer\/new\/\?(?=.*partner=\d+)(?=.*token=[a-zA-Z0-9_-]+).*$/i;
 
 // --- Configuration Constants ---
@@ -32,12 +41,21 @@ const requiredEnvVars = [
     'MONGODB_URI', 'SESSION_SECRET', 'STEAM_API_KEY', 'SITE_URL',
     'STEAM_USERNAME', 'STEAM_PASSWORD', 'STEAM_SHARED_SECRET', 'BOT_TRADE_URL', 'SITE_NAME', 'STEAM_IDENTITY_SECRET'
 ];
-const isBotConfigured = process.env.STEAM_USERNAME && process.env.STEAM_PASSWORD && process.env.STEAM_SHARED_SECRET && process.env.BOT_TRADE_URL;
+const TRADE_BACKEND = (process.env.TRADE_BACKEND || 'steam').toLowerCase();
+if (!TRADE_BACKENDS.includes(TRADE_BACKEND)) {
+    console.error(`FATAL: Unknown TRADE_BACKEND "${process.env.TRADE_BACKEND}". Expected one of: ${TRADE_BACKENDS.join(', ')}.`);
+    process.exit(1);
+}
+// STEAM_BOTS (JSON array of bot accounts) replaces the single STEAM_USERNAME/... account
+const isBotConfigured = TRADE_BACKEND === 'fake' || !!((process.env.STEAM_BOTS || (process.env.STEAM_USERNAME && process.env.STEAM_PASSWORD && process.env.STEAM_SHARED_SECRET)) && process.env.BOT_TRADE_URL);
 let missingVars = requiredEnvVars.filter(v => !process.env[v] && !(v.startsWith('STEAM_') || v === 'BOT_TRADE_URL' || v === 'SITE_NAME') && isBotConfigured);
 if (!isBotConfigured) {
     console.warn("WARN: Steam Bot credentials/config incomplete in .env file. Trading features will be disabled.");
+} else if (TRADE_BACKEND === 'steam') {
+    const botAccountVars = ['STEAM_USERNAME', 'STEAM_PASSWORD', 'STEAM_SHARED_SECRET', 'STEAM_IDENTITY_SECRET'];
+    missingVars = missingVars.concat(requiredEnvVars.filter(v => (v.startsWith('STEAM_') || v === 'BOT_TRADE_URL' || v === 'SITE_NAME') && !process.env[v] && !(process.env.STEAM_BOTS && botAccountVars.includes(v))));
 } else {
-    missingVars = missingVars.concat(requiredEnvVars.filter(v => (v.startsWith('STEAM_') || v === 'BOT_TRADE_URL' || v === 'SITE_NAME') && !process.env[v]));
+    console.warn("WARN: TRADE_BACKEND=fake. Trades are simulated in memory; no items move on Steam.");
 }
 
 if (missingVars.length > 0) {
@@ -49,6 +67,7 @@ const RUST_APP_ID = 252490;
 const RUST_CONTEXT_ID = 2;
 const ROUND_DURATION = parseInt(process.env.ROUND_DURATION_SECONDS) || 99;
 const TICKET_VALUE_RATIO = parseFloat(process.env.TICKET_VALUE) || 0.01;
+const SEED_CHAIN_LENGTH = parseInt(process.env.SEED_CHAIN_LENGTH) || DEFAULT_CHAIN_LENGTH; // Server seeds per pre-committed chain
 const PRICE_CACHE_TTL_SECONDS = parseInt(process.env.PRICE_CACHE_TTL_SECONDS) || 15 * 60;
 const PRICE_REFRESH_INTERVAL_MS = (parseInt(process.env.PRICE_REFRESH_MINUTES) || 10) * 60 * 1000;
 const MIN_ITEM_VALUE = parseFloat(process.env.MIN_ITEM_VALUE) || 0.10;
@@ -56,13 +75,102 @@ const PRICE_FETCH_TIMEOUT_MS = 30000;
 const MAX_PARTICIPANTS = 20;
 const MAX_ITEMS_PER_POT = 200;
 const MAX_ITEMS_PER_DEPOSIT = parseInt(process.env.MAX_ITEMS_PER_DEPOSIT) || 20;
-const TAX_MIN_PERCENT = 5;
-const TAX_MAX_PERCENT = 10;
-const MIN_POT_FOR_TAX = parseFloat(process.env.MIN_POT_FOR_TAX) || 100;
+const MIN_POT_FOR_TAX = process.env.MIN_POT_FOR_TAX === undefined ? 100 : parseFloat(process.env.MIN_POT_FOR_TAX);
 const MAX_CHAT_MESSAGE_LENGTH = 200;
 const CHAT_COOLDOWN_SECONDS = parseInt(process.env.CHAT_COOLDOWN_SECONDS) || 5;
-const COOKIE_REFRESH_INTERVAL_MS = 30 * 60 * 1000; // 30 minutes
 const MAX_TRADE_RETRY_ATTEMPTS = 2;
+// Payouts that fail for a transient reason (see lib/trade/payoutErrors.js) are retried with exponential backoff
+const PAYOUT_MAX_RETRIES = process.env.PAYOUT_MAX_RETRIES === undefined ? 5 : parseInt(process.env.PAYOUT_MAX_RETRIES);
+const PAYOUT_RETRY_BASE_DELAY_MS = (parseInt(process.env.PAYOUT_RETRY_BASE_SECONDS) || 30) * 1000; // Doubles per attempt
+const PAYOUT_RETRY_MAX_DELAY_MS = (parseInt(process.env.PAYOUT_RETRY_MAX_SECONDS) || 15 * 60) * 1000;
+// Payout offers we cancel (unconfirmed, or past the bot's cancelTime) are re-sent this many times before the items go back to the vault
+const PAYOUT_MAX_AUTO_RESENDS = process.env.PAYOUT_MAX_AUTO_RESENDS === undefined ? 2 : parseInt(process.env.PAYOUT_MAX_AUTO_RESENDS);
+const PENDING_DEPOSIT_TTL_HOURS = parseInt(process.env.PENDING_DEPOSIT_TTL_HOURS) || 24;
+const ASSET_MAPPING_MAX_ATTEMPTS = 5;
+const ASSET_MAPPING_RETRY_BASE_MS = 2000; // Doubles per attempt while Steam commits the trade
+// What to do with deposits accepted after their round stopped taking items: 'refund' them or 'carry_over' into the next round
+const LATE_DEPOSIT_POLICIES = ['refund', 'carry_over'];
+const LATE_DEPOSIT_POLICY = (process.env.LATE_DEPOSIT_POLICY || 'refund').toLowerCase();
+if (!LATE_DEPOSIT_POLICIES.includes(LATE_DEPOSIT_POLICY)) {
+    console.error(`FATAL: Unknown LATE_DEPOSIT_POLICY "${process.env.LATE_DEPOSIT_POLICY}". Expected one of: ${LATE_DEPOSIT_POLICIES.join(', ')}.`);
+    process.exit(1);
+}
+// Days unclaimed winnings stay in the winner's vault before they are forfeit (0 = never expire)
+const WINNINGS_VAULT_EXPIRY_DAYS = process.env.WINNINGS_VAULT_EXPIRY_DAYS === undefined ? 30 : parseFloat(process.env.WINNINGS_VAULT_EXPIRY_DAYS);
+if (!Number.isFinite(WINNINGS_VAULT_EXPIRY_DAYS) || WINNINGS_VAULT_EXPIRY_DAYS < 0) {
+    console.error(`FATAL: WINNINGS_VAULT_EXPIRY_DAYS must be a number of days >= 0, got "${process.env.WINNINGS_VAULT_EXPIRY_DAYS}".`);
+    process.exit(1);
+}
+
+// House tax (see lib/round/taxPolicy.js). TAX_TIERS is "minPot:minPercent-maxPercent,...", e.g. "0:5-10,1000:4-8"
+let taxPolicy;
+try {
+    taxPolicy = new TaxPolicy({
+        tiers: parseTaxTiers(process.env.TAX_TIERS || '0:5-10'),
+        minPotForTax: MIN_POT_FOR_TAX,
+        strategy: (process.env.TAX_STRATEGY || 'cheapest_first').toLowerCase(),
+        waiveSoleDepositor: process.env.TAX_WAIVE_SOLE_DEPOSITOR !== 'false'
+    });
+} catch (err) {
+    console.error(`FATAL: Invalid tax configuration: ${err.message}`);
+    process.exit(1);
+}
+
+// Per-user limits in each round (see lib/round/depositCaps.js)
+let depositCaps;
+try {
+    depositCaps = new DepositCaps({
+        maxSharePercent: process.env.MAX_USER_SHARE_PERCENT === undefined ? 100 : parseFloat(process.env.MAX_USER_SHARE_PERCENT),
+        maxDepositsPerUser: process.env.MAX_DEPOSITS_PER_USER === undefined ? 0 : Number(process.env.MAX_DEPOSITS_PER_USER)
+    });
+} catch (err) {
+    console.error(`FATAL: Invalid deposit cap configuration: ${err.message}`);
+    process.exit(1);
+}
+
+// Round timer rules (see lib/round/timingRules.js). The defaults keep the plain countdown from the first
+// deposit; operators opt in to a participant minimum, anti-snipe extensions and a maximum length.
+let roundTiming;
+try {
+    const envSeconds = (name, fallback) => process.env[name] === undefined ? fallback : Number(process.env[name]);
+    roundTiming = new RoundTimingRules({
+        durationSeconds: ROUND_DURATION,
+        minParticipants: envSeconds('ROUND_MIN_PARTICIPANTS', 1),
+        snipeWindowSeconds: envSeconds('ROUND_SNIPE_WINDOW_SECONDS', 0),
+        extensionSeconds: envSeconds('ROUND_SNIPE_EXTENSION_SECONDS', 0),
+        maxExtensionSeconds: envSeconds('ROUND_MAX_EXTENSION_SECONDS', 0),
+        maxDurationSeconds: envSeconds('ROUND_MAX_DURATION_SECONDS', 0)
+    });
+} catch (err) {
+    console.error(`FATAL: Invalid round timing configuration: ${err.message}`);
+    process.exit(1);
+}
+
+// How winnings are split into offers and what happens to items the bot no longer holds (see lib/trade/payoutPlan.js)
+let payoutPlanner;
+try {
+    payoutPlanner = new PayoutPlanner({
+        maxItemsPerOffer: process.env.PAYOUT_MAX_ITEMS_PER_OFFER === undefined ? 50 : Number(process.env.PAYOUT_MAX_ITEMS_PER_OFFER),
+        missingItemPolicy: (process.env.PAYOUT_MISSING_ITEM_POLICY || 'hold').toLowerCase()
+    });
+} catch (err) {
+    console.error(`FATAL: Invalid payout configuration: ${err.message}`);
+    process.exit(1);
+}
+
+// Trade hold pre-flight before deposit and payout offers: TRADE_HOLD_DEPOSIT_POLICY / TRADE_HOLD_PAYOUT_POLICY
+// are allow, warn or refuse (see lib/trade/tradeHolds.js)
+let tradeHolds;
+try {
+    tradeHolds = new TradeHoldChecker({
+        depositPolicy: (process.env.TRADE_HOLD_DEPOSIT_POLICY || 'refuse').toLowerCase(),
+        payoutPolicy: (process.env.TRADE_HOLD_PAYOUT_POLICY || 'warn').toLowerCase(),
+        cacheSeconds: process.env.TRADE_HOLD_CACHE_SECONDS === undefined ? 300 : Number(process.env.TRADE_HOLD_CACHE_SECONDS)
+    });
+} catch (err) {
+    console.error(`FATAL: Invalid trade hold configuration: ${err.message}`);
+    process.exit(1);
+}
 
 // Initialize Express app
 const app = express();
@@ -128,6 +236,8 @@ app.use(cors({ origin: process.env.SITE_URL || "*", credentials: true }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
+// The winner-selection module is shared with the browser verifier
+app.get('/js/fairness.js', (req, res) => res.sendFile(require.resolve('./lib/round/fairness')));
 
 // Session Configuration with MongoStore
 const sessionMiddleware = session({
@@ -226,43 +336,111 @@ const userSchema = new mongoose.Schema({
     banned: { type: Boolean, default: false },
     pendingDepositOfferId: { type: String, default: null, index: true }, // ID of the bot's offer to the user
     totalDepositedValue: { type: Number, default: 0, min: 0 },
-    totalWinningsValue: { type: Number, default: 0, min: 0 }
+    totalWinningsValue: { type: Number, default: 0, min: 0 },
+    clientSeed: { type: String, match: CLIENT_SEED_REGEX } // Player's own seed, mixed into every round they join
 });
 
 // MODIFIED itemSchema
 const itemSchema = new mongoose.Schema({
-    assetId: { type: String, required: true, index: true }, // Current asset ID in bot's inventory
+    assetId: { type: String, required: function() { return !this.assetIdUnresolved; }, index: true }, // Current asset ID in bot's inventory
+    assetIdUnresolved: { type: Boolean, default: false, index: true }, // Trade receipt had no new_assetid; needs manual review
+    depositOfferId: { type: String }, // Deposit offer the item arrived in, for re-resolving its asset ID
     originalAssetId: { type: String }, // Original asset ID from user's inventory
     name: { type: String, required: true },
     image: { type: String, required: true },
     price: { type: Number, required: true, min: 0 },
     owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
     roundId: { type: mongoose.Schema.Types.ObjectId, ref: 'Round', required: true, index: true },
+    botId: { type: String, index: true }, // Trade bot holding the item; unset means the default bot
     depositedAt: { type: Date, default: Date.now }
 });
 
 const roundSchema = new mongoose.Schema({
     roundId: { type: Number, required: true, unique: true, index: true }, // Site's internal round number
-    status: { type: String, enum: ['pending', 'active', 'rolling', 'completed', 'completed_pending_acceptance', 'error'], default: 'pending', index: true },
+    status: { type: String, enum: ROUND_STATUSES, default: 'pending', index: true }, // Only changed through roundMachine.transition()
+    transitions: [{ // Status history, appended by roundMachine
+        _id: false,
+        from: { type: String },
+        to: { type: String, required: true },
+        at: { type: Date, default: Date.now },
+        reason: { type: String }
+    }],
     startTime: { type: Date },
     endTime: { type: Date }, // When the timer is set to end
+    timerExtendedSeconds: { type: Number, default: 0, min: 0 }, // Added to endTime by late (anti-snipe) deposits
     completedTime: { type: Date }, // When the round actually completes (winner decided)
     totalValue: { type: Number, default: 0, min: 0 }, // Value of items in the pot
     items: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Item' }], // Items currently in the pot
     participants: [{
         user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
         itemsValue: { type: Number, required: true, default: 0, min: 0 },
-        tickets: { type: Number, required: true, default: 0, min: 0 }
+        tickets: { type: Number, required: true, default: 0, min: 0 },
+        clientSeed: { type: String }, // Participant's seed as of joining; the round's clientSeed is derived from these
+        // 'player': the player's own seed (set in their profile or generated by their browser); 'server': picked by
+        // the server for a seedless player (only on older rounds; no longer written). Unset before this was recorded.
+        seedSource: { type: String, enum: ['player', 'server'] }
+    }],
+    // One entry per credited deposit, in the order credited. Each holds an inclusive ticket range
+    // (unset when the deposit earned no ticket); ranges never move once assigned.
+    deposits: [{
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        depositId: { type: String },
+        offerId: { type: String },
+        items: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Item' }],
+        value: { type: Number, required: true, min: 0 },
+        tickets: { type: Number, required: true, default: 0, min: 0 },
+        startTicket: { type: Number, min: 0 },
+        endTicket: { type: Number, min: 0 },
+        createdAt: { type: Date, default: Date.now }
     }],
+    // What the winning ticket is drawn over: 'deposits', or participants when unset (rounds before per-deposit tickets)
+    ticketAllocation: { type: String, enum: ['participants', 'deposits'] },
     winner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
     winningTicket: { type: Number, min: 0 },
     serverSeed: { type: String, required: true, match: /^[a-f0-9]{64}$/ },
     serverSeedHash: { type: String, required: true, match: /^[a-f0-9]{64}$/ },
     clientSeed: { type: String, match: /^[a-f0-9]+$/ }, // Can be more flexible
+    // 'participants': clientSeed = fairness.deriveClientSeed(participant seeds); 'server': random (rounds before participant seeds)
+    clientSeedSource: { type: String, enum: ['server', 'participants'] },
+    // Position of serverSeed in a pre-committed seed chain (unset for rounds from before seed chains)
+    seedChain: {
+        chainId: { type: Number },
+        index: { type: Number, min: 1 }
+    },
     provableHash: { type: String, match: /^[a-f0-9]{64}$/ }, // Hash of serverSeed + clientSeed
+    // Winning-ticket algorithm (lib/round/fairness). Set when the round is created; unset means 1 (rounds before versioning)
+    fairnessVersion: { type: Number, enum: fairness.FAIRNESS_VERSIONS },
     taxAmount: { type: Number, default: 0, min: 0 },
     taxedItems: [{ assetId: String, name: String, price: { type: Number, min: 0 } }], // Details of items taken as tax
-    payoutOfferId: { type: String, index: true }, // Steam trade offer ID for winnings
+    // Why tax was or wasn't taken, and under which tier and strategy
+    taxDetails: {
+        reason: { type: String, enum: TAX_REASONS },
+        minPercent: { type: Number },
+        maxPercent: { type: Number },
+        strategy: { type: String }
+    },
+    payoutOfferId: { type: String, index: true }, // Steam trade offer ID for winnings (first offer when split across bots)
+    // One payout offer per bot holding winnings; payoutOfferStatus summarizes them
+    payoutOffers: [{
+        botId: { type: String },
+        offerId: { type: String },
+        status: { type: String },
+        items: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Item' }],
+        value: { type: Number, default: 0, min: 0 },
+        escrowEndsAt: { type: Date }, // When Steam releases an escrowed offer's items (trade hold)
+        createdAt: { type: Date, default: Date.now }
+    }],
+    // Won items the bot no longer held when the payout was planned (see PAYOUT_MISSING_ITEM_POLICY)
+    payoutAdjustments: [{
+        _id: false,
+        item: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+        action: { type: String, enum: ['substituted', 'compensated'], required: true },
+        substitute: { type: mongoose.Schema.Types.ObjectId, ref: 'Item' }, // House item sent in its place
+        value: { type: Number, min: 0 }, // Substitute's price, or the value owed
+        settledAt: { type: Date }, // Compensation paid out by an admin
+        settledBy: { type: String }, // Admin Steam ID
+        createdAt: { type: Date, default: Date.now }
+    }],
     payoutOfferStatus: { type: String, enum: [
         'PendingAcceptanceByWinner', 'Sent', 'Sent (Confirmed)', 'Accepted', 'Declined', 'Canceled', 'Expired', 'InvalidItems', 'Escrow', 'Failed', 'Unknown',
         'Failed - No Trade URL', 'No Items Won', 'Pending Confirmation', 'Failed - Bot Not Ready', 'Failed - Offer Creation Error',
@@ -270,11 +448,20 @@ const roundSchema = new mongoose.Schema({
         'Failed - Invalid Trade URL Format', 'Failed - Bot Inventory Issue', 'Failed - Bot Session Issue', 'Failed - Manually Cleared',
         'Failed - Timeout AutoClear', 'Failed - Invalid Trade URL Components', 'Failed - Invalid Partner ID', 'Failed - URL Parse Error',
         'Failed - Bot Not Configured', 'Failed - Malformed Trade URL', 'Failed - Inventory Private', 'Failed - Trade Banned',
-        'Failed - Rate Limited', 'Failed - System Error', 'Failed - Send Error', 'Processing Winnings', 'Active (Sent to User)'
-    ], default: 'Unknown' }
+        'Failed - Rate Limited', 'Failed - System Error', 'Failed - Send Error', 'Processing Winnings', 'Active (Sent to User)',
+        'Failed - Vault Expired', 'Failed - Invalid Trade URL', 'Payout Retry Scheduled', 'Countered'
+    ], default: 'Unknown' },
+    // Return of participants' items after the round ended in 'error' (see runRoundErrorRecovery)
+    errorRefund: {
+        status: { type: String, enum: ['in_progress', 'completed', 'needs_review'] },
+        unresolvedItems: { type: Number, default: 0 }, // Items with no known bot asset ID; returned manually
+        startedAt: { type: Date },
+        completedAt: { type: Date }
+    }
 });
 roundSchema.index({ 'participants.user': 1 }); // For finding rounds a user participated in
 roundSchema.index({ winner: 1, status: 1, completedTime: -1 }); // For user winning history
+roundSchema.index({ 'payoutOffers.offerId': 1 });
 
 // --- NEW: Schema for Price Backup ---
 const priceBackupSchema = new mongoose.Schema({
@@ -313,10 +500,202 @@ const chatMessageSchema = new mongoose.Schema({
 chatMessageSchema.index({ timestamp: -1 }); // For sorting and efficient cleanup
 const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
 
+// --- NEW: Schema for Pending Deposits ---
+// One document per deposit offer, created before the offer is sent and consumed when it is accepted.
+// Survives restarts so accepted-while-down offers can be reconciled. Unresolved records expire via TTL;
+// 'flagged' records (items received but not credited) have no expiry and wait for a refund/admin.
+const pendingDepositSchema = new mongoose.Schema({
+    depositId: { type: String, required: true, unique: true, index: true }, // Also embedded in the offer message
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    steamId: { type: String, required: true },
+    roundId: { type: mongoose.Schema.Types.ObjectId, ref: 'Round', required: true },
+    offerId: { type: String, default: null, index: true },
+    botId: { type: String, index: true }, // Trade bot the deposit offer was sent from
+    items: [{
+        assetid: { type: String, required: true }, // User's asset ID at deposit time
+        appid: { type: Number, required: true },
+        contextid: { type: String, required: true },
+        name: { type: String, required: true },
+        image: { type: String },
+        price: { type: Number, required: true, min: 0 },
+        botAssetId: { type: String } // Set once the items are in the bot's inventory and mapped
+    }],
+    totalValue: { type: Number, required: true, min: 0 },
+    // 'awaiting_round': accepted after its round closed, held until the next round opens (LATE_DEPOSIT_POLICY=carry_over)
+    status: { type: String, enum: ['pending', 'sent', 'accepted', 'awaiting_round', 'credited', 'canceled', 'failed', 'flagged'], default: 'pending', index: true },
+    carriedOverFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Round' }, // Original round, if credited to a later one
+    assetIdsMapped: { type: Boolean, default: false }, // items[].botAssetId already read from the trade receipt
+    clientSeed: { type: String }, // Depositor's client seed when the offer was sent; used if they join the round with it
+    flagReason: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    acceptedAt: { type: Date },
+    resolvedAt: { type: Date },
+    expiresAt: { type: Date }
+});
+pendingDepositSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const PendingDeposit = mongoose.model('PendingDeposit', pendingDepositSchema);
+
+// --- NEW: Schema for Refunds ---
+// A return offer for items the bot received but could not credit (late deposit, caps hit), or for a
+// participant's items in a round that ended in 'error' (source 'round_error').
+// Lifecycle: queued -> sent -> accepted, or -> failed (send retries exhausted, or offer declined/expired).
+const refundSchema = new mongoose.Schema({
+    refundId: { type: String, required: true, unique: true, index: true }, // Also embedded in the offer message
+    source: { type: String, enum: ['deposit', 'round_error'], default: 'deposit', index: true },
+    sourceKey: { type: String, unique: true, sparse: true }, // One refund per round/user/bot for 'round_error'
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    steamId: { type: String, required: true },
+    depositId: { type: String, index: true }, // PendingDeposit the items came from
+    depositOfferId: { type: String },
+    roundId: { type: mongoose.Schema.Types.ObjectId, ref: 'Round' },
+    botId: { type: String }, // Trade bot holding the items (the deposit's bot)
+    items: [{
+        assetId: { type: String, required: true }, // Asset ID in bot's inventory
+        originalAssetId: { type: String },
+        name: { type: String, required: true },
+        image: { type: String },
+        price: { type: Number, min: 0 }
+    }],
+    itemIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Item' }], // Pot items returned ('round_error' only)
+    totalValue: { type: Number, default: 0, min: 0 },
+    reason: { type: String },
+    status: { type: String, enum: ['queued', 'sent', 'accepted', 'failed'], default: 'queued', index: true },
+    offerId: { type: String, default: null, index: true },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    sentAt: { type: Date },
+    resolvedAt: { type: Date }
+});
+const Refund = mongoose.model('Refund', refundSchema);
+
+// --- NEW: Schema for Payout Jobs ---
+// One winnings offer from one bot, possibly paying several rounds (a vault claim). The job exists before
+// anything is sent and each send is recorded as an attempt, so a restart finishes the payout instead of
+// leaving its rounds in 'Processing Winnings' or sending them twice.
+// Lifecycle: pending -> sending -> sent, or -> failed; 'canceled' when an earlier job of the same claim failed.
+// A transient failure puts the job back to 'pending' with nextAttemptAt set, until PAYOUT_MAX_RETRIES is used up.
+const PAYOUT_JOB_STATUSES = ['pending', 'sending', 'sent', 'failed', 'canceled'];
+const payoutJobSchema = new mongoose.Schema({
+    jobId: { type: String, required: true, unique: true }, // Also embedded in the offer message
+    winner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    rounds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Round', index: true }],
+    botId: { type: String }, // Trade bot holding the items
+    items: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Item' }],
+    value: { type: Number, default: 0, min: 0 },
+    status: { type: String, enum: PAYOUT_JOB_STATUSES, default: 'pending', index: true },
+    unconfirmedSend: { type: Boolean, default: false }, // An attempt was cut off mid-send; look for its offer before sending again
+    nextAttemptAt: { type: Date, default: null, index: true }, // Set while a retry is scheduled
+    offerId: { type: String, default: null, index: true },
+    payoutStatus: { type: String }, // Status of the job's offer, as recorded in its rounds' payoutOffers
+    attempts: [{
+        _id: false,
+        attempt: { type: Number, required: true },
+        startedAt: { type: Date, default: Date.now },
+        finishedAt: { type: Date },
+        offerId: { type: String },
+        sendStatus: { type: String }, // As returned by the backend's sendOffer()
+        recovered: { type: Boolean }, // The offer was sent by an earlier, interrupted attempt
+        errorCode: { type: Number }, // Steam EResult
+        error: { type: String },
+        reason: { type: String }, // See lib/trade/payoutErrors.js
+        retryAt: { type: Date }, // When the failure was transient and another attempt is scheduled
+        confirmation: {
+            success: { type: Boolean },
+            error: { type: String },
+            at: { type: Date }
+        }
+    }],
+    escrowEndsAt: { type: Date }, // While the offer is in escrow
+    resendOf: { type: String }, // jobId whose offer we canceled; this job re-sends it
+    resendCount: { type: Number, default: 0 },
+    lastError: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+const PayoutJob = mongoose.model('PayoutJob', payoutJobSchema);
+
+// --- NEW: Schema for the Ledger ---
+// Append-only, double-entry record of every value movement. Each entry moves `amount` (USD) from
+// creditAccount to debitAccount. Accounts: 'user:<userId>' (the user's own skins), 'custody' (held by
+// the bot outside any pot), 'pot:<roundObjectId>', 'house' (tax and forfeits) and 'admin:<steamId>' (house
+// items withdrawn by an admin).
+const LEDGER_ENTRY_TYPES = ['deposit', 'pot_contribution', 'tax', 'payout', 'refund', 'forfeit', 'house_withdrawal', 'payout_substitution', 'payout_compensation'];
+const ledgerEntrySchema = new mongoose.Schema({
+    type: { type: String, enum: LEDGER_ENTRY_TYPES, required: true, index: true },
+    debitAccount: { type: String, required: true },
+    creditAccount: { type: String, required: true },
+    amount: { type: Number, required: true, min: 0 },
+    roundId: { type: mongoose.Schema.Types.ObjectId, ref: 'Round', index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    itemIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Item' }],
+    assetIds: [{ type: String }], // Bot asset IDs, for movements of items without Item documents (refunds)
+    offerId: { type: String },
+    // One entry per event, so replays (restarts, duplicate offer events) can't double-post
+    idempotencyKey: { type: String, required: true, unique: true },
+    memo: { type: String },
+    createdAt: { type: Date, default: Date.now, index: true }
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+    ledgerEntrySchema.pre(op, function() { throw new Error(`Ledger entries are append-only (${op} is not allowed).`); });
+});
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+// --- NEW: Schema for House Items ---
+// Items the house took as tax. They stay in the bot that holds them until an admin withdraws them.
+// Lifecycle: held -> withdrawing (offer sent) -> withdrawn, or back to held if the offer fails.
+// held -> paid_out when a payout sends the item in place of a won item the bot no longer holds.
+const HOUSE_ITEM_STATUSES = ['held', 'withdrawing', 'withdrawn', 'paid_out'];
+const houseItemSchema = new mongoose.Schema({
+    item: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true, unique: true },
+    roundId: { type: mongoose.Schema.Types.ObjectId, ref: 'Round', index: true },
+    assetId: { type: String }, // Asset ID in the bot's inventory; null if it was never resolved
+    name: { type: String, required: true },
+    image: { type: String },
+    botId: { type: String, index: true },
+    taxedValue: { type: Number, required: true, min: 0 }, // Price when taken as tax (book value)
+    status: { type: String, enum: HOUSE_ITEM_STATUSES, default: 'held', index: true },
+    withdrawalId: { type: String, index: true }, // Also embedded in the withdrawal offer message
+    withdrawalOfferId: { type: String },
+    withdrawnBy: { type: String }, // Admin Steam ID
+    withdrawnAt: { type: Date },
+    realizedValue: { type: Number, min: 0 }, // Market price when the withdrawal was accepted
+    paidOutRoundId: { type: mongoose.Schema.Types.ObjectId, ref: 'Round' }, // Round whose payout it substituted in
+    substitutedFor: { type: mongoose.Schema.Types.ObjectId, ref: 'Item' },
+    createdAt: { type: Date, default: Date.now, index: true }
+});
+const HouseItem = mongoose.model('HouseItem', houseItemSchema);
+
+// One per day (UTC), taken periodically so the house's value can be followed over time
+const houseValuationSchema = new mongoose.Schema({
+    date: { type: String, required: true, unique: true }, // YYYY-MM-DD; later snapshots that day replace earlier ones
+    heldCount: { type: Number, default: 0 },
+    bookValue: { type: Number, default: 0 }, // Taxed value of items held
+    markedValue: { type: Number, default: 0 }, // Items held at that day's prices
+    realizedToDate: { type: Number, default: 0 }, // Value of all withdrawn items when withdrawn
+    takenAt: { type: Date, default: Date.now }
+});
+const HouseValuation = mongoose.model('HouseValuation', houseValuationSchema);
+
+// --- NEW: Schema for Server Seed Chains ---
+// Hash chains of pre-committed server seeds (see lib/round/seedChain.js). Only the terminal hash is
+// public; the secret the chain is grown from never leaves the server.
+const seedChainSchema = new mongoose.Schema({
+    chainId: { type: Number, required: true, unique: true },
+    secret: { type: String, required: true, match: /^[a-f0-9]{64}$/ },
+    length: { type: Number, required: true, min: 1 },
+    terminalHash: { type: String, required: true, match: /^[a-f0-9]{64}$/ },
+    used: { type: Number, default: 0, min: 0 }, // Seeds handed out so far; the next round gets position used + 1
+    createdAt: { type: Date, default: Date.now }
+});
+const SeedChainModel = mongoose.model('SeedChain', seedChainSchema);
+const seedChain = new SeedChain(SeedChainModel, { length: SEED_CHAIN_LENGTH });
+
 
 const User = mongoose.model('User', userSchema);
 const Item = mongoose.model('Item', itemSchema);
 const Round = mongoose.model('Round', roundSchema);
+const roundMachine = new RoundStateMachine(Round);
 const PriceBackup = mongoose.model('PriceBackup', priceBackupSchema);
 
 // Helper functions for MongoDB key sanitization
@@ -329,663 +708,1074 @@ function restoreKeyFromMongoDB(key) {
 }
 
 
-// --- Steam Bot Setup ---
-const community = new SteamCommunity();
-let manager = null;
-let currentBotCookies = null;
-let cookieRefreshInterval = null;
-let lastCookieValidation = 0;
-
-// ENHANCED: Validate if cookies are still active
-async function validateAndRefreshCookies() {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] LOG_INFO: Validating bot cookies...`);
-
-    if (!currentBotCookies || currentBotCookies.length === 0) {
-        console.log(`[${timestamp}] LOG_WARN: No cookies available, executing full login...`);
-        return executeBotLogin();
+// --- Trade Backend Setup ---
+// TRADE_BACKEND=steam (default) talks to Steam through the bot accounts; TRADE_BACKEND=fake runs an
+// in-memory simulation so the whole deposit -> roll -> payout cycle works without a bot account.
+// Every bot is its own backend; deposits go to the least-loaded healthy bot and records keep the
+// botId of the bot that holds their items. Records without a botId belong to the default (first) bot.
+let tradeBots = null;
+if (isBotConfigured) {
+    try {
+        tradeBots = createTradeBotPool(TRADE_BACKEND, process.env, { appId: RUST_APP_ID, contextId: RUST_CONTEXT_ID });
+    } catch (err) {
+        console.error(`FATAL: Invalid trade bot configuration: ${err.message}`);
+        process.exit(1);
     }
-
-    // Test if cookies are still valid by checking if we're logged in
-    return new Promise((resolve, reject) => {
-        if (!community.steamID) { // If steamID isn't set on community, cookies are definitely bad
-            console.log(`[${timestamp}] LOG_WARN: No steamID on community object, cookies likely expired. Re-logging in...`);
-            return executeBotLogin().then(resolve).catch(reject);
-        }
-
-        // Try to get our own user info as a test
-        community.getSteamUser(community.steamID, (err, user) => {
-            if (err) { // Error implies cookies might be invalid
-                console.log(`[${timestamp}] LOG_WARN: Cookie validation failed (getSteamUser error), re-logging in...`, err.message);
-                return executeBotLogin().then(resolve).catch(reject);
-            }
-            // Cookies are still valid
-            console.log(`[${timestamp}] LOG_SUCCESS: Cookies validated successfully. User: ${user.name}`);
-            lastCookieValidation = Date.now();
-            resolve();
-        });
-    });
 }
 
+function isBotReady() {
+    return !!(tradeBots && tradeBots.ready);
+}
 
-async function ensureValidManager() {
-    const timestamp = new Date().toISOString();
+async function confirmTradeOffer(offerId, offerType = 'trade', botId) {
+    if (!tradeBots) return { success: false, error: 'Trade backend not configured' };
+    return tradeBots.get(botId).confirmOffer(offerId, offerType);
+}
 
-    if (!manager) {
-        console.log(`[${timestamp}] LOG_INFO: Manager doesn't exist, creating new instance...`);
-        if (!currentBotCookies || currentBotCookies.length === 0) {
-            await validateAndRefreshCookies(); // This will login if no cookies
-        }
-        return createTradeOfferManager(currentBotCookies); // Pass current (possibly new) cookies
-    }
-
-    const timeSinceLastValidation = Date.now() - lastCookieValidation;
-    if (timeSinceLastValidation > 5 * 60 * 1000) { // e.g., 5 minutes
-        console.log(`[${timestamp}] LOG_INFO: Time for cookie validation (${Math.floor(timeSinceLastValidation / 1000)}s since last check)`);
-        await validateAndRefreshCookies(); // This may update currentBotCookies
-
-        // Update cookies on existing manager
-        if (manager && currentBotCookies) {
-            return new Promise((resolve, reject) => {
-                manager.setCookies(currentBotCookies, (err) => {
-                    if (err) {
-                        console.error(`[${timestamp}] LOG_ERROR: Failed to update cookies on existing manager:`, err);
-                        // If updating fails, fall back to recreating the manager
-                        return createTradeOfferManager(currentBotCookies).then(resolve).catch(reject);
-                    } else {
-                        console.log(`[${timestamp}] LOG_SUCCESS: Updated cookies on existing manager`);
-                        resolve();
-                    }
-                });
-            });
-        }
-    }
-    return Promise.resolve(); // Manager exists and cookies recently validated or not due for check
+// Items in open deposit offers per bot (not in its inventory yet), counted towards its load when routing
+async function pendingDepositLoadByBot() {
+    const counts = await PendingDeposit.aggregate([
+        { $match: { status: { $in: ['pending', 'sent'] } } },
+        { $group: { _id: '$botId', count: { $sum: { $size: '$items' } } } }
+    ]);
+    const load = {};
+    for (const { _id, count } of counts) load[_id || tradeBots.defaultBotId] = (load[_id || tradeBots.defaultBotId] || 0) + count;
+    return load;
 }
 
 
-function createTradeOfferManager(cookies) {
-    const timestamp = new Date().toISOString();
+// --- Ledger ---
+const userAccount = (userId) => `user:${userId}`;
+const potAccount = (roundId) => `pot:${roundId}`;
 
-    if (manager && manager !== null) {
-        console.log(`[${timestamp}] LOG_INFO: Shutting down existing TradeOfferManager instance before creating a new one.`);
-        try {
-            manager.shutdown();
-        } catch (shutdownErr) {
-            console.error(`[${timestamp}] LOG_ERROR: Error during manager shutdown:`, shutdownErr);
-        }
-        manager = null;
+// Appends a ledger entry. Never throws: a ledger failure is logged loudly but must not undo the trade
+// it describes. Returns false if an entry with the same idempotencyKey already exists.
+async function recordLedgerEntry(entry) {
+    try {
+        await LedgerEntry.create(entry);
+        return true;
+    } catch (err) {
+        if (err.code === 11000) return false;
+        console.error(`LEDGER_ERROR: Failed to record ${entry.type} entry (${entry.idempotencyKey}) of $${entry.amount?.toFixed(2)}:`, err);
+        return false;
     }
-
-    manager = new TradeOfferManager({
-        steam: community, // The SteamCommunity instance
-        domain: process.env.SITE_URL ? process.env.SITE_URL.replace(/^https?:\/\//, '') : 'localhost', // Your domain
-        language: 'en', // Prices in English
-        pollInterval: 10000, // Poll for new offers every 10 seconds
-        cancelTime: 10 * 60 * 1000, // Automatically cancel sent offers after 10 minutes
-    });
-
-    setupManagerEventHandlers(); // Attach event handlers to the new manager instance
-
-    return new Promise((resolve, reject) => {
-        if (!cookies || cookies.length === 0) {
-            const errMsg = `[${timestamp}] LOG_ERROR: Attempted to set empty cookies on TradeOfferManager. Login likely failed or cookies are missing.`;
-            console.error(errMsg);
-            return reject(new Error("Empty cookies provided to TradeOfferManager."));
-        }
-        manager.setCookies(cookies, (err) => {
-            if (err) {
-                console.error(`[${timestamp}] LOG_ERROR: Failed to set cookies on new TradeOfferManager:`, err);
-                reject(err);
-            } else {
-                console.log(`[${timestamp}] LOG_SUCCESS: Cookies set on new TradeOfferManager instance.`);
-                lastCookieValidation = Date.now(); // Cookies are fresh
-                resolve();
-            }
-        });
-    });
 }
 
-// --- MODIFIED confirmTradeOffer Function ---
-async function confirmTradeOffer(offerId, offerType = 'trade') {
-    const timestamp = new Date().toISOString();
+// Ticket numbers follow the pot's running value: a deposit holds the tickets between the pot's value before
+// and after it, so fractions of a ticket carry over to the next deposit instead of being rounded away per
+// deposit. A deposit worth less than what remains of a ticket gets none.
+function ticketsAtPotValue(potValue) {
+    return Math.floor(potValue / TICKET_VALUE_RATIO + 1e-9); // Absorbs float error, e.g. 0.29 / 0.01 = 28.999...
+}
 
-    if (!process.env.STEAM_IDENTITY_SECRET) {
-        console.log(`[${timestamp}] LOG_WARN: No STEAM_IDENTITY_SECRET configured for auto-confirmation. Trade ${offerId} (${offerType}) will require manual confirmation.`);
-        return { success: false, error: 'No identity secret configured for auto-confirmation' };
-    }
-
-    if (!community || !community.steamID) {
-        console.error(`[${timestamp}] LOG_ERROR: Community not logged in, cannot confirm trade ${offerId} (${offerType}).`);
-        return { success: false, error: 'Bot not logged in' };
-    }
-
-    // Small initial delay for Steam to process, can be adjusted or made conditional
-    await new Promise(resolve => setTimeout(resolve, 1500)); // e.g., 1.5 seconds
-
-    return new Promise((resolve) => {
-        console.log(`[${timestamp}] LOG_INFO: Attempting to auto-confirm ${offerType} offer ${offerId}... (Primary method)`);
-
-        community.acceptConfirmationForObject(
-            process.env.STEAM_IDENTITY_SECRET,
-            offerId, // This should be the trade offer ID
-            (err) => {
-                if (err) {
-                    console.error(`[${timestamp}] LOG_ERROR: Direct confirmation (acceptConfirmationForObject) failed for ${offerType} offer ${offerId}:`, err.message);
-                    console.log(`[${timestamp}] LOG_INFO: Attempting fallback confirmation method for ${offerType} offer ${offerId}.`);
-
-                    const time = Math.floor(Date.now() / 1000);
-                    const confKey = SteamTotp.generateConfirmationKey(process.env.STEAM_IDENTITY_SECRET, time, 'conf'); // Key for listing confirmations
-
-                    community.getConfirmations(time, confKey, (err2, confirmations) => {
-                        if (err2) {
-                            console.error(`[${timestamp}] LOG_ERROR: Failed to get confirmations list for fallback:`, err2.message);
-                            resolve({ success: false, error: `Failed to get confirmations list: ${err2.message} (Original error: ${err.message})` });
-                            return;
-                        }
-
-                        if (!confirmations || confirmations.length === 0) {
-                            console.log(`[${timestamp}] LOG_WARN: No pending confirmations found in the list for fallback (Offer ${offerId}).`);
-                            resolve({ success: false, error: 'No pending confirmations found to check.' });
-                            return;
-                        }
-                        console.log(`[${timestamp}] LOG_DEBUG: Found ${confirmations.length} pending confirmations in list. Searching for offer ${offerId}.`);
-
-                        // Find the specific confirmation for the given trade offer ID
-                        // conf.creator is the ID of the item being confirmed (e.g., trade offer ID)
-                        const conf = confirmations.find(c => c.creator && c.creator.toString() === offerId.toString());
-
-                        if (conf) {
-                            console.log(`[${timestamp}] LOG_INFO: Found matching confirmation (ConfID: ${conf.id}, Creator/OfferID: ${conf.creator}) for offer ${offerId}. Attempting to respond.`);
-                            const allowKey = SteamTotp.generateConfirmationKey(process.env.STEAM_IDENTITY_SECRET, time, 'allow'); // Key for accepting a specific confirmation
-
-                            community.respondToConfirmation(conf.id, conf.key, time, allowKey, true, (err3) => {
-                                if (err3) {
-                                    console.error(`[${timestamp}] LOG_ERROR: Fallback confirmation method (respondToConfirmation) failed for offer ${offerId} (ConfID: ${conf.id}):`, err3.message);
-                                    resolve({ success: false, error: `Fallback confirmation failed: ${err3.message}` });
-                                } else {
-                                    console.log(`[${timestamp}] LOG_SUCCESS: ${offerType} offer ${offerId} (ConfID: ${conf.id}) confirmed via FALLBACK method!`);
-                                    resolve({ success: true });
-                                }
-                            });
-                        } else {
-                            console.log(`[${timestamp}] LOG_WARN: No specific confirmation found for offer ${offerId} in the list after direct failure.`);
-                            confirmations.forEach(c => console.log(`[${timestamp}] LOG_DEBUG_CONF: Available ConfID: ${c.id}, Creator: ${c.creator}, Title: ${c.title}`));
-                            resolve({ success: false, error: 'No specific confirmation found for this offer in the list (fallback).' });
-                        }
-                    });
-                } else {
-                    console.log(`[${timestamp}] LOG_SUCCESS: ${offerType} offer ${offerId} auto-confirmed successfully via PRIMARY method!`);
-                    resolve({ success: true });
-                }
-            }
-        );
-    });
+// `items` are the deposit's items already formatted for the client
+function formatDepositForClient(deposit, items = []) {
+    const user = deposit.user?._id ? deposit.user : { _id: deposit.user };
+    return {
+        depositId: deposit.depositId,
+        user: { _id: user._id, steamId: user.steamId, username: user.username, avatar: user.avatar },
+        value: deposit.value,
+        tickets: deposit.tickets,
+        startTicket: deposit.startTicket,
+        endTicket: deposit.endTicket,
+        createdAt: deposit.createdAt,
+        items
+    };
 }
 
+// Records deposit (user -> custody) and pot contribution (custody -> pot) for a credited deposit.
+async function recordDepositCredited(depositData, roundId, offerId, itemIds) {
+    const base = { roundId, userId: depositData.userId, itemIds, offerId, amount: depositData.totalValue };
+    await recordLedgerEntry({ ...base, type: 'deposit', debitAccount: 'custody', creditAccount: userAccount(depositData.userId), idempotencyKey: `deposit:${depositData.depositId}` });
+    await recordLedgerEntry({ ...base, type: 'pot_contribution', debitAccount: potAccount(roundId), creditAccount: 'custody', idempotencyKey: `pot_contribution:${depositData.depositId}` });
+}
 
-if (process.env.STEAM_IDENTITY_SECRET) {
-    community.on('confKeyNeeded', (tag, callback) => {
-        const time = Math.floor(Date.now() / 1000);
-        if (SteamTotp && typeof SteamTotp.generateConfirmationKey === 'function') {
-            const confKey = SteamTotp.generateConfirmationKey(process.env.STEAM_IDENTITY_SECRET, time, tag);
-            callback(null, time, confKey);
-        } else {
-            console.error("FATAL: SteamTotp.generateConfirmationKey is not available for confKeyNeeded. STEAM_IDENTITY_SECRET is set but confirmations may fail.");
-            callback(new Error("Confirmation key generation failed: SteamTotp unavailable"), null, null);
-        }
+async function recordForfeit(round, memo) {
+    await recordLedgerEntry({
+        type: 'forfeit', debitAccount: 'house', creditAccount: potAccount(round._id),
+        amount: round.totalValue || 0, roundId: round._id, userId: round.winner, itemIds: round.items,
+        offerId: round.payoutOfferId || undefined, idempotencyKey: `forfeit:${round._id}`, memo
     });
 }
 
-let isBotReady = false;
-const pendingDeposits = new Map(); // In-memory map for pending deposit offers
+// Sums a round's ledger entries and checks that everything deposited for it has left through
+// payout, tax, refund or forfeit, and that its pot account is empty.
+async function reconcileRoundLedger(round) {
+    const entries = await LedgerEntry.find({ roundId: round._id }).sort({ createdAt: 1 }).lean();
+    const totals = Object.fromEntries(LEDGER_ENTRY_TYPES.map(t => [t, 0]));
+    let potBalance = 0;
+    for (const entry of entries) {
+        totals[entry.type] += entry.amount;
+        if (entry.debitAccount === potAccount(round._id)) potBalance += entry.amount;
+        if (entry.creditAccount === potAccount(round._id)) potBalance -= entry.amount;
+    }
+    const settled = totals.payout + totals.tax + totals.refund + totals.forfeit;
+    const outstanding = totals.deposit - settled;
+    const round2 = (n) => Math.round(n * 100) / 100;
+    return {
+        roundId: round.roundId,
+        status: round.status,
+        payoutOfferStatus: round.payoutOfferStatus,
+        totals: Object.fromEntries(Object.entries(totals).map(([k, v]) => [k, round2(v)])),
+        outstanding: round2(outstanding),
+        potBalance: round2(potBalance),
+        balanced: Math.abs(outstanding) < 0.01 && Math.abs(potBalance) < 0.01,
+        entryCount: entries.length,
+        entries
+    };
+}
 
-function generateAuthCode() {
-    const secret = process.env.STEAM_SHARED_SECRET;
-    if (!secret) { console.error("STEAM_SHARED_SECRET missing. Cannot generate 2FA code."); return null; }
+// --- Deposit Processing ---
+async function flagPendingDeposit(depositId, reason) {
     try {
-        const code = SteamTotp.generateAuthCode(secret);
-        console.log("LOG_DEBUG: Generated 2FA code:", code);
-        return code;
+        await PendingDeposit.updateOne(
+            { depositId },
+            { $set: { status: 'flagged', flagReason: reason, resolvedAt: new Date() }, $unset: { expiresAt: 1 } }
+        );
+        console.warn(`WARN: Pending deposit ${depositId} flagged for refund/review: ${reason}`);
+    } catch (dbErr) {
+        console.error(`DB_ERROR: Failed to flag pending deposit ${depositId}:`, dbErr);
     }
-    catch (e) { console.error("Error generating 2FA code:", e); return null; }
 }
 
-let isLoginInProgress = false;
-const LOGIN_RETRY_COOLDOWN = 60 * 1000; // 1 minute
-let lastLoginAttemptTimestamp = 0;
-
-
-async function executeBotLogin() {
-    if (isLoginInProgress) {
-        console.log("LOG_INFO: Bot login attempt already in progress. Skipping.");
-        return Promise.reject(new Error("Login already in progress."));
+// Resolves the bot-side asset IDs for items received in an accepted offer from its trade receipt
+// (GetTradeStatus new_assetid), retrying while Steam finishes committing the trade.
+// Returns Map of user's original assetid -> bot's new assetid. Items missing from the map are unresolved.
+async function mapReceivedAssetIds(offer, items, botId) {
+    const assetIdMap = new Map();
+    if (!offer || !offer.tradeID) {
+        console.warn(`WARN: Offer #${offer?.id} has no trade ID; cannot read its trade receipt. ${items.length} item(s) left unresolved.`);
+        return assetIdMap;
     }
-    const now = Date.now();
-    if (now - lastLoginAttemptTimestamp < LOGIN_RETRY_COOLDOWN) {
-        console.log(`LOG_INFO: Bot login attempt was made recently (within ${LOGIN_RETRY_COOLDOWN / 1000}s). Waiting for cooldown.`);
-        return Promise.reject(new Error("Login attempt cooldown active."));
-    }
-    isLoginInProgress = true;
-    lastLoginAttemptTimestamp = now;
-    isBotReady = false; // Set to false until login completes
-    console.log("LOG_INFO: Attempting to execute bot login/re-login...");
 
-    return new Promise((resolve, reject) => {
-        if (!isBotConfigured) {
-            console.warn("WARN: Bot not configured, cannot login.");
-            isLoginInProgress = false;
-            reject(new Error("Bot not configured."));
-            return;
+    for (let attempt = 1; attempt <= ASSET_MAPPING_MAX_ATTEMPTS; attempt++) {
+        try {
+            const { receivedItems } = await tradeBots.get(botId).getExchangeDetails(offer);
+            for (const received of receivedItems) {
+                if (received.new_assetid) assetIdMap.set(String(received.assetid), String(received.new_assetid));
+            }
+            const unresolved = items.filter(i => !assetIdMap.has(i.assetid));
+            if (unresolved.length === 0) break;
+            console.warn(`WARN: Trade receipt for offer #${offer.id} is missing ${unresolved.length} item(s) (attempt ${attempt}/${ASSET_MAPPING_MAX_ATTEMPTS}).`);
+        } catch (err) {
+            console.warn(`WARN: Failed to get exchange details for offer #${offer.id} (attempt ${attempt}/${ASSET_MAPPING_MAX_ATTEMPTS}): ${err.message}`);
         }
-
-        const loginCredentials = {
-            accountName: process.env.STEAM_USERNAME,
-            password: process.env.STEAM_PASSWORD,
-            twoFactorCode: generateAuthCode() // Generate fresh code for each attempt
-        };
-
-        if (!loginCredentials.twoFactorCode) {
-            console.warn("WARN: Could not generate 2FA code for login attempt.");
-            isLoginInProgress = false;
-            reject(new Error("2FA code generation failed for login."));
-            return;
+        if (attempt < ASSET_MAPPING_MAX_ATTEMPTS) {
+            await new Promise(resolve => setTimeout(resolve, ASSET_MAPPING_RETRY_BASE_MS * Math.pow(2, attempt - 1)));
         }
-
-        console.log(`LOG_INFO: Attempting Steam login for bot: ${loginCredentials.accountName} (via executeBotLogin)...`);
-        community.login(loginCredentials, async (err, sessionID, cookies, steamguard) => {
-            if (err || !community.steamID) { // Check for err OR if steamID is not set after login attempt
-                console.error('STEAM LOGIN ERROR (executeBotLogin):', { message: err?.message, eresult: err?.eresult, steamguard, steamID: community.steamID });
-                if (err?.eresult === 5) console.warn('Login Failure Hint: Invalid Password?');
-                if (err?.eresult === 65) console.warn('Login Failure Hint: Incorrect 2FA Code or Account Rate Limit?');
-                if (err?.eresult === 63) console.warn('Login Failure Hint: Account Logon Denied - Check Email/Steam Guard?');
-                isLoginInProgress = false;
-                currentBotCookies = null; // Clear any stale cookies
-                reject(err || new Error(`Login failed: community.steamID undefined. EResult: ${err?.eresult}`));
-                return;
-            }
-
-            console.log(`LOG_SUCCESS (executeBotLogin): Steam bot ${loginCredentials.accountName} logged in (SteamID: ${community.steamID}). Setting cookies...`);
-            currentBotCookies = cookies; // Store the new cookies
-            community.setCookies(cookies); // Also set on community instance
-
-            try {
-                await createTradeOfferManager(cookies); // Create or recreate manager with new cookies
-                isLoginInProgress = false;
-                isBotReady = true;
-                lastCookieValidation = Date.now(); // Mark validation time
-                console.log("LOG_SUCCESS (executeBotLogin): Steam Bot is fully ready and operational.");
-                resolve(true);
-            } catch (managerErr) {
-                isLoginInProgress = false;
-                currentBotCookies = null; // Clear cookies if manager setup fails
-                console.error('TradeOfferManager Error setting cookies after login (executeBotLogin):', managerErr);
-                reject(managerErr);
-            }
-        });
-    });
-}
-
-async function refreshBotSession() {
-    console.log("LOG_INFO: Refreshing bot session...");
-    if (!isBotConfigured) {
-        isBotReady = false;
-        return Promise.reject(new Error("Bot not configured, cannot refresh session."));
     }
 
-    try {
-        await ensureValidManager(); // This handles validation and recreation if needed
-        isBotReady = true; // If ensureValidManager resolves, bot should be ready
-        return Promise.resolve();
-    } catch (err) {
-        console.error("LOG_ERROR: Failed to refresh bot session:", err);
-        isBotReady = false; // If it fails, bot is not ready
-        return Promise.reject(err);
+    for (const item of items) {
+        if (assetIdMap.has(item.assetid)) {
+            console.log(`LOG_INFO: Mapped old assetId ${item.assetid} to new assetId ${assetIdMap.get(item.assetid)} for item "${item.name}" (Offer #${offer.id})`);
+        } else {
+            console.error(`ERROR: Could not resolve new assetId for "${item.name}" (Old AssetID: ${item.assetid}) from the trade receipt of offer #${offer.id}.`);
+        }
     }
+    return assetIdMap;
 }
 
-function startPeriodicCookieRefresh() {
-    if (cookieRefreshInterval) {
-        clearInterval(cookieRefreshInterval);
+// Uses the bot asset IDs stored on the deposit when it was parked, otherwise reads the trade receipt.
+async function resolveDepositAssetIds(offer, depositData) {
+    if (depositData.assetIdsMapped) {
+        return new Map(depositData.items.filter(i => i.botAssetId).map(i => [i.assetid, i.botAssetId]));
     }
+    return mapReceivedAssetIds(offer, depositData.items, depositData.botId);
+}
 
-    cookieRefreshInterval = setInterval(async () => {
-        if (isBotReady && currentBotCookies) { // Only refresh if bot is considered ready and has cookies
-            try {
-                console.log("LOG_INFO: Performing periodic cookie refresh...");
-                await validateAndRefreshCookies(); // This will re-login if validation fails
-            } catch (err) {
-                console.error("LOG_ERROR: Periodic cookie refresh failed:", err);
-                // isBotReady might be set to false within validateAndRefreshCookies -> executeBotLogin on failure
-            }
-        }
-    }, COOKIE_REFRESH_INTERVAL_MS);
+// Checks a user's next deposit into `round` (participants and deposits.user loaded) against depositCaps
+function checkDepositCaps(round, userId, depositValue = null) {
+    const userIdStr = userId.toString();
+    const participant = round.participants.find(p => (p.user?._id || p.user)?.toString() === userIdStr);
+    return depositCaps.check({
+        userValue: participant?.itemsValue || 0,
+        potValue: round.participants.reduce((sum, p) => sum + (p.itemsValue || 0), 0),
+        userDeposits: (round.deposits || []).filter(d => d.user?.toString() === userIdStr).length,
+        depositValue
+    });
 }
 
+// Credits an accepted deposit offer to its round. `depositData` is a PendingDeposit record already
+// claimed (status 'accepted') by the caller, so this runs at most once per deposit.
+async function processAcceptedDeposit(offer, depositData) {
+    console.log(`LOG_SUCCESS: Processing accepted deposit offer #${offer.id} (DepositID: ${depositData.depositId}) for user ${depositData.steamId}`);
+    tradeBots.touch(depositData.botId);
 
-function setupManagerEventHandlers() {
-    if (!manager) return;
+    User.updateOne({ _id: depositData.userId, pendingDepositOfferId: offer.id }, { $set: { pendingDepositOfferId: null }})
+        .catch(e => console.error("DB_ERROR: Error clearing user pending flag on deposit accept:", e));
 
-    manager.on('newOffer', async (offer) => {
-        console.log(`LOG_DEBUG: manager.on('newOffer') received. Offer ID: ${offer.id}, Partner: ${offer.partner.getSteamID64()}, Our Offer: ${offer.isOurOffer}`);
-        if (!isBotReady || offer.isOurOffer) {
-            if (offer.isOurOffer) console.log(`LOG_DEBUG: Ignoring newOffer event for our own offer #${offer.id} (likely a deposit or payout).`);
-            else console.log(`LOG_DEBUG: Ignoring newOffer event #${offer.id} because bot not ready.`);
+    let createdItemDocuments = [];
+    let targetRoundId = depositData.roundId;
+    try {
+        let roundForDeposit = await Round.findById(depositData.roundId).select('status participants items deposits.user totalValue roundId');
+        const isLate = !roundForDeposit || roundForDeposit.status !== 'active' || isRolling;
+        if (isLate && LATE_DEPOSIT_POLICY === 'carry_over') {
+            const nextRound = currentRound && currentRound.status === 'active' && !isRolling && currentRound._id.toString() !== depositData.roundId.toString()
+                ? await Round.findById(currentRound._id).select('status participants items deposits.user totalValue roundId')
+                : null;
+            if (!nextRound || nextRound.status !== 'active') {
+                await parkLateDeposit(offer, depositData, roundForDeposit);
+                return;
+            }
+            console.log(`LOG_INFO: Carrying late deposit ${depositData.depositId} (Offer #${offer.id}) over from round ${roundForDeposit?.roundId} to round ${nextRound.roundId}.`);
+            roundForDeposit = nextRound;
+            targetRoundId = nextRound._id;
+            await PendingDeposit.updateOne({ depositId: depositData.depositId }, { $set: { roundId: targetRoundId, carriedOverFrom: depositData.roundId } });
+        } else if (isLate) {
+            await settleLateDeposit(offer, depositData, roundForDeposit);
             return;
         }
-        // If it's not our offer and items are being given to us (potential donation or mistake)
-        if (offer.itemsToReceive.length > 0 && offer.itemsToGive.length === 0) {
-            if (offer.message && offer.message.includes('DepositID:')) { // Should not happen if !offer.isOurOffer
-                console.log(`LOG_WARN: Received a 'newOffer' that looks like a deposit response (ID in message), but it's not our offer. Offer #${offer.id}. Declining.`);
-            } else {
-                console.log(`LOG_WARN: Received unsolicited item offer #${offer.id} from ${offer.partner.getSteamID64()}. Declining.`);
-            }
-            return offer.decline((err) => { if (err) console.error(`LOG_ERROR: Error declining unsolicited/unexpected newOffer ${offer.id}:`, err); });
+        const isNewP = !roundForDeposit.participants.some(p => p.user?.toString() === depositData.userId.toString());
+        if (isNewP && roundForDeposit.participants.length >= MAX_PARTICIPANTS) {
+            console.warn(`WARN: Deposit ${depositData.depositId} accepted, but participant limit for round ${roundForDeposit.roundId} reached.`);
+            io.to(depositData.userId.toString()).emit('notification', { type: 'error', message: `Deposit Error: Participant limit reached for offer #${offer.id}. Your items will be refunded automatically.` });
+            await queueDepositRefund(offer, depositData, 'Participant limit reached');
+            return;
+        }
+        // A new participant joins with the seed they had when the offer was sent (clearing it afterwards changes
+        // nothing); deposits recorded before seeds were stored use the player's current seed
+        const depositorSeed = depositData.clientSeed || (await User.findById(depositData.userId).select('clientSeed').lean())?.clientSeed;
+        if (isNewP && !depositorSeed) {
+            console.warn(`WARN: Deposit ${depositData.depositId} accepted, but the depositor has no client seed to join round ${roundForDeposit.roundId} with.`);
+            io.to(depositData.userId.toString()).emit('notification', { type: 'error', message: `Deposit Error: A Client Seed is required to join a round. Your items from offer #${offer.id} will be refunded automatically.` });
+            await queueDepositRefund(offer, depositData, 'No client seed');
+            return;
+        }
+        if (roundForDeposit.items.length + depositData.items.length > MAX_ITEMS_PER_POT) {
+            console.warn(`WARN: Deposit ${depositData.depositId} accepted, but pot item limit for round ${roundForDeposit.roundId} reached.`);
+            io.to(depositData.userId.toString()).emit('notification', { type: 'error', message: `Deposit Error: Pot item limit reached for offer #${offer.id}. Your items will be refunded automatically.` });
+            await queueDepositRefund(offer, depositData, 'Pot item limit reached');
+            return;
+        }
+        // Prices are fixed when the offer is sent, but the pot may have changed since the pre-check
+        const capCheck = checkDepositCaps(roundForDeposit, depositData.userId, depositData.totalValue);
+        if (!capCheck.allowed) {
+            console.warn(`WARN: Deposit ${depositData.depositId} accepted, but it breaks the ${capCheck.reason} cap for round ${roundForDeposit.roundId}.`);
+            io.to(depositData.userId.toString()).emit('notification', { type: 'error', message: `Deposit Error: ${capCheck.message} Your items from offer #${offer.id} will be refunded automatically.` });
+            await queueDepositRefund(offer, depositData, capCheck.reason === 'share_cap' ? 'Share cap reached' : 'Deposit limit reached');
+            return;
         }
-        console.log(`LOG_INFO: Ignoring other unexpected incoming offer #${offer.id} from ${offer.partner.getSteamID64()}. Message: "${offer.message}"`);
-        offer.decline(err => { if(err) console.error(`Error declining other unexpected newOffer ${offer.id}:`, err); });
-    });
 
-    // MODIFIED sentOfferChanged handler
-    manager.on('sentOfferChanged', async (offer, oldState) => {
-        console.log(`LOG_INFO: Bot's sentOffer #${offer.id} state changed: ${TradeOfferManager.ETradeOfferState[oldState]} -> ${TradeOfferManager.ETradeOfferState[offer.state]} (Partner: ${offer.partner.getSteamID64()}) Msg: "${offer.message}"`);
+        const assetIdMap = await resolveDepositAssetIds(offer, depositData);
+
+        // Create Item documents with NEW asset IDs. Unresolved items are flagged, never given the old ID.
+        const itemModelsToSave = depositData.items.map(itemDetail => {
+            const newAssetId = assetIdMap.get(itemDetail.assetid) || null;
+            return new Item({
+                assetId: newAssetId, // NEW asset ID from the trade receipt
+                assetIdUnresolved: !newAssetId,
+                depositOfferId: offer.id,
+                originalAssetId: itemDetail.assetid, // Store original user's asset ID for reference
+                name: itemDetail.name,
+                image: itemDetail.image,
+                price: itemDetail.price,
+                owner: depositData.userId,
+                roundId: targetRoundId,
+                botId: depositData.botId
+            });
+        });
 
-        const depositIdMatch = offer.message.match(/DepositID: ([a-f0-9-]+)/i);
-        const depositIdFromMessage = depositIdMatch ? depositIdMatch[1] : null;
-        let depositData = null;
+        createdItemDocuments = await Item.insertMany(itemModelsToSave, { ordered: false });
+        const createdItemIds = createdItemDocuments.map(doc => doc._id);
+        const unresolvedCount = createdItemDocuments.filter(doc => doc.assetIdUnresolved).length;
+        console.log(`LOG_INFO: Deposit ${depositData.depositId} (Offer #${offer.id}): Inserted ${createdItemIds.length} items into DB.`);
+        if (unresolvedCount > 0) {
+            console.error(`ERROR: Deposit ${depositData.depositId} (Offer #${offer.id}): ${unresolvedCount} item(s) flagged with unresolved asset IDs. They need manual review before payout.`);
+        }
+
+        // Update the round document. The deposit takes the next tickets in line, so the push is guarded on the
+        // number of deposits it was numbered against and retried if another deposit landed first. It is also
+        // guarded on the round still being active: once rolling starts, the participants (and their seeds) are final.
+        let updatedRound = null;
+        let depositEntry = null;
+        let closedRound = null;
+        for (let attempt = 0; attempt < 5 && !updatedRound; attempt++) {
+            const roundState = await Round.findById(targetRoundId).select('status roundId participants.user deposits.value').lean();
+            if (!roundState) break;
+            if (roundState.status !== 'active') {
+                closedRound = roundState;
+                break;
+            }
+            const deposits = roundState.deposits || [];
+            const valueBefore = deposits.reduce((sum, d) => sum + d.value, 0);
+            const startTicket = ticketsAtPotValue(valueBefore);
+            const depositTickets = ticketsAtPotValue(valueBefore + depositData.totalValue) - startTicket;
+            depositEntry = {
+                user: depositData.userId, depositId: depositData.depositId, offerId: offer.id, items: createdItemIds,
+                value: depositData.totalValue, tickets: depositTickets,
+                startTicket: depositTickets > 0 ? startTicket : undefined,
+                endTicket: depositTickets > 0 ? startTicket + depositTickets - 1 : undefined,
+                createdAt: new Date()
+            };
 
-        if (depositIdFromMessage && pendingDeposits.has(depositIdFromMessage)) {
-            depositData = pendingDeposits.get(depositIdFromMessage);
-            if (depositData.offerIdAttempted && depositData.offerIdAttempted !== offer.id) {
-                console.warn(`WARN: Offer ID mismatch for DepositID ${depositIdFromMessage}. Tracked: ${depositData.offerIdAttempted}, Event: ${offer.id}. This is unusual. Processing with event offer ID.`);
-            } else if (!depositData.offerIdAttempted) {
-                depositData.offerIdAttempted = offer.id;
+            let participantUpdateQuery;
+            const participantExists = roundState.participants.some(p => p.user.toString() === depositData.userId.toString());
+            if (participantExists) {
+                participantUpdateQuery = {
+                    $inc: {
+                        'participants.$[elem].itemsValue': depositData.totalValue,
+                        'participants.$[elem].tickets': depositTickets,
+                        totalValue: depositData.totalValue
+                    },
+                    $push: { items: { $each: createdItemIds }, deposits: depositEntry }
+                };
+            } else {
+                participantUpdateQuery = {
+                    $push: {
+                        participants: {
+                            user: depositData.userId, itemsValue: depositData.totalValue, tickets: depositTickets,
+                            clientSeed: depositorSeed,
+                            seedSource: 'player'
+                        },
+                        items: { $each: createdItemIds },
+                        deposits: depositEntry
+                    },
+                    $inc: { totalValue: depositData.totalValue }
+                };
             }
+
+            const arrayFilters = participantExists ? [{ 'elem.user': depositData.userId }] : [];
+            updatedRound = await Round.findOneAndUpdate(
+                { _id: targetRoundId, status: 'active', deposits: { $size: deposits.length }, participants: { $size: roundState.participants.length } },
+                participantUpdateQuery,
+                { new: true, arrayFilters: arrayFilters.length > 0 ? arrayFilters : undefined }
+            ).populate('participants.user', 'steamId username avatar').lean();
         }
 
-        // --- Handle DEPOSIT offers ---
-        if (depositData && offer.id === depositData.offerIdAttempted) {
-            console.log(`LOG_DEBUG: Offer #${offer.id} matched pending deposit ${depositIdFromMessage}.`);
+        if (closedRound) {
+            // The round started rolling while this deposit was being credited: undo the items and treat it as late
+            await Item.deleteMany({ _id: { $in: createdItemIds } });
+            createdItemDocuments = [];
+            await settleLateDeposit(offer, depositData, closedRound);
+            return;
+        }
+        if (!updatedRound) throw new Error('Failed to update round data after deposit.');
+        currentRound = updatedRound;
+        await User.updateOne({ _id: depositData.userId }, { $inc: { totalDepositedValue: depositData.totalValue } });
+
+        const finalParticipantData = updatedRound.participants.find(p => p.user?._id.toString() === depositData.userId.toString());
+        if (finalParticipantData && finalParticipantData.user) {
+            const depositedItems = depositData.items.map(i => ({ assetId: assetIdMap.get(i.assetid) || null, name: i.name, image: i.image, price: i.price }));
+            io.emit('participantUpdated', {
+                roundId: updatedRound.roundId,
+                userId: finalParticipantData.user._id.toString(),
+                username: finalParticipantData.user.username,
+                avatar: finalParticipantData.user.avatar,
+                itemsValue: finalParticipantData.itemsValue,
+                tickets: finalParticipantData.tickets,
+                clientSeed: finalParticipantData.clientSeed,
+                seedSource: finalParticipantData.seedSource,
+                totalValue: updatedRound.totalValue,
+                deposit: formatDepositForClient({ ...depositEntry, user: finalParticipantData.user }, depositedItems),
+                depositedItems
+            });
+            console.log(`LOG_INFO: Emitted 'participantUpdated' for user ${finalParticipantData.user.username} in round ${updatedRound.roundId}.`);
+        }
 
-            if (offer.state === TradeOfferManager.ETradeOfferState.Accepted) {
-                pendingDeposits.delete(depositIdFromMessage);
-                console.log(`LOG_SUCCESS: Processing accepted deposit offer #${offer.id} (DepositID: ${depositIdFromMessage}) for user ${depositData.steamId}`);
+        if (updatedRound.status === 'active') {
+            await updateRoundTimerAfterDeposit(isNewP)
+                .catch(e => console.error(`ERROR: Failed to update the timer of round ${updatedRound.roundId} after deposit:`, e));
+        }
+        if (targetRoundId.toString() !== depositData.roundId.toString()) {
+            io.to(depositData.userId.toString()).emit('notification', { type: 'info', message: `Your deposit (offer #${offer.id}) arrived after the previous round closed, so it was added to round #${updatedRound.roundId}.` });
+        }
+        await PendingDeposit.updateOne({ depositId: depositData.depositId }, { $set: { status: 'credited', resolvedAt: new Date() } });
+        await recordDepositCredited(depositData, targetRoundId, offer.id, createdItemIds);
+        console.log(`LOG_SUCCESS: Deposit success processed for offer #${offer.id}. User: ${finalParticipantData?.user?.username}`);
+
+    } catch (dbErr) {
+        console.error(`CRITICAL_DB_ERROR processing accepted deposit ${offer.id} (DepositID ${depositData.depositId}):`, dbErr);
+        io.to(depositData.userId.toString()).emit('notification', { type: 'error', message: `CRITICAL Deposit Error for offer #${offer.id}. Items may be held by bot. Contact support.` });
+        if (createdItemDocuments.length > 0) {
+            await Item.deleteMany({ _id: { $in: createdItemDocuments.map(d => d._id) } });
+            console.log(`LOG_INFO: Rolled back ${createdItemDocuments.length} items from DB for failed deposit ${offer.id}.`);
+        }
+        await flagPendingDeposit(depositData.depositId, `Database error while crediting: ${dbErr.message}`);
+        if (currentRound && currentRound._id?.toString() === targetRoundId.toString()) {
+            console.error(`CRITICAL_ERROR: Marking round ${currentRound.roundId} as 'error' due to deposit processing failure.`);
+            await roundMachine.transition(currentRound._id, 'active', 'error', { reason: `Deposit processing failure: ${dbErr.message}` })
+                .catch(e => console.error("DB_ERROR: Error marking round as error after deposit failure:", e));
+            runRoundErrorRecovery().catch(e => console.error("REFUND_ERROR: Round error recovery failed:", e));
+            io.emit('roundError', { roundId: currentRound.roundId, error: 'Critical deposit database error led to round error.' });
+            currentRound.status = 'error';
+        }
+    }
+}
 
-                User.updateOne({ _id: depositData.userId, pendingDepositOfferId: offer.id }, { $set: { pendingDepositOfferId: null }})
-                    .catch(e => console.error("DB_ERROR: Error clearing user pending flag on deposit accept:", e));
+// A deposit whose round closed before it could be credited: held for the next round or refunded, per LATE_DEPOSIT_POLICY
+async function settleLateDeposit(offer, depositData, closedRound) {
+    if (LATE_DEPOSIT_POLICY === 'carry_over') return parkLateDeposit(offer, depositData, closedRound);
+    console.warn(`WARN: Deposit ${depositData.depositId} (Offer ${offer.id}) accepted, but round invalid/rolling. Items NOT added to pot. Round status: ${closedRound?.status}, isRolling: ${isRolling}`);
+    io.to(depositData.userId.toString()).emit('notification', { type: 'error', message: `Deposit Error: Round for offer #${offer.id} ended/changed before processing. Your items will be refunded automatically.` });
+    await queueDepositRefund(offer, depositData, `Round not active (status: ${closedRound?.status || 'missing'})`);
+}
 
-                let createdItemDocuments = [];
-                try {
-                    const roundForDeposit = await Round.findById(depositData.roundId).select('status participants items totalValue roundId');
-                    if (!roundForDeposit || roundForDeposit.status !== 'active' || isRolling) {
-                        console.warn(`WARN: Deposit ${depositIdFromMessage} (Offer ${offer.id}) accepted, but round invalid/rolling. Items NOT added to pot. Round status: ${roundForDeposit?.status}, isRolling: ${isRolling}`);
-                        io.to(depositData.userId.toString()).emit('notification', { type: 'error', message: `Deposit Error: Round for offer #${offer.id} ended/changed before processing. Contact support.` });
-                        return;
-                    }
-                    const isNewP = !roundForDeposit.participants.some(p => p.user?.toString() === depositData.userId.toString());
-                    if (isNewP && roundForDeposit.participants.length >= MAX_PARTICIPANTS) {
-                        console.warn(`WARN: Deposit ${depositIdFromMessage} accepted, but participant limit for round ${roundForDeposit.roundId} reached.`);
-                        io.to(depositData.userId.toString()).emit('notification', { type: 'error', message: `Deposit Error: Participant limit reached for offer #${offer.id}. Contact support.` }); return;
-                    }
-                    if (roundForDeposit.items.length + depositData.items.length > MAX_ITEMS_PER_POT) {
-                        console.warn(`WARN: Deposit ${depositIdFromMessage} accepted, but pot item limit for round ${roundForDeposit.roundId} reached.`);
-                        io.to(depositData.userId.toString()).emit('notification', { type: 'error', message: `Deposit Error: Pot item limit reached for offer #${offer.id}. Contact support.` }); return;
-                    }
+// Holds a late deposit until the next round opens. Asset IDs are mapped now while the offer is at hand.
+async function parkLateDeposit(offer, depositData, closedRound) {
+    const assetIdMap = await resolveDepositAssetIds(offer, depositData);
+    const update = { status: 'awaiting_round', assetIdsMapped: true };
+    depositData.items.forEach((item, index) => {
+        update[`items.${index}.botAssetId`] = assetIdMap.get(item.assetid) || null;
+    });
+    await PendingDeposit.updateOne({ depositId: depositData.depositId }, { $set: update, $unset: { expiresAt: 1 } });
+    console.log(`LOG_INFO: Late deposit ${depositData.depositId} (Offer #${offer.id}) for round ${closedRound?.roundId} is waiting for the next round.`);
+    io.to(depositData.userId.toString()).emit('notification', { type: 'info', message: `Round #${closedRound?.roundId || '?'} closed before your deposit (offer #${offer.id}) arrived. It will be added to the next round.` });
 
-                    // CRITICAL FIX: Get the new asset IDs from bot's inventory after trade
-                    console.log(`LOG_INFO: Fetching bot's inventory to get new asset IDs for deposited items (Offer #${offer.id})...`);
-                    // Wait a moment for Steam to process the trade and inventory update
-                    await new Promise(resolve => setTimeout(resolve, 3000)); // Increased delay slightly
-
-                    const botInventory = await new Promise((resolve, reject) => {
-                        if (!manager) return reject(new Error("TradeOfferManager not initialized for fetching bot inventory."));
-                        manager.getInventoryContents(RUST_APP_ID, RUST_CONTEXT_ID, true, (err, inventory) => {
-                            if (err) {
-                                console.error(`ERROR: Failed to fetch bot inventory after deposit (Offer #${offer.id}):`, err);
-                                reject(err);
-                            } else {
-                                console.log(`LOG_DEBUG: Bot inventory fetched for Offer #${offer.id}. Found ${inventory?.length || 0} items.`);
-                                resolve(inventory || []);
-                            }
-                        });
-                    });
-
-                    const assetIdMap = new Map(); // oldAssetId (user's) -> newAssetId (bot's)
-                    const mappedNewAssetIds = new Set(); // To ensure a new asset ID is used only once
-
-                    for (const depositedItem of depositData.items) { // items from pendingDeposits map
-                        // Find matching item in bot's inventory by name and approximate value.
-                        // This assumes item names are unique enough for this purpose or combined with price.
-                        // Ensure we don't remap an already mapped new assetId from bot's inventory.
-                        const matchingBotItem = botInventory.find(botItem =>
-                            botItem.market_hash_name === depositedItem._name &&
-                            !mappedNewAssetIds.has(botItem.assetid) && // Check if this new asset ID has already been claimed for mapping
-                            Math.abs((getItemPrice(botItem.market_hash_name) || 0) - depositedItem._price) < 0.01 // Price match
-                        );
+    // The next round may have opened while we were mapping
+    if (currentRound && currentRound.status === 'active' && !isRolling) {
+        creditCarriedOverDeposits().catch(err => console.error("ERROR: Failed to credit carried-over deposits:", err));
+    }
+}
 
-                        if (matchingBotItem) {
-                            assetIdMap.set(depositedItem.assetid, matchingBotItem.assetid); // Map old user assetid to new bot assetid
-                            mappedNewAssetIds.add(matchingBotItem.assetid); // Mark this bot asset ID as used for mapping
-                            console.log(`LOG_INFO: Mapped old assetId ${depositedItem.assetid} to new assetId ${matchingBotItem.assetid} for item "${depositedItem._name}" (Offer #${offer.id})`);
-                        } else {
-                            console.warn(`WARN: Could not find unique matching item in bot inventory for "${depositedItem._name}" (Old AssetID: ${depositedItem.assetid}, Price: ${depositedItem._price}). Will use old AssetID as fallback. (Offer #${offer.id})`);
-                        }
-                    }
+// Credits deposits parked by parkLateDeposit into the current round. Called whenever a round opens.
+async function creditCarriedOverDeposits() {
+    const parked = await PendingDeposit.find({ status: 'awaiting_round' }).sort({ acceptedAt: 1 }).lean();
+    for (const depositData of parked) {
+        if (!currentRound || currentRound.status !== 'active' || isRolling) return;
+        const claimed = await PendingDeposit.findOneAndUpdate(
+            { _id: depositData._id, status: 'awaiting_round' },
+            { $set: { status: 'accepted' } },
+            { new: true }
+        ).lean();
+        if (!claimed) continue;
+        const offer = await tradeBots.get(claimed.botId).getOffer(claimed.offerId).catch(err => {
+            console.warn(`WARN: Could not fetch offer ${claimed.offerId} for carried-over deposit ${claimed.depositId}:`, err.message);
+            return null;
+        });
+        await processAcceptedDeposit(offer || { id: claimed.offerId }, claimed);
+    }
+}
 
-                    // Create Item documents with NEW asset IDs
-                    const itemModelsToSave = depositData.items.map(itemDetail => {
-                        const newAssetId = assetIdMap.get(itemDetail.assetid) || itemDetail.assetid; // Fallback to old ID if mapping failed
-                        if (newAssetId === itemDetail.assetid && assetIdMap.has(itemDetail.assetid)) {
-                            // This case means mapping was successful but for some reason it's same, which is fine.
-                        } else if (newAssetId === itemDetail.assetid) {
-                             console.warn(`LOG_WARN: Using fallback (old) assetId ${itemDetail.assetid} for item "${itemDetail._name}" as it was not mapped. (Offer #${offer.id})`);
-                        }
-                        return new Item({
-                            assetId: newAssetId, // Use the NEW asset ID from bot's inventory (or fallback)
-                            originalAssetId: itemDetail.assetid, // Store original user's asset ID for reference
-                            name: itemDetail._name,
-                            image: itemDetail._image,
-                            price: itemDetail._price,
-                            owner: depositData.userId,
-                            roundId: depositData.roundId
-                        });
-                    });
-
-                    createdItemDocuments = await Item.insertMany(itemModelsToSave, { ordered: false });
-                    const createdItemIds = createdItemDocuments.map(doc => doc._id);
-                    console.log(`LOG_INFO: Deposit ${depositIdFromMessage} (Offer #${offer.id}): Inserted ${createdItemIds.length} items into DB with potentially updated asset IDs.`);
-
-                    // Update user's total deposited value
-                    await User.findByIdAndUpdate(depositData.userId, { $inc: { totalDepositedValue: depositData.totalValue } });
-
-                    // Update the round document
-                    const depositTickets = Math.max(1, Math.floor(depositData.totalValue / TICKET_VALUE_RATIO));
-                    let participantUpdateQuery;
-                    const participantExists = roundForDeposit.participants.some(p => p.user.toString() === depositData.userId.toString());
-
-                    if (participantExists) {
-                        participantUpdateQuery = {
-                            $inc: {
-                                'participants.$[elem].itemsValue': depositData.totalValue,
-                                'participants.$[elem].tickets': depositTickets,
-                                totalValue: depositData.totalValue
-                            },
-                            $push: { items: { $each: createdItemIds } }
-                        };
-                    } else {
-                        participantUpdateQuery = {
-                            $push: {
-                                participants: { user: depositData.userId, itemsValue: depositData.totalValue, tickets: depositTickets },
-                                items: { $each: createdItemIds }
-                            },
-                            $inc: { totalValue: depositData.totalValue }
-                        };
-                    }
+// Atomically moves a pending deposit from 'pending'/'sent' to 'accepted'. Returns null if another
+// path (live event or startup reconciliation) already claimed it.
+async function claimAcceptedDeposit(depositId, offerId) {
+    return PendingDeposit.findOneAndUpdate(
+        { depositId, status: { $in: ['pending', 'sent'] } },
+        { $set: { status: 'accepted', offerId, acceptedAt: new Date() } },
+        { new: true }
+    ).lean();
+}
 
-                    const arrayFilters = participantExists ? [{ 'elem.user': depositData.userId }] : [];
-                    const updatedRound = await Round.findByIdAndUpdate(
-                        depositData.roundId,
-                        participantUpdateQuery,
-                        { new: true, arrayFilters: arrayFilters.length > 0 ? arrayFilters : undefined }
-                    ).populate('participants.user', 'steamId username avatar').lean();
-
-                    if (!updatedRound) throw new Error('Failed to update round data after deposit.');
-                    currentRound = updatedRound;
-
-                    const finalParticipantData = updatedRound.participants.find(p => p.user?._id.toString() === depositData.userId.toString());
-                    if (finalParticipantData && finalParticipantData.user) {
-                        io.emit('participantUpdated', {
-                            roundId: updatedRound.roundId,
-                            userId: finalParticipantData.user._id.toString(),
-                            username: finalParticipantData.user.username,
-                            avatar: finalParticipantData.user.avatar,
-                            itemsValue: finalParticipantData.itemsValue,
-                            tickets: finalParticipantData.tickets,
-                            totalValue: updatedRound.totalValue,
-                            depositedItems: depositData.items.map(i => ({ assetId: assetIdMap.get(i.assetid) || i.assetid, name: i._name, image: i._image, price: i._price }))
-                        });
-                        console.log(`LOG_INFO: Emitted 'participantUpdated' for user ${finalParticipantData.user.username} in round ${updatedRound.roundId}.`);
-                    }
+async function resolveUnacceptedDeposit(depositData, offer) {
+    const stateName = TradeOfferManager.ETradeOfferState[offer.state];
+    const resolved = await PendingDeposit.findOneAndUpdate(
+        { depositId: depositData.depositId, status: { $in: ['pending', 'sent'] } },
+        { $set: { status: 'canceled', flagReason: `Offer ${stateName}`, resolvedAt: new Date() } }
+    );
+    User.updateOne({ _id: depositData.userId, pendingDepositOfferId: offer.id }, { $set: { pendingDepositOfferId: null }})
+        .catch(e => console.error("DB_ERROR: Error clearing user pending flag on deposit failure/cancellation:", e));
+    return !!resolved;
+}
 
-                    if (updatedRound.participants.length === 1 && !roundTimer && updatedRound.status === 'active') {
-                        startRoundTimer();
-                    }
-                    console.log(`LOG_SUCCESS: Deposit success processed for offer #${offer.id}. User: ${finalParticipantData?.user?.username}`);
-
-                } catch (dbErr) {
-                    console.error(`CRITICAL_DB_ERROR processing accepted deposit ${offer.id} (DepositID ${depositIdFromMessage}):`, dbErr);
-                    io.to(depositData.userId.toString()).emit('notification', { type: 'error', message: `CRITICAL Deposit Error for offer #${offer.id}. Items may be held by bot. Contact support.` });
-                    if (createdItemDocuments.length > 0) {
-                        await Item.deleteMany({ _id: { $in: createdItemDocuments.map(d => d._id) } });
-                        console.log(`LOG_INFO: Rolled back ${createdItemDocuments.length} items from DB for failed deposit ${offer.id}.`);
-                    }
-                    if (currentRound && currentRound._id?.toString() === depositData.roundId.toString()) {
-                        console.error(`CRITICAL_ERROR: Marking round ${currentRound.roundId} as 'error' due to deposit processing failure.`);
-                        await Round.updateOne({ _id: currentRound._id }, { $set: { status: 'error' } });
-                        io.emit('roundError', { roundId: currentRound.roundId, error: 'Critical deposit database error led to round error.' });
-                        currentRound.status = 'error';
-                    }
+// On startup, settle deposit records left open by a restart or crash by asking the trade backend
+// what happened to their offers while we were down.
+async function reconcilePendingDeposits() {
+    const openDeposits = await PendingDeposit.find({ status: { $in: ['pending', 'sent', 'accepted'] } }).lean();
+    if (openDeposits.length === 0) return;
+    console.log(`LOG_INFO (Reconcile): Checking ${openDeposits.length} open pending deposit(s) against the bots' sent offers...`);
+
+    for (const depositData of openDeposits) {
+        try {
+            if (depositData.status === 'accepted') {
+                // Crashed mid-processing: items are in the bot but we can't tell how far crediting got
+                await flagPendingDeposit(depositData.depositId, 'Deposit processing was interrupted by a restart');
+                continue;
+            }
+            const bot = tradeBots.get(depositData.botId);
+            if (!depositData.offerId) {
+                if (Date.now() - new Date(depositData.createdAt).getTime() > (bot.cancelTime || 10 * 60 * 1000)) {
+                    await PendingDeposit.updateOne({ _id: depositData._id }, { $set: { status: 'failed', flagReason: 'Offer was never sent', resolvedAt: new Date() } });
                 }
+                continue;
+            }
 
+            const offer = await bot.getOffer(depositData.offerId).catch(err => {
+                console.warn(`WARN (Reconcile): Could not fetch offer ${depositData.offerId} for deposit ${depositData.depositId}:`, err.message);
+                return null;
+            });
+            if (!offer) continue;
+
+            if (offer.state === TradeOfferManager.ETradeOfferState.Accepted) {
+                const claimed = await claimAcceptedDeposit(depositData.depositId, offer.id);
+                if (claimed) {
+                    console.log(`LOG_INFO (Reconcile): Deposit offer #${offer.id} was accepted while offline. Crediting...`);
+                    await processAcceptedDeposit(offer, claimed);
+                }
             } else if ([
                 TradeOfferManager.ETradeOfferState.Declined,
                 TradeOfferManager.ETradeOfferState.Canceled,
                 TradeOfferManager.ETradeOfferState.Expired,
-                TradeOfferManager.ETradeOfferState.InvalidItems
+                TradeOfferManager.ETradeOfferState.InvalidItems,
+                TradeOfferManager.ETradeOfferState.CanceledBySecondFactor
                 ].includes(offer.state)) {
-
-                pendingDeposits.delete(depositIdFromMessage);
-                console.warn(`WARN: Deposit offer ${offer.id} (DepositID: ${depositIdFromMessage}) for user ${depositData.steamId} was ${TradeOfferManager.ETradeOfferState[offer.state]}.`);
-                User.updateOne({ _id: depositData.userId, pendingDepositOfferId: offer.id }, { $set: {pendingDepositOfferId: null }})
-                    .catch(e => console.error("DB_ERROR: Error clearing user pending flag on deposit failure/cancellation:", e));
-                const stateMessage = TradeOfferManager.ETradeOfferState[offer.state].toLowerCase().replace(/_/g, ' ');
-                io.to(depositData.userId.toString()).emit('notification', { type: 'error', message: `Your deposit offer (#${offer.id}) was ${stateMessage}.` });
-            } else {
-                console.log(`LOG_DEBUG: Deposit Offer #${offer.id} (DepositID: ${depositIdFromMessage}) changed to unhandled state: ${TradeOfferManager.ETradeOfferState[offer.state]}`);
-            }
-        }
-        // --- Handle PAYOUT offers (winnings) ---
-        else {
-            let payoutStatusUpdate = 'Unknown';
-            switch (offer.state) {
-                case TradeOfferManager.ETradeOfferState.Accepted: payoutStatusUpdate = 'Accepted'; break;
-                case TradeOfferManager.ETradeOfferState.Declined: payoutStatusUpdate = 'Declined'; break;
-                case TradeOfferManager.ETradeOfferState.Canceled: payoutStatusUpdate = 'Canceled'; break;
-                case TradeOfferManager.ETradeOfferState.Expired: payoutStatusUpdate = 'Expired'; break;
-                case TradeOfferManager.ETradeOfferState.InvalidItems: payoutStatusUpdate = 'InvalidItems'; break;
-                case TradeOfferManager.ETradeOfferState.InEscrow: payoutStatusUpdate = 'Escrow'; break;
-                case TradeOfferManager.ETradeOfferState.CreatedNeedsConfirmation:
-                     // If this event occurs, it means the bot's auto-confirmation might have failed or is pending.
-                     // The sendWinningTradeOffer function would have already tried to confirm.
-                     // This status here would usually reflect that the offer is *still* needing that confirmation.
-                    payoutStatusUpdate = 'Pending Confirmation';
-                    break;
-                case TradeOfferManager.ETradeOfferState.PendingConfirmation: // This state means bot sent, awaiting user action or auto-confirm (from Steam's perspective)
-                    payoutStatusUpdate = 'Pending Confirmation'; break; // Or could be 'Sent (Confirmed)' if bot confirmed, now awaiting user
-                case TradeOfferManager.ETradeOfferState.Active: // Offer is active, means bot confirmed (if needed) and user can act.
-                    payoutStatusUpdate = 'Sent (Confirmed)'; // Assuming if it's active, bot did its part.
-                     break;
-                default: payoutStatusUpdate = TradeOfferManager.ETradeOfferState[offer.state] || 'Unknown';
-            }
-            console.log(`LOG_INFO: Payout offer #${offer.id} to ${offer.partner.getSteamID64()} changed to ${TradeOfferManager.ETradeOfferState[offer.state]} (mapped to -> ${payoutStatusUpdate}).`);
-
-            try {
-                const updatedRound = await Round.findOneAndUpdate(
-                    { payoutOfferId: offer.id },
-                    // Only update if the new status is different or more informative,
-                    // or if the current status in DB is less "final"
-                    // For example, don't overwrite "Accepted" with "Sent (Confirmed)"
-                    { $set: { payoutOfferStatus: payoutStatusUpdate } },
-                    { new: true }
-                ).populate('winner', 'steamId _id username');
-
-                if (updatedRound && updatedRound.winner) {
-                    const winnerUserIdStr = updatedRound.winner._id.toString();
-                    console.log(`LOG_INFO: Updated payoutOfferStatus to ${payoutStatusUpdate} for round ${updatedRound.roundId}, winner ${updatedRound.winner.username}.`);
-
-                    let notifType = 'info';
-                    let notifMessage = `Winnings offer #${offer.id} (Round #${updatedRound.roundId}) status: ${payoutStatusUpdate}.`;
-
-                    if (offer.state === TradeOfferManager.ETradeOfferState.Accepted) {
-                        notifType = 'success';
-                        notifMessage = `Winnings from offer #${offer.id} (Round #${updatedRound.roundId}) successfully accepted by you!`;
-                         // Potentially update user's totalWinningsValue again if it wasn't done predictively
-                    } else if ([TradeOfferManager.ETradeOfferState.Declined, TradeOfferManager.ETradeOfferState.Canceled, TradeOfferManager.ETradeOfferState.Expired].includes(offer.state)) {
-                        notifType = 'error';
-                        notifMessage = `Winnings offer #${offer.id} (Round #${updatedRound.roundId}) was ${payoutStatusUpdate}. Contact support if this was an error or to re-attempt payout.`;
-                        if (offer.state === TradeOfferManager.ETradeOfferState.Expired || offer.state === TradeOfferManager.ETradeOfferState.Canceled) {
-                             // Reset status to allow user to try accepting again from UI
-                             await Round.updateOne({ _id: updatedRound._id }, { $set: { payoutOfferStatus: 'PendingAcceptanceByWinner', payoutOfferId: null }});
-                             notifMessage += " You may be able to try accepting again via your profile/winning history.";
-                        }
-                    } else if (offer.state === TradeOfferManager.ETradeOfferState.InEscrow) {
-                        notifType = 'warning';
-                        notifMessage = `Winnings offer #${offer.id} (Round #${updatedRound.roundId}) is in escrow. This typically means a trade hold on your account.`;
-                    } else if (offer.state === TradeOfferManager.ETradeOfferState.Active && payoutStatusUpdate === 'Sent (Confirmed)') {
-                        notifType = 'success'; // Or 'info'
-                        notifMessage = `Winnings offer #${offer.id} (Round #${updatedRound.roundId}) is now active and confirmed by the bot. Please accept it on Steam.`;
-                    }
-                    io.to(winnerUserIdStr).emit('notification', { type: notifType, message: notifMessage });
-                } else if (!updatedRound) {
-                    console.warn(`WARN: Could not find round associated with payout offer #${offer.id} to update status. Offer message: "${offer.message}"`);
-                }
-            } catch (dbError) {
-                console.error(`DB_ERROR: Error updating payout status for offer #${offer.id} in DB:`, dbError);
+                await resolveUnacceptedDeposit(depositData, offer);
+                console.log(`LOG_INFO (Reconcile): Deposit offer #${offer.id} ended as ${TradeOfferManager.ETradeOfferState[offer.state]} while offline.`);
             }
+        } catch (err) {
+            console.error(`ERROR (Reconcile): Failed to reconcile pending deposit ${depositData.depositId}:`, err);
         }
-    });
+    }
 }
 
 
-if (isBotConfigured) {
-    console.log("LOG_INFO: Bot is configured. Attempting initial login via executeBotLogin.");
-    executeBotLogin()
-        .then(() => {
-            console.log("LOG_SUCCESS: Initial bot login successful.");
-            community.on('friendRelationship', (steamID, relationship) => {
-                if (relationship === SteamCommunity.EFriendRelationship.RequestRecipient) {
-                    console.log(`LOG_INFO: Received friend request from ${steamID}. Accepting...`);
-                    community.addFriend(steamID, (friendErr) => {
-                        if (friendErr) console.error(`LOG_ERROR: Error accepting friend request from ${steamID}:`, friendErr);
-                        else console.log(`LOG_SUCCESS: Accepted friend request from ${steamID}.`);
-                    });
-                }
-            });
+// --- Refunds ---
+const REFUND_RETRY_DELAY_MS = 30 * 1000;
+const refundsInFlight = new Set(); // refundIds currently being sent by this process
 
-            startPeriodicCookieRefresh();
-            ensureInitialRound();
-        })
-        .catch(err => {
-            console.error("CRITICAL_ERROR: Initial bot login failed:", err.message);
+// Flags the deposit and queues a return offer with exactly the items the bot received for it.
+async function queueDepositRefund(offer, depositData, reason) {
+    await flagPendingDeposit(depositData.depositId, reason);
+    let refund;
+    try {
+        const assetIdMap = await resolveDepositAssetIds(offer, depositData);
+        const refundableItems = depositData.items.filter(i => assetIdMap.has(i.assetid));
+        const unresolvedCount = depositData.items.length - refundableItems.length;
+        if (refundableItems.length === 0) {
+            console.error(`REFUND_ERROR: None of the items from deposit ${depositData.depositId} (Offer #${offer.id}) could be located in the bot inventory. Deposit stays flagged for manual review.`);
+            return null;
+        }
+        refund = await Refund.create({
+            refundId: uuidv4(),
+            userId: depositData.userId,
+            steamId: depositData.steamId,
+            depositId: depositData.depositId,
+            depositOfferId: offer.id,
+            roundId: depositData.roundId,
+            botId: depositData.botId,
+            items: refundableItems.map(i => ({
+                assetId: assetIdMap.get(i.assetid), originalAssetId: i.assetid,
+                name: i.name, image: i.image, price: i.price
+            })),
+            totalValue: refundableItems.reduce((sum, i) => sum + i.price, 0),
+            reason: unresolvedCount > 0 ? `${reason} (${unresolvedCount} item(s) pending manual review)` : reason
         });
-} else {
-    console.warn("WARN: Steam Bot not configured. Trading features will be disabled.");
-    isBotReady = false;
+    } catch (err) {
+        console.error(`REFUND_ERROR: Failed to queue refund for deposit ${depositData.depositId} (Offer #${offer.id}). Deposit stays flagged for manual review:`, err);
+        return null;
+    }
+    await recordLedgerEntry({
+        type: 'deposit', debitAccount: 'custody', creditAccount: userAccount(depositData.userId),
+        amount: refund.totalValue, roundId: depositData.roundId, userId: depositData.userId,
+        assetIds: refund.items.map(i => i.assetId), offerId: offer.id,
+        idempotencyKey: `deposit:${depositData.depositId}`, memo: `Not credited: ${reason}`
+    });
+    console.log(`LOG_INFO: Queued refund ${refund.refundId} (${refund.items.length} items, $${refund.totalValue.toFixed(2)}) for deposit ${depositData.depositId}. Reason: ${reason}`);
+    io.to(depositData.userId.toString()).emit('refundUpdated', formatRefundForClient(refund));
+    sendRefundOffer(refund.refundId).catch(err => console.error(`REFUND_ERROR: Unexpected error sending refund ${refund.refundId}:`, err));
+    return refund;
 }
 
-
-let currentRound = null;
-let roundTimer = null;
+async function sendRefundOffer(refundId) {
+    if (refundsInFlight.has(refundId)) return;
+    refundsInFlight.add(refundId);
+    try {
+        const queued = await Refund.findOne({ refundId, status: 'queued' }).select('userId botId').lean();
+        if (!queued) return;
+        const user = await User.findById(queued.userId).select('tradeUrl username').lean();
+
+        if (!user || !user.tradeUrl) {
+            // Stays queued; it is retried when the user saves a trade URL
+            await Refund.updateOne({ _id: queued._id }, { $set: { lastError: 'No trade URL set' } });
+            io.to(queued.userId.toString()).emit('notification', { type: 'warning', message: 'You have a pending refund. Please set your Steam Trade URL in your profile to receive it.' });
+            return;
+        }
+        const refund = await Refund.findOneAndUpdate(
+            { _id: queued._id, status: 'queued' },
+            { $inc: { attempts: 1 } },
+            { new: true }
+        );
+        if (!refund) return;
+
+        const bot = tradeBots.get(refund.botId); // Only the bot holding the items can return them
+        try {
+            await bot.ensureReady();
+            const offer = bot.createOffer(user.tradeUrl);
+            offer.addMyItems(refund.items.map(item => ({ assetid: String(item.assetId), appid: RUST_APP_ID, contextid: String(RUST_CONTEXT_ID) })));
+            offer.setMessage(`Refund from ${process.env.SITE_NAME || 'Our Site'} | RefundID: ${refund.refundId}`);
+
+            const sendStatus = await bot.sendOffer(offer);
+            await Refund.updateOne({ _id: refund._id }, { $set: { status: 'sent', offerId: offer.id, sentAt: new Date(), lastError: null } });
+            console.log(`LOG_SUCCESS: Refund ${refund.refundId} sent to ${user.username} as offer #${offer.id}. Status: ${sendStatus}`);
+
+            if (sendStatus === 'pending' || offer.state === TradeOfferManager.ETradeOfferState.CreatedNeedsConfirmation) {
+                const confirmResult = await confirmTradeOffer(offer.id, 'refund', bot.id);
+                if (!confirmResult.success) console.warn(`WARN: Refund offer #${offer.id} needs manual bot confirmation: ${confirmResult.error}`);
+            }
+            const updated = await Refund.findById(refund._id).lean();
+            io.to(refund.userId.toString()).emit('refundUpdated', formatRefundForClient(updated));
+            io.to(refund.userId.toString()).emit('notification', { type: 'info', message: `Your refund of ${refund.items.length} item(s) has been sent (Offer #${offer.id}). Please accept it on Steam.` });
+        } catch (error) {
+            // Same EResult classification as payouts: only transient failures are worth another attempt
+            const permanent = classifyPayoutError(error).kind === 'permanent';
+            const giveUp = permanent || refund.attempts > MAX_TRADE_RETRY_ATTEMPTS;
+            console.error(`REFUND_ERROR: Attempt ${refund.attempts} to send refund ${refund.refundId} failed: EResult ${error.eresult}, Msg: ${error.message}${giveUp ? '. Marking as failed.' : '. Will retry.'}`);
+            await Refund.updateOne({ _id: refund._id }, { $set: {
+                lastError: error.eresult ? `Steam error ${error.eresult}: ${error.message}` : error.message,
+                ...(giveUp ? { status: 'failed', resolvedAt: new Date() } : {})
+            } });
+            if (giveUp) {
+                const updated = await Refund.findById(refund._id).lean();
+                if (updated.source === 'round_error') await updateRoundErrorRefundProgress(updated.roundId);
+                io.to(refund.userId.toString()).emit('refundUpdated', formatRefundForClient(updated));
+                io.to(refund.userId.toString()).emit('notification', { type: 'error', message: 'We could not send your refund. You can retry it from your profile or contact support.' });
+            } else {
+                setTimeout(() => sendRefundOffer(refundId).catch(e => console.error(`REFUND_ERROR: Retry of refund ${refundId} failed:`, e)), REFUND_RETRY_DELAY_MS);
+            }
+        }
+    } finally {
+        refundsInFlight.delete(refundId);
+    }
+}
+
+async function handleRefundOfferChanged(offer, refundId) {
+    const state = offer.state;
+    let update = null;
+    if (state === TradeOfferManager.ETradeOfferState.Accepted) {
+        update = { status: 'accepted', resolvedAt: new Date() };
+    } else if ([
+        TradeOfferManager.ETradeOfferState.Declined,
+        TradeOfferManager.ETradeOfferState.Canceled,
+        TradeOfferManager.ETradeOfferState.Expired,
+        TradeOfferManager.ETradeOfferState.InvalidItems,
+        TradeOfferManager.ETradeOfferState.CanceledBySecondFactor
+        ].includes(state)) {
+        update = { status: 'failed', lastError: `Offer ${TradeOfferManager.ETradeOfferState[state]}`, resolvedAt: new Date() };
+    }
+    if (!update) return;
+
+    const refund = await Refund.findOneAndUpdate(
+        { refundId, offerId: offer.id, status: 'sent' },
+        { $set: update },
+        { new: true }
+    ).lean();
+    if (!refund) return;
+    console.log(`LOG_INFO: Refund ${refundId} (Offer #${offer.id}) is now ${refund.status}.`);
+    if (refund.status === 'accepted') {
+        await recordLedgerEntry({
+            type: 'refund', debitAccount: userAccount(refund.userId),
+            creditAccount: refund.source === 'round_error' ? potAccount(refund.roundId) : 'custody',
+            amount: refund.totalValue, roundId: refund.roundId, userId: refund.userId,
+            assetIds: refund.items.map(i => i.assetId), offerId: offer.id, idempotencyKey: `refund:${refund.refundId}`
+        });
+    }
+    if (refund.source === 'round_error') {
+        updateRoundErrorRefundProgress(refund.roundId).catch(e => console.error(`REFUND_ERROR: Failed to update error refund progress for round ${refund.roundId}:`, e));
+    }
+    io.to(refund.userId.toString()).emit('refundUpdated', formatRefundForClient(refund));
+    io.to(refund.userId.toString()).emit('notification', refund.status === 'accepted'
+        ? { type: 'success', message: `Refund offer #${offer.id} accepted. Your items have been returned.` }
+        : { type: 'error', message: `Refund offer #${offer.id} was ${TradeOfferManager.ETradeOfferState[state].toLowerCase()}. You can retry it from your profile.` });
+}
+
+// On startup, resend queued refunds and settle sent ones whose offers changed while we were down.
+async function resumeRefunds() {
+    const openRefunds = await Refund.find({ status: { $in: ['queued', 'sent'] } }).lean();
+    if (openRefunds.length === 0) return;
+    console.log(`LOG_INFO (Refunds): Resuming ${openRefunds.length} open refund(s)...`);
+    for (const refund of openRefunds) {
+        if (refund.status === 'queued') {
+            await sendRefundOffer(refund.refundId).catch(err => console.error(`REFUND_ERROR: Failed to resume refund ${refund.refundId}:`, err));
+            continue;
+        }
+        const offer = await tradeBots.get(refund.botId).getOffer(refund.offerId).catch(err => {
+            console.warn(`WARN (Refunds): Could not fetch offer ${refund.offerId} for refund ${refund.refundId}:`, err.message);
+            return null;
+        });
+        if (offer) await handleRefundOfferChanged(offer, refund.refundId);
+    }
+}
+
+function formatRefundForClient(refund) {
+    if (!refund) return null;
+    return {
+        refundId: refund.refundId,
+        status: refund.status,
+        offerId: refund.offerId,
+        offerURL: refund.offerId && tradeBots ? tradeBots.get(refund.botId).offerUrl(refund.offerId) : null,
+        itemCount: refund.items.length,
+        totalValue: refund.totalValue,
+        reason: refund.reason,
+        lastError: refund.lastError,
+        createdAt: refund.createdAt,
+        resolvedAt: refund.resolvedAt
+    };
+}
+
+// --- House Inventory ---
+const HOUSE_VALUATION_INTERVAL_MS = 60 * 60 * 1000;
+
+// Records a round's tax items as house items. Safe to repeat: items already recorded are skipped.
+async function recordHouseItems(roundMongoId, taxedItems) {
+    if (!taxedItems || taxedItems.length === 0) return;
+    const docs = taxedItems.map(item => ({
+        item: item._id, roundId: roundMongoId, assetId: item.assetId || null, name: item.name,
+        image: item.image, botId: item.botId || tradeBots.defaultBotId, taxedValue: item.price || 0
+    }));
+    try {
+        await HouseItem.insertMany(docs, { ordered: false });
+    } catch (err) {
+        if (err.code !== 11000 && !(err.writeErrors || []).every(e => e.code === 11000)) throw err;
+    }
+}
+
+function formatHouseItemForClient(houseItem) {
+    const currentPrice = getItemPrice(houseItem.name);
+    return {
+        id: houseItem._id,
+        assetId: houseItem.assetId,
+        name: houseItem.name,
+        image: houseItem.image,
+        botId: houseItem.botId,
+        roundId: houseItem.roundId?.roundId ?? houseItem.roundId,
+        status: houseItem.status,
+        taxedValue: houseItem.taxedValue,
+        currentPrice,
+        unrealizedGain: currentPrice - houseItem.taxedValue,
+        withdrawalId: houseItem.withdrawalId,
+        withdrawalOfferId: houseItem.withdrawalOfferId,
+        withdrawnAt: houseItem.withdrawnAt,
+        realizedValue: houseItem.realizedValue,
+        paidOutRoundId: houseItem.paidOutRoundId,
+        createdAt: houseItem.createdAt
+    };
+}
+
+// Book, marked-to-market and realized value of the house right now
+async function houseValuation() {
+    const [held, realized] = await Promise.all([
+        HouseItem.find({ status: { $in: ['held', 'withdrawing'] } }).select('name taxedValue').lean(),
+        HouseItem.aggregate([
+            { $match: { status: 'withdrawn' } },
+            { $group: { _id: null, value: { $sum: { $ifNull: ['$realizedValue', 0] } }, bookValue: { $sum: '$taxedValue' }, count: { $sum: 1 } } }
+        ])
+    ]);
+    return {
+        heldCount: held.length,
+        bookValue: held.reduce((sum, item) => sum + item.taxedValue, 0),
+        markedValue: held.reduce((sum, item) => sum + getItemPrice(item.name), 0),
+        realizedToDate: realized[0]?.value || 0,
+        withdrawnCount: realized[0]?.count || 0,
+        withdrawnBookValue: realized[0]?.bookValue || 0
+    };
+}
+
+async function recordHouseValuation() {
+    const valuation = await houseValuation();
+    const date = new Date().toISOString().slice(0, 10);
+    await HouseValuation.updateOne(
+        { date },
+        { $set: { heldCount: valuation.heldCount, bookValue: valuation.bookValue, markedValue: valuation.markedValue, realizedToDate: valuation.realizedToDate, takenAt: new Date() } },
+        { upsert: true }
+    );
+}
+
+/**
+ * Sends house items to `tradeUrl`, one offer per bot holding them. Items are marked 'withdrawing'
+ * before their offer is sent so two withdrawals can't take the same item.
+ * @returns {Promise<{ withdrawalId: string, offers: Array, failed: Array, skipped: Array }>}
+ */
+async function withdrawHouseItems(houseItemIds, tradeUrl, adminSteamId) {
+    const withdrawalId = uuidv4();
+    const filter = { status: 'held' };
+    if (houseItemIds) filter._id = { $in: houseItemIds };
+    const candidates = await HouseItem.find(filter).select('_id assetId name').lean();
+    const skipped = candidates.filter(item => !item.assetId).map(item => ({ id: item._id, name: item.name, reason: 'Asset ID was never resolved' }));
+    const withdrawable = candidates.filter(item => item.assetId).map(item => item._id);
+
+    await HouseItem.updateMany(
+        { _id: { $in: withdrawable }, status: 'held' },
+        { $set: { status: 'withdrawing', withdrawalId, withdrawnBy: adminSteamId } }
+    );
+    const claimed = await HouseItem.find({ withdrawalId, status: 'withdrawing' }).lean();
+
+    const byBot = new Map();
+    for (const item of claimed) {
+        const botId = item.botId || tradeBots.defaultBotId;
+        if (!byBot.has(botId)) byBot.set(botId, []);
+        byBot.get(botId).push(item);
+    }
+
+    const offers = [];
+    const failed = [];
+    for (const [botId, items] of byBot) {
+        const itemIds = items.map(item => item._id);
+        try {
+            const bot = tradeBots.get(botId);
+            await bot.ensureReady();
+            const offer = bot.createOffer(tradeUrl);
+            offer.addMyItems(items.map(item => ({ assetid: String(item.assetId), appid: RUST_APP_ID, contextid: String(RUST_CONTEXT_ID) })));
+            offer.setMessage(`House withdrawal from ${process.env.SITE_NAME || 'Our Site'} | HouseWithdrawalID: ${withdrawalId}`);
+            const sendStatus = await bot.sendOffer(offer);
+            tradeBots.touch(bot.id);
+            await HouseItem.updateMany({ _id: { $in: itemIds } }, { $set: { withdrawalOfferId: offer.id } });
+            if (sendStatus === 'pending' || offer.state === TradeOfferManager.ETradeOfferState.CreatedNeedsConfirmation) {
+                const confirmResult = await confirmTradeOffer(offer.id, 'house-withdrawal', bot.id);
+                if (!confirmResult.success) console.warn(`WARN: House withdrawal offer #${offer.id} needs manual bot confirmation: ${confirmResult.error}`);
+            }
+            console.log(`LOG_SUCCESS: House withdrawal ${withdrawalId}: offer #${offer.id} from bot '${botId}' with ${items.length} item(s) sent by admin ${adminSteamId}.`);
+            offers.push({ botId, offerId: offer.id, offerURL: bot.offerUrl(offer.id), itemCount: items.length, value: items.reduce((sum, item) => sum + getItemPrice(item.name), 0) });
+        } catch (error) {
+            console.error(`PAYOUT_ERROR: House withdrawal ${withdrawalId} from bot '${botId}' failed: EResult ${error.eresult}, Msg: ${error.message}`);
+            await HouseItem.updateMany(
+                { _id: { $in: itemIds }, status: 'withdrawing' },
+                { $set: { status: 'held' }, $unset: { withdrawalId: 1, withdrawalOfferId: 1, withdrawnBy: 1 } }
+            );
+            failed.push({ botId, itemCount: items.length, error: error.message });
+        }
+    }
+    return { withdrawalId, offers, failed, skipped };
+}
+
+async function handleHouseWithdrawalChanged(offer, withdrawalId) {
+    const state = offer.state;
+    const filter = { withdrawalId, withdrawalOfferId: offer.id, status: 'withdrawing' };
+    if (state === TradeOfferManager.ETradeOfferState.Accepted) {
+        const items = await HouseItem.find(filter).lean();
+        if (items.length === 0) return;
+        const withdrawnAt = new Date();
+        for (const item of items) {
+            await HouseItem.updateOne({ _id: item._id, status: 'withdrawing' }, { $set: { status: 'withdrawn', withdrawnAt, realizedValue: getItemPrice(item.name) } });
+        }
+        const bookValue = items.reduce((sum, item) => sum + item.taxedValue, 0);
+        await recordLedgerEntry({
+            type: 'house_withdrawal', debitAccount: `admin:${items[0].withdrawnBy}`, creditAccount: 'house',
+            amount: bookValue, itemIds: items.map(item => item.item), assetIds: items.map(item => item.assetId),
+            offerId: offer.id, idempotencyKey: `house_withdrawal:${withdrawalId}:${offer.id}`
+        });
+        console.log(`LOG_SUCCESS: House withdrawal ${withdrawalId} (Offer #${offer.id}) accepted: ${items.length} item(s), book value $${bookValue.toFixed(2)}.`);
+    } else if ([
+        TradeOfferManager.ETradeOfferState.Declined,
+        TradeOfferManager.ETradeOfferState.Canceled,
+        TradeOfferManager.ETradeOfferState.Expired,
+        TradeOfferManager.ETradeOfferState.InvalidItems,
+        TradeOfferManager.ETradeOfferState.CanceledBySecondFactor
+        ].includes(state)) {
+        const result = await HouseItem.updateMany(filter, { $set: { status: 'held' }, $unset: { withdrawalId: 1, withdrawalOfferId: 1, withdrawnBy: 1 } });
+        if (result.modifiedCount > 0) {
+            console.warn(`WARN: House withdrawal ${withdrawalId} (Offer #${offer.id}) was ${TradeOfferManager.ETradeOfferState[state]}. ${result.modifiedCount} item(s) are held again.`);
+        }
+    }
+}
+
+// --- Round Error Recovery ---
+// Rounds that end in 'error' keep their items in the bots. This job returns each participant's own items:
+// one refund per user and holding bot, keyed by sourceKey so re-runs (restarts, the interval) never
+// duplicate them. Rounds that errored before the state machine existed have no transition history
+// and are only refunded when an admin starts it (they may have been settled by hand).
+const ROUND_ERROR_RECOVERY_INTERVAL_MS = 2 * 60 * 1000;
+let roundErrorRecoveryRunning = false;
+
+async function queueRoundErrorRefunds(round) {
+    const items = await Item.find({ roundId: round._id }).lean();
+    const unresolved = items.filter(item => !item.assetId);
+    const groups = new Map(); // `${ownerId}:${botId}` -> items
+    for (const item of items) {
+        if (!item.assetId) continue;
+        const key = `${item.owner}:${item.botId || 'default'}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    }
+    const owners = await User.find({ _id: { $in: [...new Set(items.map(i => i.owner.toString()))] } }).select('steamId').lean();
+    const steamIdByUser = new Map(owners.map(u => [u._id.toString(), u.steamId]));
+
+    await Round.updateOne(
+        { _id: round._id, 'errorRefund.status': null },
+        { $set: { 'errorRefund.status': 'in_progress', 'errorRefund.startedAt': new Date(), 'errorRefund.unresolvedItems': unresolved.length } }
+    );
+    if (unresolved.length > 0) {
+        console.error(`REFUND_ERROR: Round ${round.roundId} has ${unresolved.length} item(s) without a bot asset ID. They must be returned manually.`);
+    }
+
+    const notifiedUsers = new Set();
+    for (const [key, groupItems] of groups) {
+        const ownerId = groupItems[0].owner.toString();
+        const result = await Refund.findOneAndUpdate(
+            { sourceKey: `round_error:${round._id}:${key}` },
+            { $setOnInsert: {
+                refundId: uuidv4(),
+                source: 'round_error',
+                userId: ownerId,
+                steamId: steamIdByUser.get(ownerId),
+                roundId: round._id,
+                botId: groupItems[0].botId,
+                items: groupItems.map(i => ({ assetId: i.assetId, originalAssetId: i.originalAssetId, name: i.name, image: i.image, price: i.price })),
+                itemIds: groupItems.map(i => i._id),
+                totalValue: groupItems.reduce((sum, i) => sum + i.price, 0),
+                reason: `Round #${round.roundId} ended in an error`
+            } },
+            { upsert: true, new: true, includeResultMetadata: true }
+        );
+        if (result.lastErrorObject?.updatedExisting) continue;
+        const refund = result.value;
+        console.log(`LOG_INFO: Queued error refund ${refund.refundId} for round ${round.roundId}: ${refund.items.length} item(s), $${refund.totalValue.toFixed(2)} to user ${ownerId}.`);
+        if (!notifiedUsers.has(ownerId)) {
+            notifiedUsers.add(ownerId);
+            io.to(ownerId).emit('notification', { type: 'warning', message: `Round #${round.roundId} could not be completed because of an internal error. Your items are being returned to you.` });
+        }
+        io.to(ownerId).emit('refundUpdated', formatRefundForClient(refund));
+        sendRefundOffer(refund.refundId).catch(err => console.error(`REFUND_ERROR: Unexpected error sending refund ${refund.refundId}:`, err));
+    }
+}
+
+// Recomputes a round's errorRefund.status from its refunds: completed once every refund was accepted,
+// needs_review once nothing is in flight but something failed or could not be refunded.
+async function updateRoundErrorRefundProgress(roundObjectId) {
+    const round = await Round.findById(roundObjectId).select('roundId errorRefund').lean();
+    if (!round || !round.errorRefund?.status) return;
+    const refunds = await Refund.find({ roundId: roundObjectId, source: 'round_error' }).select('status').lean();
+    const open = refunds.filter(r => r.status === 'queued' || r.status === 'sent').length;
+    const failed = refunds.filter(r => r.status === 'failed').length;
+    let status = 'in_progress';
+    if (open === 0) status = failed > 0 || round.errorRefund.unresolvedItems > 0 ? 'needs_review' : 'completed';
+    if (status === round.errorRefund.status) return;
+    await Round.updateOne({ _id: roundObjectId }, { $set: {
+        'errorRefund.status': status,
+        ...(status === 'completed' ? { 'errorRefund.completedAt': new Date() } : {})
+    } });
+    console.log(`LOG_INFO: Error refunds for round ${round.roundId} are now ${status}.`);
+}
+
+async function runRoundErrorRecovery() {
+    if (roundErrorRecoveryRunning || !isBotReady()) return;
+    roundErrorRecoveryRunning = true;
+    try {
+        const rounds = await Round.find({
+            status: 'error',
+            'transitions.to': 'error',
+            'errorRefund.status': { $in: [null, 'in_progress'] }
+        }).select('_id roundId errorRefund').lean();
+        for (const round of rounds) {
+            try {
+                await queueRoundErrorRefunds(round);
+                await updateRoundErrorRefundProgress(round._id);
+            } catch (err) {
+                console.error(`REFUND_ERROR: Error recovery for round ${round.roundId} failed:`, err);
+            }
+        }
+    } finally {
+        roundErrorRecoveryRunning = false;
+    }
+}
+
+function setupTradeEventHandlers() {
+    if (!tradeBots) return;
+
+    // The pool re-emits every bot's events with the bot as the last argument
+    tradeBots.on('newOffer', async (offer) => {
+        console.log(`LOG_DEBUG: manager.on('newOffer') received. Offer ID: ${offer.id}, Partner: ${offer.partner.getSteamID64()}, Our Offer: ${offer.isOurOffer}`);
+        if (!isBotReady() || offer.isOurOffer) {
+            if (offer.isOurOffer) console.log(`LOG_DEBUG: Ignoring newOffer event for our own offer #${offer.id} (likely a deposit or payout).`);
+            else console.log(`LOG_DEBUG: Ignoring newOffer event #${offer.id} because bot not ready.`);
+            return;
+        }
+        // If it's not our offer and items are being given to us (potential donation or mistake)
+        if (offer.itemsToReceive.length > 0 && offer.itemsToGive.length === 0) {
+            if (offer.message && offer.message.includes('DepositID:')) { // Should not happen if !offer.isOurOffer
+                console.log(`LOG_WARN: Received a 'newOffer' that looks like a deposit response (ID in message), but it's not our offer. Offer #${offer.id}. Declining.`);
+            } else {
+                console.log(`LOG_WARN: Received unsolicited item offer #${offer.id} from ${offer.partner.getSteamID64()}. Declining.`);
+            }
+            return offer.decline((err) => { if (err) console.error(`LOG_ERROR: Error declining unsolicited/unexpected newOffer ${offer.id}:`, err); });
+        }
+        console.log(`LOG_INFO: Ignoring other unexpected incoming offer #${offer.id} from ${offer.partner.getSteamID64()}. Message: "${offer.message}"`);
+        offer.decline(err => { if(err) console.error(`Error declining other unexpected newOffer ${offer.id}:`, err); });
+    });
+
+    // MODIFIED sentOfferChanged handler
+    tradeBots.on('sentOfferChanged', async (offer, oldState, bot) => {
+        console.log(`LOG_INFO: Bot '${bot.id}' sentOffer #${offer.id} state changed: ${TradeOfferManager.ETradeOfferState[oldState]} -> ${TradeOfferManager.ETradeOfferState[offer.state]} (Partner: ${offer.partner.getSteamID64()}) Msg: "${offer.message}"`);
+
+        const refundIdMatch = offer.message.match(/RefundID: ([a-f0-9-]+)/i);
+        if (refundIdMatch) {
+            await handleRefundOfferChanged(offer, refundIdMatch[1])
+                .catch(err => console.error(`DB_ERROR: Error updating refund for offer #${offer.id}:`, err));
+            return;
+        }
+
+        const houseWithdrawalMatch = offer.message.match(/HouseWithdrawalID: ([a-f0-9-]+)/i);
+        if (houseWithdrawalMatch) {
+            await handleHouseWithdrawalChanged(offer, houseWithdrawalMatch[1])
+                .catch(err => console.error(`DB_ERROR: Error updating house withdrawal for offer #${offer.id}:`, err));
+            return;
+        }
+
+        const depositIdMatch = offer.message.match(/DepositID: ([a-f0-9-]+)/i);
+        const depositIdFromMessage = depositIdMatch ? depositIdMatch[1] : null;
+        let depositData = null;
+
+        if (depositIdFromMessage) {
+            try {
+                depositData = await PendingDeposit.findOne({ depositId: depositIdFromMessage }).lean();
+            } catch (dbErr) {
+                console.error(`DB_ERROR: Failed to load pending deposit ${depositIdFromMessage} for offer #${offer.id}:`, dbErr);
+                return;
+            }
+            if (depositData && depositData.offerId && depositData.offerId !== offer.id) {
+                console.warn(`WARN: Offer ID mismatch for DepositID ${depositIdFromMessage}. Tracked: ${depositData.offerId}, Event: ${offer.id}. This is unusual. Ignoring event.`);
+                depositData = null;
+            }
+        }
+
+        // --- Handle DEPOSIT offers ---
+        if (depositData) {
+            console.log(`LOG_DEBUG: Offer #${offer.id} matched pending deposit ${depositIdFromMessage} (status: ${depositData.status}).`);
+
+            if (offer.state === TradeOfferManager.ETradeOfferState.Accepted) {
+                const claimed = await claimAcceptedDeposit(depositIdFromMessage, offer.id);
+                if (!claimed) {
+                    console.log(`LOG_INFO: Deposit ${depositIdFromMessage} (Offer #${offer.id}) was already processed. Skipping.`);
+                    return;
+                }
+                await processAcceptedDeposit(offer, claimed);
+            } else if ([
+                TradeOfferManager.ETradeOfferState.Declined,
+                TradeOfferManager.ETradeOfferState.Canceled,
+                TradeOfferManager.ETradeOfferState.Expired,
+                TradeOfferManager.ETradeOfferState.InvalidItems
+                ].includes(offer.state)) {
+
+                console.warn(`WARN: Deposit offer ${offer.id} (DepositID: ${depositIdFromMessage}) for user ${depositData.steamId} was ${TradeOfferManager.ETradeOfferState[offer.state]}.`);
+                if (await resolveUnacceptedDeposit(depositData, offer)) {
+                    const stateMessage = TradeOfferManager.ETradeOfferState[offer.state].toLowerCase().replace(/_/g, ' ');
+                    io.to(depositData.userId.toString()).emit('notification', { type: 'error', message: `Your deposit offer (#${offer.id}) was ${stateMessage}.` });
+                }
+            } else {
+                console.log(`LOG_DEBUG: Deposit Offer #${offer.id} (DepositID: ${depositIdFromMessage}) changed to unhandled state: ${TradeOfferManager.ETradeOfferState[offer.state]}`);
+            }
+        }
+        // --- Handle PAYOUT offers (winnings) ---
+        else {
+            await handlePayoutOfferChanged(offer)
+                .catch(err => console.error(`DB_ERROR: Error updating payout status for offer #${offer.id} in DB:`, err));
+        }
+    });
+}
+
+if (isBotConfigured) {
+    console.log(`LOG_INFO: Trade backend '${tradeBots.name}' is configured with ${tradeBots.size} bot(s). Starting them...`);
+    setupTradeEventHandlers();
+    tradeBots.start()
+        .then(async () => {
+            console.log(`LOG_SUCCESS: Initial bot login successful (${tradeBots.healthyBots().length}/${tradeBots.size} bots ready).`);
+            await resumeInterruptedRounds().catch(err => console.error("ERROR: Resuming interrupted rounds failed:", err));
+            await ensureInitialRound();
+            await reconcilePendingDeposits().catch(err => console.error("ERROR: Pending deposit reconciliation failed:", err));
+            await resumeRefunds().catch(err => console.error("ERROR: Resuming refunds failed:", err));
+            await resumePayoutJobs().catch(err => console.error("ERROR: Resuming payout jobs failed:", err));
+            await checkEscrowedPayouts().catch(err => console.error("ERROR: Checking escrowed payouts failed:", err));
+            await creditCarriedOverDeposits().catch(err => console.error("ERROR: Failed to credit carried-over deposits:", err));
+            await runRoundErrorRecovery().catch(err => console.error("ERROR: Round error recovery failed:", err));
+        })
+        .catch(err => {
+            console.error("CRITICAL_ERROR: Initial bot login failed:", err.message);
+        });
+} else {
+    console.warn("WARN: Steam Bot not configured. Trading features will be disabled.");
+}
+
+
+let currentRound = null;
+let roundTimer = null;
 let isRolling = false;
 
 const priceCache = new NodeCache({ stdTTL: PRICE_CACHE_TTL_SECONDS, checkperiod: PRICE_CACHE_TTL_SECONDS * 0.2, useClones: false });
@@ -1112,36 +1902,43 @@ async function createNewRound() {
 
     try {
         isRolling = false;
-        const serverSeed = crypto.randomBytes(32).toString('hex');
+        const { serverSeed, chainId, index } = await seedChain.nextSeed();
         const serverSeedHash = crypto.createHash('sha256').update(serverSeed).digest('hex');
 
         const lastRound = await Round.findOne().sort('-roundId');
         const nextRoundId = lastRound ? lastRound.roundId + 1 : 1;
 
-        const newRound = new Round({
+        const pendingRound = await roundMachine.create({
             roundId: nextRoundId,
-            status: 'active',
-            startTime: new Date(),
             serverSeed: serverSeed,
             serverSeedHash: serverSeedHash,
+            seedChain: { chainId, index },
+            fairnessVersion: fairness.CURRENT_FAIRNESS_VERSION,
+            ticketAllocation: 'deposits',
             items: [],
+            deposits: [],
             participants: [],
             totalValue: 0,
             payoutOfferStatus: 'Unknown'
         });
-        await newRound.save();
-        currentRound = newRound.toObject();
+        const newRound = await roundMachine.transition(pendingRound._id, 'pending', 'active', { set: { startTime: new Date() }, reason: 'Opened for deposits' });
+        if (!newRound) throw new Error(`Round ${nextRoundId} left 'pending' before it could be opened.`);
+        currentRound = newRound;
 
         io.emit('roundCreated', {
             roundId: newRound.roundId,
             serverSeedHash: newRound.serverSeedHash,
+            seedChain: newRound.seedChain,
+            fairnessVersion: newRound.fairnessVersion,
             timeLeft: ROUND_DURATION,
+            ...roundTimerFields(newRound),
             totalValue: 0,
             participants: [],
             items: []
         });
         console.log(`LOG_SUCCESS: --- Round ${newRound.roundId} created and active ---`);
-        return newRound.toObject();
+        creditCarriedOverDeposits().catch(err => console.error("ERROR: Failed to credit carried-over deposits:", err));
+        return newRound;
     } catch (err) {
         console.error('FATAL_ERROR: Error creating new round:', err);
         setTimeout(createNewRound, 10000);
@@ -1149,8 +1946,40 @@ async function createNewRound() {
     }
 }
 
+// Finishes what a restart interrupted: opens a round that was created but never activated and
+// completes a roll. The client seed is stored when rolling starts, so a resumed roll picks the same winner.
+async function resumeInterruptedRounds() {
+    const interrupted = await roundMachine.findInterrupted();
+    for (const round of interrupted) {
+        try {
+            if (round.status === 'pending') {
+                if (await Round.exists({ status: 'active' })) {
+                    await roundMachine.transition(round._id, 'pending', 'error', { reason: 'Never opened; another round is active' });
+                } else {
+                    await roundMachine.transition(round._id, 'pending', 'active', { set: { startTime: new Date() }, reason: 'Opened on restart' });
+                }
+                continue;
+            }
+            console.warn(`WARN: Round ${round.roundId} was rolling when the server stopped. Resuming the roll...`);
+            isRolling = true;
+            try {
+                await rollRound(round._id);
+            } catch (err) {
+                console.error(`CRITICAL_ERROR: Resumed roll of round ${round.roundId} failed:`, err);
+                await roundMachine.transition(round._id, 'rolling', 'error', { set: { payoutOfferStatus: 'Failed' }, reason: `Resumed roll failed: ${err.message}` });
+                io.emit('roundError', { roundId: round.roundId, error: 'Internal server error during round finalization.' });
+            } finally {
+                isRolling = false;
+                currentRound = null; // Finished; ensureInitialRound opens the next one
+            }
+        } catch (err) {
+            console.error(`ERROR: Failed to resume interrupted round ${round.roundId}:`, err);
+        }
+    }
+}
+
 async function ensureInitialRound() {
-    if (isBotConfigured && isBotReady) {
+    if (isBotConfigured && isBotReady()) {
         if (!currentRound) {
             try {
                 const existingActive = await Round.findOne({ status: 'active' })
@@ -1175,7 +2004,7 @@ async function ensureInitialRound() {
                 console.error("DB_ERROR: Error ensuring initial round:", dbErr);
             }
         }
-    } else if (isBotConfigured && !isBotReady) {
+    } else if (isBotConfigured && !isBotReady()) {
         console.log("LOG_INFO: Bot configured but not ready, skipping initial round check until bot is ready.");
     } else {
         console.log("LOG_INFO: Bot not configured, skipping initial round check.");
@@ -1183,8 +2012,31 @@ async function ensureInitialRound() {
 }
 
 
+// When the round's first deposit landed; the maximum round length counts from here
+function firstDepositAt(round) {
+    if (round.deposits?.length > 0) return round.deposits[0].createdAt;
+    return round.participants?.length > 0 ? round.startTime : null; // Rounds from before per-deposit records
+}
+
+// Timer rule fields shared by timerUpdate and roundData
+function roundTimerFields(round) {
+    const participantCount = round.participants?.length || 0;
+    return {
+        timerState: roundTiming.timerState(participantCount, !!round.endTime),
+        participantsNeeded: Math.max(0, roundTiming.minParticipants - participantCount),
+        timerExtendedSeconds: round.timerExtendedSeconds || 0,
+        closesAt: roundTiming.closesAt(firstDepositAt(round)),
+        timingRules: roundTiming.describe()
+    };
+}
+
+function emitTimerUpdate(timeLeft) {
+    io.emit('timerUpdate', { timeLeft, endTime: currentRound.endTime || null, ...roundTimerFields(currentRound) });
+}
+
 function startRoundTimer(useRemainingTime = false) {
     if (roundTimer) clearInterval(roundTimer);
+    roundTimer = null;
     if (!currentRound || currentRound.status !== 'active') {
         console.warn("WARN: Cannot start timer: No active round or round status invalid.");
         return;
@@ -1198,15 +2050,21 @@ function startRoundTimer(useRemainingTime = false) {
         timeLeft = Math.max(0, Math.floor((calculatedEndTime.getTime() - Date.now()) / 1000));
         console.log(`LOG_INFO: Resuming timer for round ${currentRound.roundId} with ${timeLeft}s remaining.`);
     } else {
-        timeLeft = ROUND_DURATION;
-        calculatedEndTime = new Date(Date.now() + ROUND_DURATION * 1000);
+        const planned = roundTiming.initialEndTime({ participantCount: currentRound.participants.length, firstDepositAt: firstDepositAt(currentRound) });
+        if (!planned) return; // Waiting for enough participants, with no maximum length to count down to
+        calculatedEndTime = planned.endTime;
+        timeLeft = Math.max(0, Math.floor((calculatedEndTime.getTime() - Date.now()) / 1000));
         currentRound.endTime = calculatedEndTime;
         Round.updateOne({ _id: currentRound._id }, { $set: { endTime: calculatedEndTime }})
             .catch(e => console.error(`DB_ERROR: Error saving round end time for round ${currentRound?.roundId}:`, e));
-        console.log(`LOG_INFO: Starting timer for round ${currentRound.roundId} (${ROUND_DURATION}s). End time: ${calculatedEndTime.toISOString()}`);
+        if (planned.reason === 'max_duration') {
+            console.log(`LOG_INFO: Round ${currentRound.roundId} is waiting for ${roundTiming.minParticipants} participants; it closes at its maximum length (${calculatedEndTime.toISOString()}).`);
+        } else {
+            console.log(`LOG_INFO: Starting timer for round ${currentRound.roundId} (${timeLeft}s). End time: ${calculatedEndTime.toISOString()}`);
+        }
     }
 
-    io.emit('timerUpdate', { timeLeft });
+    emitTimerUpdate(timeLeft);
 
     roundTimer = setInterval(async () => {
         if (!currentRound || currentRound.status !== 'active' || !currentRound.endTime) {
@@ -1218,16 +2076,68 @@ function startRoundTimer(useRemainingTime = false) {
         const now = Date.now();
         let currenttimeLeft = Math.max(0, Math.floor((new Date(currentRound.endTime).getTime() - now) / 1000));
 
-        io.emit('timerUpdate', { timeLeft: currenttimeLeft });
+        emitTimerUpdate(currenttimeLeft);
 
         if (currenttimeLeft <= 0) {
             clearInterval(roundTimer); roundTimer = null;
+            if (currentRound.participants.length < roundTiming.minParticipants) {
+                console.log(`LOG_INFO: Round ${currentRound.roundId} reached its maximum length with ${currentRound.participants.length} participant(s). Rolling anyway.`);
+            }
             console.log(`LOG_INFO: Round ${currentRound.roundId} timer reached zero.`);
             await endRound();
         }
     }, 1000);
 }
 
+// Starts the countdown once the round has enough participants, or extends it for a deposit that
+// landed in the anti-snipe window. `addedParticipant` is whether the deposit brought a new participant.
+async function updateRoundTimerAfterDeposit(addedParticipant) {
+    if (!currentRound || currentRound.status !== 'active' || isRolling) return;
+    const participantCount = currentRound.participants.length;
+    if (!roundTimer || (addedParticipant && participantCount === roundTiming.minParticipants)) {
+        startRoundTimer();
+        if (!roundTimer) emitTimerUpdate(ROUND_DURATION); // Still waiting; clients show how many more are needed
+        return;
+    }
+    if (participantCount < roundTiming.minParticipants) return; // Counting down to the maximum length; no extensions
+
+    const extension = roundTiming.extension({
+        endTime: currentRound.endTime,
+        extendedSeconds: currentRound.timerExtendedSeconds || 0,
+        firstDepositAt: firstDepositAt(currentRound)
+    });
+    if (!extension) return;
+    const updated = await Round.findOneAndUpdate(
+        { _id: currentRound._id, status: 'active', endTime: currentRound.endTime },
+        { $set: { endTime: extension.endTime }, $inc: { timerExtendedSeconds: extension.addedSeconds } },
+        { new: true }
+    ).select('endTime timerExtendedSeconds').lean();
+    if (!updated || isRolling) return;
+    currentRound.endTime = updated.endTime;
+    currentRound.timerExtendedSeconds = updated.timerExtendedSeconds;
+    console.log(`LOG_INFO: Late deposit extended round ${currentRound.roundId} by ${extension.addedSeconds}s (${updated.timerExtendedSeconds}s in total). New end time: ${updated.endTime.toISOString()}`);
+    emitTimerUpdate(Math.max(0, Math.floor((updated.endTime.getTime() - Date.now()) / 1000)));
+}
+
+
+function sha256Hex(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Client seed for a round about to roll, combined from participants' seeds in join order (see
+// lib/round/fairness). Only legacy rounds, with a participant who joined before participant seeds existed
+// (no seed and no seedSource), or rounds without participants fall back to a random server-side seed.
+// Every newer participant joins with their own seed, so a missing one is an error rather than a fallback.
+async function roundClientSeed(participants) {
+    const seeds = participants.map(p => p.clientSeed);
+    if (seeds.length > 0 && seeds.every(Boolean)) {
+        return { clientSeed: await fairness.deriveClientSeed(seeds, sha256Hex), clientSeedSource: 'participants' };
+    }
+    if (participants.some(p => !p.clientSeed && p.seedSource)) {
+        throw new Error('A participant has no client seed; refusing to roll on a server-chosen client seed.');
+    }
+    return { clientSeed: crypto.randomBytes(16).toString('hex'), clientSeedSource: 'server' };
+}
 
 async function endRound() {
     if (!currentRound || isRolling || currentRound.status !== 'active') {
@@ -1240,112 +2150,136 @@ async function endRound() {
     console.log(`LOG_INFO: --- Ending round ${roundIdToEnd}... ---`);
 
     try {
-        await Round.updateOne({ _id: roundMongoId }, { $set: { status: 'rolling', endTime: new Date() } });
-        io.emit('roundRolling', { roundId: roundIdToEnd });
-
-        const round = await Round.findById(roundMongoId)
-            .populate('participants.user', 'steamId username avatar tradeUrl _id') // Ensure _id is populated for winnerInfo
-            .populate('items')
-            .lean();
-
-        if (!round) throw new Error(`Round ${roundIdToEnd} data missing after status update.`);
-        if (round.status !== 'rolling') {
-            console.warn(`WARN: Round ${roundIdToEnd} status changed unexpectedly after marking as rolling. Aborting endRound.`);
-            isRolling = false; return;
-        }
-        currentRound = round; 
-
-        if (round.participants.length === 0 || round.items.length === 0 || round.totalValue <= 0) {
-            console.log(`LOG_INFO: Round ${round.roundId} ended with no valid participants or value.`);
-            await Round.updateOne({ _id: roundMongoId }, { $set: { status: 'completed', completedTime: new Date() } });
-            io.emit('roundCompleted', { roundId: round.roundId, message: "No participants or value." });
-            isRolling = false;
-            setTimeout(createNewRound, 5000);
+        const rollingRound = await roundMachine.transition(roundMongoId, 'active', 'rolling', {
+            set: { endTime: new Date() },
+            reason: 'Timer ended'
+        });
+        if (!rollingRound) {
+            console.warn(`WARN: Round ${roundIdToEnd} was no longer active when its timer ended. Aborting endRound.`);
             return;
         }
+        // Deposits are only credited to active rounds, so the participants returned by the transition are final.
+        // The client seed is stored now so a roll resumed after a restart picks the same winner.
+        await Round.updateOne({ _id: roundMongoId, status: 'rolling' }, { $set: await roundClientSeed(rollingRound.participants) });
+        io.emit('roundRolling', { roundId: roundIdToEnd });
+        await rollRound(roundMongoId);
+    } catch (err) {
+        console.error(`CRITICAL_ERROR: Error during endRound for round ${roundIdToEnd}:`, err);
+        await roundMachine.transition(roundMongoId, ['rolling', 'active'], 'error', { set: { payoutOfferStatus: 'Failed' }, reason: err.message })
+            .catch(e => console.error("DB_ERROR: Error marking round as error after endRound failure:", e));
+        io.emit('roundError', { roundId: roundIdToEnd, error: 'Internal server error during round finalization. All items will be returned to their owners.' });
+        runRoundErrorRecovery().catch(e => console.error("REFUND_ERROR: Round error recovery failed:", e));
+    } finally {
+        isRolling = false;
+        console.log(`LOG_INFO: Scheduling next round creation after round ${roundIdToEnd} finalization.`);
+        setTimeout(createNewRound, 10000); // Give some time before new round
+    }
+}
 
-        let finalItems = [...round.items]; 
-        let originalPotValue = round.totalValue;
-        let valueForWinner = originalPotValue;
-        let taxAmount = 0;
-        let taxedItemsInfo = []; 
-        let itemsToTakeForTaxIds = new Set(); 
-
-        const targetTaxValue = originalPotValue * (TAX_MIN_PERCENT / 100); 
-        const maxTaxValue = originalPotValue * (TAX_MAX_PERCENT / 100);   
-
-        if (originalPotValue > 0 && round.items && round.items.length > 0) {
-            const sortedItemsForTax = [...round.items].filter(item => typeof item.price === 'number').sort((a, b) => a.price - b.price);
-            let currentTaxValueAccumulated = 0;
-
-            for (const item of sortedItemsForTax) {
-                if (currentTaxValueAccumulated + item.price <= maxTaxValue) {
-                    itemsToTakeForTaxIds.add(item._id.toString());
-                    taxedItemsInfo.push({ assetId: item.assetId, name: item.name, price: item.price });
-                    currentTaxValueAccumulated += item.price;
+// Picks the winner of a 'rolling' round and moves it on. Throws on failure; callers mark the round 'error'.
+async function rollRound(roundMongoId) {
+    const round = await Round.findById(roundMongoId)
+        .populate('participants.user', 'steamId username avatar tradeUrl _id') // Ensure _id is populated for winnerInfo
+        .populate('items')
+        .lean();
 
-                    if (currentTaxValueAccumulated >= targetTaxValue) {
-                        break;
-                    }
-                } else {
-                    break;
-                }
-            }
+    if (!round) throw new Error(`Round ${roundMongoId} data missing after status update.`);
+    if (round.status !== 'rolling') {
+        console.warn(`WARN: Round ${round.roundId} is '${round.status}', not 'rolling'. Nothing to roll.`);
+        return;
+    }
+    currentRound = round;
 
-            if (itemsToTakeForTaxIds.size > 0 && currentTaxValueAccumulated >= targetTaxValue) {
-                finalItems = round.items.filter(item => !itemsToTakeForTaxIds.has(item._id.toString()));
-                taxAmount = currentTaxValueAccumulated;
-                valueForWinner = originalPotValue - taxAmount;
-                console.log(`LOG_INFO: Tax Applied for Round ${round.roundId}: $${taxAmount.toFixed(2)} (${itemsToTakeForTaxIds.size} items). Original Value: $${originalPotValue.toFixed(2)}. New Pot Value for Winner: $${valueForWinner.toFixed(2)}`);
-            } else {
-                if (itemsToTakeForTaxIds.size > 0 && currentTaxValueAccumulated < targetTaxValue) {
-                    console.log(`LOG_INFO: Tax not applied for Round ${round.roundId}. Collected $${currentTaxValueAccumulated.toFixed(2)} (${itemsToTakeForTaxIds.size} items), which is less than target ${targetTaxValue.toFixed(2)} (${TAX_MIN_PERCENT}%). Items will not be taxed.`);
-                } else if (itemsToTakeForTaxIds.size === 0) {
-                    console.log(`LOG_INFO: No suitable items found for tax in Round ${round.roundId} that fit within the ${TAX_MIN_PERCENT}-${TAX_MAX_PERCENT}% range of pot value $${originalPotValue.toFixed(2)}.`);
-                }
-                itemsToTakeForTaxIds.clear();
-                taxedItemsInfo = [];
-                taxAmount = 0;
-                valueForWinner = originalPotValue;
-                finalItems = [...round.items];
-            }
-        } else {
-            console.log(`LOG_INFO: Tax not applicable for Round ${round.roundId}: Pot value is $${originalPotValue.toFixed(2)} or no items in pot.`);
-        }
+    if (round.participants.length === 0 || round.items.length === 0 || round.totalValue <= 0) {
+        console.log(`LOG_INFO: Round ${round.roundId} ended with no valid participants or value.`);
+        await roundMachine.transition(roundMongoId, 'rolling', 'completed', { set: { completedTime: new Date() }, reason: 'No participants or value' });
+        io.emit('roundCompleted', { roundId: round.roundId, message: "No participants or value." });
+        return;
+    }
 
+    let clientSeed = round.clientSeed; // Normally stored as rolling started
+    if (!clientSeed) {
+        const clientSeedFields = await roundClientSeed(round.participants);
+        await Round.updateOne({ _id: roundMongoId, status: 'rolling' }, { $set: clientSeedFields });
+        clientSeed = clientSeedFields.clientSeed;
+    }
+    const { provableHash, totalTickets, winningTicket, winnerIndex } = await fairness.computeOutcome({ ...round, clientSeed }, sha256Hex);
+
+    if (totalTickets <= 0) throw new Error(`Cannot determine winner: Total tickets is zero for round ${round.roundId}.`);
+    const winningEntry = fairness.ticketEntries(round)[winnerIndex]; // The winning deposit, or participant for older rounds
+    const winnerParticipant = winningEntry // Full participant object: { user, itemsValue, tickets }
+        ? round.participants.find(p => p.user?._id.toString() === (winningEntry.user?._id || winningEntry.user).toString()) || null
+        : null;
+    const winnerInfo = winnerParticipant?.user || null; // User object: { _id, steamId, username, avatar, tradeUrl }
+
+    if (!winnerInfo || !winnerInfo._id) throw new Error(`Winner selection failed for round ${round.roundId}.`);
+
+    // Tax is decided once the winner is known, so a winner who was the only depositor can be waived
+    const originalPotValue = round.totalValue;
+    const winnerIdStr = winnerInfo._id.toString();
+    const soleDepositor = round.participants.every(p => (p.user?._id || p.user)?.toString() === winnerIdStr);
+    const taxAssessment = taxPolicy.assess({ potValue: originalPotValue, items: round.items, soleDepositor });
+    const itemsToTakeForTaxIds = new Set(taxAssessment.items.map(item => item._id.toString()));
+    const taxAmount = taxAssessment.amount;
+    const taxedItemsInfo = taxAssessment.items.map(item => ({ assetId: item.assetId, name: item.name, price: item.price }));
+    const finalItems = round.items.filter(item => !itemsToTakeForTaxIds.has(item._id.toString()));
+    const valueForWinner = originalPotValue - taxAmount;
+    const taxTierLabel = taxAssessment.tier ? `${taxAssessment.tier.minPercent}-${taxAssessment.tier.maxPercent}%` : 'no tier';
+
+    if (taxAssessment.reason === 'applied') {
+        console.log(`LOG_INFO: Tax Applied for Round ${round.roundId}: $${taxAmount.toFixed(2)} (${itemsToTakeForTaxIds.size} items, ${taxTierLabel}, ${taxAssessment.strategy}). Original Value: $${originalPotValue.toFixed(2)}. New Pot Value for Winner: $${valueForWinner.toFixed(2)}`);
+    } else if (taxAssessment.reason === 'no_fitting_items') {
+        console.warn(`WARN: Tax not applied for Round ${round.roundId}: no items fit the ${taxTierLabel} range ($${taxAssessment.targetValue.toFixed(2)}-$${taxAssessment.maxValue.toFixed(2)}) of pot value $${originalPotValue.toFixed(2)}.`);
+    } else {
+        console.log(`LOG_INFO: Tax not applicable for Round ${round.roundId} (${taxAssessment.reason}): Pot value is $${originalPotValue.toFixed(2)}.`);
+    }
 
-        const clientSeed = crypto.randomBytes(16).toString('hex');
-        const combinedString = round.serverSeed + clientSeed;
-        const provableHash = crypto.createHash('sha256').update(combinedString).digest('hex');
-        const decimalFromHash = parseInt(provableHash.substring(0, 8), 16);
-        const totalTickets = round.participants.reduce((sum, p) => sum + (p?.tickets || 0), 0);
+    const finalUpdateData = {
+        completedTime: new Date(), clientSeed: clientSeed,
+        provableHash: provableHash, winningTicket: winningTicket, winner: winnerInfo._id,
+        taxAmount: taxAmount, taxedItems: taxedItemsInfo,
+        taxDetails: { reason: taxAssessment.reason, minPercent: taxAssessment.tier?.minPercent, maxPercent: taxAssessment.tier?.maxPercent, strategy: taxAssessment.strategy },
+        totalValue: valueForWinner, // This is value for winner AFTER tax
+        items: finalItems.map(i => i._id), // Store only IDs of items going to winner
+        payoutOfferStatus: 'PendingAcceptanceByWinner'
+    };
 
-        if (totalTickets <= 0) throw new Error(`Cannot determine winner: Total tickets is zero for round ${round.roundId}.`);
-        const winningTicket = decimalFromHash % totalTickets;
-        let cumulativeTickets = 0;
-        let winnerInfo = null;
-        let winnerParticipant = null; // Store the whole participant object
+    const completedRound = await roundMachine.transition(roundMongoId, 'rolling', 'completed_pending_acceptance', {
+        set: finalUpdateData, reason: `Winner selected (ticket ${winningTicket}/${totalTickets})`
+    });
+    if (!completedRound) throw new Error("Failed to save completed round data.");
 
-        for (const participant of round.participants) {
-            if (!participant?.tickets || !participant.user) continue;
-            cumulativeTickets += participant.tickets;
-            if (winningTicket < cumulativeTickets) {
-                winnerInfo = participant.user; // User object: { _id, steamId, username, avatar, tradeUrl }
-                winnerParticipant = participant; // Full participant object: { user, itemsValue, tickets }
-                break;
-            }
-        }
+    // Stats and history are written only once the round has completed, so a resumed roll can't count them twice
+    await User.findByIdAndUpdate(winnerInfo._id, { $inc: { totalWinningsValue: valueForWinner } });
+    console.log(`LOG_INFO: Updated winnings stats for ${winnerInfo.username}: added $${valueForWinner.toFixed(2)}`);
 
-        if (!winnerInfo || !winnerInfo._id) throw new Error(`Winner selection failed for round ${round.roundId}.`);
+    // --- CHANGE 2 Start: Store Winner History ---
+    const winnerChance = (winnerParticipant && round.totalValue > 0) ? (winnerParticipant.itemsValue / originalPotValue) * 100 : 0;
 
-        await User.findByIdAndUpdate(winnerInfo._id, { $inc: { totalWinningsValue: valueForWinner } });
-        console.log(`LOG_INFO: Updated winnings stats for ${winnerInfo.username}: added $${valueForWinner.toFixed(2)}`);
+    await WinnerHistory.findOneAndUpdate(
+        { type: 'lastWinner' },
+        {
+            roundId: round.roundId,
+            winner: {
+                userId: winnerInfo._id,
+                username: winnerInfo.username,
+                avatar: winnerInfo.avatar,
+                steamId: winnerInfo.steamId
+            },
+            chance: winnerChance,
+            potValue: valueForWinner,
+            timestamp: new Date(), // Time of win
+            updatedAt: new Date()  // Time DB record updated
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
 
-        // --- CHANGE 2 Start: Store Winner History ---
-        const winnerChance = (winnerParticipant && round.totalValue > 0) ? (winnerParticipant.itemsValue / originalPotValue) * 100 : 0;
+    const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const currentHighest = await WinnerHistory.findOne({ type: 'highestPot24h' });
 
+    if (!currentHighest || currentHighest.updatedAt < twentyFourHoursAgo || valueForWinner > currentHighest.potValue) {
         await WinnerHistory.findOneAndUpdate(
-            { type: 'lastWinner' },
+            { type: 'highestPot24h' },
             {
                 roundId: round.roundId,
                 winner: {
@@ -1357,98 +2291,59 @@ async function endRound() {
                 chance: winnerChance,
                 potValue: valueForWinner,
                 timestamp: new Date(), // Time of win
-                updatedAt: new Date()  // Time DB record updated
+                updatedAt: new Date() // Time DB record updated
             },
             { upsert: true, new: true, setDefaultsOnInsert: true }
         );
+        console.log(`LOG_INFO: Updated highestPot24h winner to ${winnerInfo.username} for round ${round.roundId}.`);
+    }
+    // --- CHANGE 2 End ---
 
-        const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-        const currentHighest = await WinnerHistory.findOne({ type: 'highestPot24h' });
-
-        if (!currentHighest || currentHighest.updatedAt < twentyFourHoursAgo || valueForWinner > currentHighest.potValue) {
-            await WinnerHistory.findOneAndUpdate(
-                { type: 'highestPot24h' },
-                {
-                    roundId: round.roundId,
-                    winner: {
-                        userId: winnerInfo._id,
-                        username: winnerInfo.username,
-                        avatar: winnerInfo.avatar,
-                        steamId: winnerInfo.steamId
-                    },
-                    chance: winnerChance,
-                    potValue: valueForWinner,
-                    timestamp: new Date(), // Time of win
-                    updatedAt: new Date() // Time DB record updated
-                },
-                { upsert: true, new: true, setDefaultsOnInsert: true }
-            );
-            console.log(`LOG_INFO: Updated highestPot24h winner to ${winnerInfo.username} for round ${round.roundId}.`);
-        }
-        // --- CHANGE 2 End ---
-
-
-        const finalUpdateData = {
-            status: 'completed_pending_acceptance',
-            completedTime: new Date(), clientSeed: clientSeed,
-            provableHash: provableHash, winningTicket: winningTicket, winner: winnerInfo._id,
-            taxAmount: taxAmount, taxedItems: taxedItemsInfo,
-            totalValue: valueForWinner, // This is value for winner AFTER tax
-            items: finalItems.map(i => i._id), // Store only IDs of items going to winner
-            payoutOfferStatus: 'PendingAcceptanceByWinner'
-        };
+    if (taxAmount > 0) {
+        await recordLedgerEntry({
+            type: 'tax', debitAccount: 'house', creditAccount: potAccount(roundMongoId),
+            amount: taxAmount, roundId: roundMongoId, userId: winnerInfo._id,
+            itemIds: [...itemsToTakeForTaxIds], idempotencyKey: `tax:${roundMongoId}`
+        });
+        await recordHouseItems(roundMongoId, taxAssessment.items)
+            .catch(err => console.error(`DB_ERROR: Failed to record house items for round ${round.roundId}:`, err));
+    }
 
-        const completedRound = await Round.findOneAndUpdate({ _id: roundMongoId }, { $set: finalUpdateData }, { new: true });
-        if (!completedRound) throw new Error("Failed to save completed round data.");
+    console.log(`LOG_SUCCESS: Round ${round.roundId} completed. Winner: ${winnerInfo.username} (Ticket: ${winningTicket}/${totalTickets}, Value Won: $${valueForWinner.toFixed(2)})`);
 
-        console.log(`LOG_SUCCESS: Round ${round.roundId} completed. Winner: ${winnerInfo.username} (Ticket: ${winningTicket}/${totalTickets}, Value Won: $${valueForWinner.toFixed(2)})`);
+    io.emit('roundWinnerPendingAcceptance', { // Send populated winner info
+        roundId: round.roundId,
+        winner: { id: winnerInfo._id, steamId: winnerInfo.steamId, username: winnerInfo.username, avatar: winnerInfo.avatar },
+        winningTicket: winningTicket,
+        totalValue: valueForWinner, // Value for winner
+        totalTickets: totalTickets,
+        serverSeed: round.serverSeed,
+        clientSeed: clientSeed,
+        provableHash: provableHash,
+        serverSeedHash: round.serverSeedHash,
+        payoutOfferStatus: 'PendingAcceptanceByWinner' // Add this for client if needed
+    });
+}
 
-        io.emit('roundWinnerPendingAcceptance', { // Send populated winner info
-            roundId: round.roundId,
-            winner: { id: winnerInfo._id, steamId: winnerInfo.steamId, username: winnerInfo.username, avatar: winnerInfo.avatar },
-            winningTicket: winningTicket,
-            totalValue: valueForWinner, // Value for winner
-            totalTickets: totalTickets,
-            serverSeed: round.serverSeed,
-            clientSeed: clientSeed,
-            provableHash: provableHash,
-            serverSeedHash: round.serverSeedHash,
-            payoutOfferStatus: 'PendingAcceptanceByWinner' // Add this for client if needed
-        });
 
-    } catch (err) {
-        console.error(`CRITICAL_ERROR: Error during endRound for round ${roundIdToEnd}:`, err);
-        await Round.updateOne({ _id: roundMongoId }, { $set: { status: 'error', payoutOfferStatus: 'Failed' }})
-            .catch(e => console.error("DB_ERROR: Error marking round as error after endRound failure:", e));
-        io.emit('roundError', { roundId: roundIdToEnd, error: 'Internal server error during round finalization.' });
-    } finally {
-        isRolling = false;
-        console.log(`LOG_INFO: Scheduling next round creation after round ${roundIdToEnd} finalization.`);
-        setTimeout(createNewRound, 10000); // Give some time before new round
+async function checkOfferStatus(offerId, botId) {
+    if (!isBotReady()) {
+        console.warn(`LOG_WARN: Cannot check offer status for ${offerId}: Bot not ready or manager unavailable.`);
+        return null;
     }
-}
-
-
-async function checkOfferStatus(offerId) {
-    return new Promise((resolve) => {
-        if (!isBotReady || !manager) {
-            console.warn(`LOG_WARN: Cannot check offer status for ${offerId}: Bot not ready or manager unavailable.`);
-            return resolve(null);
+    try {
+        const offer = await tradeBots.get(botId).getOffer(offerId);
+        return {
+            state: offer.state,
+            stateName: TradeOfferManager.ETradeOfferState[offer.state]
+        };
+    } catch (err) {
+        console.log(`LOG_WARN: Could not fetch offer ${offerId} for status check:`, err.message);
+        if (err.eresult === 25) {
+            return { state: -1, stateName: 'NotFoundOrNotOwned' };
         }
-        manager.getOffer(offerId, (err, offer) => {
-            if (err) {
-                console.log(`LOG_WARN: Could not fetch offer ${offerId} for status check:`, err.message);
-                if (err.eresult === 25) {
-                    return resolve({ state: -1, stateName: 'NotFoundOrNotOwned' });
-                }
-                return resolve(null);
-            }
-            resolve({
-                state: offer.state,
-                stateName: TradeOfferManager.ETradeOfferState[offer.state]
-            });
-        });
-    });
+        return null;
+    }
 }
 
 function parseTradeURL(tradeUrl) {
@@ -1479,418 +2374,792 @@ function parseTradeURL(tradeUrl) {
     }
 }
 
-// Original sendWinningTradeOffer (kept for reference, but alternative is used)
-async function sendWinningTradeOffer(roundDoc, winner, itemsToSend) {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] Starting winning trade offer for Round ${roundDoc.roundId}, Winner: ${winner.username}`);
+// Payout offer states whose items go back to the winner's vault, to be claimed (re-sent) again
+const RESENDABLE_PAYOUT_STATUSES = ['Expired', 'Canceled', 'Declined', 'Countered'];
+// Round payoutOfferStatuses while a payout is still being worked on
+const PAYOUT_IN_PROGRESS_STATUSES = ['Processing Winnings', 'Payout Retry Scheduled'];
+// Least settled first: a round's payoutOfferStatus is the first of these found among its payout offers
+const PAYOUT_STATUS_PRIORITY = ['InvalidItems', 'Pending Confirmation', 'Sent', 'Sent (Confirmed)', 'Active (Sent to User)', 'Escrow', 'Accepted'];
+
+// Payout status for a winnings offer's Steam state
+function payoutStatusForOfferState(state) {
+    switch (state) {
+        case TradeOfferManager.ETradeOfferState.Accepted: return 'Accepted';
+        case TradeOfferManager.ETradeOfferState.Declined: return 'Declined';
+        case TradeOfferManager.ETradeOfferState.Canceled: return 'Canceled';
+        case TradeOfferManager.ETradeOfferState.CanceledBySecondFactor: return 'Canceled'; // Never confirmed on the bot's authenticator
+        case TradeOfferManager.ETradeOfferState.Countered: return 'Countered'; // The winner's counter-offer replaces ours
+        case TradeOfferManager.ETradeOfferState.Expired: return 'Expired';
+        case TradeOfferManager.ETradeOfferState.InvalidItems: return 'InvalidItems';
+        case TradeOfferManager.ETradeOfferState.InEscrow: return 'Escrow';
+        // Still waiting on the bot's mobile confirmation; the payout job already tried to confirm it
+        case TradeOfferManager.ETradeOfferState.CreatedNeedsConfirmation: return 'Pending Confirmation';
+        case TradeOfferManager.ETradeOfferState.PendingConfirmation: return 'Pending Confirmation';
+        // Active means the bot did its part (confirmed if needed) and the winner can act
+        case TradeOfferManager.ETradeOfferState.Active: return 'Sent (Confirmed)';
+        default: return TradeOfferManager.ETradeOfferState[state] || 'Unknown';
+    }
+}
 
-    if (!roundDoc || !winner || !itemsToSend) {
-        console.error(`[${timestamp}] PAYOUT_ERROR: Missing required parameters for round ${roundDoc?._id}, winner ${winner?._id}`);
-        if (roundDoc && roundDoc._id) await Round.updateOne({ _id: roundDoc._id }, { $set: { payoutOfferStatus: 'Failed - System Error' } });
-        return { success: false, error: 'Missing required parameters', botConfirmed: false };
+function describeRounds(rounds) {
+    return rounds.length === 1 ? `round #${rounds[0].roundId}` : `rounds #${rounds.map(round => round.roundId).join(', #')}`;
+}
+
+/**
+ * A round's payoutOfferStatus from its payout offers.
+ * @param {Array} payoutOffers
+ * @param {Array} [itemIds] - The round's won items; any not in a live or accepted offer leave the round claimable
+ * @param {Array} [adjustments] - payoutAdjustments: compensated items count as paid, substituted ones by their substitute
+ */
+function summarizePayoutOffers(payoutOffers, itemIds = [], adjustments = []) {
+    const statuses = payoutOffers.map(entry => entry.status);
+    const unexpected = statuses.find(status => !PAYOUT_STATUS_PRIORITY.includes(status) && !RESENDABLE_PAYOUT_STATUSES.includes(status));
+    if (unexpected) return unexpected;
+    if (statuses.includes('InvalidItems')) return 'InvalidItems';
+    const sentItemIds = new Set();
+    for (const entry of payoutOffers) {
+        if (!RESENDABLE_PAYOUT_STATUSES.includes(entry.status)) entry.items.forEach(id => sentItemIds.add(id.toString()));
     }
-    if (!winner.tradeUrl) {
-        console.error(`[${timestamp}] PAYOUT_ERROR: Winner ${winner.username} has no trade URL for round ${roundDoc.roundId}`);
-        await Round.updateOne({ _id: roundDoc._id }, { $set: { payoutOfferStatus: 'Failed - No Trade URL' } });
-        io.to(winner._id.toString()).emit('notification', {
-            type: 'error',
-            message: 'Please set your Steam Trade URL in your profile to receive winnings.'
+    const adjustmentFor = new Map(adjustments.map(adjustment => [adjustment.item.toString(), adjustment]));
+    const isPaid = itemId => {
+        const adjustment = adjustmentFor.get(itemId);
+        if (adjustment?.action === 'compensated') return true;
+        return sentItemIds.has(adjustment?.action === 'substituted' ? adjustment.substitute.toString() : itemId);
+    };
+    if (statuses.some(status => RESENDABLE_PAYOUT_STATUSES.includes(status)) ||
+        itemIds.some(item => !isPaid((item._id || item).toString()))) {
+        return 'PendingAcceptanceByWinner';
+    }
+    return PAYOUT_STATUS_PRIORITY.find(status => statuses.includes(status)) || 'Unknown';
+}
+
+// Writes a round's summarized payout status and completes the round once all of its winnings are accepted.
+// Rounds mid-claim ('Processing Winnings') or waiting on a payout retry are left alone unless `claiming`;
+// the claim or the payout job settles them when done.
+async function applyPayoutSummary(round, { claiming = false } = {}) {
+    const status = summarizePayoutOffers(round.payoutOffers, round.items, round.payoutAdjustments);
+    const result = await Round.updateOne(
+        { _id: round._id, payoutOfferStatus: claiming ? { $in: PAYOUT_IN_PROGRESS_STATUSES } : { $nin: PAYOUT_IN_PROGRESS_STATUSES } },
+        { $set: { payoutOfferStatus: status } }
+    );
+    if (result.matchedCount === 0) return;
+    round.payoutOfferStatus = status;
+    if (status === 'Accepted') {
+        await roundMachine.transition(round._id, 'completed_pending_acceptance', 'completed', { reason: 'Winnings accepted' });
+    }
+}
+
+// Updates one payout offer and recomputes the payoutOfferStatus of every round it carries winnings for
+// (a vault claim pays several rounds in one offer). Returns the updated rounds; empty if none has this offer.
+async function setPayoutOfferStatus(offerId, status, { escrowEndsAt = null } = {}) {
+    await PayoutJob.updateOne({ offerId }, { $set: { payoutStatus: status, escrowEndsAt, updatedAt: new Date() } });
+    const rounds = await Round.find({ 'payoutOffers.offerId': offerId }).select('_id').lean();
+    const updatedRounds = [];
+    for (const { _id } of rounds) {
+        const round = await Round.findOneAndUpdate(
+            { _id, 'payoutOffers.offerId': offerId },
+            { $set: { 'payoutOffers.$.status': status, 'payoutOffers.$.escrowEndsAt': escrowEndsAt } },
+            { new: true }
+        );
+        if (!round) continue;
+        await applyPayoutSummary(round);
+        updatedRounds.push(round);
+    }
+    return updatedRounds;
+}
+
+// Tells the winner what happened to won items the bots no longer hold
+function notifyPayoutAdjustments(winner, adjustments) {
+    const room = winner._id.toString();
+    const held = adjustments.filter(adjustment => adjustment.action === 'held');
+    if (held.length > 0) {
+        io.to(room).emit('notification', {
+            type: 'warning',
+            message: `${held.length} item(s) from your winnings (${held.map(adjustment => adjustment.name).join(', ')}) are not in the bot's inventory right now and stay in your vault. Contact support if this persists.`
         });
-        return { success: false, error: 'No trade URL', botConfirmed: false };
     }
-    if (!itemsToSend || itemsToSend.length === 0) {
-        console.log(`[${timestamp}] PAYOUT_INFO: No items to send for round ${roundDoc.roundId} (all consumed by tax or empty pot).`);
-        await Round.updateOne({ _id: roundDoc._id }, { $set: { payoutOfferStatus: 'No Items Won' } });
+    for (const adjustment of adjustments.filter(adjustment => adjustment.action === 'substituted')) {
+        io.to(room).emit('notification', {
+            type: 'info',
+            message: `"${adjustment.name}" from round #${adjustment.roundId} is no longer available and was replaced by "${adjustment.substitute}" of equal or greater value.`
+        });
+    }
+    const compensated = adjustments.filter(adjustment => adjustment.action === 'compensated');
+    if (compensated.length > 0) {
+        const value = compensated.reduce((sum, adjustment) => sum + adjustment.value, 0);
+        io.to(room).emit('notification', {
+            type: 'info',
+            message: `${compensated.length} item(s) from your winnings (${compensated.map(adjustment => adjustment.name).join(', ')}) are no longer available. Their value ($${value.toFixed(2)}) is recorded as owed to you and support will compensate you.`
+        });
+    }
+}
+
+// Pays out the winnings of one or more rounds as payout jobs (one offer each) per bot holding part of them,
+// so rounds claimed together share offers. Jobs run one at a time; after the first job that fails for good the
+// rest are canceled, leaving that failure as the payoutOfferStatus of the rounds it carried. Jobs with a
+// retry scheduled don't stop the others.
+async function sendWinningsFromBots(rounds, winner, payoutOptions = {}) {
+    const emptyRounds = rounds.filter(round => round.items.length === 0);
+    const roundsWithItems = rounds.filter(round => round.items.length > 0);
+    if (emptyRounds.length > 0) {
+        // The whole pot went to tax: nothing to send
+        await Round.updateMany({ _id: { $in: emptyRounds.map(round => round._id) } }, { $set: { payoutOfferStatus: 'No Items Won' } });
         io.to(winner._id.toString()).emit('notification', {
             type: 'info',
-            message: `Congratulations on winning round #${roundDoc.roundId}! No items were sent as the pot was empty or consumed by fees.`
+            message: `Congratulations on winning ${describeRounds(emptyRounds)}! No items were sent as the pot was consumed by fees.`
         });
-        return { success: true, message: 'No items to send', botConfirmed: true }; // Considered 'confirmed' as no action needed
+        if (roundsWithItems.length === 0) return { success: true, message: 'No items to send', botConfirmed: true };
     }
-    let offer = null; // Define offer here
-    try {
-        await ensureValidManager();
-        offer = manager.createOffer(winner.tradeUrl);
 
-        const itemsForOffer = itemsToSend.map(itemDoc => {
-            if (!itemDoc.assetId) {
-                console.error(`[${timestamp}] PAYOUT_CRITICAL: Item document in itemsToSend is missing assetId! Item ID: ${itemDoc._id}, Name: ${itemDoc.name}. Skipping this item.`);
-                return null;
-            }
-            return {
-                assetid: String(itemDoc.assetId),
-                appid: RUST_APP_ID,
-                contextid: String(RUST_CONTEXT_ID)
-            };
-        }).filter(item => item !== null);
+    const { jobs, adjustments } = await createPayoutJobs(roundsWithItems, winner, payoutOptions);
+    notifyPayoutAdjustments(winner, adjustments);
+    if (jobs.length === 0) {
+        const error = adjustments.length > 0
+            ? "None of the items from these winnings can be sent right now. Any items not compensated stay in your vault; contact support if this persists."
+            : 'All items from these winnings have already been sent.';
+        return { success: false, error, botConfirmed: false };
+    }
+    if (jobs.length > 1 || roundsWithItems.length > 1) {
+        const botCount = new Set(jobs.map(job => job.botId)).size;
+        console.log(`LOG_INFO: Winnings for ${describeRounds(roundsWithItems)} are held by ${botCount} bot(s); sending ${jobs.length} offer(s) of up to ${payoutPlanner.maxItemsPerOffer} items.`);
+    }
 
-        if (itemsForOffer.length === 0 && itemsToSend.length > 0) {
-             console.error(`[${timestamp}] PAYOUT_ERROR: No valid items could be prepared for offer to ${winner.username} for round ${roundDoc.roundId}, though items were expected.`);
-             await Round.updateOne({ _id: roundDoc._id }, { $set: { payoutOfferStatus: 'Failed - Inventory/Trade Issue' } });
-             io.to(winner._id.toString()).emit('notification', { type: 'error', message: 'Winnings payout failed due to an internal inventory issue. Contact support.' });
-             return { success: false, error: 'Internal inventory item preparation error for payout.', botConfirmed: false };
+    const results = [];
+    const retrying = [];
+    for (const [index, job] of jobs.entries()) {
+        const result = await runPayoutJob(job.jobId);
+        if (result.retryScheduled) {
+            retrying.push(result);
+            continue;
         }
-        if (itemsForOffer.length === 0 && itemsToSend.length === 0) { // Should be caught by earlier check
-             console.log(`[${timestamp}] PAYOUT_INFO: Double check - no items to send for round ${roundDoc.roundId}.`);
-             return { success: true, message: 'No items to send (confirmed)', botConfirmed: true };
+        if (!result.success) {
+            const skipped = jobs.slice(index + 1).map(next => next.jobId);
+            if (skipped.length > 0) {
+                await PayoutJob.updateMany(
+                    { jobId: { $in: skipped }, status: 'pending' },
+                    { $set: { status: 'canceled', lastError: `Payout job ${job.jobId} failed first`, updatedAt: new Date() } }
+                );
+            }
+            return result;
         }
+        const jobRoundIds = new Set(job.rounds.map(id => id.toString()));
+        results.push({ ...result, roundIds: roundsWithItems.filter(round => jobRoundIds.has(round._id.toString())).map(round => round.roundId) });
+    }
+    if (results.length === 0) return retrying[0];
+    return {
+        success: true,
+        retryScheduled: retrying.length > 0,
+        retryAt: retrying.length > 0 ? retrying[0].retryAt : undefined,
+        offerId: results[0].offerId,
+        offerURL: results[0].offerURL,
+        offers: results.map(r => ({ offerId: r.offerId, offerURL: r.offerURL, status: r.status, roundIds: r.roundIds })),
+        status: PAYOUT_STATUS_PRIORITY.find(status => results.some(r => r.status === status)) || results[0].status,
+        botConfirmed: results.every(r => r.botConfirmed)
+    };
+}
 
-        offer.addMyItems(itemsForOffer);
-        const offerMessage = `脂 Round #${roundDoc.roundId} Winnings - ${process.env.SITE_NAME || 'YourSite'} - Value: $${roundDoc.totalValue.toFixed(2)} 脂`;
-        offer.setMessage(offerMessage);
+// --- Winnings Vault ---
+// A won round stays in the winner's vault ('completed_pending_acceptance') until its winnings are claimed.
+// Claims can cover several rounds at once; whatever is unclaimed after WINNINGS_VAULT_EXPIRY_DAYS is forfeit.
+const VAULT_EXPIRY_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// Payout statuses a vault round can be claimed in: not yet claimed, or the last claim failed before sending
+const VAULT_CLAIMABLE_PAYOUT_STATUSES = ['PendingAcceptanceByWinner', 'Unknown', /^Failed - /];
+// Payout offer statuses that mean part of a round is paid out or on its way; such rounds never expire
+const VAULT_PAID_OFFER_STATUSES = ['Pending Confirmation', 'Sent', 'Sent (Confirmed)', 'Active (Sent to User)', 'Escrow', 'Accepted'];
+
+function vaultClaimableFilter(userId) {
+    return { winner: userId, status: 'completed_pending_acceptance', payoutOfferStatus: { $in: VAULT_CLAIMABLE_PAYOUT_STATUSES } };
+}
 
-        console.log(`[${timestamp}] Sending winnings offer (${itemsForOffer.length} items) to ${winner.username} for round ${roundDoc.roundId}...`);
-        
-        const sendStatus = await new Promise((resolve, reject) => {
-            offer.send((err, sStatus) => {
-                if (err) return reject(err);
-                resolve(sStatus);
-            });
-        });
+function isVaultClaimable(payoutOfferStatus) {
+    return VAULT_CLAIMABLE_PAYOUT_STATUSES.some(status => status instanceof RegExp ? status.test(payoutOfferStatus) : status === payoutOfferStatus);
+}
 
-        const offerId = offer.id;
-        const offerURL = `https://steamcommunity.com/tradeoffer/${offerId}/`;
-        console.log(`[${timestamp}] SUCCESS: Winnings offer ${offerId} sent to ${winner.username}. Initial send Status: ${sendStatus}, Offer State: ${TradeOfferManager.ETradeOfferState[offer.state]}`);
+function vaultExpiresAt(round) {
+    if (WINNINGS_VAULT_EXPIRY_DAYS === 0 || !round.completedTime) return null;
+    return new Date(new Date(round.completedTime).getTime() + WINNINGS_VAULT_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+}
 
-        let initialPayoutStatus = 'Sent';
-        if (offer.state === TradeOfferManager.ETradeOfferState.CreatedNeedsConfirmation || sendStatus === 'pending' || sendStatus === 'createdNeedsConfirmation') {
-            initialPayoutStatus = 'Pending Confirmation';
-        } else if (sendStatus === 'sent') {
-            initialPayoutStatus = 'Sent';
-        }
-        
-        await Round.updateOne( { _id: roundDoc._id }, { $set: { payoutOfferId: offerId, payoutOfferStatus: initialPayoutStatus } });
+function formatVaultRoundForClient(round) {
+    return {
+        roundId: round.roundId,
+        wonAt: round.completedTime,
+        value: round.totalValue || 0,
+        items: (round.items || []).map(item => ({ name: item.name, image: item.image, price: item.price })),
+        status: round.payoutOfferStatus,
+        claimable: isVaultClaimable(round.payoutOfferStatus),
+        expiresAt: vaultExpiresAt(round),
+        offers: (round.payoutOffers || [])
+            .filter(entry => !RESENDABLE_PAYOUT_STATUSES.includes(entry.status))
+            .map(entry => ({
+                offerId: entry.offerId, status: entry.status, offerURL: tradeBots.get(entry.botId).offerUrl(entry.offerId),
+                itemCount: entry.items.length, value: entry.value, escrowEndsAt: entry.escrowEndsAt || null
+            })),
+        adjustments: (round.payoutAdjustments || []).map(adjustment => ({
+            name: (round.items || []).find(item => item._id?.toString() === adjustment.item.toString())?.name || null,
+            action: adjustment.action,
+            value: adjustment.value,
+            settled: !!adjustment.settledAt
+        }))
+    };
+}
 
-        io.to(winner._id.toString()).emit('tradeOfferSent', {
-            roundId: roundDoc.roundId, userId: winner._id.toString(), offerId: offerId, offerURL: offerURL,
-            status: initialPayoutStatus, type: 'winning'
-        });
-        io.to(winner._id.toString()).emit('notification', {
-            type: 'info',
-            message: `Your winnings for round #${roundDoc.roundId} (Offer ID: ${offerId}) have been sent by the bot. Awaiting bot's mobile confirmation if needed. URL: ${offerURL}`
-        });
+// Claims the given vault rounds for `user` and pays them out together. Each round is claimed atomically
+// (claimable -> 'Processing Winnings'), so concurrent claims never send the same winnings twice.
+// `payoutOptions` ({ resendOf, resendCount }) mark an automatic re-send of a canceled offer.
+async function claimVaultWinnings(user, roundMongoIds, payoutOptions = {}) {
+    const claimed = [];
+    for (const _id of roundMongoIds) {
+        const round = await Round.findOneAndUpdate(
+            { ...vaultClaimableFilter(user._id), _id },
+            { $set: { payoutOfferStatus: 'Processing Winnings' } },
+            { new: true }
+        ).populate('items');
+        if (round) claimed.push(round);
+    }
+    if (claimed.length === 0) return { success: false, notFound: true, error: 'No unclaimed winnings found in your vault.', botConfirmed: false };
 
-        let finalStatusForResponse = initialPayoutStatus;
-        let botConfirmedSuccessfully = false;
-
-        if (offer.state === TradeOfferManager.ETradeOfferState.CreatedNeedsConfirmation ||
-            offer.state === TradeOfferManager.ETradeOfferState.PendingConfirmation ||
-            sendStatus === 'pending' || sendStatus === 'createdNeedsConfirmation') {
-            
-            console.log(`[${timestamp}] Offer ${offerId} requires bot confirmation. Attempting auto-confirmation now.`);
-            const confirmResult = await confirmTradeOffer(offerId, 'winnings');
-
-            if (confirmResult.success) {
-                console.log(`[${timestamp}] Winnings offer ${offerId} auto-confirmed by bot for ${winner.username} on first attempt.`);
-                await Round.updateOne({ _id: roundDoc._id }, { $set: { payoutOfferStatus: 'Sent (Confirmed)' } });
-                finalStatusForResponse = 'Sent (Confirmed)';
-                botConfirmedSuccessfully = true;
-                io.to(winner._id.toString()).emit('notification', {
-                    type: 'success',
-                    message: `Winnings offer #${offerId} (Round #${roundDoc.roundId}) has been confirmed by the bot and is ready for you on Steam!`
-                });
-            } else {
-                console.warn(`[${timestamp}] Failed to auto-confirm winnings offer ${offerId} by bot on first attempt: ${confirmResult.error}. Scheduling retry.`);
-                io.to(winner._id.toString()).emit('notification', {
-                    type: 'warning',
-                    message: `Winnings offer #${offerId} sent. Bot's first auto-confirmation attempt failed. Retrying shortly.`
-                });
-                setTimeout(async () => {
-                    const retryConfirmResult = await confirmTradeOffer(offerId, 'winnings-retry');
-                    if (retryConfirmResult.success) {
-                        console.log(`[${timestamp}] Winnings offer ${offerId} auto-confirmed by bot for ${winner.username} on RETRY.`);
-                        await Round.updateOne({ _id: roundDoc._id }, { $set: { payoutOfferStatus: 'Sent (Confirmed)' } });
-                        io.to(winner._id.toString()).emit('notification', {
-                            type: 'success',
-                            message: `Winnings offer #${offerId} (Round #${roundDoc.roundId}) has now been successfully confirmed by the bot after a retry!`
-                        });
-                    } else {
-                        console.error(`[${timestamp}] FAILED to auto-confirm winnings offer ${offerId} by bot on retry: ${confirmResult.error}. Offer will require manual confirmation by bot admin.`);
-                        io.to(winner._id.toString()).emit('notification', {
-                            type: 'error',
-                            message: `Offer ${offerId} sent, but auto-confirmation by bot failed after retry. Bot admin will confirm it manually.`
-                        });
-                    }
-                }, 10000); // 10-second delay for retry
-            }
-        } else if (initialPayoutStatus === 'Sent' && offer.state === TradeOfferManager.ETradeOfferState.Active) {
-            console.log(`[${timestamp}] Offer ${offerId} is active and ready for user. Status: ${sendStatus}, Offer State: ${TradeOfferManager.ETradeOfferState[offer.state]}`);
-            finalStatusForResponse = 'Active (Sent to User)';
-            botConfirmedSuccessfully = true;
-            io.to(winner._id.toString()).emit('notification', {
-                type: 'success',
-                message: `Winnings offer #${offerId} (Round #${roundDoc.roundId}) has been sent and is active on Steam. Please accept it.`
-            });
-        } else {
-            console.log(`[${timestamp}] Offer ${offerId} status is '${sendStatus}' / state '${TradeOfferManager.ETradeOfferState[offer.state]}', does not require explicit bot confirmation step here or already handled.`);
+    console.log(`LOG_INFO: User ${user.username} is claiming winnings for ${describeRounds(claimed)}.`);
+    try {
+        const result = await sendWinningsFromBots(claimed, user, payoutOptions);
+        return { ...result, roundIds: claimed.map(round => round.roundId) };
+    } finally {
+        // Rounds no offer failed for get their payout summary; unsent winnings go back to the vault
+        for (const { _id } of claimed) {
+            const round = await Round.findOne({ _id, payoutOfferStatus: 'Processing Winnings' }).select('roundId items payoutOffers payoutAdjustments');
+            if (round) await applyPayoutSummary(round, { claiming: true });
         }
-        
-        return { success: true, offerId: offerId, offerURL: offerURL, status: finalStatusForResponse, botConfirmed: botConfirmedSuccessfully };
-
-    } catch (error) {
-        console.error(`[${timestamp}] Error sending winnings offer for round ${roundDoc.roundId} to ${winner.username}:`, error.message, error.eresult);
-        let userMessage = 'Failed to send winnings. Please try again or contact support.';
-        let dbStatus = 'Failed - Send Error';
-
-        if (error.eresult === 26 || error.message?.toLowerCase().includes('trade url') || error.message?.toLowerCase().includes('invalid for sending an offer')) {
-            userMessage = 'Your Steam Trade URL appears to be invalid or has expired. Please update it in your profile and try accepting winnings again, or contact support.';
-            dbStatus = 'Failed - Invalid Trade URL';
-        } else if (error.eresult === 15) {
-            userMessage = 'Your inventory appears to be private. Please make it public to receive winnings and contact support if issues persist.';
-            dbStatus = 'Failed - Inventory Private';
-        } else if (error.eresult === 16) {
-            userMessage = 'You (or the bot) appear to be trade banned. Contact Steam support.';
-            dbStatus = 'Failed - Trade Banned';
-        } else if (error.eresult === 25 || error.message?.toLowerCase().includes('items_unavailable')) {
-            userMessage = 'Some items for your winnings were unavailable at the time of sending. Please contact support.';
-            dbStatus = 'Failed - Inventory/Trade Issue';
-        } else if (error.message?.includes("No matching items found in bot inventory")) {
-            userMessage = 'Winnings payout failed: Could not find specified items in bot inventory. Please contact support.';
-            dbStatus = 'Failed - Bot Inventory Issue';
-        } else if (error.eresult) {
-            userMessage = `Failed to send winnings due to a Steam error (Code: ${error.eresult}). Please try again or contact support.`;
-            dbStatus = `Failed - Steam Error ${error.eresult}`;
-        }
-
-        // Ensure payoutOfferId is cleared if the offer object was created but send failed or was problematic
-        const offerIdToClear = offer && offer.id ? offer.id : null;
-        await Round.updateOne({ _id: roundDoc._id }, { $set: { payoutOfferStatus: dbStatus, payoutOfferId: offerIdToClear ? null : undefined } }); // Clear offerId if it was set then failed
-        io.to(winner._id.toString()).emit('notification', { type: 'error', message: userMessage });
-        return { success: false, error: userMessage, errorCode: error.eresult, botConfirmed: false };
-    }
-}
-
-
-// MODIFIED sendWinningTradeOfferAlternative
-async function sendWinningTradeOfferAlternative(roundDoc, winner, itemsToSend) {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] (Alternative) Starting winning trade offer for Round ${roundDoc.roundId}, Winner: ${winner.username}`);
-
-    if (!roundDoc || !winner || !itemsToSend) {
-        console.error(`[${timestamp}] (Alternative) PAYOUT_ERROR: Missing required parameters`);
-        if (roundDoc && roundDoc._id) await Round.updateOne({ _id: roundDoc._id }, { $set: { payoutOfferStatus: 'Failed - System Error' } });
-        return { success: false, error: 'Missing required parameters', botConfirmed: false };
     }
-    if (!winner.tradeUrl) {
-        console.error(`[${timestamp}] (Alternative) PAYOUT_ERROR: Winner ${winner.username} has no trade URL`);
-        await Round.updateOne({ _id: roundDoc._id }, { $set: { payoutOfferStatus: 'Failed - No Trade URL' } });
-        io.to(winner._id.toString()).emit('notification', {
-            type: 'error',
-            message: 'Please set your Steam Trade URL in your profile to receive winnings.'
+}
+
+// Forfeits vault winnings left unclaimed past WINNINGS_VAULT_EXPIRY_DAYS
+async function expireVaultWinnings() {
+    if (WINNINGS_VAULT_EXPIRY_DAYS === 0) return;
+    const expiredFilter = {
+        completedTime: { $lt: new Date(Date.now() - WINNINGS_VAULT_EXPIRY_DAYS * 24 * 60 * 60 * 1000) },
+        payoutOfferStatus: { $in: VAULT_CLAIMABLE_PAYOUT_STATUSES },
+        'payoutOffers.status': { $nin: VAULT_PAID_OFFER_STATUSES } // Partly paid-out rounds are left for an admin
+    };
+    const expiredRounds = await Round.find({ ...expiredFilter, status: 'completed_pending_acceptance' }).select('_id').lean();
+    let expiredCount = 0;
+    for (const { _id } of expiredRounds) {
+        // Per round so each forfeit gets its own ledger entry; the filter is re-checked atomically
+        const expired = await roundMachine.transition(_id, 'completed_pending_acceptance', 'completed', {
+            set: { payoutOfferStatus: 'Failed - Vault Expired' }, // Items are forfeit to the house
+            where: expiredFilter,
+            reason: `Winnings unclaimed for ${WINNINGS_VAULT_EXPIRY_DAYS} days`
         });
-        return { success: false, error: 'No trade URL', botConfirmed: false };
-    }
-    if (!itemsToSend || itemsToSend.length === 0) {
-        console.log(`[${timestamp}] (Alternative) PAYOUT_INFO: No items to send (all consumed by tax)`);
-        await Round.updateOne({ _id: roundDoc._id }, { $set: { payoutOfferStatus: 'No Items Won' } });
-        io.to(winner._id.toString()).emit('notification', {
-            type: 'info',
-            message: `Congratulations on winning round #${roundDoc.roundId}! No items were sent as the pot was consumed by fees.`
+        if (!expired) continue;
+        expiredCount++;
+        await recordForfeit(expired, `Winnings unclaimed for ${WINNINGS_VAULT_EXPIRY_DAYS} days (Vault Expired)`);
+        io.to(expired.winner.toString()).emit('notification', {
+            type: 'warning',
+            message: `Your unclaimed winnings from round #${expired.roundId} expired after ${WINNINGS_VAULT_EXPIRY_DAYS} days.`
         });
-        return { success: true, message: 'No items to send', botConfirmed: true }; // No bot action needed, so "confirmed"
     }
+    if (expiredCount > 0) {
+        console.log(`LOG_INFO (Vault): Expired ${expiredCount} round(s) of winnings left unclaimed for ${WINNINGS_VAULT_EXPIRY_DAYS} days.`);
+    }
+}
 
-    let offer = null; // Define offer here
-    try {
-        await ensureValidManager();
-        console.log(`[${timestamp}] (Alternative) Fetching bot's current inventory to match items...`);
-        const botInventory = await new Promise((resolve, reject) => {
-            if (!manager) return reject(new Error("TradeOfferManager not initialized."));
-            manager.getInventoryContents(RUST_APP_ID, RUST_CONTEXT_ID, true, (err, inventory) => {
-                if (err) {
-                    console.error(`[${timestamp}] (Alternative) ERROR: Failed to fetch bot inventory for winnings:`, err);
-                    reject(err);
-                } else {
-                    resolve(inventory || []);
-                }
-            });
-        });
+// --- Payout Jobs ---
+const PAYOUT_CONFIRM_RETRY_DELAY_MS = 10 * 1000;
+const PAYOUT_RETRY_SWEEP_INTERVAL_MS = 15 * 1000;
+const PAYOUT_ESCROW_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const OPEN_PAYOUT_JOB_STATUSES = ['pending', 'sending'];
+const payoutJobsInFlight = new Set(); // jobIds currently being sent by this process
 
-        offer = manager.createOffer(winner.tradeUrl);
-        const itemsForOffer = [];
-        const usedBotAssetIds = new Set();
+function payoutRetryDelayMs(attempt) {
+    return Math.min(PAYOUT_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1), PAYOUT_RETRY_MAX_DELAY_MS);
+}
 
-        for (const itemDocFromRound of itemsToSend) {
-            const matchingBotItem = botInventory.find(botItem =>
-                botItem.market_hash_name === itemDocFromRound.name &&
-                !usedBotAssetIds.has(botItem.assetid) &&
-                Math.abs((getItemPrice(botItem.market_hash_name) || 0) - itemDocFromRound.price) < 0.01
-            );
+function describeDelay(ms) {
+    const seconds = Math.round(ms / 1000);
+    return seconds < 120 ? `${seconds} seconds` : `${Math.round(seconds / 60)} minutes`;
+}
 
-            if (matchingBotItem) {
-                itemsForOffer.push({
-                    assetid: String(matchingBotItem.assetid),
-                    appid: RUST_APP_ID,
-                    contextid: String(RUST_CONTEXT_ID)
-                });
-                usedBotAssetIds.add(matchingBotItem.assetid);
-                console.log(`[${timestamp}] (Alternative) Matched round item "${itemDocFromRound.name}" to bot inventory assetId: ${matchingBotItem.assetid}`);
-            } else {
-                console.error(`[${timestamp}] (Alternative) ERROR: Could not find matching item for "${itemDocFromRound.name}" (Price: ${itemDocFromRound.price}) in bot's live inventory for round ${roundDoc.roundId}! This item will be skipped.`);
-                // Do not throw error here, try to send what can be matched. The user will get fewer items.
-                // This should be logged and potentially flagged for admin review.
-            }
-        }
+// Payout status of an offer right after it was sent (or found again after an interrupted send)
+function sentPayoutStatus(offer, sendStatus) {
+    if (sendStatus === 'pending' || sendStatus === 'createdNeedsConfirmation') return 'Pending Confirmation';
+    if (offer.state === TradeOfferManager.ETradeOfferState.Active) return 'Active (Sent to User)';
+    return offer.state ? payoutStatusForOfferState(offer.state) : 'Sent';
+}
+
+async function updatePayoutAttempt(job, attempt, jobFields, attemptFields) {
+    const set = { ...jobFields, updatedAt: new Date() };
+    for (const [key, value] of Object.entries(attemptFields)) set[`attempts.$[current].${key}`] = value;
+    await PayoutJob.updateOne({ _id: job._id }, { $set: set }, { arrayFilters: [{ 'current.attempt': attempt }] });
+}
 
-        if (itemsForOffer.length === 0 && itemsToSend.length > 0) {
-            console.error(`[${timestamp}] (Alternative) PAYOUT_ERROR: No items could be matched in bot inventory for round ${roundDoc.roundId} to ${winner.username}. Expected ${itemsToSend.length} items.`);
-            await Round.updateOne({ _id: roundDoc._id }, { $set: { payoutOfferStatus: 'Failed - Bot Inventory Issue' } });
-            io.to(winner._id.toString()).emit('notification', { type: 'error', message: 'Winnings payout failed: Critical item mismatch in bot inventory. Contact support.' });
-            return { success: false, error: "No matching items found in bot inventory for payout.", botConfirmed: false };
+// What the missing item policy does with a won item the bot no longer holds. Returns the substitute Item
+// when one was found; items with no substitute (or under 'hold') are left for the vault.
+async function resolveMissingPayoutItem(round, item, botId, winner, botInventory, usedAssetIds) {
+    const policy = payoutPlanner.missingItemPolicy;
+    if (policy === 'compensate') {
+        const added = await Round.updateOne(
+            { _id: round._id, 'payoutAdjustments.item': { $ne: item._id } },
+            { $push: { payoutAdjustments: { item: item._id, action: 'compensated', value: item.price } } }
+        );
+        if (added.modifiedCount > 0) {
+            await recordLedgerEntry({
+                type: 'payout_compensation', debitAccount: userAccount(winner._id), creditAccount: 'house',
+                amount: item.price, roundId: round._id, userId: winner._id, itemIds: [item._id],
+                idempotencyKey: `compensation:${round._id}:${item._id}`, memo: `Owed for missing item "${item.name}"`
+            });
         }
-        if (itemsForOffer.length < itemsToSend.length) {
-            console.warn(`[${timestamp}] (Alternative) PAYOUT_WARN: Matched only ${itemsForOffer.length} out of ${itemsToSend.length} expected items for round ${roundDoc.roundId} to ${winner.username}. Some items may be missing from the offer.`);
-            // Notify user that some items might be missing
-             io.to(winner._id.toString()).emit('notification', {
-                type: 'warning',
-                message: `(Alt) Winnings for round #${roundDoc.roundId}: Some items could not be matched in the bot's inventory and are missing from the offer. Please contact support if this seems incorrect.`
+        return { action: 'compensated' };
+    }
+    if (policy === 'substitute') {
+        const inInventory = new Set(botInventory.map(asset => String(asset.assetid)));
+        const candidates = (await HouseItem.find({ status: 'held', botId, assetId: { $ne: null } }).lean())
+            .filter(houseItem => inInventory.has(String(houseItem.assetId)) && !usedAssetIds.has(String(houseItem.assetId)))
+            .map(houseItem => ({ ...houseItem, value: getItemPrice(houseItem.name) || houseItem.taxedValue }));
+        let pick;
+        while ((pick = payoutPlanner.pickSubstitute(item, candidates))) {
+            candidates.splice(candidates.indexOf(pick), 1);
+            // Claimed atomically, so an admin withdrawal or another payout can't take it too
+            const claimed = await HouseItem.findOneAndUpdate(
+                { _id: pick._id, status: 'held' },
+                { $set: { status: 'paid_out', paidOutRoundId: round._id, substitutedFor: item._id } }
+            );
+            if (!claimed) continue;
+            usedAssetIds.add(String(pick.assetId));
+            await Round.updateOne({ _id: round._id }, { $push: { payoutAdjustments: { item: item._id, action: 'substituted', substitute: pick.item, value: pick.value } } });
+            await recordLedgerEntry({
+                type: 'payout_substitution', debitAccount: potAccount(round._id), creditAccount: 'house',
+                amount: pick.value, roundId: round._id, userId: winner._id, itemIds: [pick.item],
+                idempotencyKey: `substitution:${round._id}:${item._id}`,
+                memo: `"${pick.name}" substitutes missing "${item.name}" ($${item.price.toFixed(2)})`
             });
+            console.log(`LOG_INFO: Round #${round.roundId}: missing "${item.name}" ($${item.price.toFixed(2)}) substituted by house item "${pick.name}" ($${pick.value.toFixed(2)}).`);
+            return { action: 'substituted', substitute: await Item.findById(pick.item).lean() };
         }
+        console.warn(`WARN: Round #${round.roundId}: no house item on bot '${botId}' can substitute missing "${item.name}" ($${item.price.toFixed(2)}). Holding it in the vault.`);
+    }
+    return { action: 'held' };
+}
 
+// Checks a bot's share of a payout against its inventory and applies the missing item policy. Without
+// the inventory (Steam unavailable) the items are sent unchecked; the payout job matches them again.
+async function checkPayoutAvailability(botId, items, roundOfItem, winner, adjustments) {
+    let botInventory;
+    try {
+        const bot = tradeBots.get(botId);
+        await bot.ensureReady();
+        botInventory = await bot.getBotInventory(RUST_APP_ID, RUST_CONTEXT_ID);
+    } catch (err) {
+        console.warn(`WARN: Could not load bot '${botId}' inventory to check payout availability; sending unchecked: ${err.message}`);
+        return items;
+    }
+    const { matched, missing } = payoutPlanner.matchItems(items, botInventory, getItemPrice);
+    const available = matched.map(match => match.item);
+    const usedAssetIds = new Set(matched.map(match => match.assetid));
+    for (const item of missing) {
+        const round = roundOfItem.get(item._id.toString());
+        const resolution = await resolveMissingPayoutItem(round, item, botId, winner, botInventory, usedAssetIds);
+        if (resolution.substitute) {
+            available.push(resolution.substitute);
+            roundOfItem.set(resolution.substitute._id.toString(), round);
+        }
+        adjustments.push({ roundId: round.roundId, name: item.name, value: item.price, action: resolution.action, substitute: resolution.substitute?.name });
+    }
+    return available;
+}
 
-        offer.addMyItems(itemsForOffer);
-        const offerMessage = `脂 Round #${roundDoc.roundId} Winnings (Alternative) - ${process.env.SITE_NAME || 'YourSite'} - Value: $${roundDoc.totalValue.toFixed(2)} 脂`;
-        offer.setMessage(offerMessage);
+/**
+ * Splits the winnings of `rounds` into payout jobs: per bot holding them, in offers of at most
+ * payoutPlanner.maxItemsPerOffer items. Items already in a live or accepted payout offer (from an earlier,
+ * partly expired payout) or in another open job are left out; items the bot no longer holds go through
+ * the missing item policy. A re-send of a canceled offer passes resendOf/resendCount on to its jobs.
+ * @returns {Promise<{ jobs: Array, adjustments: Array<{ roundId: number, name: string, value: number, action: string, substitute?: string }> }>}
+ */
+async function createPayoutJobs(rounds, winner, { resendOf = null, resendCount = 0 } = {}) {
+    const alreadySent = new Set();
+    for (const round of rounds) {
+        for (const entry of round.payoutOffers || []) {
+            if (!RESENDABLE_PAYOUT_STATUSES.includes(entry.status)) entry.items.forEach(id => alreadySent.add(id.toString()));
+        }
+    }
+    const openJobs = await PayoutJob.find({ rounds: { $in: rounds.map(round => round._id) }, status: { $in: OPEN_PAYOUT_JOB_STATUSES } }).select('items').lean();
+    openJobs.forEach(job => job.items.forEach(id => alreadySent.add(id.toString())));
+
+    const roundOfItem = new Map();
+    const itemsByBot = new Map();
+    for (const round of rounds) {
+        const adjustments = new Map((round.payoutAdjustments || []).map(adjustment => [adjustment.item.toString(), adjustment]));
+        for (const wonItem of round.items) {
+            const adjustment = adjustments.get(wonItem._id.toString());
+            if (adjustment?.action === 'compensated') continue;
+            // An earlier claim already picked a substitute for this item; it is the one sent
+            const item = adjustment?.action === 'substituted' ? await Item.findById(adjustment.substitute).lean() : wonItem;
+            if (!item || alreadySent.has(item._id.toString())) continue;
+            roundOfItem.set(item._id.toString(), round);
+            const botId = tradeBots.has(item.botId) ? item.botId : tradeBots.defaultBotId;
+            if (!itemsByBot.has(botId)) itemsByBot.set(botId, []);
+            itemsByBot.get(botId).push(item);
+        }
+    }
 
-        console.log(`[${timestamp}] (Alternative) Sending winnings offer (${itemsForOffer.length} items) to ${winner.username}...`);
-        const sendStatus = await new Promise((resolve, reject) => { // Renamed 'status' to 'sendStatus'
-            offer.send((err, sStatus) => {
-                if (err) return reject(err);
-                resolve(sStatus);
-            });
-        });
+    const jobs = [];
+    const adjustments = [];
+    for (const [botId, botItems] of itemsByBot) {
+        const available = await checkPayoutAvailability(botId, botItems, roundOfItem, winner, adjustments);
+        for (const group of payoutPlanner.split(available)) {
+            const groupRounds = new Set(group.map(item => roundOfItem.get(item._id.toString())));
+            jobs.push(await PayoutJob.create({
+                jobId: uuidv4(),
+                winner: winner._id,
+                rounds: [...groupRounds].map(round => round._id),
+                botId,
+                items: group.map(item => item._id),
+                value: group.reduce((sum, item) => sum + (item.price || 0), 0),
+                resendOf,
+                resendCount
+            }));
+        }
+    }
+    return { jobs, adjustments };
+}
 
-        const offerId = offer.id;
-        const offerURL = `https://steamcommunity.com/tradeoffer/${offerId}/`;
-        console.log(`[${timestamp}] (Alternative) SUCCESS: Winnings offer ${offerId} sent to ${winner.username}. Initial send Status: ${sendStatus}, Offer State: ${TradeOfferManager.ETradeOfferState[offer.state]}`);
+// Finds an offer an interrupted attempt may have sent, by the job ID in its message
+async function findSentPayoutOffer(bot, job) {
+    const sentOffers = await bot.getSentOffers(new Date(job.createdAt));
+    return sentOffers.find(offer => offer.message?.includes(`PayoutJobID: ${job.jobId}`)) || null;
+}
 
+// Gives rounds left waiting on payout jobs their payout summary once none of their jobs is open any more
+// (unsent winnings go back to the vault)
+async function settlePayoutRounds(roundFilter) {
+    const rounds = await Round.find({ ...roundFilter, payoutOfferStatus: { $in: PAYOUT_IN_PROGRESS_STATUSES } }).select('roundId items payoutOffers payoutAdjustments');
+    const settled = [];
+    for (const round of rounds) {
+        if (await PayoutJob.exists({ rounds: round._id, status: { $in: OPEN_PAYOUT_JOB_STATUSES } })) continue;
+        await applyPayoutSummary(round, { claiming: true });
+        settled.push(round);
+    }
+    return settled;
+}
 
-        let initialPayoutStatus = 'Sent';
-        // Check offer.state after send, as it's more reliable from TradeOfferManager
-        if (offer.state === TradeOfferManager.ETradeOfferState.CreatedNeedsConfirmation || sendStatus === 'pending' || sendStatus === 'createdNeedsConfirmation') {
-            initialPayoutStatus = 'Pending Confirmation';
-        } else if (offer.state === TradeOfferManager.ETradeOfferState.Active) { // Active usually means it's good to go for user
-            initialPayoutStatus = 'Active (Sent to User)';
-        } else if (sendStatus === 'sent') { // Fallback if offer.state is not yet defined or still indicative
-            initialPayoutStatus = 'Sent';
+/**
+ * Sends a payout job's offer. The job is claimed atomically ('pending' -> 'sending') and the attempt recorded
+ * before anything is sent; a job flagged unconfirmedSend first looks for the offer its cut-off attempt may
+ * have sent, so a job never produces two offers. Transient failures schedule a retry (retryScheduled, retryAt).
+ * @returns {Promise<{ success: boolean, offerId?: string, offerURL?: string, status?: string, botConfirmed: boolean, error?: string, errorCode?: number, retryScheduled?: boolean, retryAt?: Date }>}
+ */
+async function runPayoutJob(jobId) {
+    if (payoutJobsInFlight.has(jobId)) return { success: false, error: 'This payout is already being sent.', botConfirmed: false };
+    payoutJobsInFlight.add(jobId);
+    try {
+        const pending = await PayoutJob.findOne({ jobId, status: 'pending' }).select('attempts').lean();
+        if (!pending) return { success: false, error: 'This payout is no longer pending.', botConfirmed: false };
+        const attempt = pending.attempts.length + 1;
+        const job = await PayoutJob.findOneAndUpdate(
+            { _id: pending._id, status: 'pending' },
+            { $set: { status: 'sending', updatedAt: new Date() }, $push: { attempts: { attempt, startedAt: new Date() } } },
+            { new: true }
+        ).lean();
+        if (!job) return { success: false, error: 'This payout is no longer pending.', botConfirmed: false };
+        return await sendPayoutJobOffer(job, attempt);
+    } finally {
+        payoutJobsInFlight.delete(jobId);
+    }
+}
+
+async function sendPayoutJobOffer(job, attempt) {
+    const [winner, rounds, items] = await Promise.all([
+        User.findById(job.winner).select('username tradeUrl').lean(),
+        Round.find({ _id: { $in: job.rounds } }).select('roundId items payoutAdjustments').lean(),
+        Item.find({ _id: { $in: job.items } }).lean()
+    ]);
+    const winnerRoom = job.winner.toString();
+    const roundLabel = describeRounds(rounds);
+
+    const fail = async (error) => {
+        const failure = classifyPayoutError(error);
+        const retryAt = failure.kind === 'transient' && attempt <= PAYOUT_MAX_RETRIES ? new Date(Date.now() + payoutRetryDelayMs(attempt)) : null;
+        console.error(`PAYOUT_ERROR: Payout job ${job.jobId} (attempt ${attempt}) for ${roundLabel} failed (${failure.kind}: ${failure.reason}): EResult ${error.eresult}, Msg: ${error.message}${retryAt ? `. Retrying at ${retryAt.toISOString()}.` : '. Giving up.'}`);
+        const roundStatus = retryAt ? 'Payout Retry Scheduled' : failure.status;
+        await updatePayoutAttempt(job, attempt,
+            { status: retryAt ? 'pending' : 'failed', nextAttemptAt: retryAt, payoutStatus: roundStatus, lastError: error.message },
+            { finishedAt: new Date(), errorCode: error.eresult, error: error.message, reason: failure.reason, retryAt });
+        await Round.updateMany({ _id: { $in: job.rounds }, payoutOfferStatus: { $in: PAYOUT_IN_PROGRESS_STATUSES } }, { $set: { payoutOfferStatus: roundStatus } });
+
+        if (retryAt) {
+            const message = `Sending your winnings for ${roundLabel} failed: ${failure.message} We'll try again in ${describeDelay(retryAt - Date.now())}.`;
+            io.to(winnerRoom).emit('notification', { type: 'warning', message });
+            return { success: false, retryScheduled: true, retryAt, error: message, errorCode: error.eresult, botConfirmed: false };
         }
+        const message = failure.kind === 'transient'
+            ? `We could not send your winnings for ${roundLabel} after ${attempt} attempts: ${failure.message} They are back in your vault; claim them again later or contact support.`
+            : failure.message;
+        io.to(winnerRoom).emit('notification', { type: 'error', message });
+        return { success: false, error: message, errorCode: error.eresult, botConfirmed: false };
+    };
 
+    if (attempt > 1 && !job.unconfirmedSend) {
+        io.to(winnerRoom).emit('notification', { type: 'info', message: `Retrying your winnings payout for ${roundLabel} (attempt ${attempt})...` });
+    }
+    if (!winner || !winner.tradeUrl) return fail(new PayoutError('no_trade_url', 'Winner has no trade URL'));
 
+    const bot = tradeBots.get(job.botId);
+    let offer = null;
+    let sendStatus = null;
+    let recovered = false;
+    let offeredItems = items; // A recovered offer is taken to carry all of the job's items
+    try {
+        await bot.ensureReady();
+        if (job.unconfirmedSend) {
+            offer = await findSentPayoutOffer(bot, job);
+            if (offer) {
+                recovered = true;
+                console.log(`LOG_INFO: Payout job ${job.jobId} (${roundLabel}) had already sent offer #${offer.id} before being interrupted.`);
+            }
+        }
+        if (!offer) {
+            const botInventory = await bot.getBotInventory(RUST_APP_ID, RUST_CONTEXT_ID);
+            const { matched, missing } = payoutPlanner.matchItems(items, botInventory, getItemPrice);
+            if (matched.length === 0) throw new PayoutError('bot_inventory', `None of the ${items.length} items are in bot '${bot.id}' inventory`);
+            if (missing.length > 0) {
+                console.warn(`WARN: Payout job ${job.jobId}: ${missing.length} of ${items.length} items for ${roundLabel} are missing from bot '${bot.id}' inventory (${missing.map(item => item.name).join(', ')}).`);
+                io.to(winnerRoom).emit('notification', {
+                    type: 'warning',
+                    message: `Winnings for ${roundLabel}: Some items could not be matched in the bot's inventory and stay in your vault. Please contact support if this seems incorrect.`
+                });
+            }
+            offeredItems = matched.map(match => match.item);
+            offer = bot.createOffer(winner.tradeUrl);
+            offer.addMyItems(matched.map(match => ({ assetid: match.assetid, appid: RUST_APP_ID, contextid: String(RUST_CONTEXT_ID) })));
+            offer.setMessage(`Winnings for ${roundLabel} - ${process.env.SITE_NAME || 'YourSite'} - Value: $${job.value.toFixed(2)} | PayoutJobID: ${job.jobId}`);
+            console.log(`LOG_INFO: Payout job ${job.jobId} (attempt ${attempt}): sending ${matched.length} items from bot '${bot.id}' to ${winner.username} for ${roundLabel}...`);
+            sendStatus = await bot.sendOffer(offer);
+            tradeBots.touch(bot.id);
+        }
+    } catch (error) {
+        return fail(error);
+    }
+
+    const offerId = offer.id;
+    const offerURL = bot.offerUrl(offerId);
+    const payoutStatus = sentPayoutStatus(offer, sendStatus);
+    await updatePayoutAttempt(job, attempt,
+        { status: 'sent', offerId, payoutStatus, lastError: null, unconfirmedSend: false, nextAttemptAt: null },
+        { finishedAt: new Date(), offerId, sendStatus, recovered });
+    console.log(`LOG_SUCCESS: Winnings offer #${offerId} for ${roundLabel} sent to ${winner.username} (payout job ${job.jobId}). Send status: ${sendStatus}, offer state: ${TradeOfferManager.ETradeOfferState[offer.state]}`);
+
+    // Each round records the part of this offer that carries its own winnings (and substitutes for them)
+    for (const round of rounds) {
+        const roundItemIds = new Set(round.items.map(id => id.toString()));
+        (round.payoutAdjustments || []).forEach(adjustment => adjustment.substitute && roundItemIds.add(adjustment.substitute.toString()));
+        const roundItems = offeredItems.filter(item => roundItemIds.has(item._id.toString()));
+        if (roundItems.length === 0) continue;
         await Round.updateOne(
-            { _id: roundDoc._id },
-            { $set: { payoutOfferId: offerId, payoutOfferStatus: initialPayoutStatus } }
+            { _id: round._id, 'payoutOffers.offerId': { $ne: offerId } },
+            {
+                $set: { payoutOfferId: offerId },
+                $push: { payoutOffers: {
+                    botId: bot.id, offerId, status: payoutStatus, items: roundItems.map(item => item._id),
+                    value: roundItems.reduce((sum, item) => sum + (item.price || 0), 0)
+                } }
+            }
         );
+    }
+    await setPayoutOfferStatus(offerId, payoutStatus);
+    await settlePayoutRounds({ _id: { $in: job.rounds } });
+
+    io.to(winnerRoom).emit('tradeOfferSent', {
+        roundId: rounds[0].roundId,
+        roundIds: rounds.map(round => round.roundId),
+        userId: winnerRoom,
+        offerId,
+        offerURL,
+        status: payoutStatus,
+        type: 'winning'
+    });
 
-        io.to(winner._id.toString()).emit('tradeOfferSent', {
-            roundId: roundDoc.roundId,
-            userId: winner._id.toString(),
-            offerId: offerId,
-            offerURL: offerURL,
-            status: initialPayoutStatus,
-            type: 'winning'
-        });
-        io.to(winner._id.toString()).emit('notification', {
+    if (payoutStatus === 'Pending Confirmation') {
+        io.to(winnerRoom).emit('notification', {
             type: 'info',
-            message: `(Alt) Your winnings for round #${roundDoc.roundId} (Offer ID: ${offerId}) have been sent by the bot. Awaiting bot's mobile confirmation if needed. URL: ${offerURL}`
+            message: `Your winnings for ${roundLabel} (Offer ID: ${offerId}) have been sent by the bot. Awaiting bot's mobile confirmation. URL: ${offerURL}`
         });
+        const confirmed = await confirmPayoutJobOffer(job, attempt, bot, offerId, roundLabel);
+        return { success: true, offerId, offerURL, status: confirmed ? 'Sent (Confirmed)' : payoutStatus, botConfirmed: confirmed };
+    }
+    if (payoutStatus === 'Active (Sent to User)' || payoutStatus === 'Sent') {
+        io.to(winnerRoom).emit('notification', {
+            type: 'success',
+            message: `Winnings offer #${offerId} (${roundLabel}) has been sent. Please accept it on Steam. URL: ${offerURL}`
+        });
+    }
+    return { success: true, offerId, offerURL, status: payoutStatus, botConfirmed: payoutStatus === 'Active (Sent to User)' };
+}
 
-        let finalStatusForResponse = initialPayoutStatus;
-        let botConfirmedSuccessfully = false;
-
-        if (offer.state === TradeOfferManager.ETradeOfferState.CreatedNeedsConfirmation ||
-            sendStatus === 'pending' || // TOM uses 'pending' for needs confirmation
-            sendStatus === 'createdNeedsConfirmation') { // Another possible status string
+// Confirms a payout offer on the bot's authenticator, once more after PAYOUT_CONFIRM_RETRY_DELAY_MS if that
+// fails. Each result is recorded on the attempt; the retry's outcome reaches the winner as a notification.
+async function confirmPayoutJobOffer(job, attempt, bot, offerId, roundLabel, isRetry = false) {
+    const confirmResult = await confirmTradeOffer(offerId, isRetry ? 'winnings-retry' : 'winnings', bot.id);
+    await updatePayoutAttempt(job, attempt,
+        confirmResult.success ? { payoutStatus: 'Sent (Confirmed)' } : {},
+        { confirmation: { success: confirmResult.success, error: confirmResult.error || null, at: new Date() } });
+    const winnerRoom = job.winner.toString();
+
+    if (confirmResult.success) {
+        console.log(`LOG_SUCCESS: Winnings offer #${offerId} (${roundLabel}) confirmed by bot '${bot.id}'${isRetry ? ' on retry' : ''}.`);
+        await setPayoutOfferStatus(offerId, 'Sent (Confirmed)');
+        io.to(winnerRoom).emit('notification', {
+            type: 'success',
+            message: `Winnings offer #${offerId} (${roundLabel}) has been confirmed by the bot and is ready for you on Steam!`
+        });
+        return true;
+    }
+    if (isRetry) {
+        console.error(`PAYOUT_ERROR: Failed to confirm winnings offer #${offerId} on retry: ${confirmResult.error}. The bot admin must confirm it manually.`);
+        io.to(winnerRoom).emit('notification', {
+            type: 'error',
+            message: `Offer ${offerId} sent, but auto-confirmation by bot failed after retry. Bot admin will confirm it manually. Please check Steam periodically.`
+        });
+        return false;
+    }
+    console.warn(`WARN: Failed to confirm winnings offer #${offerId} on first attempt: ${confirmResult.error}. Retrying in ${PAYOUT_CONFIRM_RETRY_DELAY_MS / 1000}s.`);
+    io.to(winnerRoom).emit('notification', {
+        type: 'warning',
+        message: `Winnings offer #${offerId} sent. Bot's first auto-confirmation attempt failed. Retrying shortly.`
+    });
+    setTimeout(() => {
+        confirmPayoutJobOffer(job, attempt, bot, offerId, roundLabel, true)
+            .catch(err => console.error(`PAYOUT_ERROR: Confirmation retry for offer #${offerId} failed:`, err));
+    }, PAYOUT_CONFIRM_RETRY_DELAY_MS);
+    return false;
+}
 
-            console.log(`[${timestamp}] (Alternative) Offer ${offerId} requires bot confirmation. Attempting auto-confirmation now.`);
-            const confirmResult = await confirmTradeOffer(offerId, 'winnings-alt');
+// Follows a winnings offer through Steam: updates the rounds it pays, records the payout on acceptance,
+// and settles what happens next. Declined, countered and expired offers put their items back in the vault;
+// offers we canceled (cancelTime, or never confirmed) are re-sent, up to PAYOUT_MAX_AUTO_RESENDS times;
+// escrowed offers keep their release date until Steam completes them.
+async function handlePayoutOfferChanged(offer) {
+    const state = offer.state;
+    const payoutStatusUpdate = payoutStatusForOfferState(state);
+    const escrowEndsAt = state === TradeOfferManager.ETradeOfferState.InEscrow && offer.escrowEnds ? new Date(offer.escrowEnds) : null;
+    console.log(`LOG_INFO: Payout offer #${offer.id} to ${offer.partner.getSteamID64()} changed to ${TradeOfferManager.ETradeOfferState[state]} (mapped to -> ${payoutStatusUpdate}).`);
+
+    // Offers tracked in payoutOffers update every round they carry winnings for (one offer can pay
+    // several vault rounds); older rounds only have payoutOfferId
+    let updatedRounds = await setPayoutOfferStatus(offer.id, payoutStatusUpdate, { escrowEndsAt });
+    if (updatedRounds.length === 0) {
+        const legacyRound = await Round.findOneAndUpdate(
+            { payoutOfferId: offer.id },
+            { $set: { payoutOfferStatus: payoutStatusUpdate } },
+            { new: true }
+        );
+        if (legacyRound) updatedRounds = [legacyRound];
+    }
+    if (updatedRounds.length === 0) {
+        console.warn(`WARN: Could not find round associated with payout offer #${offer.id} to update status. Offer message: "${offer.message}"`);
+        return;
+    }
+    for (const round of updatedRounds) await round.populate('winner', 'steamId _id username tradeUrl');
+    const winner = updatedRounds[0].winner;
+    if (!winner) return;
+
+    const winnerUserIdStr = winner._id.toString();
+    const roundLabel = describeRounds(updatedRounds);
+    console.log(`LOG_INFO: Updated payout offer #${offer.id} to ${payoutStatusUpdate} for ${roundLabel} (round payout status: ${updatedRounds.map(r => r.payoutOfferStatus).join(', ')}), winner ${winner.username}.`);
+
+    let notifType = 'info';
+    let notifMessage = `Winnings offer #${offer.id} (${roundLabel}) status: ${payoutStatusUpdate}.`;
+
+    if (state === TradeOfferManager.ETradeOfferState.Accepted) {
+        for (const round of updatedRounds) {
+            const payoutEntry = round.payoutOffers?.find(entry => entry.offerId === offer.id);
+            await recordLedgerEntry({
+                type: 'payout', debitAccount: userAccount(winner._id), creditAccount: potAccount(round._id),
+                amount: payoutEntry ? payoutEntry.value : (round.totalValue || 0), roundId: round._id, userId: winner._id,
+                itemIds: payoutEntry ? payoutEntry.items : round.items, offerId: offer.id, idempotencyKey: `payout:${round._id}:${offer.id}`
+            });
+        }
+        notifType = 'success';
+        notifMessage = `Winnings from offer #${offer.id} (${roundLabel}) successfully accepted by you!`;
+    } else if (RESENDABLE_PAYOUT_STATUSES.includes(payoutStatusUpdate)) {
+        // The payout summary already put this offer's items back in the vault; legacy rounds are reset here
+        for (const round of updatedRounds) {
+            if (round.payoutOffers?.some(entry => entry.offerId === offer.id)) continue;
+            await Round.updateOne({ _id: round._id }, { $set: { payoutOfferStatus: 'PendingAcceptanceByWinner', payoutOfferId: null } });
+        }
+        if (payoutStatusUpdate === 'Canceled' && await resendCanceledPayout(offer, winner, updatedRounds)) {
+            notifMessage = `Winnings offer #${offer.id} (${roundLabel}) was canceled on our side before you could accept it. We are sending you a new offer.`;
+        } else {
+            notifType = 'error';
+            notifMessage = `Winnings offer #${offer.id} (${roundLabel}) was ${payoutStatusUpdate.toLowerCase()}. The items are back in your winnings vault; you can claim them again from your winning history.`;
+        }
+    } else if (state === TradeOfferManager.ETradeOfferState.InEscrow) {
+        notifType = 'warning';
+        notifMessage = escrowEndsAt
+            ? `Winnings offer #${offer.id} (${roundLabel}) is in escrow because of a trade hold on your account. Steam will release the items on ${escrowEndsAt.toUTCString()}.`
+            : `Winnings offer #${offer.id} (${roundLabel}) is in escrow. This typically means a trade hold on your account.`;
+    } else if (state === TradeOfferManager.ETradeOfferState.Active && payoutStatusUpdate === 'Sent (Confirmed)') {
+        notifType = 'success';
+        notifMessage = `Winnings offer #${offer.id} (${roundLabel}) is now active and confirmed by the bot. Please accept it on Steam.`;
+    }
+    io.to(winnerUserIdStr).emit('notification', { type: notifType, message: notifMessage });
+}
 
-            if (confirmResult.success) {
-                console.log(`[${timestamp}] (Alternative) Winnings offer ${offerId} auto-confirmed by bot for ${winner.username} on first attempt.`);
-                await Round.updateOne({ _id: roundDoc._id }, { $set: { payoutOfferStatus: 'Sent (Confirmed)' } });
-                finalStatusForResponse = 'Sent (Confirmed)';
-                botConfirmedSuccessfully = true;
-                io.to(winner._id.toString()).emit('notification', {
-                    type: 'success',
-                    message: `(Alt) Winnings offer #${offerId} (Round #${roundDoc.roundId}) has been confirmed by the bot and is ready for you on Steam!`
-                });
-            } else {
-                console.warn(`[${timestamp}] (Alternative) Failed to auto-confirm winnings offer ${offerId} by bot on first attempt: ${confirmResult.error}. Scheduling retry.`);
-                // Status in DB is already 'Pending Confirmation' or similar from initialPayoutStatus
-                // finalStatusForResponse remains initialPayoutStatus which should be 'Pending Confirmation'
-                io.to(winner._id.toString()).emit('notification', {
-                    type: 'warning',
-                    message: `(Alt) Winnings offer #${offerId} sent. Bot's first auto-confirmation attempt failed. Retrying shortly.`
-                });
+// Claims the rounds of a payout offer we canceled again and sends their winnings anew. Returns false
+// (items stay in the vault) once the payout has been re-sent PAYOUT_MAX_AUTO_RESENDS times.
+async function resendCanceledPayout(offer, winner, rounds) {
+    const job = await PayoutJob.findOne({ offerId: offer.id }).select('jobId resendCount').lean();
+    const resendCount = (job?.resendCount || 0) + 1;
+    if (resendCount > PAYOUT_MAX_AUTO_RESENDS) {
+        console.warn(`WARN: Payout offer #${offer.id} was canceled after ${resendCount - 1} automatic re-send(s); leaving its items in the vault.`);
+        return false;
+    }
+    const trackedRounds = rounds.filter(round => round.payoutOffers?.some(entry => entry.offerId === offer.id));
+    if (trackedRounds.length === 0 || !winner.tradeUrl) return false;
+    console.log(`LOG_INFO: Re-sending canceled payout offer #${offer.id} (re-send ${resendCount} of ${PAYOUT_MAX_AUTO_RESENDS}).`);
+    claimVaultWinnings(winner, trackedRounds.map(round => round._id), { resendOf: job?.jobId, resendCount })
+        .catch(err => console.error(`PAYOUT_ERROR: Re-sending canceled payout offer #${offer.id} failed:`, err));
+    return true;
+}
 
-                setTimeout(async () => {
-                    const retryConfirmResult = await confirmTradeOffer(offerId, 'winnings-alt-retry');
-                    if (retryConfirmResult.success) {
-                        console.log(`[${timestamp}] (Alternative) Winnings offer ${offerId} auto-confirmed by bot for ${winner.username} on RETRY.`);
-                        await Round.updateOne({ _id: roundDoc._id }, { $set: { payoutOfferStatus: 'Sent (Confirmed)' } });
-                        io.to(winner._id.toString()).emit('notification', {
-                            type: 'success',
-                            message: `(Alt) Winnings offer #${offerId} (Round #${roundDoc.roundId}) has now been successfully confirmed by the bot after a retry!`
-                        });
-                    } else {
-                        console.error(`[${timestamp}] (Alternative) FAILED to auto-confirm winnings offer ${offerId} by bot on retry: ${retryConfirmResult.error}. Offer will require manual confirmation by bot admin.`);
-                         io.to(winner._id.toString()).emit('notification', {
-                            type: 'error',
-                            message: `(Alt) Offer ${offerId} sent, but auto-confirmation by bot failed after retry. Bot admin will confirm it manually. Please check Steam periodically.`
-                        });
-                    }
-                }, 10000); // 10-second delay for retry
-            }
-        } else if (initialPayoutStatus === 'Active (Sent to User)' || offer.state === TradeOfferManager.ETradeOfferState.Active) {
-            // If the offer is already active, it means it's sent and doesn't need further bot confirmation (or it was already done)
-            console.log(`[${timestamp}] (Alternative) Offer ${offerId} is active and ready for user. Status: ${sendStatus}, Offer State: ${TradeOfferManager.ETradeOfferState[offer.state]}`);
-            finalStatusForResponse = 'Active (Sent to User)'; // More descriptive
-            botConfirmedSuccessfully = true; // Considered confirmed as it's ready for user
-            // Notification already sent or will be handled by sentOfferChanged if it becomes 'Accepted'
-            // Can send a specific "it's active" notification if not already covered
-             io.to(winner._id.toString()).emit('notification', { // Ensure user knows it's good to go
-                type: 'success',
-                message: `(Alt) Winnings offer #${offerId} (Round #${roundDoc.roundId}) has been sent and is active on Steam. Please accept it.`
+// Looks up escrowed payout offers past their release date, in case Steam's change event was missed
+async function checkEscrowedPayouts() {
+    if (!isBotReady()) return;
+    const rounds = await Round.find({ payoutOffers: { $elemMatch: { status: 'Escrow', $or: [{ escrowEndsAt: null }, { escrowEndsAt: { $lte: new Date() } }] } } })
+        .select('payoutOffers').lean();
+    const checked = new Set();
+    for (const round of rounds) {
+        for (const entry of round.payoutOffers) {
+            if (entry.status !== 'Escrow' || checked.has(entry.offerId) || (entry.escrowEndsAt && entry.escrowEndsAt > new Date())) continue;
+            checked.add(entry.offerId);
+            const offer = await tradeBots.get(entry.botId).getOffer(entry.offerId).catch(err => {
+                console.warn(`WARN (Payouts): Could not fetch escrowed payout offer ${entry.offerId}:`, err.message);
+                return null;
             });
+            if (offer && offer.state !== TradeOfferManager.ETradeOfferState.InEscrow) await handlePayoutOfferChanged(offer);
         }
-         else {
-            console.log(`[${timestamp}] (Alternative) Offer ${offerId} with sendStatus '${sendStatus}' and offer.state '${TradeOfferManager.ETradeOfferState[offer.state]}' does not require explicit bot confirmation step here or is already handled.`);
-            // If not needing confirmation (e.g. already accepted, declined, error state from sendStatus)
-            // finalStatusForResponse remains initialPayoutStatus
-            // botConfirmedSuccessfully remains false unless proven otherwise.
-        }
-        
-        return { success: true, offerId: offerId, offerURL: offerURL, status: finalStatusForResponse, botConfirmed: botConfirmedSuccessfully };
+    }
+}
 
-    } catch (error) {
-        console.error(`[${timestamp}] (Alternative) Error sending winnings offer for round ${roundDoc.roundId} to ${winner.username}:`, error.message, error.eresult);
-        let userMessage = 'Failed to send winnings (Alt). Please try again or contact support.';
-        let dbStatus = 'Failed - Send Error';
-
-        if (error.eresult === 26 || error.message?.toLowerCase().includes('trade url')) {
-            userMessage = 'Your Steam Trade URL appears to be invalid (Alt). Please update it and contact support.';
-            dbStatus = 'Failed - Invalid Trade URL';
-        } else if (error.eresult === 15) {
-            userMessage = 'Your inventory appears to be private (Alt). Please make it public.';
-            dbStatus = 'Failed - Inventory Private';
-        } else if (error.eresult === 16) {
-            userMessage = 'You appear to be trade banned (Alt). Contact Steam support.';
-            dbStatus = 'Failed - Trade Banned';
-        }  else if (error.eresult === 25 || error.message?.toLowerCase().includes('items_unavailable')) { // Added from original function
-            userMessage = 'Some items for your winnings were unavailable at the time of sending. Please contact support.';
-            dbStatus = 'Failed - Inventory/Trade Issue';
-        } else if (error.message?.includes("No matching items found in bot inventory for payout.")) {
-             dbStatus = 'Failed - Bot Inventory Issue';
-             userMessage = error.message; // Use the specific error message
-        } else if (error.eresult) {
-            userMessage += ` (Steam Error Code: ${error.eresult})`;
-            dbStatus = `Failed - Steam Error ${error.eresult}`;
-        }
-
-        // Ensure payoutOfferId is cleared if the offer object was created but send failed.
-        const offerIdToClear = offer && offer.id ? offer.id : null;
-        await Round.updateOne({ _id: roundDoc._id }, { $set: { payoutOfferStatus: dbStatus, payoutOfferId: offerIdToClear ? null : undefined } });
-        io.to(winner._id.toString()).emit('notification', { type: 'error', message: userMessage });
-        return { success: false, error: userMessage, errorCode: error.eresult, botConfirmed: false };
+// Sends payout jobs whose retry is due; runs every PAYOUT_RETRY_SWEEP_INTERVAL_MS
+async function runDuePayoutJobs() {
+    if (!isBotReady()) return;
+    const dueJobs = await PayoutJob.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } }).sort({ nextAttemptAt: 1 }).select('jobId').lean();
+    for (const { jobId } of dueJobs) {
+        await runPayoutJob(jobId).catch(err => console.error(`PAYOUT_ERROR: Retry of payout job ${jobId} failed:`, err));
+    }
+}
+
+// On startup, finishes payouts a restart cut off. Jobs caught mid-send are flagged so they look for the
+// offer they may already have sent; jobs with a retry still ahead are left to runDuePayoutJobs. Claimed
+// rounds left in 'Processing Winnings' without an open job get their payout summary.
+async function resumePayoutJobs() {
+    await PayoutJob.updateMany({ status: 'sending' }, { $set: { status: 'pending', unconfirmedSend: true, updatedAt: new Date() } });
+    const pendingJobs = await PayoutJob.find({ status: 'pending', nextAttemptAt: { $not: { $gt: new Date() } } }).sort({ createdAt: 1 }).select('jobId').lean();
+    if (pendingJobs.length > 0) console.log(`LOG_INFO (Payouts): Resuming ${pendingJobs.length} payout job(s)...`);
+    for (const { jobId } of pendingJobs) {
+        await runPayoutJob(jobId).catch(err => console.error(`PAYOUT_ERROR: Failed to resume payout job ${jobId}:`, err));
+    }
+
+    for (const round of await settlePayoutRounds({})) {
+        console.log(`LOG_INFO (Payouts): Round #${round.roundId} was left waiting on its payout; payout status is now ${round.payoutOfferStatus}.`);
     }
 }
 
@@ -1915,6 +3184,108 @@ app.post('/logout', (req, res, next) => {
     });
 });
 
+// --- Fake trade backend controls (TRADE_BACKEND=fake, non-production only) ---
+if (TRADE_BACKEND === 'fake' && process.env.NODE_ENV !== 'production') {
+    // Log in as any SteamID without going through Steam OpenID. Needs an explicit DEV_AUTH_ENABLED=1;
+    // admin SteamIDs (ADMIN_STEAM_IDS) additionally need DEV_AUTH_ALLOW_ADMINS=1.
+    app.get('/auth/dev', authLimiter, async (req, res, next) => {
+        if (process.env.DEV_AUTH_ENABLED !== '1') return res.status(404).json({ error: 'Dev login is disabled. Set DEV_AUTH_ENABLED=1 to enable it.' });
+        const steamId = String(req.query.steamId || '');
+        if (!/^\d{17}$/.test(steamId)) return res.status(400).json({ error: 'steamId query parameter (17 digits) is required.' });
+        const adminSteamIds = process.env.ADMIN_STEAM_IDS ? process.env.ADMIN_STEAM_IDS.split(',') : [];
+        if (adminSteamIds.includes(steamId) && process.env.DEV_AUTH_ALLOW_ADMINS !== '1') {
+            console.warn(`WARN: Refused dev login as admin SteamID ${steamId} (DEV_AUTH_ALLOW_ADMINS is not set).`);
+            return res.status(403).json({ error: 'Dev login as an admin SteamID requires DEV_AUTH_ALLOW_ADMINS=1.' });
+        }
+        try {
+            const accountId = new SteamID(steamId).accountid;
+            const user = await User.findOneAndUpdate(
+                { steamId },
+                {
+                    $set: { username: req.query.username || `DevUser${steamId.substring(steamId.length - 5)}` },
+                    $setOnInsert: {
+                        steamId,
+                        avatar: '/img/default-avatar.png',
+                        tradeUrl: `https://steamcommunity.com/tradeoffer/new/?partner=${accountId}&token=devtoken`,
+                        createdAt: new Date()
+                    }
+                },
+                { new: true, upsert: true, runValidators: true }
+            );
+            req.login(user, err => err ? next(err) : res.redirect('/'));
+        } catch (err) {
+            console.error('Dev login error:', err);
+            res.status(500).json({ error: 'Dev login failed.' });
+        }
+    });
+
+    // The trade controls act as any trade partner or bot, so like dev login they need DEV_AUTH_ENABLED=1,
+    // and they are limited to admins (ADMIN_STEAM_IDS)
+    app.use('/api/dev', (req, res, next) => {
+        if (process.env.DEV_AUTH_ENABLED !== '1') return res.status(404).json({ error: 'Dev trade controls are disabled. Set DEV_AUTH_ENABLED=1 to enable them.' });
+        next();
+    }, ensureAuthenticated, (req, res, next) => {
+        if (!process.env.ADMIN_STEAM_IDS || !process.env.ADMIN_STEAM_IDS.split(',').includes(req.user.steamId)) {
+            return res.status(403).json({ error: 'Forbidden: Admin access required.' });
+        }
+        next();
+    });
+
+    // Offers across all fake bots, tagged with the bot that sent them
+    const listDevOffers = () => tradeBots.all().flatMap(bot => bot.listOffers().map(o => ({ ...o, botId: bot.id })));
+    const devBotForOffer = (offerId) => tradeBots.all().find(bot => bot.listOffers().some(o => o.id === offerId));
+
+    app.get('/api/dev/trade/offers', (req, res) => {
+        res.json(listDevOffers());
+    });
+
+    app.get('/api/dev/trade/offers/:offerId', (req, res) => {
+        const offer = listDevOffers().find(o => o.id === req.params.offerId);
+        if (!offer) return res.status(404).json({ error: 'Offer not found.' });
+        res.json(offer);
+    });
+
+    // Act as the trade partner (accept/decline/expire) or the bot (cancel/confirm)
+    app.post('/api/dev/trade/offers/:offerId/:action', async (req, res) => {
+        const bot = devBotForOffer(req.params.offerId) || tradeBots.get();
+        const actions = {
+            accept: id => bot.acceptOffer(id),
+            decline: id => bot.declineOffer(id),
+            expire: id => bot.expireOffer(id),
+            cancel: id => bot.cancelOffer(id),
+            confirm: id => bot.confirmOffer(id, 'dev')
+        };
+        const action = actions[req.params.action];
+        if (!action) return res.status(400).json({ error: `Unknown action. Use one of: ${Object.keys(actions).join(', ')}.` });
+        try {
+            await action(req.params.offerId);
+            res.json({ success: true, offer: listDevOffers().find(o => o.id === req.params.offerId) });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // Fake bots share one simulated Steam, so any bot sees every inventory
+    app.get('/api/dev/trade/inventory/:steamId', async (req, res) => {
+        res.json(await tradeBots.get().getUserInventory(req.params.steamId));
+    });
+
+    // Body: { items: [{ market_hash_name, icon_url?, tradable? }] }
+    app.put('/api/dev/trade/inventory/:steamId', (req, res) => {
+        if (!Array.isArray(req.body.items)) return res.status(400).json({ error: 'items array is required.' });
+        res.json(tradeBots.get().setInventory(req.params.steamId, req.body.items));
+    });
+
+    // Body: { escrowDays } - 0 clears the user's trade hold
+    app.put('/api/dev/trade/holds/:steamId', (req, res) => {
+        const escrowDays = Number(req.body.escrowDays);
+        if (!Number.isInteger(escrowDays) || escrowDays < 0) return res.status(400).json({ error: 'escrowDays must be a whole number >= 0.' });
+        tradeBots.get().setTradeHold(req.params.steamId, escrowDays);
+        tradeHolds.forget(req.params.steamId);
+        res.json({ steamId: req.params.steamId, escrowDays });
+    });
+}
+
 
 // --- Middleware & API Routes ---
 function ensureAuthenticated(req, res, next) {
@@ -1931,119 +3302,511 @@ const handleValidationErrors = (req, res, next) => {
 };
 
 app.get('/api/user', ensureAuthenticated, (req, res) => {
-    const { _id, steamId, username, avatar, tradeUrl, createdAt, pendingDepositOfferId, totalDepositedValue, totalWinningsValue } = req.user;
-    res.json({ _id, steamId, username, avatar, tradeUrl, createdAt, pendingDepositOfferId, totalDepositedValue, totalWinningsValue });
+    const { _id, steamId, username, avatar, tradeUrl, createdAt, pendingDepositOfferId, totalDepositedValue, totalWinningsValue, clientSeed } = req.user;
+    res.json({ _id, steamId, username, avatar, tradeUrl, createdAt, pendingDepositOfferId, totalDepositedValue, totalWinningsValue, clientSeed: clientSeed || '' });
+});
+
+// Sets (or, with an empty value, clears) the player's client seed. It applies to rounds they join afterwards.
+app.post('/api/user/client-seed',
+    sensitiveActionLimiter, ensureAuthenticated,
+    [
+        body('clientSeed').trim().custom((value) => {
+            if (value === '') return true;
+            if (!CLIENT_SEED_REGEX.test(value)) throw new Error('Client Seed must be 1-64 letters, digits, "-" or "_".');
+            return true;
+        })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+        const clientSeed = req.body.clientSeed || undefined;
+        try {
+            const update = clientSeed ? { $set: { clientSeed } } : { $unset: { clientSeed: 1 } };
+            const updatedUser = await User.findByIdAndUpdate(req.user._id, update, { new: true });
+            if (!updatedUser) return res.status(404).json({ error: 'User not found.' });
+            console.log(`LOG_INFO: Client seed ${clientSeed ? 'updated' : 'cleared'} for user: ${updatedUser.username}`);
+            res.json({ success: true, clientSeed: updatedUser.clientSeed || '' });
+        } catch (err) {
+            console.error(`Error updating client seed for user ${req.user._id}:`, err);
+            res.status(500).json({ error: 'Server error saving Client Seed.' });
+        }
+    }
+);
+
+app.post('/api/user/tradeurl',
+    sensitiveActionLimiter, ensureAuthenticated,
+    [
+        body('tradeUrl').trim().custom((value) => {
+            if (value === '') return true;
+            if (!TRADE_URL_REGEX.test(value)) throw new Error('Invalid Steam Trade URL format. Ensure it includes partner and token parameters.');
+            return true;
+        })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+        const { tradeUrl } = req.body;
+        try {
+            const updatedUser = await User.findByIdAndUpdate(req.user._id, { tradeUrl: tradeUrl }, { new: true, runValidators: true });
+            if (!updatedUser) return res.status(404).json({ error: 'User not found.' });
+
+            console.log(`LOG_INFO: Trade URL updated for user: ${updatedUser.username} to "${tradeUrl}"`);
+            tradeHolds.forget(updatedUser.steamId); // The hold is looked up through the trade URL
+            res.json({ success: true, tradeUrl: updatedUser.tradeUrl });
+
+            if (updatedUser.tradeUrl && isBotReady()) { // Refunds parked waiting for a trade URL can go out now
+                Refund.find({ userId: updatedUser._id, status: 'queued' }).select('refundId').lean()
+                    .then(refunds => refunds.forEach(r => sendRefundOffer(r.refundId).catch(e => console.error(`REFUND_ERROR: Failed to send refund ${r.refundId}:`, e))))
+                    .catch(e => console.error(`DB_ERROR: Failed to load queued refunds for user ${updatedUser._id}:`, e));
+            }
+        } catch (err) {
+            if (err.name === 'ValidationError') {
+                console.error(`Trade URL Validation Error for user ${req.user._id}:`, err.message);
+                const messages = Object.values(err.errors).map(e => e.message);
+                return res.status(400).json({ error: messages.join(', ') || 'Invalid Trade URL.' });
+            }
+            console.error(`Error updating trade URL for user ${req.user._id}:`, err);
+            res.status(500).json({ error: 'Server error saving Trade URL.' });
+        }
+    }
+);
+
+app.post('/api/admin/clear-stuck-round', ensureAuthenticated, async (req, res) => {
+    if (!process.env.ADMIN_STEAM_IDS || !process.env.ADMIN_STEAM_IDS.split(',').includes(req.user.steamId)) {
+        return res.status(403).json({ error: 'Forbidden: Admin access required.' });
+    }
+
+    try {
+        // Winnings waiting in a vault are not stuck; only rounds stuck mid-payout are cleared
+        const candidate = await Round.findOne({ status: 'completed_pending_acceptance', payoutOfferStatus: { $nin: VAULT_CLAIMABLE_PAYOUT_STATUSES } }).select('_id').lean();
+        const stuckRound = candidate
+            ? await roundMachine.transition(candidate._id, 'completed_pending_acceptance', 'completed', {
+                set: { payoutOfferStatus: 'Failed - Manually Cleared' },
+                reason: `Manually cleared by admin ${req.user.username}`
+            })
+            : null;
+        const clearedUsers = await User.updateMany(
+            { pendingDepositOfferId: { $ne: null } },
+            { $set: { pendingDepositOfferId: null } }
+        );
+
+        if (stuckRound) await recordForfeit(stuckRound, `Manually cleared by admin ${req.user.username}`);
+        console.log('LOG_INFO (Admin): Cleared stuck round:', stuckRound?.roundId || 'None found');
+        console.log('LOG_INFO (Admin): Cleared pending offers for users:', clearedUsers.modifiedCount);
+
+        if (currentRound && stuckRound && currentRound._id.toString() === stuckRound._id.toString()) {
+            currentRound = null;
+            await ensureInitialRound();
+        }
+
+        res.json({ success: true, clearedRoundId: stuckRound?.roundId, clearedUserOffers: clearedUsers.modifiedCount });
+    } catch (error) {
+        console.error('Error (Admin) clearing stuck round:', error);
+        res.status(500).json({ error: 'Failed to clear stuck round' });
+    }
 });
 
-app.post('/api/user/tradeurl',
-    sensitiveActionLimiter, ensureAuthenticated,
+// Verifies a round's ledger: deposits == payout + tax + refunds (+ forfeits) and an empty pot account
+app.get('/api/admin/ledger/rounds/:roundId/reconcile', ensureAuthenticated,
+    [param('roundId').isInt({ min: 1 }).withMessage('Invalid Round ID format.').toInt()],
+    handleValidationErrors,
+    async (req, res) => {
+        if (!process.env.ADMIN_STEAM_IDS || !process.env.ADMIN_STEAM_IDS.split(',').includes(req.user.steamId)) {
+            return res.status(403).json({ error: 'Forbidden: Admin access required.' });
+        }
+        try {
+            const round = await Round.findOne({ roundId: req.params.roundId }).select('roundId status payoutOfferStatus').lean();
+            if (!round) return res.status(404).json({ error: `Round #${req.params.roundId} not found.` });
+            res.json(await reconcileRoundLedger(round));
+        } catch (error) {
+            console.error(`Error (Admin) reconciling ledger for round ${req.params.roundId}:`, error);
+            res.status(500).json({ error: 'Failed to reconcile round ledger.' });
+        }
+    }
+);
+
+// Status history of a round, as recorded by roundMachine
+app.get('/api/admin/rounds/:roundId/transitions', ensureAuthenticated,
+    [param('roundId').isInt({ min: 1 }).withMessage('Invalid Round ID format.').toInt()],
+    handleValidationErrors,
+    async (req, res) => {
+        if (!process.env.ADMIN_STEAM_IDS || !process.env.ADMIN_STEAM_IDS.split(',').includes(req.user.steamId)) {
+            return res.status(403).json({ error: 'Forbidden: Admin access required.' });
+        }
+        try {
+            const round = await Round.findOne({ roundId: req.params.roundId }).select('roundId status transitions').lean();
+            if (!round) return res.status(404).json({ error: `Round #${req.params.roundId} not found.` });
+            res.json({ roundId: round.roundId, status: round.status, transitions: round.transitions || [] });
+        } catch (error) {
+            console.error(`Error (Admin) fetching transitions for round ${req.params.roundId}:`, error);
+            res.status(500).json({ error: 'Failed to fetch round transitions.' });
+        }
+    }
+);
+
+// Tax collected per day (UTC), with how often tax was skipped and why (see lib/round/taxPolicy.js)
+app.get('/api/admin/tax-report', ensureAuthenticated,
+    [query('days').optional().isInt({ min: 1, max: 365 }).withMessage('days must be between 1 and 365.').toInt()],
+    handleValidationErrors,
+    async (req, res) => {
+        if (!process.env.ADMIN_STEAM_IDS || !process.env.ADMIN_STEAM_IDS.split(',').includes(req.user.steamId)) {
+            return res.status(403).json({ error: 'Forbidden: Admin access required.' });
+        }
+        const days = req.query.days || 30;
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        try {
+            const daily = await Round.aggregate([
+                { $match: { status: { $in: ['completed', 'completed_pending_acceptance'] }, winner: { $exists: true }, completedTime: { $gte: since } } },
+                {
+                    $group: {
+                        _id: { $dateToString: { format: '%Y-%m-%d', date: '$completedTime' } },
+                        rounds: { $sum: 1 },
+                        taxedRounds: { $sum: { $cond: [{ $gt: ['$taxAmount', 0] }, 1, 0] } },
+                        taxCollected: { $sum: { $ifNull: ['$taxAmount', 0] } },
+                        itemsTaxed: { $sum: { $size: { $ifNull: ['$taxedItems', []] } } },
+                        potValue: { $sum: { $add: [{ $ifNull: ['$totalValue', 0] }, { $ifNull: ['$taxAmount', 0] }] } }, // Before tax
+                        reasons: { $push: { $ifNull: ['$taxDetails.reason', 'unrecorded'] } }
+                    }
+                },
+                { $sort: { _id: 1 } }
+            ]);
+
+            const report = daily.map(day => ({
+                date: day._id,
+                rounds: day.rounds,
+                taxedRounds: day.taxedRounds,
+                taxCollected: day.taxCollected,
+                itemsTaxed: day.itemsTaxed,
+                potValue: day.potValue,
+                effectiveRate: day.potValue > 0 ? (day.taxCollected / day.potValue) * 100 : 0,
+                reasons: day.reasons.reduce((counts, reason) => ({ ...counts, [reason]: (counts[reason] || 0) + 1 }), {})
+            }));
+            const totals = report.reduce((sum, day) => ({
+                rounds: sum.rounds + day.rounds,
+                taxedRounds: sum.taxedRounds + day.taxedRounds,
+                taxCollected: sum.taxCollected + day.taxCollected,
+                itemsTaxed: sum.itemsTaxed + day.itemsTaxed,
+                potValue: sum.potValue + day.potValue
+            }), { rounds: 0, taxedRounds: 0, taxCollected: 0, itemsTaxed: 0, potValue: 0 });
+
+            res.json({
+                days,
+                since,
+                policy: { tiers: taxPolicy.tiers, minPotForTax: taxPolicy.minPotForTax, strategy: taxPolicy.strategy, waiveSoleDepositor: taxPolicy.waiveSoleDepositor },
+                totals,
+                daily: report
+            });
+        } catch (error) {
+            console.error('Error (Admin) building tax report:', error);
+            res.status(500).json({ error: 'Failed to build tax report.' });
+        }
+    }
+);
+
+// House inventory (items taken as tax) with current prices
+app.get('/api/admin/house/items', ensureAuthenticated,
+    [query('status').optional().isIn(HOUSE_ITEM_STATUSES).withMessage(`status must be one of: ${HOUSE_ITEM_STATUSES.join(', ')}.`)],
+    handleValidationErrors,
+    async (req, res) => {
+        if (!process.env.ADMIN_STEAM_IDS || !process.env.ADMIN_STEAM_IDS.split(',').includes(req.user.steamId)) {
+            return res.status(403).json({ error: 'Forbidden: Admin access required.' });
+        }
+        try {
+            const filter = req.query.status ? { status: req.query.status } : { status: { $in: ['held', 'withdrawing'] } };
+            const houseItems = await HouseItem.find(filter).sort({ createdAt: -1 }).populate('roundId', 'roundId').lean();
+            const items = houseItems.map(formatHouseItemForClient);
+            res.json({
+                items,
+                totals: {
+                    count: items.length,
+                    taxedValue: items.reduce((sum, item) => sum + item.taxedValue, 0),
+                    currentValue: items.reduce((sum, item) => sum + item.currentPrice, 0)
+                }
+            });
+        } catch (error) {
+            console.error('Error (Admin) fetching house items:', error);
+            res.status(500).json({ error: 'Failed to fetch house items.' });
+        }
+    }
+);
+
+// Sends house items to an admin's trade URL: the given items, or everything held
+app.post('/api/admin/house/withdraw', ensureAuthenticated, sensitiveActionLimiter,
     [
-        body('tradeUrl').trim().custom((value) => {
-            if (value === '') return true;
+        body('houseItemIds').optional().isArray({ min: 1, max: 500 }).withMessage('houseItemIds must be a list of 1-500 house item IDs.'),
+        body('houseItemIds.*').isMongoId().withMessage('Invalid house item ID.'),
+        body('tradeUrl').optional().trim().custom(value => {
             if (!TRADE_URL_REGEX.test(value)) throw new Error('Invalid Steam Trade URL format. Ensure it includes partner and token parameters.');
             return true;
         })
     ],
     handleValidationErrors,
     async (req, res) => {
-        const { tradeUrl } = req.body;
+        if (!process.env.ADMIN_STEAM_IDS || !process.env.ADMIN_STEAM_IDS.split(',').includes(req.user.steamId)) {
+            return res.status(403).json({ error: 'Forbidden: Admin access required.' });
+        }
+        if (!isBotReady()) return res.status(503).json({ error: 'Trading service is currently unavailable.' });
+        const tradeUrl = req.body.tradeUrl || process.env.HOUSE_WITHDRAWAL_TRADE_URL || req.user.tradeUrl;
+        if (!tradeUrl || !TRADE_URL_REGEX.test(tradeUrl)) {
+            return res.status(400).json({ error: 'No valid trade URL. Pass tradeUrl, set HOUSE_WITHDRAWAL_TRADE_URL, or save a trade URL on your profile.' });
+        }
         try {
-            const updatedUser = await User.findByIdAndUpdate(req.user._id, { tradeUrl: tradeUrl }, { new: true, runValidators: true });
-            if (!updatedUser) return res.status(404).json({ error: 'User not found.' });
-
-            console.log(`LOG_INFO: Trade URL updated for user: ${updatedUser.username} to "${tradeUrl}"`);
-            res.json({ success: true, tradeUrl: updatedUser.tradeUrl });
-        } catch (err) {
-            if (err.name === 'ValidationError') {
-                console.error(`Trade URL Validation Error for user ${req.user._id}:`, err.message);
-                const messages = Object.values(err.errors).map(e => e.message);
-                return res.status(400).json({ error: messages.join(', ') || 'Invalid Trade URL.' });
+            const result = await withdrawHouseItems(req.body.houseItemIds || null, tradeUrl, req.user.steamId);
+            if (result.offers.length === 0 && result.failed.length === 0) {
+                return res.status(404).json({ error: 'No held house items to withdraw.', skipped: result.skipped });
             }
-            console.error(`Error updating trade URL for user ${req.user._id}:`, err);
-            res.status(500).json({ error: 'Server error saving Trade URL.' });
+            res.status(result.offers.length > 0 ? 200 : 502).json({ success: result.offers.length > 0, ...result });
+        } catch (error) {
+            console.error('Error (Admin) withdrawing house items:', error);
+            res.status(500).json({ error: 'Failed to withdraw house items.' });
         }
     }
 );
 
-app.post('/api/admin/clear-stuck-round', ensureAuthenticated, async (req, res) => {
-    if (!process.env.ADMIN_STEAM_IDS || !process.env.ADMIN_STEAM_IDS.split(',').includes(req.user.steamId)) {
-        return res.status(403).json({ error: 'Forbidden: Admin access required.' });
+// House value now (book, marked-to-market, realized) and its daily snapshots
+app.get('/api/admin/house/valuation', ensureAuthenticated,
+    [query('days').optional().isInt({ min: 1, max: 365 }).withMessage('days must be between 1 and 365.').toInt()],
+    handleValidationErrors,
+    async (req, res) => {
+        if (!process.env.ADMIN_STEAM_IDS || !process.env.ADMIN_STEAM_IDS.split(',').includes(req.user.steamId)) {
+            return res.status(403).json({ error: 'Forbidden: Admin access required.' });
+        }
+        const days = req.query.days || 30;
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        try {
+            const [current, history] = await Promise.all([
+                houseValuation(),
+                HouseValuation.find({ date: { $gte: since } }).sort({ date: 1 }).select('-_id -__v').lean()
+            ]);
+            res.json({
+                current: { ...current, unrealizedGain: current.markedValue - current.bookValue, realizedGain: current.realizedToDate - current.withdrawnBookValue },
+                history
+            });
+        } catch (error) {
+            console.error('Error (Admin) fetching house valuation:', error);
+            res.status(500).json({ error: 'Failed to fetch house valuation.' });
+        }
     }
+);
 
-    try {
-        const stuckRound = await Round.findOneAndUpdate(
-            { status: 'completed_pending_acceptance' },
-            { $set: { status: 'completed', payoutOfferStatus: 'Failed - Manually Cleared' }},
-            { new: true }
-        );
-        const clearedUsers = await User.updateMany(
-            { pendingDepositOfferId: { $ne: null } },
-            { $set: { pendingDepositOfferId: null } }
-        );
-
-        console.log('LOG_INFO (Admin): Cleared stuck round:', stuckRound?.roundId || 'None found');
-        console.log('LOG_INFO (Admin): Cleared pending offers for users:', clearedUsers.modifiedCount);
+// Compensation owed to winners for won items the bots no longer held (PAYOUT_MISSING_ITEM_POLICY=compensate)
+app.get('/api/admin/payouts/compensations', ensureAuthenticated,
+    [query('settled').optional().isBoolean().withMessage('settled must be true or false.').toBoolean()],
+    handleValidationErrors,
+    async (req, res) => {
+        if (!process.env.ADMIN_STEAM_IDS || !process.env.ADMIN_STEAM_IDS.split(',').includes(req.user.steamId)) {
+            return res.status(403).json({ error: 'Forbidden: Admin access required.' });
+        }
+        try {
+            const settled = req.query.settled === true;
+            const rounds = await Round.find({ payoutAdjustments: { $elemMatch: { action: 'compensated', settledAt: { $exists: settled } } } })
+                .sort({ completedTime: -1 })
+                .select('roundId winner payoutAdjustments')
+                .populate('winner', 'steamId username')
+                .populate('payoutAdjustments.item', 'name price')
+                .lean();
+            const compensations = rounds.flatMap(round => round.payoutAdjustments
+                .filter(adjustment => adjustment.action === 'compensated' && !!adjustment.settledAt === settled)
+                .map(adjustment => ({
+                    roundId: round.roundId,
+                    winner: round.winner ? { steamId: round.winner.steamId, username: round.winner.username } : null,
+                    itemId: adjustment.item?._id,
+                    name: adjustment.item?.name || null,
+                    value: adjustment.value,
+                    createdAt: adjustment.createdAt,
+                    settledAt: adjustment.settledAt,
+                    settledBy: adjustment.settledBy
+                })));
+            res.json({ compensations, totalValue: compensations.reduce((sum, entry) => sum + (entry.value || 0), 0) });
+        } catch (error) {
+            console.error('Error (Admin) fetching payout compensations:', error);
+            res.status(500).json({ error: 'Failed to fetch payout compensations.' });
+        }
+    }
+);
 
-        if (currentRound && stuckRound && currentRound._id.toString() === stuckRound._id.toString()) {
-            currentRound = null;
-            await ensureInitialRound();
+// Marks a compensation as paid to the winner (outside the site)
+app.post('/api/admin/payouts/compensations/settle', ensureAuthenticated, sensitiveActionLimiter,
+    [
+        body('roundId').isInt({ min: 1 }).withMessage('Invalid Round ID format.').toInt(),
+        body('itemId').isMongoId().withMessage('Invalid item ID.')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+        if (!process.env.ADMIN_STEAM_IDS || !process.env.ADMIN_STEAM_IDS.split(',').includes(req.user.steamId)) {
+            return res.status(403).json({ error: 'Forbidden: Admin access required.' });
+        }
+        try {
+            const result = await Round.updateOne(
+                { roundId: req.body.roundId, payoutAdjustments: { $elemMatch: { item: req.body.itemId, action: 'compensated', settledAt: { $exists: false } } } },
+                { $set: { 'payoutAdjustments.$.settledAt': new Date(), 'payoutAdjustments.$.settledBy': req.user.steamId } }
+            );
+            if (result.modifiedCount === 0) return res.status(404).json({ error: 'No unsettled compensation found for that round and item.' });
+            console.log(`LOG_INFO: Admin ${req.user.username} settled the compensation for item ${req.body.itemId} in round #${req.body.roundId}.`);
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error (Admin) settling payout compensation:', error);
+            res.status(500).json({ error: 'Failed to settle payout compensation.' });
         }
+    }
+);
 
-        res.json({ success: true, clearedRoundId: stuckRound?.roundId, clearedUserOffers: clearedUsers.modifiedCount });
+// Progress of returning items from rounds that ended in 'error'
+app.get('/api/admin/error-rounds', ensureAuthenticated, async (req, res) => {
+    if (!process.env.ADMIN_STEAM_IDS || !process.env.ADMIN_STEAM_IDS.split(',').includes(req.user.steamId)) {
+        return res.status(403).json({ error: 'Forbidden: Admin access required.' });
+    }
+    try {
+        const rounds = await Round.find({ status: 'error' }).sort({ roundId: -1 }).limit(50)
+            .select('roundId startTime endTime participants errorRefund').lean();
+        const refundCounts = await Refund.aggregate([
+            { $match: { source: 'round_error', roundId: { $in: rounds.map(r => r._id) } } },
+            { $group: { _id: { roundId: '$roundId', status: '$status' }, count: { $sum: 1 }, value: { $sum: '$totalValue' } } }
+        ]);
+        res.json(rounds.map(round => {
+            const counts = refundCounts.filter(c => c._id.roundId.toString() === round._id.toString());
+            return {
+                roundId: round.roundId,
+                endTime: round.endTime,
+                participantCount: round.participants.length,
+                refundStatus: round.errorRefund?.status || 'not_started',
+                unresolvedItems: round.errorRefund?.unresolvedItems || 0,
+                startedAt: round.errorRefund?.startedAt,
+                completedAt: round.errorRefund?.completedAt,
+                refunds: Object.fromEntries(counts.map(c => [c._id.status, { count: c.count, value: c.value }]))
+            };
+        }));
     } catch (error) {
-        console.error('Error (Admin) clearing stuck round:', error);
-        res.status(500).json({ error: 'Failed to clear stuck round' });
+        console.error('Error (Admin) fetching error rounds:', error);
+        res.status(500).json({ error: 'Failed to fetch error rounds.' });
     }
 });
 
+// Per-user refund status for one error round
+app.get('/api/admin/error-rounds/:roundId', ensureAuthenticated,
+    [param('roundId').isInt({ min: 1 }).withMessage('Invalid Round ID format.').toInt()],
+    handleValidationErrors,
+    async (req, res) => {
+        if (!process.env.ADMIN_STEAM_IDS || !process.env.ADMIN_STEAM_IDS.split(',').includes(req.user.steamId)) {
+            return res.status(403).json({ error: 'Forbidden: Admin access required.' });
+        }
+        try {
+            const round = await Round.findOne({ roundId: req.params.roundId, status: 'error' }).select('roundId errorRefund').lean();
+            if (!round) return res.status(404).json({ error: `No error round #${req.params.roundId}.` });
+            const refunds = await Refund.find({ roundId: round._id, source: 'round_error' })
+                .populate('userId', 'username steamId').sort({ createdAt: 1 }).lean();
+            const unresolved = await Item.find({ roundId: round._id, assetId: null }).select('owner name price originalAssetId depositOfferId').lean();
+            res.json({
+                roundId: round.roundId,
+                refundStatus: round.errorRefund?.status || 'not_started',
+                refunds: refunds.map(r => ({
+                    ...formatRefundForClient(r),
+                    user: r.userId ? { id: r.userId._id, username: r.userId.username, steamId: r.userId.steamId } : null,
+                    botId: r.botId,
+                    attempts: r.attempts
+                })),
+                unresolvedItems: unresolved
+            });
+        } catch (error) {
+            console.error(`Error (Admin) fetching error round ${req.params.roundId}:`, error);
+            res.status(500).json({ error: 'Failed to fetch error round.' });
+        }
+    }
+);
+
+// Starts refunds for an error round (needed for rounds that errored before automatic recovery) and
+// re-queues its failed refunds
+app.post('/api/admin/error-rounds/:roundId/refund', ensureAuthenticated,
+    [param('roundId').isInt({ min: 1 }).withMessage('Invalid Round ID format.').toInt()],
+    handleValidationErrors,
+    async (req, res) => {
+        if (!process.env.ADMIN_STEAM_IDS || !process.env.ADMIN_STEAM_IDS.split(',').includes(req.user.steamId)) {
+            return res.status(403).json({ error: 'Forbidden: Admin access required.' });
+        }
+        if (!isBotReady()) return res.status(503).json({ error: 'Trading service is currently unavailable.' });
+        try {
+            const round = await Round.findOne({ roundId: req.params.roundId, status: 'error' }).select('_id roundId errorRefund').lean();
+            if (!round) return res.status(404).json({ error: `No error round #${req.params.roundId}.` });
+            console.log(`LOG_INFO (Admin): ${req.user.username} started error refunds for round ${round.roundId}.`);
+
+            await queueRoundErrorRefunds(round);
+            const retried = await Refund.find({ roundId: round._id, source: 'round_error', status: 'failed' }).select('refundId').lean();
+            for (const { refundId } of retried) {
+                await Refund.updateOne({ refundId, status: 'failed' }, { $set: { status: 'queued', attempts: 0, offerId: null }, $unset: { resolvedAt: 1 } });
+                sendRefundOffer(refundId).catch(e => console.error(`REFUND_ERROR: Failed to send refund ${refundId}:`, e));
+            }
+            if (retried.length > 0) await Round.updateOne({ _id: round._id }, { $set: { 'errorRefund.status': 'in_progress' } });
+            await updateRoundErrorRefundProgress(round._id);
+            res.json({ success: true, roundId: round.roundId, retriedRefunds: retried.length });
+        } catch (error) {
+            console.error(`Error (Admin) starting error refunds for round ${req.params.roundId}:`, error);
+            res.status(500).json({ error: 'Failed to start error refunds.' });
+        }
+    }
+);
+
 // --- NEW Admin Endpoint for Testing Confirmations ---
 app.get('/api/admin/test-confirmations', ensureAuthenticated, async (req, res) => {
     if (!process.env.ADMIN_STEAM_IDS || !process.env.ADMIN_STEAM_IDS.split(',').includes(req.user.steamId)) {
         return res.status(403).json({ error: 'Forbidden: Admin access required.' });
     }
 
-    if (!isBotConfigured || !isBotReady || !community || !community.steamID) {
+    if (!isBotConfigured || !isBotReady()) {
         return res.status(503).json({ error: 'Bot is not configured, not ready, or not logged in.' });
     }
-    if (!process.env.STEAM_IDENTITY_SECRET) {
+    if (req.query.botId && !tradeBots.has(req.query.botId)) {
+        return res.status(404).json({ error: `Unknown bot "${req.query.botId}".` });
+    }
+    const bot = tradeBots.get(req.query.botId);
+    if (!bot.steamID) {
+        return res.status(503).json({ error: `Bot '${bot.id}' is not logged in.` });
+    }
+    if (TRADE_BACKEND === 'steam' && !process.env.STEAM_BOTS && !process.env.STEAM_IDENTITY_SECRET) {
         return res.status(400).json({ error: 'STEAM_IDENTITY_SECRET is not configured.' });
     }
 
     const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ADMIN_ACTION: User ${req.user.username} testing confirmations.`);
+    console.log(`[${timestamp}] ADMIN_ACTION: User ${req.user.username} testing confirmations for bot '${bot.id}'.`);
 
     try {
-        const time = Math.floor(Date.now() / 1000);
-        const confKey = SteamTotp.generateConfirmationKey(process.env.STEAM_IDENTITY_SECRET, time, 'conf');
-
-        community.getConfirmations(time, confKey, (err, confirmations) => {
-            if (err) {
-                console.error(`[${timestamp}] ADMIN_TEST_CONF_ERROR: Failed to get confirmations:`, err.message);
-                return res.status(500).json({ error: 'Failed to get confirmations from Steam.', details: err.message, eresult: err.eresult });
-            }
+        const confirmations = await bot.getConfirmations();
+        console.log(`[${timestamp}] ADMIN_TEST_CONF_SUCCESS: Found ${confirmations.length} confirmations.`);
+        res.json({
+            success: true,
+            message: `Found ${confirmations.length} confirmations.`,
+            confirmationCount: confirmations.length,
+            confirmations
+        });
+    } catch (err) {
+        console.error(`[${timestamp}] ADMIN_TEST_CONF_ERROR: Failed to get confirmations:`, err.message);
+        res.status(500).json({ error: 'Failed to get confirmations from Steam.', details: err.message, eresult: err.eresult });
+    }
+});
 
-            console.log(`[${timestamp}] ADMIN_TEST_CONF_SUCCESS: Found ${confirmations.length} confirmations.`);
-            res.json({
-                success: true,
-                message: `Found ${confirmations.length} confirmations.`,
-                confirmationCount: confirmations.length,
-                confirmations: confirmations.map(c => ({
-                    id: c.id, // Confirmation ID
-                    key: c.key, // Nonce to accept
-                    creator: c.creator, // ID of object being confirmed (e.g., trade offer ID)
-                    type: c.type, // Type of confirmation (e.g., trade)
-                    typeName: SteamCommunity.EConfirmationType[c.type] || 'Unknown',
-                    title: c.title, // Human-readable title
-                    receiving: c.receiving, // Human-readable of what's being received
-                    time: c.time, // Creation time
-                    icon: c.icon,
-                    summary: c.summary,
-                }))
-            });
+// Health of every trade bot, plus how many items the DB thinks each one holds
+app.get('/api/admin/bots', ensureAuthenticated, async (req, res) => {
+    if (!process.env.ADMIN_STEAM_IDS || !process.env.ADMIN_STEAM_IDS.split(',').includes(req.user.steamId)) {
+        return res.status(403).json({ error: 'Forbidden: Admin access required.' });
+    }
+    if (!tradeBots) return res.status(503).json({ error: 'Trade backend not configured.' });
+    try {
+        const heldItems = await Item.aggregate([
+            { $lookup: { from: 'rounds', localField: 'roundId', foreignField: '_id', as: 'round' } },
+            { $match: { 'round.status': { $in: ['active', 'rolling', 'completed_pending_acceptance'] } } },
+            { $group: { _id: '$botId', count: { $sum: 1 }, value: { $sum: '$price' } } }
+        ]);
+        const openDeposits = await pendingDepositLoadByBot();
+        const bots = tradeBots.health().map(bot => {
+            const held = heldItems.filter(h => (h._id || tradeBots.defaultBotId) === bot.id);
+            return {
+                ...bot,
+                potItemCount: held.reduce((sum, h) => sum + h.count, 0),
+                potItemValue: held.reduce((sum, h) => sum + h.value, 0),
+                pendingDepositItems: openDeposits[bot.id] || 0
+            };
         });
-    } catch (e) {
-        console.error(`[${timestamp}] ADMIN_TEST_CONF_EXCEPTION: Exception during test:`, e);
-        res.status(500).json({ error: 'Server exception during confirmation test.', details: e.message });
+        res.json({ bots });
+    } catch (err) {
+        console.error('Error fetching bot health:', err);
+        res.status(500).json({ error: 'Server error fetching bot health.' });
     }
 });
 
@@ -2070,49 +3833,103 @@ app.get('/api/user/winning-history', ensureAuthenticated, async (req, res) => {
     }
 });
 
+app.get('/api/user/refunds', ensureAuthenticated, async (req, res) => {
+    try {
+        const refunds = await Refund.find({ userId: req.user._id })
+            .sort({ createdAt: -1 })
+            .limit(25)
+            .lean();
+        res.json(refunds.map(formatRefundForClient));
+    } catch (error) {
+        console.error(`Error fetching refunds for user ${req.user._id}:`, error);
+        res.status(500).json({ error: 'Server error fetching refunds.' });
+    }
+});
+
+app.post('/api/user/refunds/:refundId/retry', ensureAuthenticated, sensitiveActionLimiter,
+    [param('refundId').isUUID().withMessage('Invalid refund ID.')],
+    handleValidationErrors,
+    async (req, res) => {
+        if (!isBotReady()) return res.status(503).json({ error: 'Trading service is currently unavailable. Please try again later.' });
+        try {
+            const refund = await Refund.findOneAndUpdate(
+                { refundId: req.params.refundId, userId: req.user._id, status: 'failed' },
+                { $set: { status: 'queued', attempts: 0, offerId: null }, $unset: { resolvedAt: 1 } },
+                { new: true }
+            ).lean();
+            if (!refund) return res.status(404).json({ error: 'No failed refund found with that ID.' });
+
+            console.log(`LOG_INFO: User ${req.user.username} re-queued refund ${refund.refundId}.`);
+            sendRefundOffer(refund.refundId).catch(e => console.error(`REFUND_ERROR: Failed to send refund ${refund.refundId}:`, e));
+            res.json({ success: true, refund: formatRefundForClient(refund) });
+        } catch (error) {
+            console.error(`Error retrying refund ${req.params.refundId} for user ${req.user._id}:`, error);
+            res.status(500).json({ error: 'Server error retrying refund.' });
+        }
+    }
+);
+
+// Pre-flight trade hold check before sending `user` a deposit or payout offer (see lib/trade/tradeHolds.js).
+// The hold is asked of Steam via getUserDetails on an unsent offer and cached per user for a short time.
+async function checkTradeHold(kind, user) {
+    const result = await tradeHolds.check(kind, user.steamId, () => tradeBots.any().getTradeHold(user.tradeUrl));
+    if (result.error) console.warn(`WARN: Trade hold check for ${user.username} failed, sending the ${kind} offer unchecked: ${result.error}`);
+    else if (result.escrowDays > 0) console.log(`LOG_INFO: ${user.username} has a ${result.escrowDays}-day trade hold (${kind} policy: ${result.policy}).`);
+    return result;
+}
+
+function formatTradeHoldForClient(result) {
+    return { escrowDays: result.escrowDays, policy: result.policy, message: result.message || null };
+}
+
 // MODIFIED /api/round/accept-winnings
+// Claims the user's most recent round waiting in their vault; /api/vault/claim claims several at once.
 app.post('/api/round/accept-winnings', ensureAuthenticated, sensitiveActionLimiter, async (req, res) => {
     console.log(`LOG_INFO: Received POST /api/round/accept-winnings for user ${req.user.username}`);
-    let roundBeingProcessed = null; // To store round._id for potential reset in catch block
 
     try {
         const user = req.user;
 
-        const round = await Round.findOne({
-            winner: user._id,
-            status: 'completed_pending_acceptance',
-            payoutOfferStatus: 'PendingAcceptanceByWinner'
-        }).sort({ completedTime: -1 })
-          .populate('winner', 'steamId username avatar tradeUrl')
-          .populate('items');
+        const round = await Round.findOne(vaultClaimableFilter(user._id))
+            .sort({ completedTime: -1 })
+            .select('_id roundId items')
+            .lean();
 
         if (!round) {
             console.warn(`LOG_WARN: No winnings pending acceptance found for user ${user.username} or round not in correct state.`);
             return res.status(404).json({ error: 'No winnings currently pending your acceptance or round already processed.' });
         }
-        roundBeingProcessed = round._id; // Store for catch block
 
         console.log(`LOG_INFO: Found round ${round.roundId} for user ${user.username} to accept winnings. Items in round.items: ${round.items.length}`);
 
-        if (!round.winner || !round.winner.tradeUrl) {
-            console.warn(`LOG_WARN: User ${user.username} (or populated winner) has no trade URL for round ${round.roundId}.`);
+        if (!user.tradeUrl) {
+            console.warn(`LOG_WARN: User ${user.username} has no trade URL for round ${round.roundId}.`);
             await Round.updateOne({ _id: round._id }, { $set: { payoutOfferStatus: 'Failed - No Trade URL' } });
             return res.status(400).json({ error: 'Please set your Steam Trade URL in your profile to accept winnings.' });
         }
-        if (!TRADE_URL_REGEX.test(round.winner.tradeUrl)) {
-            console.error(`LOG_ERROR: Invalid trade URL format for user ${user.username} (pre-check): "${round.winner.tradeUrl}"`);
+        if (!TRADE_URL_REGEX.test(user.tradeUrl)) {
+            console.error(`LOG_ERROR: Invalid trade URL format for user ${user.username} (pre-check): "${user.tradeUrl}"`);
             await Round.updateOne({ _id: round._id }, { $set: { payoutOfferStatus: 'Failed - Invalid Trade URL Format' } });
             return res.status(400).json({ error: 'Your Steam Trade URL format is invalid. Please update it.' });
         }
 
-        console.log(`LOG_INFO: Calling sendWinningTradeOfferAlternative for round ${round.roundId}, user ${round.winner.username}. Items to send: ${round.items.length}`);
-        
-        await Round.updateOne({ _id: round._id }, { $set: { payoutOfferStatus: 'Processing Winnings' }});
+        // Refused while the user has a trade hold: the round stays claimable in the vault
+        const holdCheck = await checkTradeHold('payout', user);
+        const tradeHold = formatTradeHoldForClient(holdCheck);
+        if (!holdCheck.allowed) return res.status(400).json({ error: holdCheck.message, tradeHold });
 
-        const result = await sendWinningTradeOfferAlternative(round, round.winner, round.items);
+        console.log(`LOG_INFO: Sending winnings for round ${round.roundId}, user ${user.username}. Items to send: ${round.items.length}`);
 
+        // Error statuses are recorded on the round by the payout itself; unsent winnings stay in the vault
+        const result = await claimVaultWinnings(user, [round._id]);
+
+        if (result.retryScheduled && !result.success) {
+            return res.status(202).json({ success: true, retryScheduled: true, retryAt: result.retryAt, status: 'Payout Retry Scheduled', message: result.error, offers: [], tradeHold });
+        }
         if (result.success) {
-            let clientMessage = `Winnings acceptance for round #${round.roundId} (Offer ID: ${result.offerId}) processed. `;
+            let clientMessage = result.offers && result.offers.length > 1
+                ? `Winnings acceptance for round #${round.roundId} processed as ${result.offers.length} offers (${result.offers.map(o => o.offerId).join(', ')}), one per bot holding your items. `
+                : `Winnings acceptance for round #${round.roundId} (Offer ID: ${result.offerId}) processed. `;
             if (result.botConfirmed) {
                 clientMessage += `The offer has been confirmed by the bot and should be ready on Steam. Status: ${result.status}.`;
             } else {
@@ -2130,39 +3947,94 @@ app.post('/api/round/accept-winnings', ensureAuthenticated, sensitiveActionLimit
                 message: clientMessage,
                 offerId: result.offerId,
                 offerURL: result.offerURL,
+                offers: result.offers,
                 status: result.status,
-                botConfirmed: result.botConfirmed
+                botConfirmed: result.botConfirmed,
+                tradeHold
             });
         } else {
-            // Error is already logged and DB status updated within sendWinningTradeOfferAlternative.
-            // We might want to reset to 'PendingAcceptanceByWinner' if the error was very early (e.g. bad trade URL before sending)
-            // but sendWinningTradeOfferAlternative now handles its own DB status updates on error.
-            // Let's check the current status in DB. If it's still 'Processing Winnings', it implies an unexpected error before sendWinningTradeOfferAlternative could set a final error status.
-            const currentRoundStatusDoc = await Round.findById(round._id).select('payoutOfferStatus').lean();
-            if (currentRoundStatusDoc && currentRoundStatusDoc.payoutOfferStatus === 'Processing Winnings') {
-                 console.warn(`WARN: Round ${round._id} was still 'Processing Winnings' after sendWinningTradeOfferAlternative failed. Resetting to 'PendingAcceptanceByWinner'. Error from send: ${result.error}`);
-                 await Round.updateOne({ _id: round._id }, { $set: { payoutOfferStatus: 'PendingAcceptanceByWinner' } });
-            }
-            res.status(result.errorCode === 26 || result.errorCode === 15 || result.errorCode === 16 ? 400 : 500) // Common client-side errors
+            res.status(result.notFound ? 404 : result.errorCode === 26 || result.errorCode === 15 ? 400 : 500) // Common client-side errors
                .json({ error: result.error || 'Failed to process winnings acceptance.', botConfirmed: result.botConfirmed || false });
         }
 
     } catch (error) {
         console.error('CRITICAL_ERROR: Error in /api/round/accept-winnings:', error);
-        if (roundBeingProcessed) { // If we know which round was being processed
-            await Round.findOneAndUpdate(
-                { _id: roundBeingProcessed, status: 'completed_pending_acceptance', payoutOfferStatus: 'Processing Winnings' }, // Only if it's still stuck in 'Processing'
-                { $set: { payoutOfferStatus: 'PendingAcceptanceByWinner' } } // Reset for another try
-            ).catch(e => console.error("Error trying to reset round status after accept-winnings exception:", e));
-        }
         res.status(500).json({ error: 'Server error while accepting winnings. Please try again or contact support.' });
     }
 });
 
+// Winnings in the user's vault, newest first: unclaimed rounds plus rounds whose payout is on its way
+app.get('/api/vault', ensureAuthenticated, async (req, res) => {
+    try {
+        const rounds = await Round.find({ winner: req.user._id, status: 'completed_pending_acceptance' })
+            .sort({ completedTime: -1 })
+            .select('roundId completedTime totalValue items payoutOffers payoutAdjustments payoutOfferStatus')
+            .populate('items', 'name image price')
+            .lean();
+        const vaultRounds = rounds.map(formatVaultRoundForClient);
+        res.json({
+            expiryDays: WINNINGS_VAULT_EXPIRY_DAYS || null,
+            claimableValue: vaultRounds.filter(round => round.claimable).reduce((sum, round) => sum + round.value, 0),
+            rounds: vaultRounds
+        });
+    } catch (error) {
+        console.error(`Error fetching winnings vault for user ${req.user._id}:`, error);
+        res.status(500).json({ error: 'Server error fetching your winnings vault.' });
+    }
+});
+
+// Claims vault winnings in as few trade offers as possible: all claimable rounds, or just `roundIds`
+app.post('/api/vault/claim', ensureAuthenticated, sensitiveActionLimiter,
+    [
+        body('roundIds').optional().isArray({ min: 1, max: 50 }).withMessage('roundIds must be a list of 1-50 round IDs.'),
+        body('roundIds.*').isInt({ min: 1 }).withMessage('Invalid Round ID format.').toInt()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+        if (!isBotReady()) return res.status(503).json({ error: 'Trading service is currently unavailable. Please try again later.' });
+        const user = req.user;
+        if (!user.tradeUrl) return res.status(400).json({ error: 'Please set your Steam Trade URL in your profile to claim winnings.' });
+        if (!TRADE_URL_REGEX.test(user.tradeUrl)) return res.status(400).json({ error: 'Your Steam Trade URL format is invalid. Please update it.' });
+
+        try {
+            const filter = vaultClaimableFilter(user._id);
+            if (req.body.roundIds) filter.roundId = { $in: req.body.roundIds };
+            const rounds = await Round.find(filter).sort({ completedTime: 1 }).select('_id').lean();
+            if (rounds.length === 0) return res.status(404).json({ error: 'No unclaimed winnings found in your vault.' });
+
+            const holdCheck = await checkTradeHold('payout', user);
+            const tradeHold = formatTradeHoldForClient(holdCheck);
+            if (!holdCheck.allowed) return res.status(400).json({ error: holdCheck.message, tradeHold });
+
+            const result = await claimVaultWinnings(user, rounds.map(round => round._id));
+            if (result.retryScheduled && !result.success) {
+                return res.status(202).json({ success: true, retryScheduled: true, retryAt: result.retryAt, roundIds: result.roundIds, offers: [], status: 'Payout Retry Scheduled', message: result.error, tradeHold });
+            }
+            if (!result.success) {
+                return res.status(result.notFound ? 404 : [15, 26].includes(result.errorCode) ? 400 : 500)
+                    .json({ error: result.error || 'Failed to claim winnings.' });
+            }
+            res.json({
+                success: true,
+                roundIds: result.roundIds,
+                offerId: result.offerId,
+                offerURL: result.offerURL,
+                offers: result.offers || [],
+                status: result.status,
+                botConfirmed: result.botConfirmed,
+                retryScheduled: result.retryScheduled || false,
+                tradeHold
+            });
+        } catch (error) {
+            console.error(`CRITICAL_ERROR: Error claiming vault winnings for user ${user._id}:`, error);
+            res.status(500).json({ error: 'Server error while claiming winnings. Please try again or contact support.' });
+        }
+    }
+);
 
 app.get('/api/inventory', ensureAuthenticated, async (req, res) => {
     if (!isBotConfigured) return res.status(503).json({ error: "Trading service is currently offline." });
-    if (!isBotReady) {
+    if (!isBotReady()) {
         console.warn(`Inventory fetch failed for ${req.user.username}: Bot service is unavailable (isBotReady: false).`);
         return res.status(503).json({ error: "Steam service temporarily unavailable. Please try again later." });
     }
@@ -2173,19 +4045,15 @@ app.get('/api/inventory', ensureAuthenticated, async (req, res) => {
             return res.status(400).json({ error: 'Invalid Steam ID format' });
         }
         // --- CHANGE 4 End ---
-        await ensureValidManager();
+        const bot = tradeBots.any();
+        await bot.ensureReady();
 
-        const inventory = await new Promise((resolve, reject) => {
-            manager.getUserInventoryContents(req.user.steamId, RUST_APP_ID, RUST_CONTEXT_ID, true, (err, inv, currency) => {
-                if (err) {
-                    if (err.message?.includes('profile is private') || err.eresult === 15) {
-                        return reject(new Error('Your Steam inventory is private. Please set it to public.'));
-                    }
-                    console.error(`Inventory Fetch Error (Manager): User ${req.user.steamId}: EResult ${err.eresult}, Message: ${err.message || err}`);
-                    return reject(new Error(`Could not fetch inventory. Steam might be busy (EResult: ${err.eresult || 'N/A'}) or inventory private.`));
-                }
-                resolve(inv || []);
-            });
+        const inventory = await bot.getUserInventory(req.user.steamId, RUST_APP_ID, RUST_CONTEXT_ID).catch(err => {
+            if (err.message?.includes('profile is private') || err.eresult === 15) {
+                throw new Error('Your Steam inventory is private. Please set it to public.');
+            }
+            console.error(`Inventory Fetch Error (Manager): User ${req.user.steamId}: EResult ${err.eresult}, Message: ${err.message || err}`);
+            throw new Error(`Could not fetch inventory. Steam might be busy (EResult: ${err.eresult || 'N/A'}) or inventory private.`);
         });
 
         if (!inventory?.length) return res.json([]);
@@ -2217,6 +4085,21 @@ app.get('/api/inventory', ensureAuthenticated, async (req, res) => {
     }
 });
 
+// What the user may still deposit into the current round under the per-user caps
+app.get('/api/deposit/allowance', ensureAuthenticated, async (req, res) => {
+    try {
+        if (!currentRound || currentRound.status !== 'active') {
+            return res.json({ roundId: null, allowance: depositCaps.allowance({ userValue: 0, potValue: 0, userDeposits: 0 }) });
+        }
+        const round = await Round.findById(currentRound._id).select('roundId participants deposits.user').lean();
+        if (!round) return res.status(404).json({ error: 'Current round not found.' });
+        res.json({ roundId: round.roundId, allowance: checkDepositCaps(round, req.user._id).allowance });
+    } catch (error) {
+        console.error(`Error fetching deposit allowance for ${req.user.username}:`, error);
+        res.status(500).json({ error: 'Failed to fetch deposit allowance.' });
+    }
+});
+
 app.post('/api/deposit', depositLimiter, ensureAuthenticated,
     [
         body('assetIds').isArray({ min: 1, max: MAX_ITEMS_PER_DEPOSIT }).withMessage(`You can deposit between 1 and ${MAX_ITEMS_PER_DEPOSIT} items.`),
@@ -2228,24 +4111,29 @@ app.post('/api/deposit', depositLimiter, ensureAuthenticated,
         const requestedAssetIds = req.body.assetIds;
 
         if (!isBotConfigured) return res.status(503).json({ error: "Trading service is currently offline." });
-        if (!isBotReady) {
+        if (!isBotReady()) {
             console.warn(`Deposit attempt by ${user.username} while bot not ready.`);
             return res.status(503).json({ error: "Deposit service temporarily unavailable (Bot not ready)." });
         }
         if (!user.tradeUrl || !TRADE_URL_REGEX.test(user.tradeUrl)) {
             return res.status(400).json({ error: 'Valid Steam Trade URL required in profile for deposits.' });
         }
+        // The site generates a seed in the browser for players who haven't set one, so the server never picks it
+        if (!user.clientSeed) {
+            return res.status(400).json({ error: 'A Client Seed is required to deposit. Set one in your profile.' });
+        }
 
         if (user.pendingDepositOfferId) {
             try {
-                const offerStatus = await checkOfferStatus(user.pendingDepositOfferId);
+                const pendingRecord = await PendingDeposit.findOne({ offerId: user.pendingDepositOfferId }).select('botId').lean();
+                const offerStatus = await checkOfferStatus(user.pendingDepositOfferId, pendingRecord?.botId);
                 if (offerStatus && [
                        TradeOfferManager.ETradeOfferState.Active,
                        TradeOfferManager.ETradeOfferState.Sent, // Bot sent to user for deposit confirmation
                        TradeOfferManager.ETradeOfferState.CreatedNeedsConfirmation // Bot sent, needs confirmation
                     ].includes(offerStatus.state)) {
                     console.log(`User ${user.username} already has pending deposit offer ${user.pendingDepositOfferId}. State: ${offerStatus.stateName}`);
-                    const offerURL = `https://steamcommunity.com/tradeoffer/${user.pendingDepositOfferId}/`;
+                    const offerURL = tradeBots.get(pendingRecord?.botId).offerUrl(user.pendingDepositOfferId);
                     return res.status(409).json({ error: 'You have an active deposit offer pending. Please accept or decline it on Steam first.', offerId: user.pendingDepositOfferId, offerURL });
                 } else {
                     console.log(`Clearing stale/non-active pending offer ${user.pendingDepositOfferId} for user ${user.username} (State: ${offerStatus?.stateName || 'Unknown/Error'}).`);
@@ -2263,7 +4151,7 @@ app.post('/api/deposit', depositLimiter, ensureAuthenticated,
 
         let latestRoundData;
         try {
-            latestRoundData = await Round.findById(currentRound._id).select('participants items').lean();
+            latestRoundData = await Round.findById(currentRound._id).select('participants items deposits.user').lean();
             if (!latestRoundData) throw new Error('Could not fetch current round data for deposit.');
             const isNewParticipant = !latestRoundData.participants.some(p => p.user?.toString() === user._id.toString());
             if (isNewParticipant && latestRoundData.participants.length >= MAX_PARTICIPANTS) {
@@ -2273,27 +4161,29 @@ app.post('/api/deposit', depositLimiter, ensureAuthenticated,
                 const slotsLeft = MAX_ITEMS_PER_POT - latestRoundData.items.length;
                 return res.status(400).json({ error: `Depositing these items would exceed the pot limit (${MAX_ITEMS_PER_POT} items). ${slotsLeft > 0 ? slotsLeft + ' slots left.' : 'Pot is full.'}` });
             }
+            const countCheck = checkDepositCaps(latestRoundData, user._id);
+            if (!countCheck.allowed) return res.status(400).json({ error: countCheck.message, allowance: countCheck.allowance });
         } catch (dbErr) {
             console.error(`Error fetching round data during deposit for ${user.username}:`, dbErr);
             return res.status(500).json({ error: 'Internal server error checking round limits.' });
         }
 
+        const holdCheck = await checkTradeHold('deposit', user);
+        const tradeHold = formatTradeHoldForClient(holdCheck);
+        if (!holdCheck.allowed) return res.status(400).json({ error: holdCheck.message, tradeHold });
+
         let itemsToRequestDetails = [];
         let depositTotalValue = 0;
 
         try {
             console.log(`Verifying inventory for ${user.username} (SteamID: ${user.steamId}) to confirm ${requestedAssetIds.length} deposit items...`);
-            await ensureValidManager();
-
-            const userInventory = await new Promise((resolve, reject) => {
-                manager.getUserInventoryContents(user.steamId, RUST_APP_ID, RUST_CONTEXT_ID, true, (err, inv) => {
-                    if (err) {
-                        if (err.message?.includes('profile is private') || err.eresult === 15) return reject(new Error('Your Steam inventory is private.'));
-                        console.error(`Inventory Fetch Error (Deposit): User ${user.steamId}: EResult ${err.eresult}`, err);
-                        return reject(new Error(`Could not fetch your inventory (EResult: ${err.eresult}). Ensure it's public and tradable.`));
-                    }
-                    resolve(inv || []);
-                });
+            const inventoryBot = tradeBots.any();
+            await inventoryBot.ensureReady();
+
+            const userInventory = await inventoryBot.getUserInventory(user.steamId, RUST_APP_ID, RUST_CONTEXT_ID).catch(err => {
+                if (err.message?.includes('profile is private') || err.eresult === 15) throw new Error('Your Steam inventory is private.');
+                console.error(`Inventory Fetch Error (Deposit): User ${user.steamId}: EResult ${err.eresult}`, err);
+                throw new Error(`Could not fetch your inventory (EResult: ${err.eresult}). Ensure it's public and tradable.`);
             });
             const userInventoryMap = new Map(userInventory.map(item => [item.assetid, item]));
 
@@ -2305,11 +4195,11 @@ app.post('/api/deposit', depositLimiter, ensureAuthenticated,
                 const price = getItemPrice(inventoryItem.market_hash_name);
                 if (price < MIN_ITEM_VALUE) throw new Error(`Item '${inventoryItem.market_hash_name}' ($${price.toFixed(2)}) is below the minimum deposit value of $${MIN_ITEM_VALUE.toFixed(2)}.`);
 
-                itemsToRequestDetails.push({ // These details are stored in pendingDeposits
+                itemsToRequestDetails.push({ // These details are stored on the PendingDeposit record
                     assetid: inventoryItem.assetid, // This is the user's original assetid
                     appid: RUST_APP_ID, contextid: RUST_CONTEXT_ID,
-                    _price: price, _name: inventoryItem.market_hash_name,
-                    _image: `https://community.akamai.steamstatic.com/economy/image/${inventoryItem.icon_url}`
+                    price: price, name: inventoryItem.market_hash_name,
+                    image: `https://community.akamai.steamstatic.com/economy/image/${inventoryItem.icon_url}`
                 });
                 depositTotalValue += price;
             }
@@ -2319,52 +4209,60 @@ app.post('/api/deposit', depositLimiter, ensureAuthenticated,
             console.warn(`Deposit item verification failed for ${user.username}:`, verificationError.message);
             return res.status(400).json({ error: verificationError.message });
         }
+        const capCheck = checkDepositCaps(latestRoundData, user._id, depositTotalValue);
+        if (!capCheck.allowed) return res.status(400).json({ error: capCheck.message, allowance: capCheck.allowance });
 
         const depositId = uuidv4();
         const offerMessage = `Deposit for ${process.env.SITE_NAME || 'Our Site'} | Round: ${currentRound.roundId} | DepositID: ${depositId}`;
         let cleanupTimeout = null;
         let offer = null; // Define offer here to access offer.id in catch block if send fails early
+        let bot = null;
 
         try {
-            offer = manager.createOffer(user.tradeUrl);
+            // Route to the healthy bot holding the fewest items, counting deposits still on their way to it
+            bot = await tradeBots.pickLeastLoaded(await pendingDepositLoadByBot());
+            offer = bot.createOffer(user.tradeUrl);
             offer.addTheirItems(itemsToRequestDetails.map(item => ({ assetid: item.assetid, appid: item.appid, contextid: item.contextid })));
             offer.setMessage(offerMessage);
 
-            pendingDeposits.set(depositId, {
-                userId: user._id, roundId: currentRound._id, items: itemsToRequestDetails,
-                totalValue: depositTotalValue, steamId: user.steamId, offerIdAttempted: null // Will be set after send
+            await PendingDeposit.create({
+                depositId, userId: user._id, steamId: user.steamId, roundId: currentRound._id, botId: bot.id,
+                items: itemsToRequestDetails, totalValue: depositTotalValue, status: 'pending', clientSeed: user.clientSeed,
+                expiresAt: new Date(Date.now() + PENDING_DEPOSIT_TTL_HOURS * 60 * 60 * 1000)
             });
-            console.log(`Stored pending deposit ${depositId} for user ${user.steamId}.`);
-
-            const offerCancelTime = manager.cancelTime || 10 * 60 * 1000;
-            cleanupTimeout = setTimeout(() => {
-                if(pendingDeposits.has(depositId)) {
-                    const pendingData = pendingDeposits.get(depositId);
-                    console.log(`Deposit attempt ${depositId} (Offer: ${pendingData.offerIdAttempted || 'N/A'}) expired or timed out from internal cleanup.`);
-                    pendingDeposits.delete(depositId);
-                    if (pendingData.offerIdAttempted) { // If an offer ID was recorded
-                        User.updateOne({ _id: user._id, pendingDepositOfferId: pendingData.offerIdAttempted }, { $set: { pendingDepositOfferId: null }})
+            console.log(`Stored pending deposit ${depositId} for user ${user.steamId} (bot '${bot.id}').`);
+
+            const offerCancelTime = bot.cancelTime || 10 * 60 * 1000;
+            cleanupTimeout = setTimeout(async () => {
+                try {
+                    // Only act if the offer never resolved; accepted/credited deposits are left alone
+                    const pendingData = await PendingDeposit.findOneAndUpdate(
+                        { depositId, status: { $in: ['pending', 'sent'] } },
+                        { $set: { status: 'canceled', flagReason: 'Timed out', resolvedAt: new Date() } }
+                    );
+                    if (!pendingData) return;
+                    console.log(`Deposit attempt ${depositId} (Offer: ${pendingData.offerId || 'N/A'}) expired or timed out from internal cleanup.`);
+                    if (pendingData.offerId) { // If an offer ID was recorded
+                        User.updateOne({ _id: user._id, pendingDepositOfferId: pendingData.offerId }, { $set: { pendingDepositOfferId: null }})
                             .catch(e => console.error("Error clearing user pending flag on deposit expiry/timeout:", e));
                     } else { // If no offer ID was recorded (e.g. failed before send or before ID was known)
                          User.updateOne({ _id: user._id }, { $set: { pendingDepositOfferId: null }}) // Clear any potentially stale flag
                             .catch(e => console.error("Error clearing user pending flag on deposit timeout (no offer id):", e));
                     }
+                } catch (e) {
+                    console.error(`Error during deposit timeout cleanup for ${depositId}:`, e);
                 }
             }, offerCancelTime + 5000); // Cleanup slightly after Steam would cancel
 
             console.log(`Sending deposit offer to ${user.username} (Trade URL: ${user.tradeUrl}). DepositID: ${depositId}`);
-            const status = await new Promise((resolve, reject) => {
-                offer.send((err, sendStatus) => {
-                    if (err) return reject(err);
-                    resolve(sendStatus);
-                });
-            });
+            const status = await bot.sendOffer(offer);
             const actualOfferId = offer.id; // Now offer.id is available
             console.log(`Deposit offer ${actualOfferId} sent to ${user.username}. Status: ${status}. DepositID: ${depositId}`);
 
-            if (pendingDeposits.has(depositId)) {
-                pendingDeposits.get(depositId).offerIdAttempted = actualOfferId;
-            }
+            await PendingDeposit.updateOne(
+                { depositId, status: 'pending' },
+                { $set: { offerId: actualOfferId, status: 'sent' } }
+            ).catch(e => console.error(`DB_ERROR: Failed to record offer ${actualOfferId} on pending deposit ${depositId}:`, e));
 
             try {
                 await User.findByIdAndUpdate(user._id, { pendingDepositOfferId: actualOfferId });
@@ -2377,13 +4275,16 @@ app.post('/api/deposit', depositLimiter, ensureAuthenticated,
                  console.log(`Deposit offer ${actualOfferId} status: ${status}. User ${user.username} needs to accept/confirm it on Steam.`);
             }
 
-            const offerURL = `https://steamcommunity.com/tradeoffer/${actualOfferId}/`;
-            res.json({ success: true, message: 'Deposit offer created! Please accept it on Steam.', offerId: actualOfferId, offerURL: offerURL });
+            const offerURL = bot.offerUrl(actualOfferId);
+            res.json({ success: true, message: 'Deposit offer created! Please accept it on Steam.', offerId: actualOfferId, offerURL: offerURL, tradeHold });
 
         } catch (error) {
             console.error(`Error sending deposit offer for ${user.username} (DepositID: ${depositId}): EResult ${error.eresult}, Msg: ${error.message}`);
-            pendingDeposits.delete(depositId);
             if (cleanupTimeout) clearTimeout(cleanupTimeout);
+            PendingDeposit.updateOne(
+                { depositId, status: { $in: ['pending', 'sent'] } },
+                { $set: { status: 'failed', flagReason: error.message, resolvedAt: new Date() } }
+            ).catch(e => console.error(`DB_ERROR: Failed to mark pending deposit ${depositId} as failed:`, e));
 
             const offerIdToClear = offer && offer.id ? offer.id : null;
             if (offerIdToClear) { // Only if an offer ID was actually generated
@@ -2587,7 +4488,7 @@ function formatRoundForClient(round) {
 
     const timeLeft = (round.status === 'active' && round.endTime)
         ? Math.max(0, Math.floor((new Date(round.endTime).getTime() - Date.now()) / 1000))
-        : (round.status === 'pending' ? ROUND_DURATION : 0);
+        : (round.status === 'pending' || round.status === 'active' ? ROUND_DURATION : 0); // Active without endTime: not started yet
 
     const participantsFormatted = (round.participants || []).map(p => {
         if (!p.user) return null;
@@ -2595,23 +4496,35 @@ function formatRoundForClient(round) {
         return {
             user: { _id: userObj._id, steamId: userObj.steamId, username: userObj.username, avatar: userObj.avatar },
             itemsValue: p.itemsValue || 0,
-            tickets: p.tickets || 0
+            tickets: p.tickets || 0,
+            clientSeed: p.clientSeed,
+            seedSource: p.seedSource || null
         };
     }).filter(p => p !== null && p.user && p.user._id); // Ensure user object is valid
 
+    const formattedItemsById = new Map();
     const itemsFormatted = (round.items || []).map(i => {
-        if (!i || typeof i.price !== 'number' || !i.assetId || !i.name || !i.image) { 
+        if (!i || typeof i.price !== 'number' || (!i.assetId && !i.assetIdUnresolved) || !i.name || !i.image) { 
             console.warn("formatRoundForClient: Skipping malformed item:", i);
             return null;
         }
-        return {
+        const formatted = {
             assetId: i.assetId, 
             originalAssetId: i.originalAssetId, 
+            assetIdUnresolved: !!i.assetIdUnresolved,
             name: i.name, image: i.image, price: i.price,
             owner: i.owner?._id || i.owner?.toString() // Handle if owner not populated
         };
+        if (i._id) formattedItemsById.set(i._id.toString(), formatted);
+        return formatted;
     }).filter(item => item !== null);
 
+    const participantUsers = new Map(participantsFormatted.map(p => [p.user._id.toString(), p.user]));
+    const depositsFormatted = (round.deposits || []).map(d => formatDepositForClient(
+        { ...d, user: participantUsers.get(d.user.toString()) || d.user },
+        (d.items || []).map(itemId => formattedItemsById.get(itemId.toString())).filter(Boolean)
+    ));
+
     let winnerDetails = null;
     if (round.winner && round.winner.steamId) { // Check if winner is populated
         winnerDetails = {
@@ -2628,9 +4541,14 @@ function formatRoundForClient(round) {
         startTime: round.startTime,
         endTime: round.endTime,
         timeLeft: timeLeft,
+        ...roundTimerFields(round),
         totalValue: round.totalValue || 0,
         serverSeedHash: round.serverSeedHash,
+        seedChain: round.seedChain,
+        fairnessVersion: fairness.normalizeFairnessVersion(round.fairnessVersion),
+        ticketAllocation: round.ticketAllocation || 'participants',
         participants: participantsFormatted,
+        deposits: depositsFormatted, // In ticket order
         items: itemsFormatted, 
         winner: winnerDetails,
         winningTicket: (round.status === 'completed' || round.status === 'completed_pending_acceptance') ? round.winningTicket : undefined,
@@ -2692,7 +4610,7 @@ app.get('/api/round/current', async (req, res) => {
         if (formattedData) {
             res.json(formattedData);
         } else {
-            if (isBotReady && !isRolling) { // Only try to create new if bot is ready and not currently rolling a round
+            if (isBotReady() && !isRolling) { // Only try to create new if bot is ready and not currently rolling a round
                 console.log("LOG_INFO: No current round found for API, attempting to create one as bot is ready.");
                 const newRound = await createNewRound(); // createNewRound updates currentRound and emits
                 const newFormattedData = formatRoundForClient(newRound); // newRound from createNewRound is already an object
@@ -2723,10 +4641,33 @@ app.get('/api/rounds',
             .skip(skip)
             .limit(limit)
             .populate('winner', 'username avatar steamId')
-            .populate('items', 'name price image assetId originalAssetId') 
-            .select('roundId startTime endTime completedTime totalValue winner serverSeed serverSeedHash clientSeed winningTicket provableHash status taxAmount taxedItems payoutOfferId payoutOfferStatus items')
+            .populate('items', 'name price image assetId originalAssetId assetIdUnresolved') 
+            .populate('participants.user', 'username steamId')
+            .select('roundId startTime endTime completedTime totalValue winner serverSeed serverSeedHash clientSeed clientSeedSource seedChain fairnessVersion winningTicket provableHash status taxAmount taxedItems payoutOfferId payoutOfferStatus items participants deposits ticketAllocation')
             .lean();
 
+        // Ticket ranges (per deposit, or per participant for older rounds) let anyone see which range the
+        // winning ticket fell into
+        for (const round of rounds) {
+            const entries = fairness.ticketEntries(round);
+            const ranges = fairness.ticketRanges(entries);
+            const users = new Map((round.participants || []).map(p => [p.user?._id.toString(), p.user]));
+            round.ticketAllocation = round.ticketAllocation || 'participants';
+            round.ticketEntries = entries.map((entry, i) => {
+                const user = entry.user?._id ? entry.user : users.get(entry.user?.toString());
+                return {
+                    username: user?.username || 'N/A',
+                    steamId: user?.steamId,
+                    value: entry.value ?? entry.itemsValue,
+                    tickets: entry.tickets,
+                    startTicket: ranges[i]?.startTicket,
+                    endTicket: ranges[i]?.endTicket
+                };
+            });
+            delete round.participants;
+            delete round.deposits;
+        }
+
         const totalRounds = await Round.countDocuments(queryFilter);
         const totalPages = Math.ceil(totalRounds / limit);
 
@@ -2758,7 +4699,7 @@ app.post('/api/verify', sensitiveActionLimiter,
         if (!round) return res.status(404).json({ error: `Completed round #${roundId} not found or not yet verifiable.` });
 
         if (!round.serverSeedHash) return res.json({ verified: false, reason: 'Server Seed Hash for this round is not available (round might be too old or errored before hashing).'});
-        const providedServerSeedHash = crypto.createHash('sha256').update(serverSeed).digest('hex');
+        const providedServerSeedHash = sha256Hex(serverSeed);
         if (providedServerSeedHash !== round.serverSeedHash) {
             return res.json({ verified: false, reason: 'Server Seed Hash mismatch. The provided Server Seed does not match the hash published before the round.', expectedServerSeedHash: round.serverSeedHash, providedServerSeed: serverSeed, calculatedHashOfProvidedSeed: providedServerSeedHash });
         }
@@ -2776,19 +4717,24 @@ app.post('/api/verify', sensitiveActionLimiter,
              console.warn(`Verification for round ${roundId}: User provided client seed ${clientSeed} differs from stored ${round.clientSeed}. Using stored for official calc.`);
         }
 
+        // Rounds seeded by their participants: the client seed must follow from the participants' own seeds
+        let participantSeeds;
+        if (round.clientSeedSource === 'participants') {
+            participantSeeds = round.participants.map(p => ({ username: p.user?.username || 'N/A', clientSeed: p.clientSeed, seedSource: p.seedSource || null }));
+            const derivedClientSeed = await fairness.deriveClientSeed(participantSeeds.map(p => p.clientSeed), sha256Hex);
+            if (derivedClientSeed !== effectiveClientSeed) {
+                return res.json({ verified: false, reason: "Client Seed does not match the seed derived from the participants' client seeds.", expectedClientSeed: derivedClientSeed, providedClientSeed: effectiveClientSeed, participantSeeds });
+            }
+        }
 
-        const combinedString = effectiveServerSeed + effectiveClientSeed;
-        const calculatedProvableHash = crypto.createHash('sha256').update(combinedString).digest('hex');
+        const outcome = await fairness.computeOutcome({ ...round, serverSeed: effectiveServerSeed, clientSeed: effectiveClientSeed }, sha256Hex);
+        const { combinedString, provableHash: calculatedProvableHash, totalTickets, winningTicket: calculatedWinningTicket } = outcome;
 
         if (round.provableHash && calculatedProvableHash !== round.provableHash) {
             return res.json({ verified: false, reason: 'Calculated Provable Hash mismatch with the official provable hash stored for the round.', expectedProvableHash: round.provableHash, calculatedProvableHashFromInputs: calculatedProvableHash, combinedStringUsed: combinedString });
         }
 
-        const decimalFromHash = parseInt(calculatedProvableHash.substring(0, 8), 16);
-        const totalTickets = round.participants?.reduce((sum, p) => sum + (p?.tickets || 0), 0) ?? 0;
-
         if (totalTickets <= 0) return res.json({ verified: false, reason: 'Round had zero total tickets, cannot verify winner selection mechanics.' });
-        const calculatedWinningTicket = decimalFromHash % totalTickets;
 
         if (round.winningTicket !== undefined && calculatedWinningTicket !== round.winningTicket) {
             return res.json({
@@ -2801,6 +4747,17 @@ app.post('/api/verify', sensitiveActionLimiter,
             });
         }
 
+        const winningEntry = fairness.ticketEntries(round)[outcome.winnerIndex];
+        const calculatedWinner = winningEntry && round.participants.find(p => p.user?._id.toString() === (winningEntry.user?._id || winningEntry.user).toString())?.user;
+        if (round.winner && calculatedWinner?._id?.toString() !== round.winner._id.toString()) {
+            return res.json({
+                verified: false,
+                reason: 'The entry holding the winning ticket is not the recorded winner.',
+                calculatedWinnerUsername: calculatedWinner?.username || 'N/A',
+                winnerUsername: round.winner.username
+            });
+        }
+
         // If we reach here, the user-provided seeds (if they differ from stored ones) produce the same outcome, or the stored seeds were used and verified.
         res.json({
             verified: true,
@@ -2808,11 +4765,17 @@ app.post('/api/verify', sensitiveActionLimiter,
             serverSeedUsedForVerification: effectiveServerSeed,
             serverSeedHashExpected: round.serverSeedHash,
             clientSeedUsedForVerification: effectiveClientSeed,
+            clientSeedSource: round.clientSeedSource || 'server',
+            fairnessVersion: outcome.fairnessVersion, // Rounds keep the algorithm they were rolled with
+            rejectedHashes: outcome.rejectedHashes, // Version 2: hashes re-hashed by rejection sampling, usually none
+            participantSeeds, // Only for rounds seeded by their participants, in derivation order
             combinedStringUsed: combinedString,
             finalHashCalculated: calculatedProvableHash,
             winningTicketCalculated: calculatedWinningTicket,
             officialWinningTicketRecorded: round.winningTicket, // This is the definitive one from the round
             totalTicketsInRound: totalTickets,
+            ticketAllocation: round.ticketAllocation || 'participants',
+            winningTicketRange: fairness.ticketRanges(fairness.ticketEntries(round))[outcome.winnerIndex] || undefined,
             finalPotValueWon: round.totalValue, // Value corresponding to the winner
             winnerUsername: round.winner?.username || 'N/A'
         });
@@ -2824,6 +4787,117 @@ app.post('/api/verify', sensitiveActionLimiter,
 });
 
 
+// Everything needed to re-run a completed round's winner selection offline (lib/round/fairness verifyRoundProof)
+app.get('/api/rounds/:roundId/proof',
+    [param('roundId').isInt({ min: 1 }).withMessage('Invalid Round ID format.').toInt()],
+    handleValidationErrors,
+    async (req, res) => {
+        const { roundId } = req.params;
+        try {
+            const round = await Round.findOne({ roundId, status: { $in: ['completed', 'completed_pending_acceptance'] } })
+                .select('roundId completedTime serverSeed serverSeedHash clientSeed clientSeedSource seedChain fairnessVersion ticketAllocation provableHash winningTicket participants deposits winner')
+                .populate('participants.user', 'username steamId')
+                .populate('deposits.user', 'username steamId')
+                .populate('winner', 'username steamId')
+                .lean();
+            if (!round) return res.status(404).json({ error: `Completed round #${roundId} not found or not yet verifiable.` });
+
+            // Ranges are informational; verification re-walks the tickets
+            const withRanges = (entries, toJSON) => {
+                const ranges = fairness.ticketRanges(entries);
+                return entries.map((entry, i) => ({ ...toJSON(entry), startTicket: ranges[i]?.startTicket, endTicket: ranges[i]?.endTicket }));
+            };
+            const ticketAllocation = round.ticketAllocation || 'participants';
+            const participants = withRanges(round.participants, p => ({
+                username: p.user?.username || 'N/A',
+                steamId: p.user?.steamId || null,
+                tickets: p.tickets,
+                clientSeed: p.clientSeed || null,
+                seedSource: p.seedSource || null
+            }));
+            const deposits = ticketAllocation === 'deposits' ? withRanges(round.deposits || [], d => ({
+                username: d.user?.username || 'N/A',
+                steamId: d.user?.steamId || null,
+                value: d.value,
+                tickets: d.tickets
+            })) : undefined;
+            const proof = {
+                proofVersion: fairness.PROOF_VERSION,
+                roundId: round.roundId,
+                completedTime: round.completedTime,
+                serverSeed: round.serverSeed,
+                serverSeedHash: round.serverSeedHash,
+                seedChain: round.seedChain?.chainId ? round.seedChain : null,
+                clientSeed: round.clientSeed,
+                clientSeedSource: round.clientSeedSource || 'server',
+                fairnessVersion: fairness.normalizeFairnessVersion(round.fairnessVersion),
+                ticketAllocation, // Which list below holds the tickets
+                participants, // In join order: the order client seeds are combined in, and tickets for older rounds
+                deposits, // In the order credited, which is the order tickets are counted in
+                totalTickets: fairness.totalTickets(fairness.ticketEntries({ ticketAllocation, participants, deposits })),
+                provableHash: round.provableHash,
+                winningTicket: round.winningTicket,
+                winner: round.winner ? { username: round.winner.username, steamId: round.winner.steamId } : null
+            };
+            res.set('Content-Disposition', `attachment; filename="round-${round.roundId}-proof.json"`);
+            res.json(proof);
+        } catch (err) {
+            console.error(`Error building proof for round ${roundId}:`, err);
+            res.status(500).json({ error: 'Server error building round proof.' });
+        }
+    }
+);
+
+// Seed chain commitments: the chain new rounds currently draw from, and earlier ones
+app.get('/api/seed-chain', async (req, res) => {
+    try {
+        const chains = await SeedChainModel.find().sort({ chainId: -1 }).limit(20).select('-secret').lean();
+        res.json({
+            current: chains.length > 0 ? SeedChain.format(chains[0]) : null,
+            chains: chains.map(SeedChain.format)
+        });
+    } catch (err) {
+        console.error('Error fetching seed chains:', err);
+        res.status(500).json({ error: 'Server error fetching seed chain.' });
+    }
+});
+
+// Proves a round's revealed server seed belongs to its committed chain: hashing it `index` times must give the terminal hash
+app.get('/api/seed-chain/verify/:roundId',
+    [param('roundId').isInt({ min: 1 }).withMessage('Invalid Round ID format.').toInt()],
+    handleValidationErrors,
+    async (req, res) => {
+        const { roundId } = req.params;
+        try {
+            const round = await Round.findOne({ roundId }).select('roundId status serverSeed seedChain').lean();
+            if (!round) return res.status(404).json({ error: `Round #${roundId} not found.` });
+            if (!round.seedChain?.chainId) {
+                return res.json({ verified: false, roundId, reason: 'This round predates the server seed chain.' });
+            }
+            const chain = await SeedChainModel.findOne({ chainId: round.seedChain.chainId }).select('-secret').lean();
+            if (!chain) return res.json({ verified: false, roundId, reason: `Seed chain #${round.seedChain.chainId} not found.` });
+            if (!['completed', 'completed_pending_acceptance'].includes(round.status)) {
+                return res.json({ verified: false, roundId, reason: 'The server seed for this round has not been revealed yet.', index: round.seedChain.index, chain: SeedChain.format(chain) });
+            }
+
+            const { valid, computedHash } = verifySeedPosition(round.serverSeed, round.seedChain.index, chain.terminalHash);
+            res.json({
+                verified: valid,
+                roundId,
+                reason: valid ? undefined : 'Hashing the server seed forward does not reach the chain commitment.',
+                serverSeed: round.serverSeed,
+                index: round.seedChain.index, // Number of sha256 steps from the seed to the commitment
+                computedHash,
+                chain: SeedChain.format(chain)
+            });
+        } catch (err) {
+            console.error(`Error verifying seed chain position of round ${roundId}:`, err);
+            res.status(500).json({ error: 'Server error verifying seed chain.' });
+        }
+    }
+);
+
+
 async function startApp() {
     console.log("LOG_INFO: Performing initial price cache refresh...");
     await refreshPriceCache(); // This will now attempt to load from backup if API fails
@@ -2833,29 +4907,27 @@ async function startApp() {
     }, PRICE_REFRESH_INTERVAL_MS);
     console.log(`LOG_INFO: Scheduled price cache refresh every ${PRICE_REFRESH_INTERVAL_MS / 60000} minutes.`);
 
-    setInterval(async () => {
-        try {
-            const thirtyMinutesAgo = new Date(Date.now() - 30 * 60 * 1000);
-            const updateResult = await Round.updateMany(
-                {
-                    status: 'completed_pending_acceptance',
-                    completedTime: { $lt: thirtyMinutesAgo },
-                    payoutOfferStatus: { $in: ['PendingAcceptanceByWinner', 'Failed - No Trade URL', 'Failed - Invalid Trade URL Format', 'Unknown', 'Failed - Offer Creation Error', 'Failed - Send Error', 'Failed - Invalid Trade URL', 'Failed - Inventory Private', 'Failed - Trade Banned', 'Failed - Bot Inventory Issue', 'Pending Confirmation'] } 
-                },
-                {
-                    $set: {
-                        status: 'completed', // Mark as completed if user didn't accept in time
-                        payoutOfferStatus: 'Failed - Timeout AutoClear' // Items would be considered forfeit or returned to house
-                    }
-                }
-            );
-            if (updateResult.modifiedCount > 0) {
-                console.log(`LOG_INFO (AutoClear): Cleared ${updateResult.modifiedCount} stuck rounds to 'completed' (Timeout AutoClear) due to user not accepting winnings.`);
-            }
-        } catch (err) {
-            console.error("Error during stuck round auto-cleanup:", err);
-        }
-    }, 5 * 60 * 1000); // Run every 5 minutes
+    if (WINNINGS_VAULT_EXPIRY_DAYS > 0) {
+        setInterval(() => {
+            expireVaultWinnings().catch(err => console.error("Error during winnings vault expiry:", err));
+        }, VAULT_EXPIRY_CHECK_INTERVAL_MS);
+    }
+
+    setInterval(() => {
+        runRoundErrorRecovery().catch(err => console.error("Error during round error recovery:", err));
+    }, ROUND_ERROR_RECOVERY_INTERVAL_MS);
+
+    setInterval(() => {
+        runDuePayoutJobs().catch(err => console.error("Error running due payout retries:", err));
+    }, PAYOUT_RETRY_SWEEP_INTERVAL_MS);
+
+    setInterval(() => {
+        checkEscrowedPayouts().catch(err => console.error("Error checking escrowed payouts:", err));
+    }, PAYOUT_ESCROW_CHECK_INTERVAL_MS);
+
+    setInterval(() => {
+        recordHouseValuation().catch(err => console.error("Error recording house valuation:", err));
+    }, HOUSE_VALUATION_INTERVAL_MS);
 
     const PORT = process.env.PORT || 3000;
     server.listen(PORT, () => {
@@ -2863,7 +4935,7 @@ async function startApp() {
         console.log(`LOG_INFO: Site URL configured as: ${process.env.SITE_URL}`);
         if (!isBotConfigured) {
             console.log("INFO: Steam Bot not configured. Trade features disabled.");
-        } else if (!isBotReady) {
+        } else if (!isBotReady()) {
             console.log("WARN: Steam Bot initial login may have failed or is pending. Check logs. isBotReady is false.");
         } else {
             console.log("LOG_SUCCESS: Steam Bot is ready (isBotReady is true).");
@@ -2876,10 +4948,6 @@ startApp();
 function gracefulShutdown() {
     console.log('LOG_INFO: Received shutdown signal. Closing server...');
 
-    if (cookieRefreshInterval) {
-        clearInterval(cookieRefreshInterval);
-        cookieRefreshInterval = null;
-    }
     if (roundTimer) {
         clearInterval(roundTimer);
         roundTimer = null;
@@ -2892,9 +4960,8 @@ function gracefulShutdown() {
             try {
                 await mongoose.connection.close();
                 console.log('LOG_INFO: MongoDB connection closed.');
-                if (manager && typeof manager.shutdown === 'function') {
-                    console.log('LOG_INFO: Stopping TradeOfferManager polling...');
-                    manager.shutdown();
+                if (tradeBots) {
+                    tradeBots.shutdown();
                 }
                 console.log('LOG_INFO: Graceful shutdown complete. Exiting.');
                 process.exit(0);
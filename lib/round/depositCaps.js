@@ -0,0 +1,78 @@
+// Per-round limits on a single user, so one depositor can't take over a pot:
+//   maxSharePercent    - the most of the pot's value one user may hold (100 = no cap). It only applies
+//                        while someone else has value in the pot; a lone depositor always holds 100%.
+//   maxDepositsPerUser - deposits one user may make per round (0 = no limit)
+// A user holding u of a pot worth T may add d while (u + d) / (T + d) <= cap, i.e. d <= (cap*T - u) / (1 - cap).
+
+// Reasons a deposit is refused
+const DEPOSIT_CAP_REASONS = ['deposit_limit', 'share_cap'];
+
+// Rounding slack so a deposit of exactly the allowance is not refused
+const VALUE_EPSILON = 1e-9;
+
+class DepositCapsConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DepositCapsConfigError';
+    }
+}
+
+class DepositCaps {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxSharePercent]
+     * @param {number} [options.maxDepositsPerUser]
+     */
+    constructor({ maxSharePercent = 100, maxDepositsPerUser = 0 } = {}) {
+        if (!Number.isFinite(maxSharePercent) || maxSharePercent <= 0 || maxSharePercent > 100) {
+            throw new DepositCapsConfigError(`Maximum share must be a percent above 0 and at most 100, got "${maxSharePercent}".`);
+        }
+        if (!Number.isInteger(maxDepositsPerUser) || maxDepositsPerUser < 0) {
+            throw new DepositCapsConfigError(`Maximum deposits per user must be a whole number >= 0, got "${maxDepositsPerUser}".`);
+        }
+        this.maxSharePercent = maxSharePercent;
+        this.maxDepositsPerUser = maxDepositsPerUser;
+    }
+
+    /**
+     * What a user may still deposit this round. null means unlimited.
+     * @param {object} state
+     * @param {number} state.userValue - Value the user already has in the pot
+     * @param {number} state.potValue - Current pot value, including the user's
+     * @param {number} state.userDeposits - Deposits the user already made this round
+     * @returns {{ maxValue: number|null, depositsLeft: number|null, maxSharePercent: number, maxDepositsPerUser: number }}
+     */
+    allowance({ userValue, potValue, userDeposits }) {
+        const depositsLeft = this.maxDepositsPerUser > 0 ? Math.max(0, this.maxDepositsPerUser - userDeposits) : null;
+        let maxValue = null;
+        if (this.maxSharePercent < 100 && potValue - userValue > VALUE_EPSILON) {
+            const cap = this.maxSharePercent / 100;
+            maxValue = Math.max(0, (cap * potValue - userValue) / (1 - cap));
+        }
+        return { maxValue, depositsLeft, maxSharePercent: this.maxSharePercent, maxDepositsPerUser: this.maxDepositsPerUser };
+    }
+
+    /**
+     * Checks one deposit against the caps. Pass depositValue as null to check only the deposit count
+     * (before the items are priced).
+     * @returns {{ allowed: boolean, reason?: string, message?: string, allowance: object }}
+     */
+    check({ userValue, potValue, userDeposits, depositValue = null }) {
+        const allowance = this.allowance({ userValue, potValue, userDeposits });
+        if (allowance.depositsLeft === 0) {
+            return { allowed: false, reason: 'deposit_limit', message: `You can make at most ${this.maxDepositsPerUser} deposit(s) per round.`, allowance };
+        }
+        if (depositValue !== null && allowance.maxValue !== null && depositValue > allowance.maxValue + VALUE_EPSILON) {
+            const shareAfter = ((userValue + depositValue) / (potValue + depositValue)) * 100;
+            return {
+                allowed: false,
+                reason: 'share_cap',
+                message: `This deposit would give you ${shareAfter.toFixed(2)}% of the pot (max ${this.maxSharePercent}%). You can add up to $${allowance.maxValue.toFixed(2)} more this round.`,
+                allowance
+            };
+        }
+        return { allowed: true, allowance };
+    }
+}
+
+module.exports = { DepositCaps, DepositCapsConfigError, DEPOSIT_CAP_REASONS };
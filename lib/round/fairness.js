@@ -0,0 +1,189 @@
+// Winner selection shared by the server (rolling and /api/verify) and the browser verifier, so
+// both sides run the exact same steps:
+//   provableHash  = sha256(serverSeed + clientSeed)
+//   winningTicket = depends on the round's fairness version:
+//     1: first 8 hex chars of provableHash, as an integer, mod totalTickets (32 bits, slightly biased)
+//     2: the whole hash as a 256-bit integer, mod totalTickets, by rejection sampling: a hash at or
+//        above the largest multiple of totalTickets below 2^256 is rejected and hashed again
+//        (sha256 of its hex string) until one is accepted, so every ticket is equally likely
+//   winner        = owner of the entry whose cumulative ticket range contains winningTicket. Entries are
+//                   the round's deposits in the order they were credited, or its participants in join
+//                   order for rounds from before per-deposit tickets (ticketAllocation unset)
+// Rounds without a fairness version predate versioning and use version 1.
+// Hashing is passed in as `sha256Hex(text) -> hex string | Promise<hex string>`: Node's crypto on
+// the server, crypto.subtle in the browser. Nothing else here touches the environment.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.RoundFairness = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const PROOF_VERSION = 1;
+    const LEGACY_FAIRNESS_VERSION = 1;
+    const CURRENT_FAIRNESS_VERSION = 2;
+    const FAIRNESS_VERSIONS = [1, 2];
+    const HASH_RANGE = 1n << 256n;
+
+    // Round client seed for rounds seeded by their participants: sha256(seed1 + ':' + seed2 + ...)
+    function participantSeedMaterial(seeds) {
+        return seeds.join(':');
+    }
+
+    async function deriveClientSeed(seeds, sha256Hex) {
+        return sha256Hex(participantSeedMaterial(seeds));
+    }
+
+    // Ticket holders of a round: one entry per deposit, or per participant for rounds allocated by participant
+    function ticketEntries(round) {
+        return (round.ticketAllocation === 'deposits' ? round.deposits : round.participants) || [];
+    }
+
+    function totalTickets(entries) {
+        return (entries || []).reduce((sum, entry) => sum + (entry?.tickets || 0), 0);
+    }
+
+    function winningTicketFromHash(provableHash, ticketCount) {
+        return parseInt(provableHash.substring(0, 8), 16) % ticketCount;
+    }
+
+    // Version 2 step: the ticket for this hash, or null when the hash falls in the rejected tail
+    function unbiasedTicketFromHash(hash, ticketCount) {
+        const total = BigInt(ticketCount);
+        const value = BigInt('0x' + hash);
+        if (value >= HASH_RANGE - (HASH_RANGE % total)) return null;
+        return Number(value % total);
+    }
+
+    function normalizeFairnessVersion(version) {
+        return version == null ? LEGACY_FAIRNESS_VERSION : version;
+    }
+
+    /**
+     * Walks the entries' tickets in order, giving each an inclusive [startTicket, endTicket] range.
+     * Entries without tickets hold no range.
+     * @returns {Array<{ startTicket: number, endTicket: number }|null>} Aligned with `entries`
+     */
+    function ticketRanges(entries) {
+        let cumulativeTickets = 0;
+        return entries.map(entry => {
+            if (!entry?.tickets) return null;
+            const range = { startTicket: cumulativeTickets, endTicket: cumulativeTickets + entry.tickets - 1 };
+            cumulativeTickets += entry.tickets;
+            return range;
+        });
+    }
+
+    /**
+     * Index of the entry whose ticket range holds `winningTicket`.
+     * @returns {number} Index into `entries`, or -1 when the ticket is out of range
+     */
+    function findWinnerIndex(entries, winningTicket) {
+        return ticketRanges(entries).findIndex(range => range && winningTicket >= range.startTicket && winningTicket <= range.endTicket);
+    }
+
+    /**
+     * Computes a round's outcome from its seeds and ticket entries (see ticketEntries).
+     * @param {{ serverSeed: string, clientSeed: string, fairnessVersion?: number, ticketAllocation?: string,
+     *           deposits?: Array<{ tickets: number }>, participants?: Array<{ tickets: number }> }} round
+     * @param {function(string): (string|Promise<string>)} sha256Hex
+     * @returns {Promise<{ fairnessVersion: number, combinedString: string, provableHash: string, rejectedHashes: string[], totalTickets: number, winningTicket: number|null, winnerIndex: number }>}
+     *          winnerIndex indexes ticketEntries(round)
+     */
+    async function computeOutcome(round, sha256Hex) {
+        const { serverSeed, clientSeed, fairnessVersion } = round;
+        const entries = ticketEntries(round);
+        const version = normalizeFairnessVersion(fairnessVersion);
+        if (!FAIRNESS_VERSIONS.includes(version)) throw new RangeError(`Unknown fairness version: ${fairnessVersion}.`);
+        const combinedString = serverSeed + clientSeed;
+        const provableHash = await sha256Hex(combinedString);
+        const ticketCount = totalTickets(entries);
+        const rejectedHashes = [];
+        if (ticketCount <= 0) {
+            return { fairnessVersion: version, combinedString, provableHash, rejectedHashes, totalTickets: 0, winningTicket: null, winnerIndex: -1 };
+        }
+
+        let winningTicket;
+        if (version === 1) {
+            winningTicket = winningTicketFromHash(provableHash, ticketCount);
+        } else {
+            let hash = provableHash;
+            while ((winningTicket = unbiasedTicketFromHash(hash, ticketCount)) === null) {
+                rejectedHashes.push(hash);
+                hash = await sha256Hex(hash);
+            }
+        }
+        return {
+            fairnessVersion: version, combinedString, provableHash, rejectedHashes,
+            totalTickets: ticketCount, winningTicket, winnerIndex: findWinnerIndex(entries, winningTicket)
+        };
+    }
+
+    /**
+     * Re-runs a downloaded round proof (see GET /api/rounds/:roundId/proof) and compares every step
+     * with what the proof claims.
+     * @returns {Promise<{ verified: boolean, reason?: string, checks: Array<{ name: string, passed: boolean, expected: *, calculated: * }>, outcome?: object }>}
+     */
+    async function verifyRoundProof(proof, sha256Hex) {
+        const checks = [];
+        const check = (name, expected, calculated) => {
+            const passed = expected === calculated;
+            checks.push({ name, passed, expected, calculated });
+            return passed;
+        };
+        const fail = reason => ({ verified: false, reason, checks });
+
+        if (!proof || typeof proof !== 'object') return fail('Proof is not a JSON object.');
+        if (proof.proofVersion !== PROOF_VERSION) return fail(`Unsupported proof version: ${proof.proofVersion}.`);
+        if (!FAIRNESS_VERSIONS.includes(normalizeFairnessVersion(proof.fairnessVersion))) {
+            return fail(`Unsupported fairness version: ${proof.fairnessVersion}.`);
+        }
+        if (typeof proof.serverSeed !== 'string' || typeof proof.clientSeed !== 'string' || !Array.isArray(proof.participants)) {
+            return fail('Proof is missing the server seed, client seed or participants.');
+        }
+        if (proof.ticketAllocation === 'deposits' && !Array.isArray(proof.deposits)) return fail('Proof is missing the deposits.');
+
+        if (!check('serverSeedHash', proof.serverSeedHash, await sha256Hex(proof.serverSeed))) {
+            return fail('The server seed does not match the hash published before the round.');
+        }
+        if (proof.clientSeedSource === 'participants') {
+            const derived = await deriveClientSeed(proof.participants.map(p => p.clientSeed), sha256Hex);
+            if (!check('clientSeed', proof.clientSeed, derived)) {
+                return fail("The client seed does not match the seed derived from the participants' client seeds.");
+            }
+        }
+
+        const outcome = await computeOutcome(proof, sha256Hex);
+        if (!check('provableHash', proof.provableHash, outcome.provableHash)) {
+            return fail('The hash of server seed + client seed does not match the round hash.');
+        }
+        if (!check('totalTickets', proof.totalTickets, outcome.totalTickets)) {
+            return fail("The entries' tickets do not add up to the round's total.");
+        }
+        if (!check('winningTicket', proof.winningTicket, outcome.winningTicket)) {
+            return fail('The calculated winning ticket does not match the round.');
+        }
+        const winner = ticketEntries(proof)[outcome.winnerIndex];
+        if (!check('winner', proof.winner?.steamId, winner?.steamId)) {
+            return fail('The participant holding the winning ticket is not the recorded winner.');
+        }
+        return { verified: true, checks, outcome };
+    }
+
+    return {
+        PROOF_VERSION,
+        LEGACY_FAIRNESS_VERSION,
+        CURRENT_FAIRNESS_VERSION,
+        FAIRNESS_VERSIONS,
+        participantSeedMaterial,
+        deriveClientSeed,
+        totalTickets,
+        winningTicketFromHash,
+        unbiasedTicketFromHash,
+        normalizeFairnessVersion,
+        ticketEntries,
+        ticketRanges,
+        findWinnerIndex,
+        computeOutcome,
+        verifyRoundProof
+    };
+}));
@@ -0,0 +1,98 @@
+// Pre-committed server seeds. A chain is built from a random secret by hashing it `length` times:
+//   s0 = secret, s(k) = sha256(s(k-1)), terminal hash = s(length)
+// The terminal hash is published when the chain is created and seeds are handed out in reverse:
+// the round at position `index` (1-based) gets s(length - index). Hashing a revealed seed `index`
+// times gives the terminal hash again, so no seed can have been swapped in after the commitment.
+// A step hashes the seed's hex string, the same way a round's serverSeedHash is computed.
+const crypto = require('crypto');
+
+const DEFAULT_CHAIN_LENGTH = 10000;
+
+function hashSeed(seed) {
+    return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+function hashForward(seed, steps) {
+    let hash = seed;
+    for (let i = 0; i < steps; i++) hash = hashSeed(hash);
+    return hash;
+}
+
+// Seed at position `index` (1-based) of the chain grown from `secret`
+function seedAt(secret, length, index) {
+    if (!Number.isInteger(index) || index < 1 || index > length) throw new RangeError(`Seed chain index ${index} is outside 1..${length}.`);
+    return hashForward(secret, length - index);
+}
+
+/**
+ * Checks that `seed` sits at position `index` of the chain committed to by `terminalHash`.
+ * @returns {{ valid: boolean, computedHash: string }}
+ */
+function verifySeedPosition(seed, index, terminalHash) {
+    const computedHash = hashForward(seed, index);
+    return { valid: computedHash === terminalHash, computedHash };
+}
+
+class SeedChain {
+    /**
+     * @param {import('mongoose').Model} SeedChainModel - Model with chainId, secret, length, terminalHash, used
+     * @param {object} [options]
+     * @param {number} [options.length] - Seeds per new chain
+     */
+    constructor(SeedChainModel, { length = DEFAULT_CHAIN_LENGTH } = {}) {
+        this.SeedChainModel = SeedChainModel;
+        this.length = length;
+    }
+
+    async _createChain() {
+        const last = await this.SeedChainModel.findOne().sort({ chainId: -1 }).select('chainId').lean();
+        const secret = crypto.randomBytes(32).toString('hex');
+        const chain = new this.SeedChainModel({
+            chainId: last ? last.chainId + 1 : 1,
+            secret,
+            length: this.length,
+            terminalHash: hashForward(secret, this.length),
+            used: 0
+        });
+        await chain.save();
+        console.log(`LOG_INFO: Created server seed chain #${chain.chainId} (${chain.length} seeds). Commitment: ${chain.terminalHash}`);
+        return chain;
+    }
+
+    /**
+     * Takes the next unused seed, starting a new chain when the current one is used up.
+     * @returns {Promise<{ serverSeed: string, chainId: number, index: number }>}
+     */
+    async nextSeed() {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            // The $expr guard makes taking a position atomic, so two rounds never share a seed
+            const chain = await this.SeedChainModel.findOneAndUpdate(
+                { $expr: { $lt: ['$used', '$length'] } },
+                { $inc: { used: 1 } },
+                { new: true, sort: { chainId: -1 } }
+            ).lean();
+            if (chain) {
+                return { serverSeed: seedAt(chain.secret, chain.length, chain.used), chainId: chain.chainId, index: chain.used };
+            }
+            try {
+                await this._createChain();
+            } catch (err) {
+                if (err.code !== 11000) throw err; // Another caller created it first; retry taking a seed
+            }
+        }
+        throw new Error('Could not allocate a server seed from the seed chain.');
+    }
+
+    // Public view of a chain: everything but the secret
+    static format(chain) {
+        return {
+            chainId: chain.chainId,
+            terminalHash: chain.terminalHash,
+            length: chain.length,
+            used: chain.used,
+            createdAt: chain.createdAt
+        };
+    }
+}
+
+module.exports = { SeedChain, hashSeed, hashForward, seedAt, verifySeedPosition, DEFAULT_CHAIN_LENGTH };
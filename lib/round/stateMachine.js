@@ -0,0 +1,94 @@
+// Round lifecycle. Every status change goes through transition(), which checks it against
+// ROUND_TRANSITIONS and applies it as one conditional update (the round must still be in the
+// expected status), appending { from, to, at, reason } to the round's `transitions` history.
+//
+//   pending -> active -> rolling -> completed_pending_acceptance -> completed
+//                           \-> completed (no participants)
+//   any non-final status -> error
+const ROUND_STATUSES = ['pending', 'active', 'rolling', 'completed_pending_acceptance', 'completed', 'error'];
+
+const ROUND_TRANSITIONS = {
+    pending: ['active', 'error'],
+    active: ['rolling', 'error'],
+    rolling: ['completed_pending_acceptance', 'completed', 'error'],
+    completed_pending_acceptance: ['completed', 'error'],
+    completed: [],
+    error: []
+};
+
+class InvalidRoundTransitionError extends Error {
+    constructor(from, to) {
+        super(`Invalid round transition ${from} -> ${to}.`);
+        this.name = 'InvalidRoundTransitionError';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+function canTransition(from, to) {
+    return (ROUND_TRANSITIONS[from] || []).includes(to);
+}
+
+class RoundStateMachine {
+    /**
+     * @param {import('mongoose').Model} Round - Round model with `status` and `transitions` paths
+     */
+    constructor(Round) {
+        this.Round = Round;
+    }
+
+    /**
+     * Creates a round in 'pending'. It takes no deposits until activated.
+     * @param {object} fields - Initial round fields (roundId, seeds, ...)
+     */
+    async create(fields, reason = 'Round created') {
+        const round = new this.Round({
+            ...fields,
+            status: 'pending',
+            transitions: [{ from: null, to: 'pending', at: new Date(), reason }]
+        });
+        await round.save();
+        return round.toObject();
+    }
+
+    /**
+     * Moves a round from `from` to `to` if it is still in `from`.
+     * @param {*} roundId - Round _id
+     * @param {string|string[]} from - Expected current status; with several, the first that matches is used
+     * @param {string} to
+     * @param {object} [options]
+     * @param {object} [options.set] - Fields written in the same update
+     * @param {object} [options.where] - Extra conditions the round must meet
+     * @param {string} [options.reason] - Recorded in the transition history
+     * @returns {Promise<object|null>} The updated round (lean), or null if it was not in `from` / did not match `where`
+     * @throws {InvalidRoundTransitionError} If the transition is not allowed at all
+     */
+    async transition(roundId, from, to, { set = {}, where = {}, reason } = {}) {
+        const fromStatuses = Array.isArray(from) ? from : [from];
+        for (const fromStatus of fromStatuses) {
+            if (!canTransition(fromStatus, to)) throw new InvalidRoundTransitionError(fromStatus, to);
+        }
+        for (const fromStatus of fromStatuses) {
+            const updated = await this.Round.findOneAndUpdate(
+                { ...where, _id: roundId, status: fromStatus },
+                {
+                    $set: { ...set, status: to },
+                    $push: { transitions: { from: fromStatus, to, at: new Date(), reason } }
+                },
+                { new: true }
+            ).lean();
+            if (updated) {
+                console.log(`LOG_INFO: Round ${updated.roundId}: ${fromStatus} -> ${to}${reason ? ` (${reason})` : ''}`);
+                return updated;
+            }
+        }
+        return null;
+    }
+
+    // Rounds a restart left mid-lifecycle: 'pending' ones never activated and 'rolling' ones never finished
+    async findInterrupted() {
+        return this.Round.find({ status: { $in: ['pending', 'rolling'] } }).sort({ roundId: 1 }).lean();
+    }
+}
+
+module.exports = { RoundStateMachine, InvalidRoundTransitionError, ROUND_STATUSES, ROUND_TRANSITIONS, canTransition };
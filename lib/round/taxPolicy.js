@@ -0,0 +1,135 @@
+// House tax taken from a pot before it goes to the winner. Tax is paid in items, so a policy picks items
+// whose combined price lands between the tier's minimum and maximum percent of the pot.
+//
+//   tiers     - by pot size: the tier with the highest minPot <= pot value applies
+//   minPot    - pots below this value are never taxed
+//   waiver    - no tax when the winner was the round's only depositor (they'd be taxed on their own items)
+//   strategy  - 'cheapest_first':    cheapest items until the minimum is reached (never over the maximum)
+//               'closest_to_target': the subset whose total is the smallest one at or above the minimum
+//                                    without going over the maximum
+const TAX_STRATEGIES = ['cheapest_first', 'closest_to_target'];
+
+// Outcomes recorded on the round
+const TAX_REASONS = ['applied', 'below_minimum_pot', 'sole_depositor', 'no_fitting_items', 'no_items'];
+
+// Subset search is O(items x cents up to the maximum); bigger searches fall back to cheapest_first
+const MAX_SUBSET_SEARCH_STEPS = 20000000;
+
+class TaxConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TaxConfigError';
+    }
+}
+
+/**
+ * Parses "minPot:minPercent-maxPercent" tiers separated by commas, e.g. "0:5-10,1000:4-8".
+ * @returns {Array<{ minPot: number, minPercent: number, maxPercent: number }>} Sorted by minPot
+ */
+function parseTaxTiers(spec) {
+    const tiers = String(spec).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const match = /^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/.exec(part);
+        if (!match) throw new TaxConfigError(`Invalid tax tier "${part}". Expected minPot:minPercent-maxPercent.`);
+        const [minPot, minPercent, maxPercent] = match.slice(1).map(Number);
+        if (minPercent > maxPercent || maxPercent > 100) throw new TaxConfigError(`Invalid tax tier "${part}": percents must satisfy min <= max <= 100.`);
+        return { minPot, minPercent, maxPercent };
+    }).sort((a, b) => a.minPot - b.minPot);
+    if (tiers.length === 0) throw new TaxConfigError('At least one tax tier is required.');
+    if (new Set(tiers.map(t => t.minPot)).size !== tiers.length) throw new TaxConfigError('Tax tiers must have distinct minimum pot values.');
+    return tiers;
+}
+
+const toCents = value => Math.round(value * 100);
+
+function cheapestFirst(items, targetValue, maxValue) {
+    const picked = [];
+    let total = 0;
+    for (const item of [...items].sort((a, b) => a.price - b.price)) {
+        if (total + item.price > maxValue) break;
+        picked.push(item);
+        total += item.price;
+        if (total >= targetValue) break;
+    }
+    return total >= targetValue ? picked : null;
+}
+
+function closestToTarget(items, targetValue, maxValue) {
+    const targetCents = toCents(targetValue);
+    const maxCents = toCents(maxValue);
+    const candidates = items.filter(item => toCents(item.price) > 0 && toCents(item.price) <= maxCents);
+    if (candidates.length * maxCents > MAX_SUBSET_SEARCH_STEPS) return cheapestFirst(items, targetValue, maxValue);
+
+    // via[s] = index of the candidate that first reached a total of s cents (-1: unreached). Totals are walked
+    // downwards per candidate, so each total is built from distinct items and can be traced back through via.
+    const via = new Int32Array(maxCents + 1).fill(-1);
+    const reached = new Uint8Array(maxCents + 1);
+    reached[0] = 1;
+    candidates.forEach((item, index) => {
+        const cents = toCents(item.price);
+        for (let s = maxCents; s >= cents; s--) {
+            if (!reached[s] && reached[s - cents]) {
+                reached[s] = 1;
+                via[s] = index;
+            }
+        }
+    });
+
+    let best = -1;
+    for (let s = Math.max(targetCents, 1); s <= maxCents; s++) {
+        if (reached[s]) { best = s; break; }
+    }
+    if (best === -1) return null;
+    const picked = [];
+    for (let s = best; s > 0; s -= toCents(candidates[via[s]].price)) picked.push(candidates[via[s]]);
+    return picked;
+}
+
+const STRATEGY_SELECTORS = { cheapest_first: cheapestFirst, closest_to_target: closestToTarget };
+
+class TaxPolicy {
+    /**
+     * @param {object} options
+     * @param {Array<{ minPot: number, minPercent: number, maxPercent: number }>} options.tiers
+     * @param {number} [options.minPotForTax]
+     * @param {string} [options.strategy]
+     * @param {boolean} [options.waiveSoleDepositor]
+     */
+    constructor({ tiers, minPotForTax = 0, strategy = 'cheapest_first', waiveSoleDepositor = true }) {
+        if (!TAX_STRATEGIES.includes(strategy)) throw new TaxConfigError(`Unknown tax strategy "${strategy}". Expected one of: ${TAX_STRATEGIES.join(', ')}.`);
+        if (!Number.isFinite(minPotForTax) || minPotForTax < 0) throw new TaxConfigError(`Minimum pot for tax must be a value >= 0, got "${minPotForTax}".`);
+        this.tiers = [...tiers].sort((a, b) => a.minPot - b.minPot);
+        this.minPotForTax = minPotForTax;
+        this.strategy = strategy;
+        this.waiveSoleDepositor = waiveSoleDepositor;
+    }
+
+    tierFor(potValue) {
+        return [...this.tiers].reverse().find(tier => potValue >= tier.minPot) || null;
+    }
+
+    /**
+     * Decides the tax for a pot.
+     * @param {object} pot
+     * @param {number} pot.potValue
+     * @param {Array<{ price: number }>} pot.items - Items in the pot; picked items are returned as given
+     * @param {boolean} pot.soleDepositor - Whether the winner was the only depositor
+     * @returns {{ reason: string, items: Array, amount: number, tier: object|null, targetValue: number, maxValue: number, strategy: string }}
+     */
+    assess({ potValue, items, soleDepositor }) {
+        const tier = this.tierFor(potValue);
+        const targetValue = tier ? potValue * (tier.minPercent / 100) : 0;
+        const maxValue = tier ? potValue * (tier.maxPercent / 100) : 0;
+        const result = reason => ({ reason, items: [], amount: 0, tier, targetValue, maxValue, strategy: this.strategy });
+
+        const pricedItems = (items || []).filter(item => typeof item.price === 'number' && item.price > 0);
+        if (potValue <= 0 || pricedItems.length === 0) return result('no_items');
+        if (potValue < this.minPotForTax || !tier || tier.maxPercent <= 0) return result('below_minimum_pot');
+        if (soleDepositor && this.waiveSoleDepositor) return result('sole_depositor');
+
+        const picked = STRATEGY_SELECTORS[this.strategy](pricedItems, targetValue, maxValue);
+        if (!picked || picked.length === 0) return result('no_fitting_items');
+        return { ...result('applied'), items: picked, amount: picked.reduce((sum, item) => sum + item.price, 0) };
+    }
+}
+
+module.exports = { TaxPolicy, TaxConfigError, parseTaxTiers, TAX_STRATEGIES, TAX_REASONS };
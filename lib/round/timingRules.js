@@ -0,0 +1,109 @@
+// When a round's countdown runs and when it ends:
+//   minParticipants   - the countdown starts once this many users have deposited
+//   snipe window      - a deposit landing with this many seconds or fewer left pushes endTime back by
+//                       extensionSeconds, until the round has been extended by maxExtensionSeconds in total
+//                       (0 = no total cap; the maximum length still applies)
+//   maxDurationSeconds - the latest a round may end, counted from its first deposit (0 = no limit).
+//                       A round still short of minParticipants counts down to this and then rolls with
+//                       whoever joined, so a lone depositor isn't left waiting forever.
+// Times are Dates; durations are whole seconds.
+
+// idle: nobody deposited; waiting: fewer than minParticipants and no countdown; running: counting down
+const TIMER_STATES = ['idle', 'waiting', 'running'];
+
+class RoundTimingConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RoundTimingConfigError';
+    }
+}
+
+class RoundTimingRules {
+    /**
+     * @param {object} options
+     * @param {number} options.durationSeconds - Countdown length once the round has enough participants
+     * @param {number} [options.minParticipants]
+     * @param {number} [options.snipeWindowSeconds]
+     * @param {number} [options.extensionSeconds]
+     * @param {number} [options.maxExtensionSeconds]
+     * @param {number} [options.maxDurationSeconds]
+     */
+    constructor({ durationSeconds, minParticipants = 1, snipeWindowSeconds = 0, extensionSeconds = 0, maxExtensionSeconds = 0, maxDurationSeconds = 0 }) {
+        const wholeSeconds = { durationSeconds, snipeWindowSeconds, extensionSeconds, maxExtensionSeconds, maxDurationSeconds };
+        for (const [name, value] of Object.entries(wholeSeconds)) {
+            if (!Number.isInteger(value) || value < 0) throw new RoundTimingConfigError(`${name} must be a whole number of seconds >= 0, got "${value}".`);
+        }
+        if (durationSeconds < 1) throw new RoundTimingConfigError('durationSeconds must be at least 1.');
+        if (!Number.isInteger(minParticipants) || minParticipants < 1) {
+            throw new RoundTimingConfigError(`minParticipants must be a whole number >= 1, got "${minParticipants}".`);
+        }
+        if (maxDurationSeconds > 0 && maxDurationSeconds < durationSeconds) {
+            throw new RoundTimingConfigError(`maxDurationSeconds (${maxDurationSeconds}) must be 0 or at least durationSeconds (${durationSeconds}).`);
+        }
+        Object.assign(this, wholeSeconds, { minParticipants });
+    }
+
+    timerState(participantCount, hasEndTime) {
+        if (participantCount === 0) return 'idle';
+        return participantCount < this.minParticipants && !hasEndTime ? 'waiting' : 'running';
+    }
+
+    // Latest end time for a round whose first deposit landed at firstDepositAt, or null without a maximum length
+    closesAt(firstDepositAt) {
+        if (!this.maxDurationSeconds || !firstDepositAt) return null;
+        return new Date(new Date(firstDepositAt).getTime() + this.maxDurationSeconds * 1000);
+    }
+
+    _capped(endTime, firstDepositAt) {
+        const closesAt = this.closesAt(firstDepositAt);
+        return closesAt && closesAt < endTime ? closesAt : endTime;
+    }
+
+    /**
+     * End time for a round whose countdown is (re)starting now.
+     * @returns {{ endTime: Date, reason: 'countdown'|'max_duration' }|null} null while the round waits for participants
+     */
+    initialEndTime({ participantCount, firstDepositAt, now = new Date() }) {
+        if (participantCount === 0) return null;
+        if (participantCount < this.minParticipants) {
+            const closesAt = this.closesAt(firstDepositAt);
+            return closesAt ? { endTime: closesAt, reason: 'max_duration' } : null;
+        }
+        const endTime = this._capped(new Date(now.getTime() + this.durationSeconds * 1000), firstDepositAt);
+        return { endTime, reason: 'countdown' };
+    }
+
+    /**
+     * Anti-snipe extension for a deposit landing at `now`.
+     * @param {object} state
+     * @param {Date} state.endTime - Current end time
+     * @param {number} state.extendedSeconds - Seconds the round was already extended by
+     * @param {Date} [state.firstDepositAt]
+     * @returns {{ endTime: Date, addedSeconds: number }|null} null when the deposit doesn't extend the round
+     */
+    extension({ endTime, extendedSeconds = 0, firstDepositAt, now = new Date() }) {
+        if (!this.extensionSeconds || !endTime) return null;
+        const currentEnd = new Date(endTime);
+        const secondsLeft = (currentEnd.getTime() - now.getTime()) / 1000;
+        if (secondsLeft <= 0 || secondsLeft > this.snipeWindowSeconds) return null;
+        const allowed = this.maxExtensionSeconds > 0 ? Math.min(this.extensionSeconds, this.maxExtensionSeconds - extendedSeconds) : this.extensionSeconds;
+        if (allowed <= 0) return null;
+        const newEnd = this._capped(new Date(currentEnd.getTime() + allowed * 1000), firstDepositAt);
+        const addedSeconds = Math.floor((newEnd.getTime() - currentEnd.getTime()) / 1000);
+        return addedSeconds > 0 ? { endTime: new Date(currentEnd.getTime() + addedSeconds * 1000), addedSeconds } : null;
+    }
+
+    // Rules as sent to clients alongside a round's timer
+    describe() {
+        return {
+            durationSeconds: this.durationSeconds,
+            minParticipants: this.minParticipants,
+            snipeWindowSeconds: this.snipeWindowSeconds,
+            extensionSeconds: this.extensionSeconds,
+            maxExtensionSeconds: this.maxExtensionSeconds,
+            maxDurationSeconds: this.maxDurationSeconds
+        };
+    }
+}
+
+module.exports = { RoundTimingRules, RoundTimingConfigError, TIMER_STATES };
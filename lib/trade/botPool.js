@@ -0,0 +1,179 @@
+// Pool of trade bots. Each bot is an independent backend (own login, cookie refresh and
+// confirmations); the pool tracks their health, routes new work to the least-loaded healthy
+// bot and re-emits their offer events tagged with the bot that raised them.
+const EventEmitter = require('events');
+
+const HEALTH_CHECK_INTERVAL_MS = 2 * 60 * 1000;
+const INVENTORY_COUNT_TTL_MS = 60 * 1000;
+const MAX_CONSECUTIVE_FAILURES = 3; // Bot is taken out of rotation after this many failed checks
+
+class TradeBotPool extends EventEmitter {
+    /**
+     * @param {Array<{ id: string, backend: object }>} bots - First entry is the default bot
+     * @param {object} [options]
+     * @param {number} [options.appId] - App whose inventory counts towards a bot's load
+     * @param {number} [options.contextId]
+     */
+    constructor(bots, options = {}) {
+        super();
+        if (!bots || bots.length === 0) throw new Error('Trade bot pool needs at least one bot.');
+        this.appId = options.appId;
+        this.contextId = options.contextId;
+        this.healthCheckInterval = null;
+        this.bots = new Map();
+        for (const { id, backend } of bots) {
+            if (this.bots.has(id)) throw new Error(`Duplicate trade bot id "${id}".`);
+            backend.id = id;
+            this.bots.set(id, {
+                backend,
+                consecutiveFailures: 0,
+                lastError: null,
+                lastCheckedAt: null,
+                inventoryCount: null,
+                inventoryCheckedAt: 0
+            });
+            backend.on('newOffer', (offer) => this.emit('newOffer', offer, backend));
+            backend.on('sentOfferChanged', (offer, oldState) => this.emit('sentOfferChanged', offer, oldState, backend));
+        }
+        this.defaultBotId = bots[0].id;
+    }
+
+    get name() { return this.get().name; }
+    get cancelTime() { return this.get().cancelTime; }
+    get ready() { return this.healthyBots().length > 0; }
+    get size() { return this.bots.size; }
+
+    // Bot by id; unknown or missing ids (records from before multi-bot) resolve to the default bot
+    get(botId) {
+        const entry = this.bots.get(botId) || this.bots.get(this.defaultBotId);
+        return entry.backend;
+    }
+
+    has(botId) {
+        return this.bots.has(botId);
+    }
+
+    all() {
+        return [...this.bots.values()].map(entry => entry.backend);
+    }
+
+    isHealthy(botId) {
+        const entry = this.bots.get(botId);
+        return !!entry && entry.backend.ready && entry.consecutiveFailures < MAX_CONSECUTIVE_FAILURES;
+    }
+
+    healthyBots() {
+        return [...this.bots.keys()].filter(id => this.isHealthy(id)).map(id => this.bots.get(id).backend);
+    }
+
+    // Any healthy bot, for work that doesn't depend on which bot does it (e.g. reading user inventories)
+    any() {
+        const healthy = this.healthyBots();
+        if (healthy.length === 0) throw new Error('No healthy trade bot available.');
+        return healthy.find(bot => bot.id === this.defaultBotId) || healthy[0];
+    }
+
+    async start() {
+        const results = await Promise.allSettled(this.all().map(bot => bot.start()));
+        results.forEach((result, index) => {
+            const entry = [...this.bots.values()][index];
+            entry.lastCheckedAt = new Date();
+            if (result.status === 'rejected') {
+                entry.consecutiveFailures++;
+                entry.lastError = result.reason?.message || String(result.reason);
+                console.error(`ERROR: Trade bot '${entry.backend.id}' failed to start: ${entry.lastError}`);
+            }
+        });
+        if (!this.ready) throw new Error('No trade bot could be started.');
+        this.startHealthChecks();
+        this.emit('ready');
+    }
+
+    async checkHealth(botId) {
+        const entry = this.bots.get(botId);
+        if (!entry) return;
+        try {
+            await entry.backend.ensureReady();
+            entry.consecutiveFailures = 0;
+            entry.lastError = null;
+        } catch (err) {
+            entry.consecutiveFailures++;
+            entry.lastError = err.message;
+            console.warn(`WARN: Health check failed for trade bot '${botId}' (${entry.consecutiveFailures} in a row): ${err.message}`);
+        }
+        entry.lastCheckedAt = new Date();
+    }
+
+    startHealthChecks(intervalMs = HEALTH_CHECK_INTERVAL_MS) {
+        if (this.healthCheckInterval) clearInterval(this.healthCheckInterval);
+        this.healthCheckInterval = setInterval(() => {
+            for (const botId of this.bots.keys()) {
+                this.checkHealth(botId).catch(err => console.error(`ERROR: Health check for trade bot '${botId}' threw:`, err));
+            }
+        }, intervalMs);
+    }
+
+    async _inventoryCount(entry) {
+        if (entry.inventoryCount !== null && Date.now() - entry.inventoryCheckedAt < INVENTORY_COUNT_TTL_MS) {
+            return entry.inventoryCount;
+        }
+        const inventory = await entry.backend.getBotInventory(this.appId, this.contextId);
+        entry.inventoryCount = inventory.length;
+        entry.inventoryCheckedAt = Date.now();
+        return entry.inventoryCount;
+    }
+
+    /**
+     * Picks the healthy bot with the fewest items held plus `extraLoad` (e.g. open deposit offers).
+     * @param {Object<string, number>} [extraLoad] - botId -> additional load the caller knows about
+     */
+    async pickLeastLoaded(extraLoad = {}) {
+        let best = null;
+        for (const bot of this.healthyBots()) {
+            const entry = this.bots.get(bot.id);
+            let load;
+            try {
+                load = await this._inventoryCount(entry) + (extraLoad[bot.id] || 0);
+            } catch (err) {
+                entry.consecutiveFailures++;
+                entry.lastError = `Inventory fetch failed: ${err.message}`;
+                console.warn(`WARN: Skipping trade bot '${bot.id}' for routing: ${entry.lastError}`);
+                continue;
+            }
+            if (!best || load < best.load) best = { bot, load };
+        }
+        if (!best) throw new Error('No healthy trade bot available.');
+        return best.bot;
+    }
+
+    // Invalidate a bot's cached inventory count after items move in or out
+    touch(botId) {
+        const entry = this.bots.get(botId);
+        if (entry) entry.inventoryCheckedAt = 0;
+    }
+
+    health() {
+        return [...this.bots.entries()].map(([id, entry]) => ({
+            id,
+            backend: entry.backend.name,
+            steamId: entry.backend.steamID ? entry.backend.steamID.getSteamID64() : null,
+            ready: !!entry.backend.ready,
+            healthy: this.isHealthy(id),
+            consecutiveFailures: entry.consecutiveFailures,
+            lastError: entry.lastError,
+            lastCheckedAt: entry.lastCheckedAt,
+            inventoryCount: entry.inventoryCount,
+            isDefault: id === this.defaultBotId
+        }));
+    }
+
+    shutdown() {
+        if (this.healthCheckInterval) {
+            clearInterval(this.healthCheckInterval);
+            this.healthCheckInterval = null;
+        }
+        for (const bot of this.all()) bot.shutdown();
+    }
+}
+
+module.exports = TradeBotPool;
@@ -0,0 +1,373 @@
+// In-process fake of the Steam trade backend for local development.
+// Holds inventories in memory, assigns asset/offer IDs from counters (so runs are reproducible)
+// and emits the same sentOfferChanged transitions TradeOfferManager would.
+const EventEmitter = require('events');
+const fs = require('fs');
+const SteamID = require('steamid');
+const { ETradeOfferState, ETradeStatus } = require('steam-tradeoffer-manager');
+
+const DEFAULT_BOT_STEAM_ID = '76561198000000000';
+const FIRST_ASSET_ID = 1000000000;
+const DEFAULT_ICON_URL = 'fake-item-icon';
+
+// Handed out to users that have no configured inventory, in this order
+const DEFAULT_CATALOG = [
+    'Tempered AK47', 'Alien Red', 'Big Grin', 'No Mercy Hoodie', 'Glory AK47', 'Blackout Facemask',
+    'Punishment Mask', 'Azul Hoodie', 'Playmaker Shirt', 'Rainbow Pony Hoodie', 'Carbon Fibre SAR', 'Whiteout Kilt'
+];
+
+function steamErrorWithEresult(message, eresult) {
+    const err = new Error(message);
+    err.eresult = eresult;
+    return err;
+}
+
+function partnerFromTradeUrl(tradeUrl) {
+    const match = /[?&]partner=(\d+)/.exec(tradeUrl || '');
+    if (!match) throw steamErrorWithEresult('Invalid trade URL: missing partner parameter', 26);
+    const sid = new SteamID();
+    sid.universe = SteamID.Universe.PUBLIC;
+    sid.type = SteamID.Type.INDIVIDUAL;
+    sid.instance = SteamID.Instance.DESKTOP;
+    sid.accountid = parseInt(match[1], 10);
+    return sid;
+}
+
+class FakeTradeOffer {
+    constructor(backend, tradeUrl) {
+        this._backend = backend;
+        this.partner = partnerFromTradeUrl(tradeUrl);
+        this.id = null;
+        this.message = '';
+        this.state = null;
+        this.itemsToGive = [];
+        this.itemsToReceive = [];
+        this.isOurOffer = true;
+        this.created = null;
+        this.updated = null;
+        this.tradeID = null;
+    }
+
+    addMyItems(items) { this.itemsToGive.push(...items.map(i => ({ ...i, assetid: String(i.assetid) }))); return true; }
+    addTheirItems(items) { this.itemsToReceive.push(...items.map(i => ({ ...i, assetid: String(i.assetid) }))); return true; }
+    setMessage(message) { this.message = String(message || ''); }
+
+    send(callback) {
+        try {
+            callback(null, this._backend._send(this));
+        } catch (err) {
+            callback(err);
+        }
+    }
+
+    cancel(callback) {
+        try {
+            this._backend.cancelOffer(this.id);
+            if (callback) callback(null);
+        } catch (err) {
+            if (callback) callback(err);
+        }
+    }
+
+    decline(callback) { this.cancel(callback); }
+
+    getUserDetails(callback) {
+        const escrowDays = this._backend.world.tradeHolds.get(this.partner.getSteamID64()) || 0;
+        callback(null, { escrowDays: 0, probation: false }, { escrowDays, probation: false });
+    }
+}
+
+class FakeTradeBackend extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.botSteamId] - SteamID64 the fake bot reports as its own
+     * @param {'manual'|'accept'|'decline'} [options.autoRespond] - How partners answer offers without a dev command
+     * @param {number} [options.respondDelayMs] - Delay before an automatic response
+     * @param {string} [options.inventoryFile] - JSON file of { steamId64: [{ market_hash_name, icon_url? }] }
+     * @param {object} [options.world] - Shared state from FakeTradeBackend.createWorld(), so several fake
+     *   bots trade with the same user inventories and never hand out the same asset/offer ID twice
+     * @param {string} [options.siteUrl] - Used to build offer URLs pointing at the dev trade endpoints
+     */
+    constructor(options = {}) {
+        super();
+        this.name = 'fake';
+        this.botSteamId = options.botSteamId || DEFAULT_BOT_STEAM_ID;
+        this.autoRespond = options.autoRespond || 'manual';
+        this.respondDelayMs = options.respondDelayMs ?? 2000;
+        this.siteUrl = options.siteUrl || '';
+        this.cancelTime = 10 * 60 * 1000;
+        this.ready = false;
+
+        this.world = options.world || FakeTradeBackend.createWorld();
+        this.offers = new Map(); // offerId -> FakeTradeOffer (this bot's offers only)
+        this.timers = new Set();
+
+        if (!this.world.inventories.has(this.botSteamId)) this.world.inventories.set(this.botSteamId, []);
+        if (options.inventoryFile && !this.world.seeded) {
+            const seeded = JSON.parse(fs.readFileSync(options.inventoryFile, 'utf8'));
+            for (const [steamId, items] of Object.entries(seeded)) {
+                this.setInventory(steamId, items);
+            }
+            this.world.seeded = true;
+        }
+    }
+
+    static createWorld() {
+        // inventories: steamId64 -> [item]; tradeHolds: steamId64 -> escrow days
+        return { nextAssetId: FIRST_ASSET_ID, nextOfferId: 1, inventories: new Map(), tradeHolds: new Map(), seeded: false };
+    }
+
+    get steamID() {
+        return new SteamID(this.botSteamId);
+    }
+
+    async start() {
+        this.ready = true;
+        console.log(`LOG_SUCCESS: Fake trade backend ready (bot ${this.botSteamId}, autoRespond: ${this.autoRespond}).`);
+        this.emit('ready');
+    }
+
+    async ensureReady() {
+        if (!this.ready) throw new Error('Fake trade backend not started.');
+    }
+
+    async refreshSession() { return this.ensureReady(); }
+
+    // --- Inventory ---
+    _makeItem(template) {
+        const name = template.market_hash_name || template.name;
+        return {
+            assetid: String(this.world.nextAssetId++),
+            appid: 252490,
+            contextid: '2',
+            classid: template.classid || String(Math.abs([...name].reduce((h, c) => (h * 31 + c.charCodeAt(0)) | 0, 7))),
+            instanceid: '0',
+            amount: 1,
+            market_hash_name: name,
+            name: name,
+            icon_url: template.icon_url || DEFAULT_ICON_URL,
+            tradable: template.tradable !== false
+        };
+    }
+
+    setInventory(steamId, templates) {
+        this.world.inventories.set(String(steamId), (templates || []).map(t => this._makeItem(t)));
+        return this.world.inventories.get(String(steamId));
+    }
+
+    _inventoryFor(steamId) {
+        const key = String(steamId);
+        if (!this.world.inventories.has(key)) {
+            this.setInventory(key, DEFAULT_CATALOG.map(name => ({ market_hash_name: name })));
+        }
+        return this.world.inventories.get(key);
+    }
+
+    async getBotInventory() {
+        return this._inventoryFor(this.botSteamId).map(i => ({ ...i }));
+    }
+
+    async getUserInventory(steamId) {
+        return this._inventoryFor(steamId).map(i => ({ ...i }));
+    }
+
+    // --- Offers ---
+    createOffer(tradeUrl) {
+        return new FakeTradeOffer(this, tradeUrl);
+    }
+
+    // Partners have no trade hold unless one is set with setTradeHold
+    setTradeHold(steamId, escrowDays) {
+        if (escrowDays > 0) this.world.tradeHolds.set(String(steamId), escrowDays);
+        else this.world.tradeHolds.delete(String(steamId));
+    }
+
+    getTradeHold(tradeUrl) {
+        return new Promise((resolve, reject) => {
+            this.createOffer(tradeUrl).getUserDetails((err, me, them) => {
+                if (err) return reject(err);
+                resolve({ escrowDays: them.escrowDays, botEscrowDays: me.escrowDays, probation: them.probation });
+            });
+        });
+    }
+
+    offerUrl(offerId) {
+        return `${this.siteUrl}/api/dev/trade/offers/${offerId}`;
+    }
+
+    sendOffer(offer) {
+        return new Promise((resolve, reject) => {
+            offer.send((err, status) => err ? reject(err) : resolve(status));
+        });
+    }
+
+    _send(offer) {
+        if (!this.ready) throw steamErrorWithEresult('Fake trade backend not started.', 3);
+        if (offer.id) throw new Error('This offer has already been sent');
+        if (offer.itemsToGive.length === 0 && offer.itemsToReceive.length === 0) throw new Error('Cannot send an empty trade offer');
+
+        const partnerId = offer.partner.getSteamID64();
+        const partnerInventory = this._inventoryFor(partnerId);
+        const botInventory = this._inventoryFor(this.botSteamId);
+        for (const item of offer.itemsToReceive) {
+            const owned = partnerInventory.find(i => i.assetid === item.assetid);
+            if (!owned || !owned.tradable) throw steamErrorWithEresult(`Item ${item.assetid} is not available in partner inventory`, 25);
+            Object.assign(item, owned);
+        }
+        for (const item of offer.itemsToGive) {
+            const owned = botInventory.find(i => i.assetid === item.assetid);
+            if (!owned) throw steamErrorWithEresult(`Item ${item.assetid} is not available in bot inventory`, 25);
+            Object.assign(item, owned);
+        }
+
+        offer.id = String(this.world.nextOfferId++);
+        offer.created = new Date();
+        offer.updated = offer.created;
+        this.offers.set(offer.id, offer);
+
+        // Offers giving items away need a mobile confirmation, as on Steam
+        let status;
+        if (offer.itemsToGive.length > 0) {
+            offer.state = ETradeOfferState.CreatedNeedsConfirmation;
+            status = 'pending';
+        } else {
+            offer.state = ETradeOfferState.Active;
+            status = 'sent';
+            this._scheduleAutoRespond(offer);
+        }
+        this._schedule(() => {
+            if (offer.state === ETradeOfferState.Active || offer.state === ETradeOfferState.CreatedNeedsConfirmation) {
+                this._transition(offer, ETradeOfferState.Canceled);
+            }
+        }, this.cancelTime);
+        console.log(`FAKE_TRADE: Offer #${offer.id} to ${partnerId} sent (${offer.itemsToGive.length} out, ${offer.itemsToReceive.length} in). State: ${ETradeOfferState[offer.state]}`);
+        return status;
+    }
+
+    _schedule(fn, delayMs) {
+        const timer = setTimeout(() => { this.timers.delete(timer); fn(); }, delayMs);
+        if (typeof timer.unref === 'function') timer.unref();
+        this.timers.add(timer);
+    }
+
+    _scheduleAutoRespond(offer) {
+        if (this.autoRespond === 'accept') this._schedule(() => this._safe(() => this.acceptOffer(offer.id)), this.respondDelayMs);
+        else if (this.autoRespond === 'decline') this._schedule(() => this._safe(() => this.declineOffer(offer.id)), this.respondDelayMs);
+    }
+
+    _safe(fn) {
+        try { fn(); } catch (err) { console.warn(`FAKE_TRADE: Automatic response skipped: ${err.message}`); }
+    }
+
+    _transition(offer, newState) {
+        const oldState = offer.state;
+        if (oldState === newState) return;
+        offer.state = newState;
+        offer.updated = new Date();
+        console.log(`FAKE_TRADE: Offer #${offer.id} ${ETradeOfferState[oldState]} -> ${ETradeOfferState[newState]}`);
+        this.emit('sentOfferChanged', offer, oldState);
+    }
+
+    _requireOffer(offerId, allowedStates) {
+        const offer = this.offers.get(String(offerId));
+        if (!offer) throw steamErrorWithEresult(`Offer ${offerId} not found`, 25);
+        if (allowedStates && !allowedStates.includes(offer.state)) {
+            throw new Error(`Offer ${offerId} is ${ETradeOfferState[offer.state]}`);
+        }
+        return offer;
+    }
+
+    // Partner accepts: items change hands and receive new asset IDs, as they do on Steam
+    acceptOffer(offerId) {
+        const offer = this._requireOffer(offerId, [ETradeOfferState.Active]);
+        const partnerId = offer.partner.getSteamID64();
+        const partnerInventory = this._inventoryFor(partnerId);
+        const botInventory = this._inventoryFor(this.botSteamId);
+
+        const move = (items, from, to) => items.map(item => {
+            const index = from.findIndex(i => i.assetid === item.assetid);
+            if (index === -1) throw steamErrorWithEresult(`Item ${item.assetid} is no longer available`, 25);
+            const [moved] = from.splice(index, 1);
+            const newAssetId = String(this.world.nextAssetId++);
+            to.push({ ...moved, assetid: newAssetId });
+            return { ...moved, new_assetid: newAssetId, new_contextid: moved.contextid };
+        });
+
+        offer.receivedItems = move(offer.itemsToReceive, partnerInventory, botInventory);
+        offer.sentItems = move(offer.itemsToGive, botInventory, partnerInventory);
+        offer.tradeID = `fake-trade-${offer.id}`;
+        this._transition(offer, ETradeOfferState.Accepted);
+        return offer;
+    }
+
+    declineOffer(offerId) {
+        const offer = this._requireOffer(offerId, [ETradeOfferState.Active]);
+        this._transition(offer, ETradeOfferState.Declined);
+        return offer;
+    }
+
+    expireOffer(offerId) {
+        const offer = this._requireOffer(offerId, [ETradeOfferState.Active]);
+        this._transition(offer, ETradeOfferState.Expired);
+        return offer;
+    }
+
+    cancelOffer(offerId) {
+        const offer = this._requireOffer(offerId, [ETradeOfferState.Active, ETradeOfferState.CreatedNeedsConfirmation]);
+        this._transition(offer, ETradeOfferState.Canceled);
+        return offer;
+    }
+
+    async getOffer(offerId) {
+        return this._requireOffer(offerId);
+    }
+
+    async getSentOffers(since) {
+        return [...this.offers.values()].filter(o => o.isOurOffer && (!since || o.created >= since));
+    }
+
+    async getExchangeDetails(offer) {
+        const stored = this.offers.get(String(offer.id));
+        if (!stored || !stored.tradeID) throw new Error('No trade ID; unable to get trade details');
+        return { status: ETradeStatus.Complete, tradeInitTime: stored.updated, receivedItems: stored.receivedItems, sentItems: stored.sentItems };
+    }
+
+    listOffers() {
+        return [...this.offers.values()].map(o => ({
+            id: o.id,
+            partner: o.partner.getSteamID64(),
+            state: o.state,
+            stateName: ETradeOfferState[o.state],
+            message: o.message,
+            itemsToGive: o.itemsToGive.map(i => ({ assetid: i.assetid, market_hash_name: i.market_hash_name })),
+            itemsToReceive: o.itemsToReceive.map(i => ({ assetid: i.assetid, market_hash_name: i.market_hash_name })),
+            created: o.created,
+            updated: o.updated
+        }));
+    }
+
+    // --- Confirmations ---
+    async getConfirmations() {
+        return [...this.offers.values()]
+            .filter(o => o.state === ETradeOfferState.CreatedNeedsConfirmation)
+            .map(o => ({ id: `conf-${o.id}`, key: `key-${o.id}`, creator: o.id, type: 2, typeName: 'Trade', title: `Trade with ${o.partner.getSteamID64()}`, time: o.created }));
+    }
+
+    async confirmOffer(offerId, offerType = 'trade') {
+        const offer = this.offers.get(String(offerId));
+        if (!offer || offer.state !== ETradeOfferState.CreatedNeedsConfirmation) {
+            return { success: false, error: `No pending confirmation for ${offerType} offer ${offerId}` };
+        }
+        this._transition(offer, ETradeOfferState.Active);
+        this._scheduleAutoRespond(offer);
+        return { success: true };
+    }
+
+    shutdown() {
+        for (const timer of this.timers) clearTimeout(timer);
+        this.timers.clear();
+        this.ready = false;
+    }
+}
+
+module.exports = FakeTradeBackend;
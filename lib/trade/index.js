@@ -0,0 +1,96 @@
+// Trade backend selection. Both backends expose the same surface:
+//   start(), ensureReady(), refreshSession(), shutdown(), ready, steamID, cancelTime
+//   createOffer(tradeUrl), sendOffer(offer), getOffer(offerId), offerUrl(offerId), getSentOffers(since)
+//   getTradeHold(tradeUrl) -> { escrowDays, botEscrowDays, probation }
+//   getExchangeDetails(offer) -> { status, tradeInitTime, receivedItems, sentItems }
+//   getBotInventory(appId, contextId), getUserInventory(steamId, appId, contextId)
+//   confirmOffer(offerId, offerType), getConfirmations()
+//   events: 'ready', 'newOffer' (offer), 'sentOfferChanged' (offer, oldState)
+// The app drives one or more of them through a TradeBotPool (see botPool.js).
+const SteamTradeBackend = require('./steamBackend');
+const FakeTradeBackend = require('./fakeBackend');
+const TradeBotPool = require('./botPool');
+
+const TRADE_BACKENDS = ['steam', 'fake'];
+
+function createTradeBackend(type, env = process.env, world) {
+    if (type === 'fake') {
+        return new FakeTradeBackend({
+            botSteamId: env.FAKE_TRADE_BOT_STEAM_ID,
+            autoRespond: env.FAKE_TRADE_AUTO_RESPOND,
+            respondDelayMs: env.FAKE_TRADE_RESPOND_DELAY_MS ? parseInt(env.FAKE_TRADE_RESPOND_DELAY_MS) : undefined,
+            inventoryFile: env.FAKE_TRADE_INVENTORY_FILE,
+            siteUrl: env.SITE_URL,
+            world
+        });
+    }
+    if (type === 'steam') {
+        return new SteamTradeBackend({
+            accountName: env.STEAM_USERNAME,
+            password: env.STEAM_PASSWORD,
+            sharedSecret: env.STEAM_SHARED_SECRET,
+            identitySecret: env.STEAM_IDENTITY_SECRET,
+            domain: env.SITE_URL ? env.SITE_URL.replace(/^https?:\/\//, '') : 'localhost'
+        });
+    }
+    throw new Error(`Unknown TRADE_BACKEND "${type}". Expected one of: ${TRADE_BACKENDS.join(', ')}.`);
+}
+
+// Steam bot accounts. STEAM_BOTS is a JSON array of { id, username, password, sharedSecret, identitySecret };
+// without it the single STEAM_USERNAME/STEAM_PASSWORD/... account runs as bot 'main'.
+function steamBotAccounts(env = process.env) {
+    if (!env.STEAM_BOTS) {
+        return [{
+            id: 'main',
+            username: env.STEAM_USERNAME,
+            password: env.STEAM_PASSWORD,
+            sharedSecret: env.STEAM_SHARED_SECRET,
+            identitySecret: env.STEAM_IDENTITY_SECRET
+        }];
+    }
+    const accounts = JSON.parse(env.STEAM_BOTS);
+    if (!Array.isArray(accounts) || accounts.length === 0) throw new Error('STEAM_BOTS must be a non-empty JSON array.');
+    return accounts.map((account, index) => {
+        const missing = ['username', 'password', 'sharedSecret', 'identitySecret'].filter(key => !account[key]);
+        if (missing.length > 0) throw new Error(`STEAM_BOTS[${index}] is missing: ${missing.join(', ')}.`);
+        return { ...account, id: String(account.id || account.username) };
+    });
+}
+
+/**
+ * Builds the bot pool for the configured backend.
+ * Fake: FAKE_TRADE_BOT_COUNT bots (default 1) on one shared simulated Steam, with consecutive SteamIDs.
+ * @param {object} [options] - Passed to TradeBotPool ({ appId, contextId })
+ */
+function createTradeBotPool(type, env = process.env, options = {}) {
+    if (type === 'fake') {
+        const count = Math.max(1, parseInt(env.FAKE_TRADE_BOT_COUNT) || 1);
+        const world = FakeTradeBackend.createWorld();
+        const firstSteamId = BigInt(env.FAKE_TRADE_BOT_STEAM_ID || '76561198000000000');
+        const bots = [];
+        for (let i = 0; i < count; i++) {
+            const botEnv = { ...env, FAKE_TRADE_BOT_STEAM_ID: String(firstSteamId + BigInt(i)) };
+            bots.push({ id: count === 1 ? 'main' : `fake-${i + 1}`, backend: createTradeBackend('fake', botEnv, world) });
+        }
+        return new TradeBotPool(bots, options);
+    }
+    if (type === 'steam') {
+        const bots = steamBotAccounts(env).map(account => ({
+            id: account.id,
+            backend: createTradeBackend('steam', {
+                ...env,
+                STEAM_USERNAME: account.username,
+                STEAM_PASSWORD: account.password,
+                STEAM_SHARED_SECRET: account.sharedSecret,
+                STEAM_IDENTITY_SECRET: account.identitySecret
+            })
+        }));
+        return new TradeBotPool(bots, options);
+    }
+    throw new Error(`Unknown TRADE_BACKEND "${type}". Expected one of: ${TRADE_BACKENDS.join(', ')}.`);
+}
+
+module.exports = {
+    createTradeBackend, createTradeBotPool, steamBotAccounts,
+    SteamTradeBackend, FakeTradeBackend, TradeBotPool, TRADE_BACKENDS
+};
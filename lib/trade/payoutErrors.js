@@ -0,0 +1,84 @@
+// Why a winnings offer could not be sent, and whether sending it again later can help (refunds use the
+// same classification):
+//   transient - Steam is busy or rate limiting us, or the bot's session or inventory isn't ready yet;
+//               the payout is retried with backoff
+//   permanent - the winner (trade URL, private inventory) or an admin has to act first
+const PAYOUT_ERROR_KINDS = ['transient', 'permanent'];
+
+// reason -> kind and the payoutOfferStatus recorded on the rounds
+const PAYOUT_ERROR_REASONS = {
+    rate_limited: { kind: 'transient', status: 'Failed - Rate Limited' },
+    session_expired: { kind: 'transient', status: 'Failed - Bot Session Issue' },
+    bot_not_ready: { kind: 'transient', status: 'Failed - Bot Not Ready' },
+    bot_inventory: { kind: 'transient', status: 'Failed - Bot Inventory Issue' },
+    steam_unavailable: { kind: 'transient', status: 'Failed - Send Error' },
+    no_trade_url: { kind: 'permanent', status: 'Failed - No Trade URL' },
+    invalid_trade_url: { kind: 'permanent', status: 'Failed - Invalid Trade URL' },
+    inventory_private: { kind: 'permanent', status: 'Failed - Inventory Private' },
+    items_unavailable: { kind: 'permanent', status: 'Failed - Inventory/Trade Issue' },
+    steam_error: { kind: 'permanent', status: 'Failed - Send Error' }
+};
+
+const USER_MESSAGES = {
+    rate_limited: 'Steam is rate limiting our bot right now.',
+    session_expired: "The bot's Steam session expired.",
+    bot_not_ready: 'The trade bot is not ready right now.',
+    bot_inventory: "The bot's inventory could not be loaded or is not up to date yet.",
+    steam_unavailable: 'Steam could not be reached.',
+    no_trade_url: 'Please set your Steam Trade URL in your profile to receive winnings.',
+    invalid_trade_url: 'Your Steam Trade URL appears to be invalid. Please update it and claim your winnings again.',
+    inventory_private: 'Your inventory appears to be private. Please make it public and claim your winnings again.',
+    items_unavailable: 'Some items for your winnings were unavailable at the time of sending. Please contact support.',
+    steam_error: 'Failed to send winnings. Please try again or contact support.'
+};
+
+// Steam EResults worth retrying: Fail, NoConnection, Busy, Timeout, ServiceUnavailable, NotLoggedOn, RateLimitExceeded
+const TRANSIENT_ERESULTS = {
+    2: 'steam_unavailable', 3: 'steam_unavailable', 10: 'steam_unavailable', 16: 'steam_unavailable',
+    20: 'steam_unavailable', 21: 'session_expired', 84: 'rate_limited'
+};
+// Revoked (bad trade URL), AccessDenied (private inventory), LimitExceeded (items gone)
+const PERMANENT_ERESULTS = { 26: 'invalid_trade_url', 15: 'inventory_private', 25: 'items_unavailable' };
+
+// A failure detected by the payout itself rather than reported by Steam
+class PayoutError extends Error {
+    constructor(reason, message) {
+        super(message || USER_MESSAGES[reason]);
+        this.name = 'PayoutError';
+        this.reason = reason;
+    }
+}
+
+function reasonFor(error) {
+    if (error instanceof PayoutError) return error.reason;
+    if (PERMANENT_ERESULTS[error.eresult]) return PERMANENT_ERESULTS[error.eresult];
+    if (TRANSIENT_ERESULTS[error.eresult]) return TRANSIENT_ERESULTS[error.eresult];
+    const message = String(error.message || '').toLowerCase();
+    if (message.includes('trade url')) return 'invalid_trade_url';
+    if (message.includes('items_unavailable')) return 'items_unavailable';
+    if (message.includes('429') || message.includes('rate limit')) return 'rate_limited';
+    if (message.includes('not logged in') || message.includes('session')) return 'session_expired';
+    if (message.includes('not initialized') || message.includes('not ready')) return 'bot_not_ready';
+    if (error.eresult) return 'steam_error';
+    // No EResult: timeouts, dropped connections and Steam's 5xx pages
+    return 'steam_unavailable';
+}
+
+/**
+ * @param {Error} error - As thrown while sending (Steam errors carry an `eresult`)
+ * @returns {{ kind: string, reason: string, status: string, message: string, eresult?: number }}
+ */
+function classifyPayoutError(error) {
+    const reason = reasonFor(error);
+    const { kind, status } = PAYOUT_ERROR_REASONS[reason];
+    const steamError = reason === 'steam_error' || (reason === 'steam_unavailable' && error.eresult);
+    return {
+        kind,
+        reason,
+        status: steamError ? `Failed - Steam Error ${error.eresult}` : status,
+        message: steamError && kind === 'permanent' ? `${USER_MESSAGES[reason]} (Steam Error Code: ${error.eresult})` : USER_MESSAGES[reason],
+        eresult: error.eresult
+    };
+}
+
+module.exports = { PayoutError, classifyPayoutError, PAYOUT_ERROR_KINDS, PAYOUT_ERROR_REASONS };
@@ -0,0 +1,86 @@
+// How a payout is turned into trade offers:
+//   maxItemsPerOffer  - a bot's share of the winnings is split into offers of at most this many items
+//   missingItemPolicy - what happens to won items the bot no longer holds when the payout is planned:
+//     'hold'       - left out of the offers; they stay in the winner's vault (claimable again) for an admin to sort out
+//     'substitute' - replaced by a house item on the same bot worth at least as much (the cheapest such item);
+//                    items with no such substitute are held
+//     'compensate' - left out; their value is recorded as owed to the winner
+const MISSING_ITEM_POLICIES = ['hold', 'substitute', 'compensate'];
+
+// Prices within a cent count as the same item when matching by name
+const PRICE_MATCH_TOLERANCE = 0.01;
+
+class PayoutPlanConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PayoutPlanConfigError';
+    }
+}
+
+class PayoutPlanner {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxItemsPerOffer]
+     * @param {string} [options.missingItemPolicy]
+     */
+    constructor({ maxItemsPerOffer = 50, missingItemPolicy = 'hold' } = {}) {
+        if (!Number.isInteger(maxItemsPerOffer) || maxItemsPerOffer < 1) {
+            throw new PayoutPlanConfigError(`Maximum items per payout offer must be a whole number >= 1, got "${maxItemsPerOffer}".`);
+        }
+        if (!MISSING_ITEM_POLICIES.includes(missingItemPolicy)) {
+            throw new PayoutPlanConfigError(`Unknown missing item policy "${missingItemPolicy}". Expected one of: ${MISSING_ITEM_POLICIES.join(', ')}.`);
+        }
+        this.maxItemsPerOffer = maxItemsPerOffer;
+        this.missingItemPolicy = missingItemPolicy;
+    }
+
+    /**
+     * Finds each item in the bot's inventory: by its asset ID, else by name and price. An inventory asset is
+     * matched at most once.
+     * @param {Array<{ assetId?: string, name: string, price: number }>} items
+     * @param {Array<{ assetid: string|number, market_hash_name: string }>} botInventory
+     * @param {function(string): number} priceOf - Current price of an item by market hash name
+     * @returns {{ matched: Array<{ item: object, assetid: string }>, missing: Array }}
+     */
+    matchItems(items, botInventory, priceOf) {
+        const usedAssetIds = new Set();
+        const isFree = candidate => !usedAssetIds.has(String(candidate.assetid));
+        const matched = [];
+        const missing = [];
+        for (const item of items) {
+            const botItem = (item.assetId && botInventory.find(candidate => String(candidate.assetid) === String(item.assetId) && isFree(candidate))) ||
+                botInventory.find(candidate =>
+                    candidate.market_hash_name === item.name && isFree(candidate) &&
+                    Math.abs((priceOf(candidate.market_hash_name) || 0) - item.price) < PRICE_MATCH_TOLERANCE
+                );
+            if (!botItem) {
+                missing.push(item);
+                continue;
+            }
+            usedAssetIds.add(String(botItem.assetid));
+            matched.push({ item, assetid: String(botItem.assetid) });
+        }
+        return { matched, missing };
+    }
+
+    // Splits a bot's items into offer-sized groups, keeping their order
+    split(items) {
+        const groups = [];
+        for (let i = 0; i < items.length; i += this.maxItemsPerOffer) groups.push(items.slice(i, i + this.maxItemsPerOffer));
+        return groups;
+    }
+
+    /**
+     * The substitute for a missing item: the cheapest candidate worth at least as much.
+     * @param {{ price: number }} missingItem
+     * @param {Array<{ value: number }>} candidates
+     * @returns {object|null}
+     */
+    pickSubstitute(missingItem, candidates) {
+        return candidates
+            .filter(candidate => candidate.value >= missingItem.price)
+            .sort((a, b) => a.value - b.value)[0] || null;
+    }
+}
+
+module.exports = { PayoutPlanner, PayoutPlanConfigError, MISSING_ITEM_POLICIES };
@@ -0,0 +1,464 @@
+// Steam trade backend: wraps a SteamCommunity session and a TradeOfferManager for one bot account.
+const EventEmitter = require('events');
+const SteamCommunity = require('steamcommunity');
+const TradeOfferManager = require('steam-tradeoffer-manager');
+const SteamTotp = require('steam-totp');
+
+const LOGIN_RETRY_COOLDOWN = 60 * 1000; // 1 minute
+const COOKIE_REFRESH_INTERVAL_MS = 30 * 60 * 1000; // 30 minutes
+const COOKIE_VALIDATION_MAX_AGE_MS = 5 * 60 * 1000; // 5 minutes
+
+class SteamTradeBackend extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.accountName - Bot's Steam login name
+     * @param {string} options.password - Bot's Steam password
+     * @param {string} options.sharedSecret - Mobile authenticator shared secret (2FA codes)
+     * @param {string} [options.identitySecret] - Mobile authenticator identity secret (trade confirmations)
+     * @param {string} [options.domain] - Domain registered with the Steam API key
+     */
+    constructor(options) {
+        super();
+        this.name = 'steam';
+        this.accountName = options.accountName;
+        this.password = options.password;
+        this.sharedSecret = options.sharedSecret;
+        this.identitySecret = options.identitySecret || null;
+        this.domain = options.domain || 'localhost';
+        this.cancelTime = 10 * 60 * 1000; // Automatically cancel sent offers after 10 minutes
+
+        this.community = new SteamCommunity();
+        this.manager = null;
+        this.currentCookies = null;
+        this.cookieRefreshInterval = null;
+        this.lastCookieValidation = 0;
+        this.isLoginInProgress = false;
+        this.lastLoginAttemptTimestamp = 0;
+        this.ready = false;
+
+        if (this.identitySecret) {
+            this.community.on('confKeyNeeded', (tag, callback) => {
+                const time = Math.floor(Date.now() / 1000);
+                if (SteamTotp && typeof SteamTotp.generateConfirmationKey === 'function') {
+                    const confKey = SteamTotp.generateConfirmationKey(this.identitySecret, time, tag);
+                    callback(null, time, confKey);
+                } else {
+                    console.error("FATAL: SteamTotp.generateConfirmationKey is not available for confKeyNeeded. STEAM_IDENTITY_SECRET is set but confirmations may fail.");
+                    callback(new Error("Confirmation key generation failed: SteamTotp unavailable"), null, null);
+                }
+            });
+        }
+
+        this.community.on('friendRelationship', (steamID, relationship) => {
+            if (relationship === SteamCommunity.EFriendRelationship.RequestRecipient) {
+                console.log(`LOG_INFO: Received friend request from ${steamID}. Accepting...`);
+                this.community.addFriend(steamID, (friendErr) => {
+                    if (friendErr) console.error(`LOG_ERROR: Error accepting friend request from ${steamID}:`, friendErr);
+                    else console.log(`LOG_SUCCESS: Accepted friend request from ${steamID}.`);
+                });
+            }
+        });
+    }
+
+    get steamID() {
+        return this.community.steamID || null;
+    }
+
+    generateAuthCode() {
+        if (!this.sharedSecret) { console.error("STEAM_SHARED_SECRET missing. Cannot generate 2FA code."); return null; }
+        try {
+            const code = SteamTotp.generateAuthCode(this.sharedSecret);
+            console.log("LOG_DEBUG: Generated 2FA code:", code);
+            return code;
+        }
+        catch (e) { console.error("Error generating 2FA code:", e); return null; }
+    }
+
+    async login() {
+        if (this.isLoginInProgress) {
+            console.log("LOG_INFO: Bot login attempt already in progress. Skipping.");
+            return Promise.reject(new Error("Login already in progress."));
+        }
+        const now = Date.now();
+        if (now - this.lastLoginAttemptTimestamp < LOGIN_RETRY_COOLDOWN) {
+            console.log(`LOG_INFO: Bot login attempt was made recently (within ${LOGIN_RETRY_COOLDOWN / 1000}s). Waiting for cooldown.`);
+            return Promise.reject(new Error("Login attempt cooldown active."));
+        }
+        this.isLoginInProgress = true;
+        this.lastLoginAttemptTimestamp = now;
+        this.ready = false; // Set to false until login completes
+        console.log("LOG_INFO: Attempting to execute bot login/re-login...");
+
+        return new Promise((resolve, reject) => {
+            const loginCredentials = {
+                accountName: this.accountName,
+                password: this.password,
+                twoFactorCode: this.generateAuthCode() // Generate fresh code for each attempt
+            };
+
+            if (!loginCredentials.twoFactorCode) {
+                console.warn("WARN: Could not generate 2FA code for login attempt.");
+                this.isLoginInProgress = false;
+                reject(new Error("2FA code generation failed for login."));
+                return;
+            }
+
+            console.log(`LOG_INFO: Attempting Steam login for bot: ${loginCredentials.accountName}...`);
+            this.community.login(loginCredentials, async (err, sessionID, cookies, steamguard) => {
+                if (err || !this.community.steamID) { // Check for err OR if steamID is not set after login attempt
+                    console.error('STEAM LOGIN ERROR:', { message: err?.message, eresult: err?.eresult, steamguard, steamID: this.community.steamID });
+                    if (err?.eresult === 5) console.warn('Login Failure Hint: Invalid Password?');
+                    if (err?.eresult === 65) console.warn('Login Failure Hint: Incorrect 2FA Code or Account Rate Limit?');
+                    if (err?.eresult === 63) console.warn('Login Failure Hint: Account Logon Denied - Check Email/Steam Guard?');
+                    this.isLoginInProgress = false;
+                    this.currentCookies = null; // Clear any stale cookies
+                    reject(err || new Error(`Login failed: community.steamID undefined. EResult: ${err?.eresult}`));
+                    return;
+                }
+
+                console.log(`LOG_SUCCESS: Steam bot ${loginCredentials.accountName} logged in (SteamID: ${this.community.steamID}). Setting cookies...`);
+                this.currentCookies = cookies; // Store the new cookies
+                this.community.setCookies(cookies); // Also set on community instance
+
+                try {
+                    await this.createTradeOfferManager(cookies); // Create or recreate manager with new cookies
+                    this.isLoginInProgress = false;
+                    this.ready = true;
+                    this.lastCookieValidation = Date.now(); // Mark validation time
+                    console.log("LOG_SUCCESS: Steam Bot is fully ready and operational.");
+                    this.emit('ready');
+                    resolve(true);
+                } catch (managerErr) {
+                    this.isLoginInProgress = false;
+                    this.currentCookies = null; // Clear cookies if manager setup fails
+                    console.error('TradeOfferManager Error setting cookies after login:', managerErr);
+                    reject(managerErr);
+                }
+            });
+        });
+    }
+
+    // Validate if cookies are still active, re-logging in if they are not
+    async validateAndRefreshCookies() {
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] LOG_INFO: Validating bot cookies...`);
+
+        if (!this.currentCookies || this.currentCookies.length === 0) {
+            console.log(`[${timestamp}] LOG_WARN: No cookies available, executing full login...`);
+            return this.login();
+        }
+
+        return new Promise((resolve, reject) => {
+            if (!this.community.steamID) { // If steamID isn't set on community, cookies are definitely bad
+                console.log(`[${timestamp}] LOG_WARN: No steamID on community object, cookies likely expired. Re-logging in...`);
+                return this.login().then(resolve).catch(reject);
+            }
+
+            // Try to get our own user info as a test
+            this.community.getSteamUser(this.community.steamID, (err, user) => {
+                if (err) { // Error implies cookies might be invalid
+                    console.log(`[${timestamp}] LOG_WARN: Cookie validation failed (getSteamUser error), re-logging in...`, err.message);
+                    return this.login().then(resolve).catch(reject);
+                }
+                console.log(`[${timestamp}] LOG_SUCCESS: Cookies validated successfully. User: ${user.name}`);
+                this.lastCookieValidation = Date.now();
+                resolve();
+            });
+        });
+    }
+
+    // Makes sure a manager exists and its cookies were validated recently. Call before any trade operation.
+    async ensureReady() {
+        const timestamp = new Date().toISOString();
+
+        if (!this.manager) {
+            console.log(`[${timestamp}] LOG_INFO: Manager doesn't exist, creating new instance...`);
+            if (!this.currentCookies || this.currentCookies.length === 0) {
+                await this.validateAndRefreshCookies(); // This will login if no cookies
+            }
+            await this.createTradeOfferManager(this.currentCookies);
+            this.ready = true;
+            return;
+        }
+
+        const timeSinceLastValidation = Date.now() - this.lastCookieValidation;
+        if (timeSinceLastValidation > COOKIE_VALIDATION_MAX_AGE_MS) {
+            console.log(`[${timestamp}] LOG_INFO: Time for cookie validation (${Math.floor(timeSinceLastValidation / 1000)}s since last check)`);
+            await this.validateAndRefreshCookies(); // This may update currentCookies
+
+            if (this.manager && this.currentCookies) {
+                await new Promise((resolve, reject) => {
+                    this.manager.setCookies(this.currentCookies, (err) => {
+                        if (err) {
+                            console.error(`[${timestamp}] LOG_ERROR: Failed to update cookies on existing manager:`, err);
+                            // If updating fails, fall back to recreating the manager
+                            return this.createTradeOfferManager(this.currentCookies).then(resolve).catch(reject);
+                        }
+                        console.log(`[${timestamp}] LOG_SUCCESS: Updated cookies on existing manager`);
+                        resolve();
+                    });
+                });
+            }
+        }
+        this.ready = true;
+    }
+
+    createTradeOfferManager(cookies) {
+        const timestamp = new Date().toISOString();
+
+        if (this.manager) {
+            console.log(`[${timestamp}] LOG_INFO: Shutting down existing TradeOfferManager instance before creating a new one.`);
+            try {
+                this.manager.removeAllListeners();
+                this.manager.shutdown();
+            } catch (shutdownErr) {
+                console.error(`[${timestamp}] LOG_ERROR: Error during manager shutdown:`, shutdownErr);
+            }
+            this.manager = null;
+        }
+
+        this.manager = new TradeOfferManager({
+            steam: this.community,
+            domain: this.domain,
+            language: 'en', // Prices in English
+            pollInterval: 10000, // Poll for new offers every 10 seconds
+            cancelTime: this.cancelTime,
+        });
+
+        // Re-emit manager events so listeners on the backend survive manager re-creation
+        this.manager.on('newOffer', (offer) => this.emit('newOffer', offer));
+        this.manager.on('sentOfferChanged', (offer, oldState) => this.emit('sentOfferChanged', offer, oldState));
+
+        return new Promise((resolve, reject) => {
+            if (!cookies || cookies.length === 0) {
+                console.error(`[${timestamp}] LOG_ERROR: Attempted to set empty cookies on TradeOfferManager. Login likely failed or cookies are missing.`);
+                return reject(new Error("Empty cookies provided to TradeOfferManager."));
+            }
+            this.manager.setCookies(cookies, (err) => {
+                if (err) {
+                    console.error(`[${timestamp}] LOG_ERROR: Failed to set cookies on new TradeOfferManager:`, err);
+                    reject(err);
+                } else {
+                    console.log(`[${timestamp}] LOG_SUCCESS: Cookies set on new TradeOfferManager instance.`);
+                    this.lastCookieValidation = Date.now(); // Cookies are fresh
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async refreshSession() {
+        console.log("LOG_INFO: Refreshing bot session...");
+        try {
+            await this.ensureReady(); // This handles validation and recreation if needed
+        } catch (err) {
+            console.error("LOG_ERROR: Failed to refresh bot session:", err);
+            this.ready = false;
+            throw err;
+        }
+    }
+
+    startPeriodicCookieRefresh() {
+        if (this.cookieRefreshInterval) {
+            clearInterval(this.cookieRefreshInterval);
+        }
+
+        this.cookieRefreshInterval = setInterval(async () => {
+            if (this.ready && this.currentCookies) { // Only refresh if bot is considered ready and has cookies
+                try {
+                    console.log("LOG_INFO: Performing periodic cookie refresh...");
+                    await this.validateAndRefreshCookies(); // This will re-login if validation fails
+                } catch (err) {
+                    console.error("LOG_ERROR: Periodic cookie refresh failed:", err);
+                }
+            }
+        }, COOKIE_REFRESH_INTERVAL_MS);
+    }
+
+    async start() {
+        await this.login();
+        this.startPeriodicCookieRefresh();
+    }
+
+    createOffer(tradeUrl) {
+        if (!this.manager) throw new Error("TradeOfferManager not initialized.");
+        return this.manager.createOffer(tradeUrl);
+    }
+
+    offerUrl(offerId) {
+        return `https://steamcommunity.com/tradeoffer/${offerId}/`;
+    }
+
+    sendOffer(offer) {
+        return new Promise((resolve, reject) => {
+            offer.send((err, sendStatus) => {
+                if (err) return reject(err);
+                resolve(sendStatus);
+            });
+        });
+    }
+
+    getOffer(offerId) {
+        return new Promise((resolve, reject) => {
+            if (!this.manager) return reject(new Error("TradeOfferManager not initialized."));
+            this.manager.getOffer(offerId, (err, offer) => {
+                if (err) return reject(err);
+                resolve(offer);
+            });
+        });
+    }
+
+    // Trade hold (escrow days) Steam would put on an offer to the partner behind tradeUrl, asked before sending one
+    getTradeHold(tradeUrl) {
+        return new Promise((resolve, reject) => {
+            if (!this.manager) return reject(new Error("TradeOfferManager not initialized."));
+            this.manager.createOffer(tradeUrl).getUserDetails((err, me, them) => {
+                if (err) return reject(err);
+                resolve({ escrowDays: them.escrowDays || 0, botEscrowDays: me.escrowDays || 0, probation: !!them.probation });
+            });
+        });
+    }
+
+    // Offers this bot sent since `since`, in any state (to find an offer whose send result was lost)
+    getSentOffers(since) {
+        return new Promise((resolve, reject) => {
+            if (!this.manager) return reject(new Error("TradeOfferManager not initialized."));
+            this.manager.getOffers(TradeOfferManager.EOfferFilter.All, since, (err, sent) => {
+                if (err) return reject(err);
+                resolve(sent || []);
+            });
+        });
+    }
+
+    // Trade receipt for an accepted offer: received/sent items carry new_assetid
+    getExchangeDetails(offer) {
+        return new Promise((resolve, reject) => {
+            offer.getExchangeDetails((err, status, tradeInitTime, receivedItems, sentItems) => {
+                if (err) return reject(err);
+                resolve({ status, tradeInitTime, receivedItems, sentItems });
+            });
+        });
+    }
+
+    getBotInventory(appId, contextId) {
+        return new Promise((resolve, reject) => {
+            if (!this.manager) return reject(new Error("TradeOfferManager not initialized."));
+            this.manager.getInventoryContents(appId, contextId, true, (err, inventory) => {
+                if (err) return reject(err);
+                resolve(inventory || []);
+            });
+        });
+    }
+
+    getUserInventory(steamId, appId, contextId) {
+        return new Promise((resolve, reject) => {
+            if (!this.manager) return reject(new Error("TradeOfferManager not initialized."));
+            this.manager.getUserInventoryContents(steamId, appId, contextId, true, (err, inventory) => {
+                if (err) return reject(err);
+                resolve(inventory || []);
+            });
+        });
+    }
+
+    getConfirmations() {
+        return new Promise((resolve, reject) => {
+            if (!this.identitySecret) return reject(new Error('STEAM_IDENTITY_SECRET is not configured.'));
+            const time = Math.floor(Date.now() / 1000);
+            const confKey = SteamTotp.generateConfirmationKey(this.identitySecret, time, 'conf');
+            this.community.getConfirmations(time, confKey, (err, confirmations) => {
+                if (err) return reject(err);
+                resolve((confirmations || []).map(c => ({
+                    id: c.id, // Confirmation ID
+                    key: c.key, // Nonce to accept
+                    creator: c.creator, // ID of object being confirmed (e.g., trade offer ID)
+                    type: c.type, // Type of confirmation (e.g., trade)
+                    typeName: SteamCommunity.EConfirmationType[c.type] || 'Unknown',
+                    title: c.title, // Human-readable title
+                    receiving: c.receiving, // Human-readable of what's being received
+                    time: c.time, // Creation time
+                    icon: c.icon,
+                    summary: c.summary,
+                })));
+            });
+        });
+    }
+
+    async confirmOffer(offerId, offerType = 'trade') {
+        const timestamp = new Date().toISOString();
+
+        if (!this.identitySecret) {
+            console.log(`[${timestamp}] LOG_WARN: No STEAM_IDENTITY_SECRET configured for auto-confirmation. Trade ${offerId} (${offerType}) will require manual confirmation.`);
+            return { success: false, error: 'No identity secret configured for auto-confirmation' };
+        }
+
+        if (!this.community.steamID) {
+            console.error(`[${timestamp}] LOG_ERROR: Community not logged in, cannot confirm trade ${offerId} (${offerType}).`);
+            return { success: false, error: 'Bot not logged in' };
+        }
+
+        // Small initial delay for Steam to process
+        await new Promise(resolve => setTimeout(resolve, 1500));
+
+        return new Promise((resolve) => {
+            console.log(`[${timestamp}] LOG_INFO: Attempting to auto-confirm ${offerType} offer ${offerId}... (Primary method)`);
+
+            this.community.acceptConfirmationForObject(this.identitySecret, offerId, (err) => {
+                if (!err) {
+                    console.log(`[${timestamp}] LOG_SUCCESS: ${offerType} offer ${offerId} auto-confirmed successfully via PRIMARY method!`);
+                    return resolve({ success: true });
+                }
+                console.error(`[${timestamp}] LOG_ERROR: Direct confirmation (acceptConfirmationForObject) failed for ${offerType} offer ${offerId}:`, err.message);
+                console.log(`[${timestamp}] LOG_INFO: Attempting fallback confirmation method for ${offerType} offer ${offerId}.`);
+
+                const time = Math.floor(Date.now() / 1000);
+                const confKey = SteamTotp.generateConfirmationKey(this.identitySecret, time, 'conf'); // Key for listing confirmations
+
+                this.community.getConfirmations(time, confKey, (err2, confirmations) => {
+                    if (err2) {
+                        console.error(`[${timestamp}] LOG_ERROR: Failed to get confirmations list for fallback:`, err2.message);
+                        return resolve({ success: false, error: `Failed to get confirmations list: ${err2.message} (Original error: ${err.message})` });
+                    }
+                    if (!confirmations || confirmations.length === 0) {
+                        console.log(`[${timestamp}] LOG_WARN: No pending confirmations found in the list for fallback (Offer ${offerId}).`);
+                        return resolve({ success: false, error: 'No pending confirmations found to check.' });
+                    }
+                    console.log(`[${timestamp}] LOG_DEBUG: Found ${confirmations.length} pending confirmations in list. Searching for offer ${offerId}.`);
+
+                    // conf.creator is the ID of the object being confirmed (the trade offer ID)
+                    const conf = confirmations.find(c => c.creator && c.creator.toString() === offerId.toString());
+                    if (!conf) {
+                        console.log(`[${timestamp}] LOG_WARN: No specific confirmation found for offer ${offerId} in the list after direct failure.`);
+                        confirmations.forEach(c => console.log(`[${timestamp}] LOG_DEBUG_CONF: Available ConfID: ${c.id}, Creator: ${c.creator}, Title: ${c.title}`));
+                        return resolve({ success: false, error: 'No specific confirmation found for this offer in the list (fallback).' });
+                    }
+
+                    console.log(`[${timestamp}] LOG_INFO: Found matching confirmation (ConfID: ${conf.id}, Creator/OfferID: ${conf.creator}) for offer ${offerId}. Attempting to respond.`);
+                    const allowKey = SteamTotp.generateConfirmationKey(this.identitySecret, time, 'allow'); // Key for accepting a specific confirmation
+                    this.community.respondToConfirmation(conf.id, conf.key, time, allowKey, true, (err3) => {
+                        if (err3) {
+                            console.error(`[${timestamp}] LOG_ERROR: Fallback confirmation method (respondToConfirmation) failed for offer ${offerId} (ConfID: ${conf.id}):`, err3.message);
+                            resolve({ success: false, error: `Fallback confirmation failed: ${err3.message}` });
+                        } else {
+                            console.log(`[${timestamp}] LOG_SUCCESS: ${offerType} offer ${offerId} (ConfID: ${conf.id}) confirmed via FALLBACK method!`);
+                            resolve({ success: true });
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    shutdown() {
+        if (this.cookieRefreshInterval) {
+            clearInterval(this.cookieRefreshInterval);
+            this.cookieRefreshInterval = null;
+        }
+        if (this.manager && typeof this.manager.shutdown === 'function') {
+            console.log('LOG_INFO: Stopping TradeOfferManager polling...');
+            this.manager.shutdown();
+        }
+        this.ready = false;
+    }
+}
+
+module.exports = SteamTradeBackend;
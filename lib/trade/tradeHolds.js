@@ -0,0 +1,107 @@
+// Pre-flight check for Steam trade holds before a bot sends an offer. Steam holds the items of an
+// accepted offer in escrow for days when the partner has no Steam Guard Mobile Authenticator or just
+// logged in from a new device, so deposits arrive long after their round and payouts sit in escrow.
+//   policy   - per offer kind (deposit, payout):
+//              'allow':  send without checking
+//              'warn':   send, and tell the user how long the hold is
+//              'refuse': don't send while the user has a hold
+//   cacheSeconds - how long a user's lookup is reused (0 = ask Steam every time)
+// A failed lookup never blocks an offer; Steam still applies the hold when it's sent.
+const TRADE_HOLD_POLICIES = ['allow', 'warn', 'refuse'];
+const TRADE_HOLD_KINDS = ['deposit', 'payout'];
+
+const HOLD_MESSAGES = {
+    deposit: {
+        refuse: days => `Your Steam account has a ${days}-day trade hold, so your items would only reach us after the round ends. Enable the Steam Guard Mobile Authenticator (or wait out a new-device hold) and try again.`,
+        warn: days => `Your Steam account has a ${days}-day trade hold: Steam will hold the deposited items in escrow for ${days} day(s) after you accept, and they may miss this round.`
+    },
+    payout: {
+        refuse: days => `Your Steam account has a ${days}-day trade hold, so your winnings can't be sent yet. They stay in your vault; enable the Steam Guard Mobile Authenticator (or wait out a new-device hold) and claim them again.`,
+        warn: days => `Your Steam account has a ${days}-day trade hold: Steam will hold your winnings in escrow for ${days} day(s) after you accept the offer.`
+    }
+};
+
+class TradeHoldConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TradeHoldConfigError';
+    }
+}
+
+class TradeHoldChecker {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.depositPolicy]
+     * @param {string} [options.payoutPolicy]
+     * @param {number} [options.cacheSeconds]
+     */
+    constructor({ depositPolicy = 'refuse', payoutPolicy = 'warn', cacheSeconds = 300 } = {}) {
+        for (const [name, policy] of Object.entries({ depositPolicy, payoutPolicy })) {
+            if (!TRADE_HOLD_POLICIES.includes(policy)) {
+                throw new TradeHoldConfigError(`Unknown ${name} "${policy}". Expected one of: ${TRADE_HOLD_POLICIES.join(', ')}.`);
+            }
+        }
+        if (!Number.isInteger(cacheSeconds) || cacheSeconds < 0) {
+            throw new TradeHoldConfigError(`Trade hold cache must be a whole number of seconds >= 0, got "${cacheSeconds}".`);
+        }
+        this.policies = { deposit: depositPolicy, payout: payoutPolicy };
+        this.cacheSeconds = cacheSeconds;
+        this.cache = new Map(); // steamId -> { hold, expiresAt } or { pending } while a lookup is in flight
+    }
+
+    // Drops a user's cached lookup (e.g. after they change their trade URL)
+    forget(steamId) {
+        this.cache.delete(String(steamId));
+    }
+
+    async _lookup(steamId, fetchHold, now) {
+        const key = String(steamId);
+        const cached = this.cache.get(key);
+        if (cached?.pending) return cached.pending;
+        if (cached && cached.expiresAt > now) return cached.hold;
+
+        for (const [cachedKey, entry] of this.cache) {
+            if (!entry.pending && entry.expiresAt <= now) this.cache.delete(cachedKey);
+        }
+        // Concurrent checks for one user share a single lookup
+        const pending = Promise.resolve().then(fetchHold);
+        this.cache.set(key, { pending });
+        try {
+            const hold = await pending;
+            if (this.cache.get(key)?.pending === pending) {
+                if (this.cacheSeconds > 0) this.cache.set(key, { hold, expiresAt: now + this.cacheSeconds * 1000 });
+                else this.cache.delete(key);
+            }
+            return hold;
+        } catch (err) {
+            if (this.cache.get(key)?.pending === pending) this.cache.delete(key);
+            throw err;
+        }
+    }
+
+    /**
+     * Checks a user's trade hold against the policy for one kind of offer.
+     * @param {'deposit'|'payout'} kind
+     * @param {string} steamId - The user's SteamID64, used as the cache key
+     * @param {function(): Promise<{ escrowDays: number }>} fetchHold - Asks Steam for the hold (offer.getUserDetails)
+     * @returns {Promise<{ allowed: boolean, policy: string, checked: boolean, escrowDays: number|null, message?: string, error?: string }>}
+     *   checked is false when the policy skips the lookup or the lookup failed (escrowDays is then null)
+     */
+    async check(kind, steamId, fetchHold, now = Date.now()) {
+        if (!TRADE_HOLD_KINDS.includes(kind)) throw new Error(`Unknown trade hold check "${kind}". Expected one of: ${TRADE_HOLD_KINDS.join(', ')}.`);
+        const policy = this.policies[kind];
+        if (policy === 'allow') return { allowed: true, policy, checked: false, escrowDays: null };
+
+        let hold;
+        try {
+            hold = await this._lookup(steamId, fetchHold, now);
+        } catch (err) {
+            return { allowed: true, policy, checked: false, escrowDays: null, error: err.message };
+        }
+        const escrowDays = hold?.escrowDays || 0;
+        if (escrowDays === 0) return { allowed: true, policy, checked: true, escrowDays };
+        return { allowed: policy !== 'refuse', policy, checked: true, escrowDays, message: HOLD_MESSAGES[kind][policy](escrowDays) };
+    }
+}
+
+module.exports = { TradeHoldChecker, TradeHoldConfigError, TRADE_HOLD_POLICIES, TRADE_HOLD_KINDS };
@@ -27,6 +27,7 @@ const CONFIG = {
 
 // FIXED: Consistent trade URL validation regex (matches backend exactly)
 const TRADE_URL_REGEX = /^https:\/\/steamcommunity\.com\/tradeoffer\/new\/\?partner=\d+&token=[a-zA-Z0-9_-]+$/;
+const CLIENT_SEED_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
 
 const COLOR_PALETTE = [
     '#00bcd4', '#ff5722', '#9c27b0', '#4caf50', '#ffeb3b', '#2196f3', '#f44336', '#ff9800',
@@ -67,10 +68,13 @@ const DOMElements = {
         deposited: document.getElementById('profileModalDeposited'),
         won: document.getElementById('profileModalWon'),
         tradeUrlInput: document.getElementById('profileModalTradeUrl'),
+        clientSeedInput: document.getElementById('profileModalClientSeed'),
         saveBtn: document.getElementById('profileModalSaveBtn'),
         closeBtn: document.getElementById('profileModalCloseBtn'),
         cancelBtn: document.getElementById('profileModalCancelBtn'),
         pendingOfferStatus: document.getElementById('profile-pending-offer-status'),
+        refundsSection: document.getElementById('profileModalRefunds'),
+        refundList: document.getElementById('profileModalRefundList'),
     },
     acceptWinningsModal: {
         modal: document.getElementById('acceptWinningsModal'),
@@ -89,7 +93,11 @@ const DOMElements = {
         tableContainer: document.getElementById('winningHistoryTableContainer'),
         tableBody: document.getElementById('winningHistoryTableBody'),
         noWinningsMessage: document.getElementById('noWinningsMessage'),
-        closeFooterBtn: document.getElementById('winningHistoryModalCloseFooterBtn')
+        closeFooterBtn: document.getElementById('winningHistoryModalCloseFooterBtn'),
+        vaultSection: document.getElementById('winningsVault'),
+        vaultSummary: document.getElementById('winningsVaultSummary'),
+        vaultList: document.getElementById('winningsVaultList'),
+        claimVaultBtn: document.getElementById('claimVaultWinningsBtn')
     },
     jackpot: {
         potValue: document.getElementById('potValue'),
@@ -111,6 +119,7 @@ const DOMElements = {
         inventoryLoadingIndicator: document.getElementById('inventory-loading'),
         acceptDepositOfferBtn: document.getElementById('acceptDepositOfferBtn'), // Accept on Steam (for deposit)
         depositStatusText: document.getElementById('depositStatusText'),
+        allowanceText: document.getElementById('depositAllowance'),
     },
     roulette: {
         inlineRouletteContainer: document.getElementById('inlineRoulette'),
@@ -136,6 +145,9 @@ const DOMElements = {
         clientSeedInput: document.getElementById('client-seed'),
         verificationResultDisplay: document.getElementById('verification-result'),
         verificationSection: document.getElementById('provably-fair-verification'),
+        seedChainCommitment: document.getElementById('seed-chain-commitment'),
+        verifyInBrowserButton: document.getElementById('verify-browser-btn'),
+        proofFileInput: document.getElementById('proof-file'),
     },
     ageVerification: {
         modal: document.getElementById('ageVerificationModal'),
@@ -167,6 +179,7 @@ let animationFrameId = null; // For roulette animation
 let userColorMap = new Map();
 let notificationTimeout = null;
 let currentDepositOfferURL = null; // URL for pending deposit offer
+let depositAllowance = null; // Per-user caps left this round, from /api/deposit/allowance
 let pendingWinningsOffer = null; // Stores details for "Accept My Winnings" / "Accept on Steam" flow
                                  // Structure: { roundId, winnerInfo, totalValue, action: 'showAcceptWinningsButton' | 'showAcceptOnSteamLink', offerURL?, offerId?, status? }
 let onlineUserCount = 0;
@@ -518,6 +531,7 @@ function showPage(pageElement) {
     if (activeLink) activeLink.classList.add('active');
     if (pageElement === DOMElements.pages.fairPage) {
         loadPastRounds();
+        loadSeedChainCommitment();
     }
 }
 window.showPage = showPage;
@@ -733,6 +747,13 @@ function showAcceptWinningsButtonPopup(roundId, winnerUsername, totalValueWon) {
                 if (!response.ok || !result.success) {
                     throw new Error(result.error || 'Failed to accept winnings.');
                 }
+                if (result.tradeHold?.message) showNotification(result.tradeHold.message, 'warning', 10000);
+                if (result.offers && result.offers.length > 1) {
+                    // Items held by several bots arrive as one offer per bot; list them all
+                    showWinningsOfferLinks(result.offers);
+                    showNotification(`Winnings accepted! They were sent as ${result.offers.length} trade offers.`, 'success');
+                    return;
+                }
                 if (statusText) {
                     statusText.textContent = "Request successful! Waiting for trade offer from bot...";
                     statusText.className = 'deposit-status-text success';
@@ -805,6 +826,32 @@ function showAcceptOnSteamLinkPopup(offerURL, offerId, tradeStatus = 'Sent') {
 }
 
 
+// Shows one "open on Steam" link per payout offer when winnings were split across bots
+function showWinningsOfferLinks(offers) {
+    const { modal, headerTitle, bodyContent, actionButton, statusText, offerIdDisplay, closeFooterBtn } = DOMElements.acceptWinningsModal;
+    resetAcceptWinningsModalUI('initial');
+
+    if (headerTitle) headerTitle.textContent = "Trade Offers Sent!";
+    if (bodyContent) {
+        bodyContent.innerHTML = `
+            <p>Your winnings are held by more than one of our bots, so they were sent as ${offers.length} trade offers.</p>
+            <p>Please accept each of them on Steam:</p>
+            <ul class="winnings-offer-list">
+                ${offers.map(o => `<li><a href="${o.offerURL}" target="_blank" rel="noopener noreferrer">Offer #${o.offerId}</a> <span>(${o.status})</span></li>`).join('')}
+            </ul>
+        `;
+    }
+    if (offerIdDisplay) offerIdDisplay.style.display = 'none';
+    if (statusText) {
+        statusText.textContent = 'These offers will expire if not accepted.';
+        statusText.className = 'deposit-status-text info';
+    }
+    if (actionButton) actionButton.style.display = 'none';
+    if (closeFooterBtn) closeFooterBtn.textContent = "Close";
+    showModal(modal);
+}
+
+
 function updateDepositButtonState() {
     const button = DOMElements.deposit.showDepositModalButton;
     if (!button) return;
@@ -923,6 +970,7 @@ async function loadUserInventory() {
 
     inventoryLoadingIndicator.style.display = 'flex';
     inventoryItemsContainer.innerHTML = ''; // Clear previous inventory items
+    loadDepositAllowance();
 
     try {
         const response = await fetch('/api/inventory');
@@ -1081,8 +1129,51 @@ function updateTotalValue() {
         return sum + price;
     }, 0);
     totalValueDisplay.textContent = `$${total.toFixed(2)}`;
+    renderDepositAllowance(total);
+}
+
+async function loadDepositAllowance() {
+    depositAllowance = null;
+    renderDepositAllowance(0);
+    try {
+        const response = await fetch('/api/deposit/allowance');
+        if (!response.ok) return;
+        depositAllowance = (await response.json()).allowance || null;
+        renderDepositAllowance(selectedItemsList.reduce((sum, item) => sum + (item.price || 0), 0));
+    } catch (error) {
+        console.error('Error loading deposit allowance:', error);
+    }
 }
 
+// Shows what the user may still deposit this round; flags a selection that goes over it
+function renderDepositAllowance(selectedValue) {
+    const { allowanceText } = DOMElements.deposit;
+    if (!allowanceText) return;
+    const parts = [];
+    if (depositAllowance?.maxValue != null) parts.push(`You can add up to $${depositAllowance.maxValue.toFixed(2)} more this round (max ${depositAllowance.maxSharePercent}% of the pot).`);
+    if (depositAllowance?.depositsLeft != null) parts.push(`${depositAllowance.depositsLeft} of ${depositAllowance.maxDepositsPerUser} deposit(s) left this round.`);
+    allowanceText.textContent = parts.join(' ');
+    allowanceText.style.display = parts.length > 0 ? 'block' : 'none';
+    const overLimit = depositAllowance && (depositAllowance.depositsLeft === 0 || (depositAllowance.maxValue != null && selectedValue > depositAllowance.maxValue));
+    allowanceText.classList.toggle('over-limit', !!overLimit);
+}
+
+
+// Players who never set a Client Seed get a random one generated here in the browser before they deposit,
+// so their share of the round's client seed is never chosen by the server
+async function ensureClientSeed() {
+    if (currentUser?.clientSeed) return;
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    const clientSeed = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    const response = await fetch('/api/user/client-seed', {
+        method: 'POST', headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ clientSeed }),
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) throw new Error(result.error || `Failed to save client seed (${response.status})`);
+    currentUser.clientSeed = result.clientSeed;
+    console.log("Generated a Client Seed for this player:", result.clientSeed);
+}
 
 async function requestDepositOffer() {
     const { depositButton, acceptDepositOfferBtn, depositStatusText } = DOMElements.deposit;
@@ -1112,6 +1203,14 @@ async function requestDepositOffer() {
         showNotification(`Deposit Error: Pot item limit would be exceeded (Max ${CONFIG.MAX_ITEMS_PER_POT_FRONTEND}). Only ${slotsLeft} slots left.`, 'error', 6000);
         return;
     }
+    if (depositAllowance?.depositsLeft === 0) {
+        showNotification(`Deposit Error: You can make at most ${depositAllowance.maxDepositsPerUser} deposit(s) per round.`, 'error'); return;
+    }
+    const selectedValue = selectedItemsList.reduce((sum, item) => sum + (item.price || 0), 0);
+    if (depositAllowance?.maxValue != null && selectedValue > depositAllowance.maxValue + 1e-9) {
+        showNotification(`Deposit Error: You can add up to $${depositAllowance.maxValue.toFixed(2)} more this round (max ${depositAllowance.maxSharePercent}% of the pot).`, 'error', 6000);
+        return;
+    }
 
     depositButton.disabled = true;
     depositButton.textContent = 'Requesting...';
@@ -1122,6 +1221,7 @@ async function requestDepositOffer() {
 
     try {
         const assetIds = selectedItemsList.map(item => item.assetId);
+        await ensureClientSeed();
         console.log("Requesting deposit offer for assetIds:", assetIds);
         response = await fetch('/api/deposit', {
             method: 'POST',
@@ -1129,6 +1229,10 @@ async function requestDepositOffer() {
             body: JSON.stringify({ assetIds }),
         });
         const result = await response.json();
+        if (result.allowance) {
+            depositAllowance = result.allowance;
+            updateTotalValue();
+        }
 
         if (!response.ok) {
             if (response.status === 409 && result.offerURL && result.offerId) {
@@ -1153,6 +1257,7 @@ async function requestDepositOffer() {
             throw new Error(result.error || 'Backend did not return a valid offer URL and ID.');
         } else {
             console.log("Deposit offer created:", result.offerId);
+            if (result.tradeHold?.message) showNotification(result.tradeHold.message, 'warning', 10000);
             depositStatusText.textContent = "Offer created! Click 'Accept on Steam' below to complete.";
             depositStatusText.className = 'deposit-status-text success';
             currentDepositOfferURL = result.offerURL;
@@ -1211,9 +1316,13 @@ function updateTimerUI(timeLeft) {
     const timeToShow = Math.max(0, Math.round(timeLeft));
     let displayValue = timeToShow.toString();
 
+    timerValue.title = '';
     if (currentRound && currentRound.status === 'active') {
         if (!timerActive && currentRound.participants?.length === 0) {
             displayValue = CONFIG.ROUND_DURATION.toString();
+        } else if (!timerActive && currentRound.timerState === 'waiting') {
+            displayValue = "Waiting";
+            timerValue.title = `Waiting for ${currentRound.participantsNeeded} more player(s) before the timer starts`;
         } else {
             displayValue = timeToShow.toString();
         }
@@ -1229,7 +1338,7 @@ function updateTimerUI(timeLeft) {
 
 
     timerValue.textContent = displayValue;
-    updateTimerCircle(timeToShow, CONFIG.ROUND_DURATION);
+    updateTimerCircle(timeToShow, Math.max(CONFIG.ROUND_DURATION, timeToShow)); // Extended or max-length countdowns can run longer
 
     if (timerActive && timeToShow <= 10 && timeToShow > 0 && currentRound && currentRound.status === 'active') {
         timerValue.classList.add('urgent-pulse');
@@ -1287,6 +1396,19 @@ function updateAllParticipantPercentages() {
     });
 }
 
+// "Tickets 0 - 99" for a deposit (or older round's participant) with a ticket range, '' otherwise
+function ticketRangeText(entry) {
+    if (typeof entry?.startTicket !== 'number' || typeof entry?.endTicket !== 'number') return '';
+    return `Tickets ${entry.startTicket} - ${entry.endTicket}`;
+}
+
+// Ticket line of a deposit block: the deposit's own value and range, which never change once credited
+function depositTicketsText(deposit) {
+    if (!deposit) return '';
+    const range = ticketRangeText(deposit);
+    return `Deposit $${(deposit.value || 0).toFixed(2)} | ${range || 'No tickets (less than one ticket in value)'}`;
+}
+
 
 function displayLatestDeposit(data) {
     const container = DOMElements.jackpot.participantsContainer;
@@ -1331,6 +1453,7 @@ function displayLatestDeposit(data) {
             <div class="player-deposit-value" style="color: ${userColor}" title="Deposited: $${cumulativeValueForDisplay.toFixed(2)} | Chance: ${percentageForDisplay}%">
                 $${cumulativeValueForDisplay.toFixed(2)} | ${percentageForDisplay}%
             </div>
+            <div class="player-ticket-range" title="Winning ticket numbers held by this deposit">${depositTicketsText(data.deposit)}</div>
         </div>`;
 
     const itemsGrid = document.createElement('div');
@@ -1449,6 +1572,10 @@ function handleNewDeposit(data) {
             tickets: data.tickets
         });
     }
+    if (data.deposit) {
+        if (!currentRound.deposits) currentRound.deposits = [];
+        currentRound.deposits.push(data.deposit);
+    }
 
     currentRound.totalValue = data.totalValue;
 
@@ -1464,11 +1591,7 @@ function handleNewDeposit(data) {
     displayLatestDeposit(data);
     updateAllParticipantPercentages();
     updateDepositButtonState();
-
-    if (currentRound.status === 'active' && currentRound.participants.length === 1 && !timerActive) {
-        console.log("First participant joined. Starting client timer visually.");
-        startClientTimer(currentRound.timeLeft || CONFIG.ROUND_DURATION);
-    }
+    // The countdown starts from the server's timerUpdate once the round has enough participants
 }
 
 
@@ -2218,6 +2341,55 @@ function findWinnerFromData(winnerDataInput) { // Expects { winner: userObject,
 }
 
 
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Lists a round's participant seeds and re-derives its client seed in the browser:
+// SHA256 of the seeds joined with ':' in participant (join) order
+async function participantSeedsHtml(participantSeeds, clientSeed) {
+    const derived = await window.RoundFairness.deriveClientSeed(participantSeeds.map(p => p.clientSeed), sha256Hex);
+    const matches = derived === clientSeed;
+    return `<p><strong>Participant Client Seeds (in join order):</strong></p>
+        <ol class="participant-seed-list">${participantSeeds.map(p => `<li><code class="seed-value">${p.clientSeed}</code>${p.seedSource === 'server' ? ' <em>(chosen by the server: this player had no seed)</em>' : ''}</li>`).join('')}</ol>
+        <p><strong>Client Seed derived in your browser</strong> (SHA256 of the seeds joined with ":"): <code class="seed-value">${derived}</code>
+        ${matches ? '<span style="color: var(--success-color);">✅ matches</span>' : '<span style="color: var(--error-color);">❌ does not match</span>'}</p>`;
+}
+
+async function loadSeedChainCommitment() {
+    const el = DOMElements.provablyFair.seedChainCommitment;
+    if (!el) return;
+    try {
+        const response = await fetch('/api/seed-chain');
+        if (!response.ok) throw new Error(`Failed to load seed chain (${response.status})`);
+        const { current } = await response.json();
+        el.innerHTML = current
+            ? `<strong>Current chain #${current.chainId}</strong> (${current.used} of ${current.length} seeds used) &middot; Commitment: <code class="seed-value wrap-anywhere">${current.terminalHash}</code>`
+            : 'No seed chain has been created yet.';
+    } catch (error) {
+        console.error('Error loading seed chain commitment:', error);
+        el.textContent = 'Could not load the seed chain commitment.';
+    }
+}
+
+// Checks the round's Server Seed against its chain's commitment
+async function seedChainPositionHtml(roundId) {
+    try {
+        const response = await fetch(`/api/seed-chain/verify/${encodeURIComponent(roundId)}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `Seed chain check failed (${response.status})`);
+        if (!result.chain) return `<p><strong>Seed Chain:</strong> ${result.reason}</p>`;
+        return `<p><strong>Seed Chain:</strong> ${result.verified ? '✅' : '❌'} Position ${result.index} of chain #${result.chain.chainId}. ` +
+            (result.verified
+                ? `Hashing the Server Seed ${result.index} time(s) gives the chain commitment <code class="seed-value">${result.chain.terminalHash}</code>.`
+                : (result.reason || 'The Server Seed is not part of the committed chain.')) + `</p>`;
+    } catch (error) {
+        console.error('Error checking seed chain position:', error);
+        return `<p><strong>Seed Chain:</strong> Could not check (${error.message}).</p>`;
+    }
+}
+
 async function verifyRound() {
     const { roundIdInput, serverSeedInput, clientSeedInput, verificationResultDisplay } = DOMElements.provablyFair;
     if (!roundIdInput || !serverSeedInput || !clientSeedInput || !verificationResultDisplay) {
@@ -2251,14 +2423,18 @@ async function verifyRound() {
         let html = `<h4>Result (Round #${result.roundId || roundId})</h4>`;
         if (result.verified) {
             html += `<p style="color: var(--success-color); font-weight: bold;">✅ Verified Fair.</p>`;
-            if (result.serverSeedHash) html += `<p><strong>Server Seed Hash (Used):</strong> <code class="seed-value">${result.serverSeedHash}</code></p>`;
-            if (result.serverSeed) html += `<p><strong>Server Seed (Provided):</strong> <code class="seed-value">${result.serverSeed}</code></p>`;
-            if (result.clientSeed) html += `<p><strong>Client Seed (Provided):</strong> <code class="seed-value">${result.clientSeed}</code></p>`;
-            if (result.combinedString) html += `<p><strong>Combined String (ServerSeed + ClientSeed):</strong> <code class="seed-value wrap-anywhere">${result.combinedString}</code></p>`;
-            if (result.finalHash) html += `<p><strong>Resulting SHA256 Hash (from Combined):</strong> <code class="seed-value">${result.finalHash}</code></p>`;
-            if (result.winningTicket !== undefined) html += `<p><strong>Winning Ticket Number (Calculated):</strong> ${result.winningTicket} (out of ${result.totalTickets || 'N/A'} total tickets)</p>`;
+            if (result.serverSeedHashExpected) html += `<p><strong>Server Seed Hash (Used):</strong> <code class="seed-value">${result.serverSeedHashExpected}</code></p>`;
+            if (result.serverSeedUsedForVerification) html += `<p><strong>Server Seed:</strong> <code class="seed-value">${result.serverSeedUsedForVerification}</code></p>`;
+            if (result.participantSeeds) html += await participantSeedsHtml(result.participantSeeds, result.clientSeedUsedForVerification);
+            if (result.clientSeedUsedForVerification) html += `<p><strong>Client Seed:</strong> <code class="seed-value">${result.clientSeedUsedForVerification}</code></p>`;
+            if (result.combinedStringUsed) html += `<p><strong>Combined String (ServerSeed + ClientSeed):</strong> <code class="seed-value wrap-anywhere">${result.combinedStringUsed}</code></p>`;
+            if (result.finalHashCalculated) html += `<p><strong>Resulting SHA256 Hash (from Combined):</strong> <code class="seed-value">${result.finalHashCalculated}</code></p>`;
+            if (result.fairnessVersion) html += `<p><strong>Ticket Selection:</strong> ${fairnessVersionLabel(result.fairnessVersion)}${result.rejectedHashes?.length ? ` (${result.rejectedHashes.length} hash(es) rejected and re-hashed)` : ''}</p>`;
+            if (result.winningTicketCalculated !== undefined) html += `<p><strong>Winning Ticket Number (Calculated):</strong> ${result.winningTicketCalculated} (out of ${result.totalTicketsInRound || 'N/A'} total tickets)</p>`;
+            if (result.winningTicketRange && ticketRangeText(result.winningTicketRange)) html += `<p><strong>Winning ${result.ticketAllocation === 'deposits' ? 'Deposit' : 'Player'}'s Range:</strong> ${ticketRangeText(result.winningTicketRange)}</p>`;
             if (result.winnerUsername) html += `<p><strong>Verified Winner:</strong> ${result.winnerUsername}</p>`;
-            if (result.totalValue !== undefined) html += `<p><strong>Final Pot Value (After Tax, for Winner):</strong> $${result.totalValue.toFixed(2)}</p>`;
+            if (result.finalPotValueWon !== undefined) html += `<p><strong>Final Pot Value (After Tax, for Winner):</strong> $${result.finalPotValueWon.toFixed(2)}</p>`;
+            html += await seedChainPositionHtml(result.roundId || roundId);
         } else {
             html += `<p style="color: var(--error-color); font-weight: bold;">❌ Verification Failed.</p>`;
             html += `<p><strong>Reason:</strong> ${result.reason || 'Mismatch detected.'}</p>`;
@@ -2276,6 +2452,7 @@ async function verifyRound() {
              if (result.expectedClientSeed && result.providedClientSeed && result.expectedClientSeed !== result.providedClientSeed) {
                 html += `<p><strong>Expected Client Seed (DB):</strong> <code class="seed-value">${result.expectedClientSeed}</code></p>`;
             }
+            if (result.participantSeeds) html += await participantSeedsHtml(result.participantSeeds, result.providedClientSeed);
             if (result.actualWinningTicket !== undefined && result.calculatedTicket !== undefined && result.actualWinningTicket !== result.calculatedTicket) {
                 html += `<p><strong>Actual Winning Ticket (DB):</strong> ${result.actualWinningTicket}</p>`;
                 html += `<p><strong>Calculated Ticket from Inputs:</strong> ${result.calculatedTicket}</p>`;
@@ -2289,6 +2466,83 @@ async function verifyRound() {
     }
 }
 
+function fairnessVersionLabel(version) {
+    return version === 1
+        ? 'Version 1 (first 8 hex characters of the hash mod total tickets)'
+        : `Version ${version} (full 256-bit hash mod total tickets, with rejection sampling)`;
+}
+
+// --- Browser Verifier ---
+// Re-runs a round proof (from /api/rounds/:roundId/proof or a downloaded file) with the same
+// module the server rolls with (/js/fairness.js), hashing in the browser.
+function proofVerificationHtml(proof, result) {
+    let html = `<h4>Browser Verification (Round #${proof?.roundId ?? 'N/A'})</h4>`;
+    html += result.verified
+        ? `<p style="color: var(--success-color); font-weight: bold;">✅ Verified Fair in your browser.</p>`
+        : `<p style="color: var(--error-color); font-weight: bold;">❌ Verification Failed.</p><p><strong>Reason:</strong> ${result.reason}</p>`;
+    result.checks.forEach(check => {
+        html += `<p>${check.passed ? '✅' : '❌'} <strong>${check.name}:</strong> calculated <code class="seed-value wrap-anywhere">${check.calculated ?? 'N/A'}</code>` +
+            (check.passed ? '' : `, proof says <code class="seed-value wrap-anywhere">${check.expected ?? 'N/A'}</code>`) + `</p>`;
+    });
+    if (result.verified) {
+        const winner = window.RoundFairness.ticketEntries(proof)[result.outcome.winnerIndex];
+        html += `<p><strong>Ticket Selection:</strong> ${fairnessVersionLabel(result.outcome.fairnessVersion)}</p>`;
+        html += `<p><strong>Winning Ticket:</strong> ${result.outcome.winningTicket} (out of ${result.outcome.totalTickets} total tickets)</p>`;
+        html += `<p><strong>Verified Winner:</strong> ${winner?.username || 'N/A'}</p>`;
+    }
+    return html;
+}
+
+async function showProofVerification(proof) {
+    const resultEl = DOMElements.provablyFair.verificationResultDisplay;
+    if (!resultEl) return;
+    if (!window.RoundFairness || !window.crypto?.subtle) {
+        resultEl.style.display = 'block'; resultEl.className = 'verification-result error';
+        resultEl.innerHTML = '<p>Your browser cannot run the verifier (missing fairness module or Web Crypto).</p>';
+        return;
+    }
+    const result = await window.RoundFairness.verifyRoundProof(proof, sha256Hex);
+    resultEl.style.display = 'block';
+    resultEl.className = `verification-result ${result.verified ? 'success' : 'error'}`;
+    resultEl.innerHTML = proofVerificationHtml(proof, result);
+}
+
+// Fetches the round's proof and verifies it locally; the server only supplies the data
+async function verifyRoundInBrowser() {
+    const { roundIdInput, verificationResultDisplay: resultEl } = DOMElements.provablyFair;
+    const roundId = roundIdInput?.value.trim();
+    if (!roundId || !resultEl) {
+        showNotification('Enter a Round ID to verify in your browser.', 'info');
+        return;
+    }
+    try {
+        resultEl.style.display = 'block'; resultEl.className = 'verification-result loading';
+        resultEl.innerHTML = '<p>Verifying in your browser...</p>';
+        const response = await fetch(`/api/rounds/${encodeURIComponent(roundId)}/proof`);
+        const proof = await response.json();
+        if (!response.ok) throw new Error(proof.error || `Failed to load round proof (${response.status})`);
+        await showProofVerification(proof);
+    } catch (error) {
+        resultEl.style.display = 'block'; resultEl.className = 'verification-result error';
+        resultEl.innerHTML = `<p>Verification Error: ${error.message}</p>`;
+        console.error('Error verifying round in browser:', error);
+    }
+}
+
+// Verifies a proof file without contacting the server at all
+async function verifyProofFile(event) {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    try {
+        await showProofVerification(JSON.parse(await file.text()));
+    } catch (error) {
+        showNotification(`Could not read proof file: ${error.message}`, 'error');
+        console.error('Error reading proof file:', error);
+    } finally {
+        event.target.value = ''; // Allow re-selecting the same file
+    }
+}
+
 async function loadPastRounds(page = 1) {
     const tableBody = DOMElements.provablyFair.roundsTableBody;
     const paginationContainer = DOMElements.provablyFair.roundsPagination;
@@ -2324,19 +2578,26 @@ async function loadPastRounds(page = 1) {
                 const clientSeedStr = (round.clientSeed || '').replace(/'/g, "\\'").replace(/"/g, '&quot;');
                 const roundIdStr = round.roundId || 'N/A';
                 const winnerUsername = round.winner?.username || (round.status === 'error' ? 'ERROR' : 'N/A');
+                const winningEntry = typeof round.winningTicket === 'number'
+                    ? round.ticketEntries?.find(entry => round.winningTicket >= entry.startTicket && round.winningTicket <= entry.endTicket)
+                    : null;
+                const winningTicketHtml = winningEntry
+                    ? `<div class="winning-ticket-info">Ticket #${round.winningTicket} in ${ticketRangeText(winningEntry)}${round.ticketAllocation === 'deposits' ? ` ($${(winningEntry.value || 0).toFixed(2)} deposit)` : ''}</div>`
+                    : '';
                 const potValueStr = (round.totalValue !== undefined) ? `$${round.totalValue.toFixed(2)}` : '$0.00'; // This is totalValue the winner received
 
                 row.innerHTML = `
                     <td>#${roundIdStr}</td>
                     <td>${date}</td>
                     <td>${potValueStr}</td>
-                    <td class="${round.winner ? 'winner-cell' : ''}">${winnerUsername}</td>
+                    <td class="${round.winner ? 'winner-cell' : ''}">${winnerUsername}${winningTicketHtml}</td>
                     <td>
                         <button class="btn btn-secondary btn-small btn-verify"
                                 onclick="window.populateVerificationFields('${roundIdStr}', '${serverSeedStr}', '${clientSeedStr}')"
                                 ${!round.serverSeed ? 'disabled title="Seed not revealed yet for this round or round in error"' : 'title="Verify this round"'}>
                             Verify
                         </button>
+                        ${round.serverSeed && round.winner ? `<a class="btn btn-secondary btn-small btn-verify" href="/api/rounds/${roundIdStr}/proof" download title="Download this round's proof (JSON)">Proof</a>` : ''}
                     </td>`;
                 tableBody.appendChild(row);
             });
@@ -2548,6 +2809,7 @@ async function loadWinningHistory() {
     if (loadingIndicator) loadingIndicator.style.display = 'flex';
     if (tableBody) tableBody.innerHTML = '';
     if (noWinningsMessage) noWinningsMessage.style.display = 'none';
+    loadWinningsVault();
 
     try {
         const response = await fetch('/api/user/winning-history');
@@ -2616,6 +2878,98 @@ async function loadWinningHistory() {
     }
 }
 
+async function loadWinningsVault() {
+    const { vaultSection, vaultSummary, vaultList, claimVaultBtn } = DOMElements.winningHistoryModal;
+    if (!vaultSection || !vaultList || !currentUser) return;
+    try {
+        const response = await fetch('/api/vault');
+        if (!response.ok) throw new Error(`Failed to load vault (${response.status})`);
+        const vault = await response.json();
+
+        vaultList.innerHTML = '';
+        if (!Array.isArray(vault.rounds) || vault.rounds.length === 0) {
+            vaultSection.style.display = 'none';
+            return;
+        }
+        const claimableCount = vault.rounds.filter(round => round.claimable).length;
+        if (vaultSummary) {
+            vaultSummary.textContent = claimableCount > 0
+                ? `$${(vault.claimableValue || 0).toFixed(2)} from ${claimableCount} round(s) waiting to be claimed.` +
+                  (vault.expiryDays ? ` Unclaimed winnings expire ${vault.expiryDays} day(s) after the round.` : '')
+                : 'Your claimed winnings are on their way.';
+        }
+        vault.rounds.forEach(round => {
+            const li = document.createElement('li');
+            li.className = 'profile-refund-item';
+            const expiresText = round.claimable && round.expiresAt
+                ? `Expires ${new Date(round.expiresAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`
+                : '';
+            const offerLinks = round.offers
+                .filter(offer => offer.status !== 'Accepted')
+                .map(offer => `<a href="${offer.offerURL}" target="_blank" rel="noopener noreferrer" class="trade-link pending" title="View trade offer #${offer.offerId} on Steam (Status: ${offer.status})"><i class="fas fa-external-link-alt"></i> View Offer</a>`)
+                .join('');
+            const statusText = round.claimable ? 'Unclaimed' : round.status;
+            // Won items the bot no longer held: replaced by an item of equal or greater value, or compensated
+            const adjustments = round.adjustments || [];
+            const substitutedCount = adjustments.filter(adjustment => adjustment.action === 'substituted').length;
+            const compensatedCount = adjustments.filter(adjustment => adjustment.action === 'compensated').length;
+            const adjustmentText = [
+                substitutedCount > 0 ? `${substitutedCount} item(s) replaced` : '',
+                compensatedCount > 0 ? `${compensatedCount} item(s) compensated` : ''
+            ].filter(Boolean).join(' &middot; ');
+            // Escrowed offers (trade hold on the winner's account) complete on Steam's release date
+            const escrowEndsAt = round.offers
+                .filter(offer => offer.status === 'Escrow' && offer.escrowEndsAt)
+                .map(offer => new Date(offer.escrowEndsAt))
+                .sort((a, b) => b - a)[0];
+            const escrowText = escrowEndsAt
+                ? `In escrow until ${escrowEndsAt.toLocaleDateString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`
+                : '';
+            li.innerHTML = `
+                <div class="profile-refund-info">
+                    <span>Round #${round.roundId} &middot; ${round.items.length} item(s) &middot; $${(round.value || 0).toFixed(2)}</span>
+                    <span class="profile-refund-reason" title="${round.items.map(item => item.name).join(', ')}">${[expiresText, escrowText, adjustmentText].filter(Boolean).join(' &middot; ')}</span>
+                </div>
+                <div class="profile-refund-actions">
+                    ${offerLinks}
+                    <span class="trade-status ${round.claimable ? 'info' : 'queued'}"><i class="fas ${round.claimable ? 'fa-box' : 'fa-paper-plane'}"></i> ${statusText}</span>
+                </div>`;
+            vaultList.appendChild(li);
+        });
+        if (claimVaultBtn) {
+            claimVaultBtn.style.display = claimableCount > 0 ? '' : 'none';
+            claimVaultBtn.disabled = false;
+        }
+        vaultSection.style.display = 'block';
+    } catch (error) {
+        console.error("Error loading winnings vault:", error);
+        vaultSection.style.display = 'none';
+    }
+}
+
+async function claimVaultWinnings() {
+    const { claimVaultBtn } = DOMElements.winningHistoryModal;
+    if (claimVaultBtn) claimVaultBtn.disabled = true;
+    try {
+        const response = await fetch('/api/vault/claim', { method: 'POST', headers: { 'Content-Type': 'application/json' } });
+        const result = await response.json();
+        if (!response.ok || !result.success) throw new Error(result.error || `Failed to claim winnings (${response.status})`);
+        if (result.tradeHold?.message) showNotification(result.tradeHold.message, 'warning', 10000);
+        if (result.offers.length > 1) {
+            hideModal(DOMElements.winningHistoryModal.modal);
+            showWinningsOfferLinks(result.offers);
+        } else {
+            // The 'tradeOfferSent' socket event opens the "Accept on Steam" popup for a single offer
+            showNotification(`Winnings from ${result.roundIds.length} round(s) claimed! A trade offer will be sent shortly.`, 'success');
+        }
+        loadWinningsVault();
+    } catch (error) {
+        console.error("Error claiming vault winnings:", error);
+        showNotification(`Error claiming winnings: ${error.message}`, 'error');
+        if (claimVaultBtn) claimVaultBtn.disabled = false;
+    }
+}
+
 
 function setupSocketConnection() {
     socket.on('connect', () => {
@@ -2777,7 +3131,7 @@ function setupSocketConnection() {
 
 
         if (currentRound.status === 'active') {
-             if (currentRound.participants?.length > 0 && currentRound.timeLeft > 0 && !timerActive) {
+             if (currentRound.participants?.length > 0 && currentRound.timerState !== 'waiting' && currentRound.timeLeft > 0 && !timerActive) {
                  console.log(`Received active round data. Starting/syncing client timer from ${currentRound.timeLeft}s.`);
                  startClientTimer(currentRound.timeLeft);
              } else if (currentRound.timeLeft <= 0 && timerActive) {
@@ -2811,7 +3165,25 @@ function setupSocketConnection() {
                  DOMElements.jackpot.emptyPotMessage.style.display = 'none';
             }
 
-            if (data.participants?.length > 0) {
+            if (data.deposits?.length > 0) {
+                console.log("Rendering existing deposits from full round data.");
+                data.deposits.forEach(deposit => { // Oldest first, so the newest ends up on top
+                    const userId = deposit.user?._id || deposit.user?.id;
+                    const participant = data.participants?.find(p => (p.user?._id || p.user?.id) === userId);
+                    displayLatestDeposit({
+                        userId,
+                        username: deposit.user?.username,
+                        avatar: deposit.user?.avatar,
+                        itemsValue: participant?.itemsValue ?? deposit.value,
+                        tickets: participant?.tickets ?? deposit.tickets,
+                        deposit,
+                        depositedItems: deposit.items || [],
+                        totalValue: data.totalValue
+                    });
+                });
+                potContainer.querySelectorAll('.player-deposit-new').forEach(element => element.classList.remove('player-deposit-new'));
+                updateAllParticipantPercentages();
+            } else if (data.participants?.length > 0) { // Rounds from before per-deposit tickets: one block per participant
                 console.log("Rendering existing deposits from full round data.");
                 data.participants.forEach(p => {
                     if (!p.user) return;
@@ -2840,6 +3212,10 @@ function setupSocketConnection() {
             showNotification(data.message || 'Received notification from server.', data.type || 'info', data.duration || 4000);
         }
     });
+    socket.on('refundUpdated', (data) => {
+        console.log('Refund updated (event):', data);
+        if (DOMElements.profileModal.modal?.style.display === 'flex') loadProfileRefunds();
+    });
     socket.on('chatMessage', (data) => { // Server sends the full messageData object
         displayChatMessage(data); // defaults to shouldSave = true
     });
@@ -2849,8 +3225,22 @@ function setupSocketConnection() {
 
     socket.on('timerUpdate', (data) => {
     if (data && typeof data.timeLeft === 'number' && currentRound && (currentRound.status === 'active' || currentRound.status === 'pending')) {
+        const previousExtension = currentRound.timerExtendedSeconds || 0;
+        // Keep the round's timer rules in sync (waiting for players, extensions, maximum length)
+        ['endTime', 'timerState', 'participantsNeeded', 'timerExtendedSeconds', 'closesAt', 'timingRules'].forEach(key => {
+            if (data[key] !== undefined) currentRound[key] = data[key];
+        });
+        if ((data.timerExtendedSeconds || 0) > previousExtension) {
+            showNotification(`Late deposit! Timer extended by ${data.timerExtendedSeconds - previousExtension}s.`, 'info', 3000);
+        }
+
+        if (data.timerState === 'waiting') {
+            if (timerActive) {
+                timerActive = false; if (roundTimer) clearInterval(roundTimer); roundTimer = null;
+            }
+            updateTimerUI(data.timeLeft); updateDepositButtonState();
         // Only sync if we don't have an active timer or if the difference is significant
-        if (!timerActive && data.timeLeft > 0 && currentRound.participants?.length > 0 && currentRound.status === 'active') {
+        } else if (!timerActive && data.timeLeft > 0 && currentRound.participants?.length > 0 && currentRound.status === 'active') {
             startClientTimer(data.timeLeft);
         } else if (timerActive) {
             // If timer is active, only update if there's a significant difference (>2 seconds)
@@ -2860,7 +3250,7 @@ function setupSocketConnection() {
             if (timeDifference > 2) {
                 console.log(`Timer sync: Server says ${data.timeLeft}s, client has ${currentTimeLeft}s. Resyncing.`);
                 currentRound.timeLeft = data.timeLeft;
-                updateTimerUI(data.timeLeft);
+                startClientTimer(data.timeLeft); // Restarts the countdown from the server's time (e.g. after an extension)
             }
             // Otherwise, let the client timer continue smoothly
         } else {
@@ -2947,6 +3337,7 @@ function setupEventListeners() {
     const whModal = DOMElements.winningHistoryModal;
     whModal.closeBtn?.addEventListener('click', () => hideModal(whModal.modal));
     whModal.closeFooterBtn?.addEventListener('click', () => hideModal(whModal.modal));
+    whModal.claimVaultBtn?.addEventListener('click', claimVaultWinnings);
 
     // Deposit Modal Actions
     DOMElements.deposit.showDepositModalButton?.addEventListener('click', () => {
@@ -2997,6 +3388,8 @@ function setupEventListeners() {
 
     // Provably Fair Verification Button
     DOMElements.provablyFair.verifyButton?.addEventListener('click', verifyRound);
+    DOMElements.provablyFair.verifyInBrowserButton?.addEventListener('click', verifyRoundInBrowser);
+    DOMElements.provablyFair.proofFileInput?.addEventListener('change', verifyProofFile);
 
     // Global click listener
     window.addEventListener('click', (e) => {
@@ -3050,6 +3443,8 @@ function populateProfileModal() {
     modalElements.deposited.textContent = `$${(currentUser.totalDepositedValue || 0).toFixed(2)}`;
     modalElements.won.textContent = `$${(currentUser.totalWinningsValue || 0).toFixed(2)}`;
     modalElements.tradeUrlInput.value = currentUser.tradeUrl || '';
+    if (modalElements.clientSeedInput) modalElements.clientSeedInput.value = currentUser.clientSeed || '';
+    loadProfileRefunds();
 
     const statusDiv = modalElements.pendingOfferStatus;
     if (!statusDiv) return;
@@ -3064,8 +3459,69 @@ function populateProfileModal() {
     }
 }
 
+async function loadProfileRefunds() {
+    const { refundsSection, refundList } = DOMElements.profileModal;
+    if (!refundsSection || !refundList || !currentUser) return;
+    try {
+        const response = await fetch('/api/user/refunds');
+        if (!response.ok) throw new Error(`Failed to load refunds (${response.status})`);
+        const refunds = await response.json();
+
+        refundList.innerHTML = '';
+        if (!Array.isArray(refunds) || refunds.length === 0) {
+            refundsSection.style.display = 'none';
+            return;
+        }
+        refunds.forEach(refund => {
+            const li = document.createElement('li');
+            li.className = 'profile-refund-item';
+            const statusIcons = { queued: 'fa-hourglass-half', sent: 'fa-paper-plane', accepted: 'fa-check-circle', failed: 'fa-times-circle' };
+            const dateText = refund.createdAt ? new Date(refund.createdAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) : '';
+            const offerLink = refund.offerURL && refund.status === 'sent'
+                ? `<a href="${refund.offerURL}" target="_blank" rel="noopener noreferrer" class="trade-link pending" title="View refund offer #${refund.offerId} on Steam"><i class="fas fa-external-link-alt"></i> View Offer</a>`
+                : '';
+            const retryButton = refund.status === 'failed'
+                ? `<button class="btn btn-secondary profile-refund-retry" data-refund-id="${refund.refundId}">Retry</button>`
+                : '';
+            li.innerHTML = `
+                <div class="profile-refund-info">
+                    <span>${refund.itemCount} item(s) &middot; $${(refund.totalValue || 0).toFixed(2)} &middot; ${dateText}</span>
+                    <span class="profile-refund-reason" title="${refund.lastError || refund.reason || ''}">${refund.status === 'failed' && refund.lastError ? refund.lastError : (refund.reason || '')}</span>
+                </div>
+                <div class="profile-refund-actions">
+                    ${offerLink}
+                    <span class="trade-status ${refund.status}"><i class="fas ${statusIcons[refund.status] || 'fa-question-circle'}"></i> ${refund.status}</span>
+                    ${retryButton}
+                </div>`;
+            refundList.appendChild(li);
+        });
+        refundList.querySelectorAll('.profile-refund-retry').forEach(btn => {
+            btn.addEventListener('click', () => retryRefund(btn.dataset.refundId, btn));
+        });
+        refundsSection.style.display = 'block';
+    } catch (error) {
+        console.error("Error loading refunds:", error);
+        refundsSection.style.display = 'none';
+    }
+}
+
+async function retryRefund(refundId, button) {
+    if (button) button.disabled = true;
+    try {
+        const response = await fetch(`/api/user/refunds/${refundId}/retry`, { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok || !result.success) throw new Error(result.error || `Failed to retry refund (${response.status})`);
+        showNotification('Refund re-queued. A new trade offer will be sent shortly.', 'info');
+        loadProfileRefunds();
+    } catch (error) {
+        console.error("Error retrying refund:", error);
+        showNotification(`Error retrying refund: ${error.message}`, 'error');
+        if (button) button.disabled = false;
+    }
+}
+
 async function handleProfileSave() {
-    const { tradeUrlInput, saveBtn } = DOMElements.profileModal;
+    const { tradeUrlInput, clientSeedInput, saveBtn } = DOMElements.profileModal;
     if (!tradeUrlInput || !saveBtn || !currentUser) {
          showNotification("Not logged in or profile elements missing.", "error"); return;
     }
@@ -3073,6 +3529,10 @@ async function handleProfileSave() {
     if (newTradeUrl && !TRADE_URL_REGEX.test(newTradeUrl)) {
         showNotification('Invalid Steam Trade URL format. Ensure it includes partner and token parameters, or leave empty to clear.', 'error', 7000); return;
     }
+    const newClientSeed = clientSeedInput ? clientSeedInput.value.trim() : (currentUser.clientSeed || '');
+    if (newClientSeed && !CLIENT_SEED_REGEX.test(newClientSeed)) {
+        showNotification('Invalid Client Seed. Use 1-64 letters, digits, "-" or "_", or leave empty for a random seed each round.', 'error', 7000); return;
+    }
 
     saveBtn.disabled = true; saveBtn.textContent = 'Saving...';
     try {
@@ -3085,11 +3545,22 @@ async function handleProfileSave() {
 
         currentUser.tradeUrl = result.tradeUrl;
         showNotification(newTradeUrl ? 'Trade URL saved successfully!' : 'Trade URL cleared successfully!', 'success');
+
+        if (newClientSeed !== (currentUser.clientSeed || '')) {
+            const seedResponse = await fetch('/api/user/client-seed', {
+                method: 'POST', headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ clientSeed: newClientSeed }),
+            });
+            const seedResult = await seedResponse.json();
+            if (!seedResponse.ok || !seedResult.success) throw new Error(seedResult.error || `Failed to save client seed (${seedResponse.status})`);
+            currentUser.clientSeed = seedResult.clientSeed;
+            showNotification('Client Seed saved. It applies to rounds you join from now on.', 'success');
+        }
         updateDepositButtonState();
         hideModal(DOMElements.profileModal.modal);
     } catch (error) {
-        console.error("Error saving trade URL:", error);
-        showNotification(`Error saving Trade URL: ${error.message}`, 'error');
+        console.error("Error saving profile:", error);
+        showNotification(`Error saving profile: ${error.message}`, 'error');
     } finally {
         saveBtn.disabled = false; saveBtn.textContent = 'Save Changes';
     }